@@ -0,0 +1,83 @@
+// src/brush/brush.js
+
+import { runSimulationPass, ATTRIBUTES } from '../simulation/simulation.js';
+import { clamp } from '../utils/utils.js';
+
+/**
+ * Brush footprints, matching u_shape in the splat shader.
+ */
+export const BRUSH_SHAPES = {
+    CIRCLE: 0,
+    SQUARE: 1,
+};
+
+const MIN_RADIUS = 0;
+const MAX_RADIUS = 64;
+
+/**
+ * Creates the brush used to paint attributes onto the grid.
+ * @returns {Object} - Brush settings: shape, radius (cells), attribute (ATTRIBUTES index) and strength (per tick).
+ */
+export function createBrush() {
+    return {
+        shape: BRUSH_SHAPES.CIRCLE,
+        radius: 6,
+        attribute: ATTRIBUTES.DENSITY,
+        strength: 0.05,
+    };
+}
+
+/**
+ * Changes the brush radius by a number of cells, within limits.
+ * @param {Object} brush - The brush.
+ * @param {number} delta - Cells to add (negative to shrink).
+ */
+export function resizeBrush(brush, delta) {
+    brush.radius = clamp(brush.radius + delta, MIN_RADIUS, MAX_RADIUS);
+}
+
+/**
+ * Paints a brush stroke between two grid positions with a GPU splat pass.
+ * Positions are in world cells (y grows downwards, like the ship's).
+ * @param {WebGL2RenderingContext} gl - The WebGL context.
+ * @param {WebGLProgram} splatProgram - The splat shader program.
+ * @param {SimulationState} simulationState - The double-buffered simulation state.
+ * @param {Object} brush - The brush settings.
+ * @param {{x: number, y: number}} from - Stroke start in world cells.
+ * @param {{x: number, y: number}} to - Stroke end in world cells.
+ * @param {number} sign - 1 to add to the attribute, -1 to subtract from it.
+ */
+export function applyBrushStroke(gl, splatProgram, simulationState, brush, from, to, sign) {
+    const amount = [0, 0, 0, 0];
+    amount[brush.attribute] = brush.strength * sign;
+    applySplat(gl, splatProgram, simulationState, { from, to, radius: brush.radius, shape: brush.shape, amount });
+}
+
+/**
+ * Adds to the attributes of every cell within a radius of a segment.
+ * Positions are in world cells (y grows downwards, like the ship's).
+ * @param {WebGL2RenderingContext} gl - The WebGL context.
+ * @param {WebGLProgram} splatProgram - The splat shader program.
+ * @param {SimulationState} simulationState - The double-buffered simulation state.
+ * @param {Object} splat - The splat.
+ * @param {{x: number, y: number}} splat.from - Segment start in world cells.
+ * @param {{x: number, y: number}} splat.to - Segment end in world cells.
+ * @param {number} splat.radius - Radius in cells.
+ * @param {number} [splat.shape=BRUSH_SHAPES.CIRCLE] - Footprint, one of BRUSH_SHAPES.
+ * @param {Array<number>} splat.amount - Added to each covered cell's attributes, in ATTRIBUTES order.
+ * @param {boolean} [splat.clearMaterial=false] - Whether covered cells become empty.
+ */
+export function applySplat(gl, splatProgram, simulationState, splat) {
+    const { from, to, radius, shape = BRUSH_SHAPES.CIRCLE, amount, clearMaterial = false } = splat;
+
+    // Invert Y-coordinate for WebGL
+    const height = simulationState.height;
+    runSimulationPass(gl, splatProgram, simulationState, (program) => {
+        gl.uniform2f(gl.getUniformLocation(program, 'u_from'), Math.floor(from.x), height - Math.floor(from.y) - 1);
+        gl.uniform2f(gl.getUniformLocation(program, 'u_to'), Math.floor(to.x), height - Math.floor(to.y) - 1);
+        gl.uniform1f(gl.getUniformLocation(program, 'u_radius'), radius);
+        gl.uniform1i(gl.getUniformLocation(program, 'u_shape'), shape);
+        gl.uniform4fv(gl.getUniformLocation(program, 'u_amount'), amount);
+        gl.uniform1i(gl.getUniformLocation(program, 'u_clearMaterial'), clearMaterial ? 1 : 0);
+    });
+}
@@ -0,0 +1,157 @@
+// src/camera/camera.js
+
+import { clamp } from '../utils/utils.js';
+
+/**
+ * Zoom levels in screen pixels per cell. Above 1 they are whole numbers and
+ * below 1 whole fractions, so every cell covers the same number of pixels
+ * (or every pixel the same number of cells) and nothing shimmers.
+ */
+export const ZOOM_LEVELS = [1 / 8, 1 / 4, 1 / 2, 1, 2, 3, 4, 6, 8, 12, 16, 24, 32];
+
+/**
+ * A 2D camera over the world grid.
+ *
+ * The camera is centered on (x, y) in world cells (y growing downwards, like
+ * the ship) and shows `zoom` screen pixels per cell. Screen coordinates are
+ * canvas pixels from the top-left corner. The view origin is snapped to the
+ * pixel grid, and every conversion goes through the snapped origin, so the
+ * cell the shaders draw under a pixel is the cell screenToWorld returns.
+ */
+export class Camera {
+    /**
+     * Creates a camera centered on the world at 1:1 zoom.
+     * @param {number} worldWidth - World width in cells.
+     * @param {number} worldHeight - World height in cells.
+     * @param {number} viewportWidth - Canvas width in pixels.
+     * @param {number} viewportHeight - Canvas height in pixels.
+     */
+    constructor(worldWidth, worldHeight, viewportWidth, viewportHeight) {
+        this.worldWidth = worldWidth;
+        this.worldHeight = worldHeight;
+        this.viewportWidth = viewportWidth;
+        this.viewportHeight = viewportHeight;
+
+        this.x = worldWidth / 2;
+        this.y = worldHeight / 2;
+        this.zoom = 1;
+
+        // Whether the camera tracks the ship; manual panning turns it off
+        this.following = true;
+    }
+
+    /**
+     * Updates the viewport size after the canvas was resized.
+     * @param {number} viewportWidth - Canvas width in pixels.
+     * @param {number} viewportHeight - Canvas height in pixels.
+     */
+    resize(viewportWidth, viewportHeight) {
+        this.viewportWidth = viewportWidth;
+        this.viewportHeight = viewportHeight;
+    }
+
+    /**
+     * The world position of the screen's top-left corner, snapped to the
+     * pixel grid, and the size of a pixel in cells.
+     * @returns {{x: number, y: number, cellsPerPixel: number}} - The view.
+     */
+    getView() {
+        const cellsPerPixel = 1 / this.zoom;
+        const originX = this.x - (this.viewportWidth / 2) * cellsPerPixel;
+        const originY = this.y - (this.viewportHeight / 2) * cellsPerPixel;
+        return {
+            x: Math.round(originX * this.zoom) * cellsPerPixel,
+            y: Math.round(originY * this.zoom) * cellsPerPixel,
+            cellsPerPixel,
+        };
+    }
+
+    /**
+     * Converts a screen position to world cells.
+     * @param {number} screenX - X in canvas pixels.
+     * @param {number} screenY - Y in canvas pixels.
+     * @returns {{x: number, y: number}} - World position in cells, not clamped to the grid.
+     */
+    screenToWorld(screenX, screenY) {
+        const view = this.getView();
+        return {
+            x: view.x + screenX * view.cellsPerPixel,
+            y: view.y + screenY * view.cellsPerPixel,
+        };
+    }
+
+    /**
+     * Converts a world position to screen pixels.
+     * @param {number} worldX - X in cells.
+     * @param {number} worldY - Y in cells.
+     * @returns {{x: number, y: number}} - Position in canvas pixels.
+     */
+    worldToScreen(worldX, worldY) {
+        const view = this.getView();
+        return {
+            x: (worldX - view.x) / view.cellsPerPixel,
+            y: (worldY - view.y) / view.cellsPerPixel,
+        };
+    }
+
+    /**
+     * Moves the view by a screen distance, as when dragging the world, and
+     * stops following the ship.
+     * @param {number} deltaX - Pixels the world moved right.
+     * @param {number} deltaY - Pixels the world moved down.
+     */
+    panBy(deltaX, deltaY) {
+        this.following = false;
+        this.x -= deltaX / this.zoom;
+        this.y -= deltaY / this.zoom;
+        this.clampToWorld();
+    }
+
+    /**
+     * Steps through ZOOM_LEVELS, keeping the world point under the cursor in place.
+     * @param {number} screenX - Cursor X in canvas pixels.
+     * @param {number} screenY - Cursor Y in canvas pixels.
+     * @param {number} steps - Levels to zoom in (negative to zoom out).
+     */
+    zoomAt(screenX, screenY, steps) {
+        const current = ZOOM_LEVELS.indexOf(this.zoom);
+        const level = clamp(current + steps, 0, ZOOM_LEVELS.length - 1);
+        if (level === current) return;
+
+        const anchor = this.screenToWorld(screenX, screenY);
+        this.zoom = ZOOM_LEVELS[level];
+        this.x = anchor.x - (screenX - this.viewportWidth / 2) / this.zoom;
+        this.y = anchor.y - (screenY - this.viewportHeight / 2) / this.zoom;
+        this.clampToWorld();
+    }
+
+    /**
+     * Centers on a position when in ship-follow mode.
+     * @param {{x: number, y: number}} target - Position in world cells.
+     */
+    follow(target) {
+        if (!this.following) return;
+        this.x = target.x;
+        this.y = target.y;
+        this.clampToWorld();
+    }
+
+    /**
+     * Moves the camera along with the world, e.g. when the chunk window shifts.
+     * @param {number} deltaX - Cells to move right.
+     * @param {number} deltaY - Cells to move down.
+     */
+    translate(deltaX, deltaY) {
+        this.x += deltaX;
+        this.y += deltaY;
+        this.clampToWorld();
+    }
+
+    /**
+     * Keeps the center inside the world, so it can't be scrolled out of sight.
+     */
+    clampToWorld() {
+        this.x = clamp(this.x, 0, this.worldWidth);
+        this.y = clamp(this.y, 0, this.worldHeight);
+    }
+}
@@ -0,0 +1,79 @@
+// src/climate/climate.js
+
+/**
+ * The seasons of a simulation year, in order. Durations in simulation tics
+ * come from the tunable parameters named by `lengthParam`; the other fields
+ * are the climate at the middle of the season:
+ * - ambientTemperature: Temperature the world relaxes towards at the equator.
+ * - growth: Multiplier on organic growth.
+ * - magicRegeneration: Multiplier on magic growth.
+ * - precipitation: Relative chance of rain.
+ */
+export const SEASONS = [
+    { name: 'Spring', lengthParam: 'springLength', ambientTemperature: 0.35, growth: 1.2, magicRegeneration: 1.0, precipitation: 0.6 },
+    { name: 'Summer', lengthParam: 'summerLength', ambientTemperature: 0.6, growth: 1.0, magicRegeneration: 0.8, precipitation: 0.3 },
+    { name: 'Autumn', lengthParam: 'autumnLength', ambientTemperature: 0.35, growth: 0.6, magicRegeneration: 1.2, precipitation: 0.8 },
+    { name: 'Winter', lengthParam: 'winterLength', ambientTemperature: 0.1, growth: 0.1, magicRegeneration: 1.5, precipitation: 0.4 },
+];
+
+/**
+ * Computes the number of tics in a simulation year.
+ * @param {Object} params - The simulation constants holding the season lengths.
+ * @returns {number} - Tics per year.
+ */
+export function getYearLength(params) {
+    return SEASONS.reduce((sum, season) => sum + params[season.lengthParam], 0);
+}
+
+/**
+ * Computes the climate at a point in the year.
+ *
+ * Each season's values hold at its midpoint; in between, they are blended
+ * with a smoothstep so the climate changes gradually across season borders.
+ * @param {number} ticksIntoYear - Tics elapsed in the current year.
+ * @param {Object} params - The simulation constants holding the season lengths.
+ * @returns {Object} - seasonIndex, seasonName, seasonProgress (0-1), ambientTemperature, growth, magicRegeneration and precipitation.
+ */
+export function computeClimate(ticksIntoYear, params) {
+    const lengths = SEASONS.map((season) => params[season.lengthParam]);
+    const yearLength = lengths.reduce((sum, length) => sum + length, 0);
+    const tick = ((ticksIntoYear % yearLength) + yearLength) % yearLength;
+
+    // Find the current season
+    let seasonIndex = 0;
+    let seasonStart = 0;
+    while (seasonIndex < SEASONS.length - 1 && tick >= seasonStart + lengths[seasonIndex]) {
+        seasonStart += lengths[seasonIndex];
+        seasonIndex++;
+    }
+    const seasonProgress = (tick - seasonStart) / lengths[seasonIndex];
+
+    // Blend with the neighbouring season whose midpoint is closest
+    const count = SEASONS.length;
+    let from;
+    let to;
+    let t;
+    if (seasonProgress < 0.5) {
+        from = (seasonIndex + count - 1) % count;
+        to = seasonIndex;
+        const previousHalf = lengths[from] / 2;
+        t = (previousHalf + tick - seasonStart) / (previousHalf + lengths[to] / 2);
+    } else {
+        from = seasonIndex;
+        to = (seasonIndex + 1) % count;
+        const currentHalf = lengths[from] / 2;
+        t = (tick - seasonStart - currentHalf) / (currentHalf + lengths[to] / 2);
+    }
+    const blend = t * t * (3 - 2 * t);
+    const mix = (key) => SEASONS[from][key] + (SEASONS[to][key] - SEASONS[from][key]) * blend;
+
+    return {
+        seasonIndex,
+        seasonName: SEASONS[seasonIndex].name,
+        seasonProgress,
+        ambientTemperature: mix('ambientTemperature'),
+        growth: mix('growth'),
+        magicRegeneration: mix('magicRegeneration'),
+        precipitation: mix('precipitation'),
+    };
+}
@@ -0,0 +1,386 @@
+// src/ecosystem/creatures.js
+
+import {
+    initializeCreatureSenseProgram,
+    initializeGrazeMarkProgram,
+    initializeGrazeProgram,
+    drawFullscreenQuad,
+    bindTextures,
+} from '../rendering/rendering.js';
+import { runSimulationPass } from '../simulation/simulation.js';
+import { AsyncReadback, TICK_READBACK_LATENCY } from '../utils/readback.js';
+import { createTexture, mulberry32 } from '../utils/utils.js';
+
+/**
+ * Creature settings.
+ * - initialCount: Creatures spawned on the ground of a new world.
+ * - startEnergy: Energy of a spawned creature.
+ * - metabolism: Energy spent per decision.
+ * - appetite: Organic matter eaten per decision; a cell with less is left for a richer one.
+ * - energyPerOrganic: Energy gained per unit of organic matter eaten.
+ * - birthEnergy: Energy at which a creature splits in two, sharing it.
+ * - maxAge: Decisions a creature lives at most.
+ * - lethalTemperature: Cell temperature that kills a creature.
+ * - wander: Chance of stepping in a random direction instead of towards food.
+ */
+export const DEFAULT_CREATURE_CONFIG = {
+    initialCount: 150,
+    startEnergy: 5,
+    metabolism: 0.1,
+    appetite: 0.05,
+    energyPerOrganic: 8,
+    birthEnergy: 10,
+    maxAge: 1500,
+    lethalTemperature: 0.75,
+    wander: 0.3,
+};
+
+// Most creatures alive at once; the width of the creature and sense textures
+const MAX_CREATURES = 1024;
+
+// Steps a creature can take, in world cells (y growing downwards)
+const STEPS = [[1, 0], [-1, 0], [0, 1], [0, -1]];
+
+/**
+ * A population of simple creatures that graze on the organic matter.
+ *
+ * Creatures are agents on the CPU standing on whole grid cells. They sense
+ * their cell on the GPU (organic matter, its gradient and the temperature)
+ * through a non-blocking readback, and decide when it lands, which is
+ * TICK_READBACK_LATENCY ticks later: eat from a rich enough cell, otherwise
+ * step towards more food. Eating feeds them and is taken out of the organic
+ * layer with a grazing pass. They split in two when well fed and die of
+ * hunger, old age or heat.
+ *
+ * The population lives in the simulated window only: creatures that leave
+ * it are dropped. Decisions draw from a generator seeded with the world, so
+ * runs replay identically; saves hold the creatures and the generator's
+ * state, see restore.
+ */
+export class CreaturePopulation {
+    /**
+     * Creates the textures and programs, without creatures; see reset.
+     * @param {WebGL2RenderingContext} gl - The WebGL context.
+     * @param {SimulationState} simulationState - The double-buffered simulation state the creatures live in.
+     * @param {Object} [config=DEFAULT_CREATURE_CONFIG] - Creature settings.
+     */
+    constructor(gl, simulationState, config = DEFAULT_CREATURE_CONFIG) {
+        this.gl = gl;
+        this.simulationState = simulationState;
+        this.config = { ...config };
+        this.width = simulationState.width;
+        this.height = simulationState.height;
+
+        // {id, x, y, energy, age}, positions in grid cells
+        this.agents = [];
+        this.nextId = 0;
+        this.births = 0;
+        this.deaths = 0;
+        this.random = mulberry32(0);
+
+        this.senseProgram = initializeCreatureSenseProgram(gl);
+        this.grazeMarkProgram = initializeGrazeMarkProgram(gl);
+        this.grazeProgram = initializeGrazeProgram(gl);
+
+        // One texel per creature: x, y, organic eaten this tick, energy (0-1)
+        this.creatureData = new Float32Array(MAX_CREATURES * 4);
+        this.creatureTexture = createTexture(gl, MAX_CREATURES, 1, null);
+        this.senseTarget = createTarget(gl, MAX_CREATURES, 1);
+        this.grazingTarget = createTarget(gl, this.width, this.height);
+
+        // Points are generated from gl_VertexID, so the point passes need no attributes
+        this.emptyVAO = gl.createVertexArray();
+
+        this.readback = new AsyncReadback(gl, MAX_CREATURES * 4);
+    }
+
+    /**
+     * Replaces the population with a fresh one on the ground.
+     * @param {number} seed - World seed, for the spawn positions and decisions.
+     * @param {Function} surfaceRow - Grid row of the ground in a grid column, see ChunkManager.surfaceRow.
+     */
+    reset(seed, surfaceRow) {
+        this.readback.cancel();
+        this.random = mulberry32(seed);
+        this.agents = [];
+        this.nextId = 0;
+        this.births = 0;
+        this.deaths = 0;
+
+        for (let i = 0; i < this.config.initialCount; i++) {
+            const x = Math.floor(this.random() * this.width);
+            const y = surfaceRow(x);
+            if (y < 0 || y >= this.height) continue;
+            this.spawn(x, y, this.config.startEnergy);
+        }
+        this.upload(new Map());
+    }
+
+    /**
+     * Replaces the population with saved creatures, e.g. when a world is
+     * loaded. Senses in flight are dropped, so the creatures sense again.
+     * @param {Object} saved - The creatures ({id, x, y, energy, age}), nextId, births, deaths, and randomState,
+     *     the state of the decision generator.
+     */
+    restore(saved) {
+        this.readback.cancel();
+        this.random = mulberry32(saved.randomState);
+        this.agents = saved.agents
+            .filter((agent) => agent.x >= 0 && agent.y >= 0 && agent.x < this.width && agent.y < this.height)
+            .slice(0, MAX_CREATURES)
+            .map((agent) => ({ ...agent }));
+        this.nextId = saved.nextId;
+        this.births = saved.births;
+        this.deaths = saved.deaths;
+        this.upload(new Map());
+    }
+
+    /**
+     * Advances the population by one tick: acts on the senses that came back,
+     * grazes, and sends the creatures to sense again. Call once per tick,
+     * after the simulation step.
+     */
+    update() {
+        const result = this.readback.pollAfter(TICK_READBACK_LATENCY);
+        const eaten = result ? this.act(result.data, result.context) : new Map();
+
+        this.upload(eaten);
+        if (eaten.size > 0) this.graze();
+
+        if (!this.readback.busy && this.agents.length > 0) this.sense();
+    }
+
+    /**
+     * Lets every creature that sensed its cell decide, eat, age, breed or die.
+     * @param {Float32Array} senses - The sense texels, in the order of `ids`.
+     * @param {Array<number>} ids - Ids of the creatures that sensed.
+     * @returns {Map<number, number>} - Organic matter eaten by creature id.
+     */
+    act(senses, ids) {
+        const config = this.config;
+        const sensed = new Map(ids.map((id, i) => [id, i * 4]));
+        const grazed = new Set();
+        const eaten = new Map();
+        const survivors = [];
+        const offspring = [];
+
+        this.agents.forEach((agent, index) => {
+            const i = sensed.get(agent.id);
+            if (i === undefined) {
+                // Born or moved in since the senses were taken
+                survivors.push(agent);
+                return;
+            }
+            const organic = senses[i];
+            const gradientX = senses[i + 1];
+            const gradientY = senses[i + 2];
+            const temperature = senses[i + 3];
+
+            // One creature eats from a cell per tick; the others go looking
+            const cell = agent.y * this.width + agent.x;
+            if (organic >= config.appetite && !grazed.has(cell)) {
+                grazed.add(cell);
+                eaten.set(agent.id, config.appetite);
+                agent.energy += config.appetite * config.energyPerOrganic;
+            } else {
+                this.step(agent, gradientX, gradientY);
+            }
+
+            agent.energy -= config.metabolism;
+            agent.age++;
+            if (agent.energy <= 0 || agent.age > config.maxAge || temperature >= config.lethalTemperature) {
+                this.deaths++;
+                eaten.delete(agent.id);
+                return;
+            }
+            survivors.push(agent);
+
+            // Alive after this tick: those kept and born so far, and those still to decide
+            const population = survivors.length + offspring.length + this.agents.length - index - 1;
+            if (agent.energy >= config.birthEnergy && population < MAX_CREATURES) {
+                agent.energy /= 2;
+                offspring.push(this.createAgent(agent.x, agent.y, agent.energy));
+                this.births++;
+            }
+        });
+
+        this.agents = survivors.concat(offspring);
+        return eaten;
+    }
+
+    /**
+     * Moves a creature one cell up its food gradient, or at random when it
+     * wanders or smells nothing. Creatures stay on the grid.
+     * @param {Object} agent - The creature.
+     * @param {number} gradientX - Organic gradient along x.
+     * @param {number} gradientY - Organic gradient along y, growing downwards.
+     */
+    step(agent, gradientX, gradientY) {
+        let dx;
+        let dy;
+        if (this.random() < this.config.wander || (gradientX === 0 && gradientY === 0)) {
+            [dx, dy] = STEPS[Math.floor(this.random() * STEPS.length)];
+        } else if (Math.abs(gradientX) >= Math.abs(gradientY)) {
+            [dx, dy] = [Math.sign(gradientX), 0];
+        } else {
+            [dx, dy] = [0, Math.sign(gradientY)];
+        }
+        agent.x = Math.min(Math.max(agent.x + dx, 0), this.width - 1);
+        agent.y = Math.min(Math.max(agent.y + dy, 0), this.height - 1);
+    }
+
+    /**
+     * Adds a creature, if there is room.
+     * @param {number} x - Grid column.
+     * @param {number} y - Grid row.
+     * @param {number} energy - Starting energy.
+     */
+    spawn(x, y, energy) {
+        if (this.agents.length >= MAX_CREATURES) return;
+        this.agents.push(this.createAgent(x, y, energy));
+    }
+
+    /**
+     * Creates a creature with a fresh id.
+     * @param {number} x - Grid column.
+     * @param {number} y - Grid row.
+     * @param {number} energy - Starting energy.
+     * @returns {Object} - The creature.
+     */
+    createAgent(x, y, energy) {
+        return { id: this.nextId++, x, y, energy, age: 0 };
+    }
+
+    /**
+     * Writes the creatures to the creature texture.
+     * @param {Map<number, number>} eaten - Organic matter eaten this tick by creature id.
+     */
+    upload(eaten) {
+        const { gl, creatureData } = this;
+        creatureData.fill(0);
+        this.agents.forEach((agent, i) => {
+            creatureData[i * 4] = agent.x;
+            creatureData[i * 4 + 1] = agent.y;
+            creatureData[i * 4 + 2] = eaten.get(agent.id) || 0;
+            creatureData[i * 4 + 3] = Math.min(agent.energy / this.config.birthEnergy, 1);
+        });
+        gl.bindTexture(gl.TEXTURE_2D, this.creatureTexture);
+        gl.texSubImage2D(gl.TEXTURE_2D, 0, 0, 0, MAX_CREATURES, 1, gl.RGBA, gl.FLOAT, creatureData);
+        gl.bindTexture(gl.TEXTURE_2D, null);
+    }
+
+    /**
+     * Takes what the creatures ate out of the organic layer: marks it in the
+     * grazing map, then subtracts the map from the state.
+     */
+    graze() {
+        const { gl, simulationState } = this;
+
+        gl.useProgram(this.grazeMarkProgram);
+        gl.bindFramebuffer(gl.FRAMEBUFFER, this.grazingTarget.framebuffer);
+        gl.viewport(0, 0, this.width, this.height);
+        gl.clearBufferfv(gl.COLOR, 0, [0, 0, 0, 0]);
+        gl.uniform1i(gl.getUniformLocation(this.grazeMarkProgram, 'u_creatures'), 0);
+        gl.uniform2f(gl.getUniformLocation(this.grazeMarkProgram, 'u_gridSize'), this.width, this.height);
+        bindTextures(gl, [this.creatureTexture]);
+        gl.bindVertexArray(this.emptyVAO);
+        gl.drawArrays(gl.POINTS, 0, this.agents.length);
+        gl.bindVertexArray(null);
+        bindTextures(gl, [null]);
+
+        runSimulationPass(gl, this.grazeProgram, simulationState, (program) => {
+            gl.uniform1i(gl.getUniformLocation(program, 'u_grazing'), 2);
+            gl.activeTexture(gl.TEXTURE2);
+            gl.bindTexture(gl.TEXTURE_2D, this.grazingTarget.texture);
+        });
+        gl.activeTexture(gl.TEXTURE2);
+        gl.bindTexture(gl.TEXTURE_2D, null);
+        gl.activeTexture(gl.TEXTURE0);
+    }
+
+    /**
+     * Renders what every creature senses and queues its readback.
+     */
+    sense() {
+        const { gl, simulationState } = this;
+        const count = this.agents.length;
+
+        gl.useProgram(this.senseProgram);
+        gl.bindFramebuffer(gl.FRAMEBUFFER, this.senseTarget.framebuffer);
+        gl.viewport(0, 0, count, 1);
+        gl.uniform1i(gl.getUniformLocation(this.senseProgram, 'u_currentState'), 0);
+        gl.uniform1i(gl.getUniformLocation(this.senseProgram, 'u_creatures'), 1);
+        bindTextures(gl, [simulationState.current, this.creatureTexture]);
+        drawFullscreenQuad(gl);
+        bindTextures(gl, [null, null]);
+
+        this.readback.start(() => {
+            gl.bindFramebuffer(gl.FRAMEBUFFER, this.senseTarget.framebuffer);
+            gl.readPixels(0, 0, count, 1, gl.RGBA, gl.FLOAT, 0);
+            gl.bindFramebuffer(gl.FRAMEBUFFER, null);
+        }, this.agents.map((agent) => agent.id));
+        gl.useProgram(null);
+    }
+
+    /**
+     * Moves the creatures with the grid contents, e.g. when the chunk window
+     * shifts, dropping those that leave it.
+     * @param {number} deltaX - Cells to add to every column.
+     * @param {number} deltaY - Cells to add to every row.
+     */
+    translate(deltaX, deltaY) {
+        this.readback.cancel();
+        this.agents = this.agents.filter((agent) => {
+            agent.x += deltaX;
+            agent.y += deltaY;
+            return agent.x >= 0 && agent.y >= 0 && agent.x < this.width && agent.y < this.height;
+        });
+        this.upload(new Map());
+    }
+
+    /**
+     * Counts for the population display.
+     * @returns {{creatures: number, births: number, deaths: number}}
+     */
+    getCounts() {
+        return { creatures: this.agents.length, births: this.births, deaths: this.deaths };
+    }
+
+    /**
+     * Releases the GPU resources.
+     */
+    dispose() {
+        const gl = this.gl;
+        this.readback.dispose();
+        for (const target of [this.senseTarget, this.grazingTarget]) {
+            gl.deleteFramebuffer(target.framebuffer);
+            gl.deleteTexture(target.texture);
+        }
+        gl.deleteTexture(this.creatureTexture);
+        gl.deleteVertexArray(this.emptyVAO);
+        gl.deleteProgram(this.senseProgram);
+        gl.deleteProgram(this.grazeMarkProgram);
+        gl.deleteProgram(this.grazeProgram);
+        this.agents = [];
+    }
+}
+
+/**
+ * Creates an RGBA32F texture and a framebuffer rendering into it.
+ * @param {WebGL2RenderingContext} gl - The WebGL context.
+ * @param {number} width - Texture width.
+ * @param {number} height - Texture height.
+ * @returns {{texture: WebGLTexture, framebuffer: WebGLFramebuffer}} - The target.
+ */
+function createTarget(gl, width, height) {
+    const texture = createTexture(gl, width, height, null);
+    const framebuffer = gl.createFramebuffer();
+    gl.bindFramebuffer(gl.FRAMEBUFFER, framebuffer);
+    gl.framebufferTexture2D(gl.FRAMEBUFFER, gl.COLOR_ATTACHMENT0, gl.TEXTURE_2D, texture, 0);
+    const status = gl.checkFramebufferStatus(gl.FRAMEBUFFER);
+    if (status !== gl.FRAMEBUFFER_COMPLETE) {
+        console.error('Creature framebuffer incomplete:', status);
+    }
+    gl.bindFramebuffer(gl.FRAMEBUFFER, null);
+    return { texture, framebuffer };
+}
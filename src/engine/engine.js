@@ -0,0 +1,843 @@
+// src/engine/engine.js
+
+import { performSimulationStep, ATTRIBUTES, DEFAULT_SIMULATION_PARAMS } from '../simulation/simulation.js';
+import { SimulationState } from '../simulation/state.js';
+import {
+    initializeMovementProgram, initializeFluidForcesProgram, initializeDivergenceProgram, initializePressureProgram,
+    initializeProjectionProgram, initializeAdvectionProgram, initializeSplatProgram, initializeImpulseProgram, initializeShipProgram, initializeCreatureProgram, renderScene, renderShip, renderCreatures,
+} from '../rendering/rendering.js';
+import { handlePlayerInput, readTickInput, decodeControls, createPointer, updatePointer, applyCameraCommand } from '../input/input.js';
+import { DEFAULT_BINDINGS } from '../input/bindings.js';
+import { PlayerShip, SHIP_COLORS } from '../ship/ship.js';
+import { exportWorld, importWorld } from '../save/save.js';
+import { createBrush, applyBrushStroke, applySplat } from '../brush/brush.js';
+import { computeClimate, getYearLength } from '../climate/climate.js';
+import { WorldStats } from '../stats/stats.js';
+import { Camera } from '../camera/camera.js';
+import { createView, getViewUniforms, createPaletteTexture } from '../rendering/views.js';
+import { PostProcessor } from '../rendering/postprocess.js';
+import { ChunkManager, CHUNK_SIZE, WINDOW_CHUNKS, START_ORIGIN } from '../world/chunks.js';
+import { ReplayRecorder, ReplayPlayer, parseReplay } from '../replay/replay.js';
+import { CreaturePopulation } from '../ecosystem/creatures.js';
+import { ModManager } from '../mods/mods.js';
+import { paintMap, ScenarioRun } from '../scenarios/scenarios.js';
+import { createTransport } from '../net/transport.js';
+import { Lockstep, CHECKSUM_INTERVAL } from '../net/lockstep.js';
+import { StateChecksum } from '../net/checksum.js';
+import { clamp } from '../utils/utils.js';
+import { HOST_MESSAGES, ENGINE_MESSAGES } from './protocol.js';
+
+// The simulation grid is a window of chunks onto a larger streamed world,
+// independent of the screen size; the camera shows part of it.
+const WIDTH = WINDOW_CHUNKS * CHUNK_SIZE; // Simulation grid width
+const HEIGHT = WINDOW_CHUNKS * CHUNK_SIZE; // Simulation grid height
+
+// Milliseconds between statistics requests
+const STATS_INTERVAL = 250;
+
+// Ticks run per frame while seeking through a replay
+const SEEK_TICKS_PER_FRAME = 120;
+
+// Most ticks a frame runs to catch up with real time. A frame that falls
+// further behind (a background tab, a long stall) drops the rest, so slow
+// frames never snowball into ever longer ones.
+export const MAX_CATCH_UP_TICKS = 8;
+
+// Cells between the spawn points of neighbouring ships
+const SHIP_SPACING = 12;
+
+/**
+ * The middle of some grid positions.
+ * @param {Array<{x: number, y: number}>} positions - The positions.
+ * @returns {{x: number, y: number}} - Their mean.
+ */
+function getCentroid(positions) {
+    const sum = { x: 0, y: 0 };
+    for (const { x, y } of positions) {
+        sum.x += x;
+        sum.y += y;
+    }
+    return { x: sum.x / positions.length, y: sum.y / positions.length };
+}
+
+/**
+ * The game itself: the simulation, the world around it and the renderer,
+ * driven one frame at a time.
+ *
+ * The engine never touches the DOM. It takes the page's input and settings
+ * as messages through handleMessage and reports back through `post`, see
+ * protocol.js, so it runs unchanged in a worker on an OffscreenCanvas or on
+ * the main thread on the canvas itself.
+ */
+export class Engine {
+    /**
+     * Sets up WebGL, generates the first world and loads the startup mods.
+     * @param {HTMLCanvasElement|OffscreenCanvas} canvas - The canvas to draw on.
+     * @param {EngineOptions} options - Canvas size, seed and mods, see protocol.js.
+     * @param {function(Object, Array<Transferable>=): void} post - Sends a message to the page.
+     * @throws {Error} If WebGL 2 is not available.
+     */
+    constructor(canvas, options, post) {
+        this.post = post;
+
+        const gl = canvas.getContext('webgl2');
+        if (!gl) {
+            post({ type: ENGINE_MESSAGES.ALERT, message: 'WebGL 2 not supported in this browser.' });
+            throw new Error('WebGL 2 not supported');
+        }
+        this.gl = gl;
+
+        // Check for required extensions
+        if (!gl.getExtension('EXT_color_buffer_float')) {
+            post({ type: ENGINE_MESSAGES.ALERT, message: 'EXT_color_buffer_float extension not supported!' });
+        }
+        if (Math.max(WIDTH, HEIGHT) > gl.getParameter(gl.MAX_TEXTURE_SIZE)) {
+            post({ type: ENGINE_MESSAGES.ALERT, message: `A ${WIDTH}×${HEIGHT} world is larger than this GPU's maximum texture size.` });
+        }
+
+        this.camera = new Camera(WIDTH, HEIGHT, 1, 1);
+        this.resize(options.width, options.height);
+
+        // Input and settings, kept up to date by the page
+        this.controls = []; // Packed controls of each local player, see encodeControls
+        this.pointer = createPointer();
+        this.brush = createBrush();
+        this.view = createView();
+
+        // Double-buffered state: the update pass reads one texture and writes the other
+        this.simulationState = new SimulationState(gl, WIDTH, HEIGHT);
+
+        // Chunks are generated from the seed and streamed in and out around the ship
+        this.chunks = new ChunkManager(gl, this.simulationState, options.seed);
+        this.chunks.generate();
+
+        // Tunable simulation constants
+        this.params = { ...DEFAULT_SIMULATION_PARAMS };
+
+        this.simulationPrograms = {
+            movement: initializeMovementProgram(gl),
+            fluidForces: initializeFluidForcesProgram(gl),
+            divergence: initializeDivergenceProgram(gl),
+            pressure: initializePressureProgram(gl),
+            projection: initializeProjectionProgram(gl),
+            advection: initializeAdvectionProgram(gl),
+        };
+        // The update and render programs are built by the mod manager, with the mods spliced in
+        this.mods = new ModManager(gl, this.simulationPrograms, (report) => post({ type: ENGINE_MESSAGES.ERROR, report }));
+        for (const { url, label } of options.mods) {
+            this.mods.loadUrl(url, label);
+        }
+        this.splatProgram = initializeSplatProgram(gl);
+        this.impulseProgram = initializeImpulseProgram(gl);
+        this.shipProgram = initializeShipProgram(gl);
+        this.creatureProgram = initializeCreatureProgram(gl);
+        // Bloom, lighting and screen effects, all off until enabled in the dev panel
+        this.postProcessor = new PostProcessor(gl);
+        this.paletteTexture = createPaletteTexture(gl);
+        // World statistics, reduced on the GPU and read back asynchronously
+        this.worldStats = new WorldStats(gl, WIDTH, HEIGHT);
+        this.lastStatsTime = performance.now();
+
+        // Grazers spawned on the ground; they live in the window
+        this.creatures = new CreaturePopulation(gl, this.simulationState);
+        this.creatures.reset(options.seed, (x) => this.chunks.surfaceRow(x));
+
+        // Everything that makes up a saved game
+        this.world = {
+            seed: options.seed,
+            currentYear: 0, // Simulation year tracking
+            ticksIntoYear: 0,
+            simulationState: this.simulationState,
+            chunks: this.chunks,
+            ships: [], // Kept up to date by setShipCount
+            creatures: this.creatures,
+            params: this.params,
+        };
+
+        // A ship per player: the local players, the replay's or the network
+        // game's. Ships are pooled, not discarded, when there are fewer
+        // players, since each holds its own GPU resources.
+        this.localPlayers = clamp(options.localPlayers ?? 1, 1, DEFAULT_BINDINGS.length);
+        this.shipPool = [];
+        this.ships = [];
+        // Index of the first ship flown on this machine; the others follow it
+        this.firstLocalShip = 0;
+        this.setShipCount(this.localPlayers);
+
+        // Climate at the current tick, recomputed every tick
+        this.climate = null;
+
+        // Fixed timestep; the tick rate itself is params.tickRate
+        this.lastTickTime = performance.now();
+        // Pause, single-step and fast-forward, driven by the dev panel
+        this.loopControl = {
+            paused: false,
+            pendingSteps: 0, // Ticks to run while paused
+            fastForward: 1,  // Ticks per frame when above 1, instead of real time
+        };
+
+        // FPS and TPS counters
+        this.frameCount = 0;
+        this.lastFpsUpdate = performance.now();
+        this.fps = 0;
+        this.ticksCount = 0;
+        this.lastTpsUpdate = performance.now();
+        this.tps = 0;
+
+        // A run is fully determined by its seed, starting constants and the
+        // input of each tick, so that is all a replay stores. While recording,
+        // live input is logged; while playing back, the recorded input is
+        // used instead.
+        this.recorder = null;
+        this.player = null;
+
+        // The scenario being played, which restarts the world from its seed,
+        // constants, spawn point and painted map, then runs its events and
+        // checks its objectives every tick
+        this.scenarioRun = null;
+        // The last scenario started, kept past the end of its run for retrying
+        this.lastScenario = null;
+
+        // A network game in lockstep (see Lockstep), when the page joined a room
+        this.lockstep = null;
+        this.checksum = null;
+        if (options.net) {
+            this.checksum = new StateChecksum(gl, this.worldStats);
+            this.lockstep = new Lockstep(createTransport(options.net), this.localPlayers, {
+                getWorld: () => ({ seed: this.world.seed, params: this.params }),
+                onStart: ({ seed, params, players, firstPlayer }) => {
+                    this.recorder = null;
+                    this.player = null;
+                    this.firstLocalShip = firstPlayer;
+                    this.setShipCount(players);
+                    this.resetWorld(seed, params);
+                },
+                onEnd: () => {
+                    this.firstLocalShip = 0;
+                    this.setShipCount(this.localPlayers);
+                },
+            });
+        }
+    }
+
+    /**
+     * Sets how many ships fly, e.g. for a replay or a network game. Ships
+     * line up from the first one's spawn point, and new ones start there.
+     * @param {number} count - Number of ships, at least 1.
+     */
+    setShipCount(count) {
+        const { shipPool } = this;
+        while (shipPool.length < count) {
+            const ship = new PlayerShip(WIDTH, HEIGHT, this.gl, this.simulationState, this.params, {
+                splat: this.splatProgram,
+                impulse: this.impulseProgram,
+            });
+            ship.color = SHIP_COLORS[shipPool.length % SHIP_COLORS.length];
+            shipPool.push(ship);
+        }
+        const added = shipPool.slice(this.ships.length, count);
+        this.ships = shipPool.slice(0, count);
+        this.world.ships = this.ships;
+        this.placeShips(shipPool[0].spawnPoint);
+        for (const ship of added) ship.reset();
+    }
+
+    /**
+     * Lines the ships' spawn points up to the right of the first one's.
+     * @param {{x: number, y: number}} spawn - Grid position of the first ship's spawn point.
+     */
+    placeShips(spawn) {
+        const { x, y } = spawn;
+        this.ships.forEach((ship, i) => {
+            ship.spawnPoint.x = clamp(x + i * SHIP_SPACING, 0, WIDTH - 1);
+            ship.spawnPoint.y = y;
+        });
+    }
+
+    /**
+     * The ships flown on this machine.
+     * @returns {Array<PlayerShip>}
+     */
+    getLocalShips() {
+        const local = this.ships.slice(this.firstLocalShip, this.firstLocalShip + this.localPlayers);
+        return local.length > 0 ? local : this.ships.slice(0, 1);
+    }
+
+    /**
+     * Whether a network game is on, telling the player when it keeps them
+     * from doing something: anything that replaces the world would leave the
+     * other peers behind.
+     * @param {string} [action] - What the player tried, for the alert.
+     * @returns {boolean}
+     */
+    inNetworkGame(action) {
+        if (!this.lockstep || !this.lockstep.session) return false;
+        if (action) this.post({ type: ENGINE_MESSAGES.ALERT, message: `${action} is not available in a network game.` });
+        return true;
+    }
+
+    /**
+     * Handles a message from the page, see HOST_MESSAGES.
+     * @param {Object} message - The message.
+     */
+    handleMessage(message) {
+        switch (message.type) {
+            case HOST_MESSAGES.RESIZE:
+                this.resize(message.width, message.height);
+                break;
+            case HOST_MESSAGES.INPUT:
+                this.controls = message.controls;
+                this.brush = message.brush;
+                this.view = message.view;
+                break;
+            case HOST_MESSAGES.POINTER:
+                updatePointer(this.pointer, this.camera, message.event);
+                break;
+            case HOST_MESSAGES.CAMERA:
+                applyCameraCommand(this.camera, message.command);
+                break;
+            case HOST_MESSAGES.SET: {
+                // In a network game constants change on every peer on the same tick
+                if (message.target === 'params' && this.inNetworkGame()) {
+                    this.lockstep.queueParams({ [message.key]: message.value });
+                    break;
+                }
+                const target = { params: this.params, post: this.postProcessor.settings, loop: this.loopControl }[message.target];
+                if (target) target[message.key] = message.value;
+                break;
+            }
+            case HOST_MESSAGES.STEP:
+                if (this.loopControl.paused) this.loopControl.pendingSteps += message.count;
+                break;
+            case HOST_MESSAGES.SAVE:
+                this.save().catch((error) => {
+                    console.error('Failed to save the world:', error);
+                    this.post({ type: ENGINE_MESSAGES.ALERT, message: `Could not save the world: ${error.message}` });
+                });
+                break;
+            case HOST_MESSAGES.LOAD:
+                this.loadFile(message.file);
+                break;
+            case HOST_MESSAGES.REPLAY:
+                this.controlReplay(message.action, message.value);
+                break;
+            case HOST_MESSAGES.SCENARIO:
+                this.controlScenario(message.action, message.scenario);
+                break;
+            case HOST_MESSAGES.LEAVE:
+                if (this.lockstep) this.lockstep.leave();
+                break;
+            default:
+                console.warn('Unknown message:', message.type);
+        }
+    }
+
+    /**
+     * Resizes the canvas and the camera's viewport.
+     * @param {number} width - Canvas width in pixels.
+     * @param {number} height - Canvas height in pixels.
+     */
+    resize(width, height) {
+        this.gl.canvas.width = width;
+        this.gl.canvas.height = height;
+        this.camera.resize(width, height);
+    }
+
+    /**
+     * Sends the simulation constants to the page after the engine changed
+     * them, so the dev panel shows the new values.
+     */
+    postParams() {
+        this.post({ type: ENGINE_MESSAGES.PARAMS, params: { ...this.params } });
+    }
+
+    /**
+     * Tells the player a file could not be loaded.
+     * @param {string} fileName - The file's name.
+     * @param {Error} error - What went wrong.
+     */
+    reportLoadError(fileName, error) {
+        console.error(`Failed to load ${fileName}:`, error);
+        this.post({ type: ENGINE_MESSAGES.ALERT, message: `Could not load ${fileName}: ${error.message}` });
+    }
+
+    // ----- Save / Load -----
+
+    /**
+     * Saves the world and offers it as a download.
+     */
+    async save() {
+        const { gl, world } = this;
+        const bytes = await exportWorld(gl, world);
+        this.post({ type: ENGINE_MESSAGES.DOWNLOAD, bytes, fileName: `world-${world.seed}-year${world.currentYear}.pxw` }, [bytes.buffer]);
+    }
+
+    /**
+     * Loads a file the player picked or dropped: a replay, a mod or a world.
+     * @param {File} file - The file.
+     */
+    async loadFile(file) {
+        if (file.name.endsWith('.js')) {
+            try {
+                await this.mods.loadFile(file);
+            } catch (error) {
+                this.reportLoadError(file.name, error);
+            }
+            return;
+        }
+        if (this.inNetworkGame('Loading a world or replay')) return;
+        if (file.name.endsWith('.pxr')) {
+            await this.loadReplay(file);
+            return;
+        }
+        try {
+            const restored = await importWorld(this.gl, this.world, await file.arrayBuffer());
+            this.placeShips(this.ships[0].spawnPoint);
+            // Ships the file has none for start over, and so do creatures older files lack
+            for (const ship of this.ships.slice(restored.ships)) ship.reset();
+            if (!restored.creatures) this.creatures.reset(this.world.seed, (x) => this.chunks.surfaceRow(x));
+            this.worldStats.reset();
+            // A loaded world is not where the recording, replay or scenario started from
+            this.recorder = null;
+            this.player = null;
+            this.scenarioRun = null;
+            this.postParams();
+        } catch (error) {
+            this.reportLoadError(file.name, error);
+        }
+    }
+
+    // ----- Replay -----
+
+    /**
+     * Regenerates the world from a seed, as it was on tick 0, and leaves any
+     * scenario being played.
+     * @param {number} seed - World seed.
+     * @param {Object} params - Simulation constants to start with.
+     * @param {{x: number, y: number}} [spawn] - World cell the first ship starts at, the middle of the window by
+     *     default; the others line up to its right.
+     */
+    resetWorld(seed, params, spawn = null) {
+        const { world, chunks, ships } = this;
+        world.seed = seed;
+        world.currentYear = 0;
+        world.ticksIntoYear = 0;
+        Object.assign(this.params, params);
+        chunks.restore(seed, START_ORIGIN.x, START_ORIGIN.y, new Map());
+        chunks.generate();
+        this.simulationState.tick = 0;
+        const offset = chunks.worldOffset;
+        this.placeShips(spawn ? { x: spawn.x - offset.x, y: spawn.y - offset.y } : { x: WIDTH / 2, y: HEIGHT / 2 });
+        for (const ship of ships) ship.reset();
+        this.creatures.reset(seed, (x) => chunks.surfaceRow(x));
+        this.worldStats.reset();
+        if (this.checksum) this.checksum.cancel();
+        this.climate = null;
+        this.scenarioRun = null;
+        this.camera.following = true;
+        this.postParams();
+    }
+
+    /**
+     * Loads a replay file and plays it from the start.
+     * @param {File} file - The replay file.
+     */
+    async loadReplay(file) {
+        try {
+            const replay = parseReplay(await file.arrayBuffer());
+            this.recorder = null;
+            this.setShipCount(replay.players);
+            this.resetWorld(replay.seed, replay.params);
+            this.player = new ReplayPlayer(replay);
+        } catch (error) {
+            this.reportLoadError(file.name, error);
+        }
+    }
+
+    /**
+     * Handles the replay controls.
+     * @param {string} action - 'record', 'stopRecording', 'togglePause', 'speed', 'seek' or 'exit'.
+     * @param {number} [value] - The speed, or the tick to seek to.
+     */
+    controlReplay(action, value) {
+        const { player } = this;
+        switch (action) {
+            case 'record':
+                if (this.inNetworkGame('Recording')) break;
+                this.resetWorld(this.world.seed, this.params);
+                this.recorder = new ReplayRecorder(this.world.seed, this.params, this.ships.length);
+                break;
+            case 'stopRecording': {
+                const { recorder } = this;
+                if (!recorder) break;
+                const bytes = recorder.toFile();
+                this.post({ type: ENGINE_MESSAGES.DOWNLOAD, bytes, fileName: `replay-${recorder.seed}-${recorder.length}.pxr` }, [bytes.buffer]);
+                this.recorder = null;
+                break;
+            }
+            case 'togglePause':
+                if (player) player.paused = !player.paused;
+                break;
+            case 'speed':
+                if (player) player.speed = value;
+                break;
+            case 'seek':
+                if (!player) break;
+                // The past can't be undone, only replayed from the start
+                if (value < this.simulationState.tick) this.resetWorld(player.replay.seed, player.replay.params);
+                player.seekTarget = value;
+                break;
+            case 'exit':
+                // The local players take over from the replay's ships
+                this.player = null;
+                this.setShipCount(this.localPlayers);
+                break;
+        }
+    }
+
+    // ----- Scenarios -----
+
+    /**
+     * Handles the scenario screens.
+     * @param {string} action - 'play', 'retry' or 'freePlay'.
+     * @param {Object} [scenario] - The scenario to play, see parseScenario.
+     */
+    controlScenario(action, scenario) {
+        switch (action) {
+            case 'play':
+                if (this.inNetworkGame('Playing a scenario')) break;
+                this.startScenario(scenario);
+                break;
+            case 'retry':
+                if (this.inNetworkGame('Playing a scenario')) break;
+                if (this.lastScenario) this.startScenario(this.lastScenario);
+                break;
+            case 'freePlay':
+                // The world carries on as it is, without objectives
+                this.scenarioRun = null;
+                break;
+        }
+    }
+
+    /**
+     * Starts a scenario from the beginning.
+     * @param {Object} scenario - The scenario, see parseScenario.
+     */
+    startScenario(scenario) {
+        this.recorder = null;
+        this.player = null;
+        this.setShipCount(this.localPlayers);
+        this.resetWorld(scenario.seed ?? this.world.seed, { ...DEFAULT_SIMULATION_PARAMS, ...scenario.params }, scenario.spawn);
+        if (scenario.map) paintMap(this.gl, this.simulationState, scenario.map, this.chunks.worldOffset);
+        this.scenarioRun = new ScenarioRun(scenario);
+        this.lastScenario = scenario;
+    }
+
+    /**
+     * Runs the scenario's due events and checks its objectives. Call once per
+     * tick while the scenario is undecided.
+     */
+    advanceScenario() {
+        const { scenarioRun, ships, creatures } = this;
+        const time = { tick: this.simulationState.tick, year: this.world.currentYear };
+        const offset = this.chunks.worldOffset;
+        for (const event of scenarioRun.takeDueEvents(time)) {
+            if (event.params) {
+                Object.assign(this.params, event.params);
+                this.postParams();
+            }
+            if (event.splat) {
+                const at = { x: event.splat.x - offset.x, y: event.splat.y - offset.y };
+                applySplat(this.gl, this.splatProgram, this.simulationState, { from: at, to: at, radius: event.splat.radius ?? 1, amount: event.splat.amount });
+            }
+        }
+
+        // With several ships, objectives count what the players achieve together
+        const stats = this.worldStats.latest;
+        const harvested = ships.reduce((sum, ship) => sum + ship.tools.harvested, 0);
+        scenarioRun.evaluate(time, {
+            stats: stats && Object.fromEntries(Object.entries(ATTRIBUTES).map(([name, index]) => [name.toLowerCase(), stats.mean[index]])),
+            creatures: creatures.getCounts().creatures,
+            harvested,
+            shipLosses: ships.reduce((sum, ship) => sum + ship.timesDestroyed, 0),
+        });
+        if (scenarioRun.outcome) {
+            this.post({
+                type: ENGINE_MESSAGES.SCENARIO_END,
+                summary: {
+                    name: scenarioRun.scenario.name,
+                    outcome: scenarioRun.outcome,
+                    objectives: scenarioRun.objectives,
+                    time: scenarioRun.endTime,
+                    tickRate: this.params.tickRate,
+                    harvested,
+                    creatures: creatures.getCounts().creatures,
+                },
+            });
+        }
+    }
+
+    // ----- Simulation Loop -----
+
+    /**
+     * Advances the simulation by one fixed tick: applies the tick's input, either
+     * live, from the replay being played or from every peer of a network game,
+     * then steps the simulation.
+     */
+    runTick() {
+        const { params, player, ships, mods, world, lockstep } = this;
+        const tick = this.simulationState.tick;
+        let input;
+        if (player) {
+            input = player.inputAt(tick);
+            const changes = player.paramChangesAt(tick);
+            if (changes) {
+                Object.assign(params, changes);
+                this.postParams();
+            }
+            player.verify(tick, ships[0].position);
+        } else if (this.inNetworkGame()) {
+            // This machine's input is sent on to a later tick; this one runs everyone's
+            lockstep.submit(tick, readTickInput(this.controls, this.pointer, this.brush, this.localPlayers));
+            const { buttons, strokes, params: changes } = lockstep.take(tick);
+            if (changes) {
+                Object.assign(params, changes);
+                this.postParams();
+            }
+            input = { buttons, strokes };
+        } else {
+            input = readTickInput(this.controls, this.pointer, this.brush, this.localPlayers);
+            if (this.recorder) this.recorder.record(tick, input, params, ships[0].position);
+        }
+        this.applyTickInput(mods.onInput(input, this.getModContext()));
+
+        this.climate = computeClimate(world.ticksIntoYear, params);
+        performSimulationStep(this.gl, this.simulationPrograms, this.simulationState, params, this.climate, this.chunks.getRegion(ships.map((ship) => ship.position)));
+        this.creatures.update();
+        this.ticksCount++;
+        world.ticksIntoYear++;
+        mods.onTick(this.getModContext());
+
+        // Check if a year has passed
+        const yearLength = getYearLength(params);
+        if (world.ticksIntoYear >= yearLength) {
+            world.ticksIntoYear -= yearLength;
+            world.currentYear++;
+            console.log(`Year ${world.currentYear} completed.`);
+            mods.onYear(this.getModContext());
+        }
+
+        if (this.scenarioRun && !this.scenarioRun.outcome) this.advanceScenario();
+        if (this.inNetworkGame()) this.exchangeChecksums(tick);
+    }
+
+    /**
+     * Hashes the state every CHECKSUM_INTERVAL ticks and shares each hash
+     * with the other peers once it is read back. Call after every tick of a
+     * network game.
+     * @param {number} tick - The tick that just ran.
+     */
+    exchangeChecksums(tick) {
+        const result = this.checksum.collect();
+        if (result) this.lockstep.submitChecksum(result.tick, result.hash);
+        if (tick % CHECKSUM_INTERVAL === 0) this.checksum.capture(tick, this.simulationState, this.ships);
+    }
+
+    /**
+     * Gathers what the hooks of mods are given, see ModManager.
+     * @returns {Object} - The tick, year, simulation constants, climate, first ship, every ship and a uniform setter.
+     */
+    getModContext() {
+        return {
+            tick: this.simulationState.tick,
+            year: this.world.currentYear,
+            params: this.params,
+            climate: this.climate,
+            ship: this.ships[0],
+            ships: this.ships,
+            setUniform: (name, value) => this.mods.setUniform(name, value),
+        };
+    }
+
+    /**
+     * Applies one tick of player input: the brush strokes, then each ship and
+     * its tools, then moves the chunk window if the ships left its center.
+     * @param {{buttons: Array<number>, strokes: Array<Object>}} input - The tick's input, see readTickInput.
+     */
+    applyTickInput(input) {
+        const { ships, pointer } = this;
+        for (const stroke of input.strokes) {
+            applyBrushStroke(this.gl, this.splatProgram, this.simulationState, stroke.brush, stroke.from, stroke.to, stroke.erase ? -1 : 1);
+        }
+
+        ships.forEach((ship, i) => {
+            handlePlayerInput(decodeControls(input.buttons[i] || 0), ship, 1 / this.params.tickRate);
+        });
+
+        // Everything positioned on the grid moves with the world when the window shifts
+        const shift = this.chunks.update(getCentroid(ships.map((ship) => ship.position)));
+        if (shift) {
+            for (const ship of ships) ship.translate(shift.dx, shift.dy);
+            this.creatures.translate(shift.dx, shift.dy);
+            this.camera.translate(shift.dx, shift.dy);
+            // The two are often the same object, so move each object once
+            for (const position of new Set([pointer.position, pointer.lastPosition])) {
+                if (!position) continue;
+                position.x += shift.dx;
+                position.y += shift.dy;
+            }
+        }
+    }
+
+    /**
+     * Runs the ticks that real time is owed since the last one, at most
+     * MAX_CATCH_UP_TICKS; the rest of a larger backlog is dropped. Ticks
+     * also wait for chunks the window may move onto to be decoded.
+     * @param {number} currentTime - The frame time in milliseconds.
+     * @param {number} interval - Milliseconds per tick.
+     * @param {function(): boolean} [canRun] - Whether another tick may run, e.g. before a replay ends.
+     */
+    runCatchUpTicks(currentTime, interval, canRun = () => true) {
+        for (let ticks = 0; currentTime - this.lastTickTime >= interval && canRun() && this.chunks.isReady(); ticks++) {
+            if (ticks === MAX_CATCH_UP_TICKS) {
+                this.lastTickTime = currentTime;
+                return;
+            }
+            this.runTick();
+            this.lastTickTime += interval;
+        }
+    }
+
+    /**
+     * Runs the ticks of a frame during replay playback: fast-forwards towards a
+     * seek target, or plays at the chosen speed until paused or finished.
+     * @param {number} currentTime - The frame time in milliseconds.
+     * @param {number} tickInterval - Milliseconds per tick at normal speed.
+     */
+    runPlaybackTicks(currentTime, tickInterval) {
+        const { player, simulationState } = this;
+        if (player.seekTarget !== null) {
+            const target = Math.min(player.seekTarget, player.length);
+            for (let i = 0; i < SEEK_TICKS_PER_FRAME && simulationState.tick < target && this.chunks.isReady(); i++) {
+                this.runTick();
+            }
+            if (simulationState.tick >= target) player.seekTarget = null;
+            this.lastTickTime = currentTime;
+            return;
+        }
+
+        if (player.paused || player.isFinished(simulationState.tick)) {
+            this.lastTickTime = currentTime;
+            return;
+        }
+        this.runCatchUpTicks(currentTime, tickInterval / player.speed, () => !player.isFinished(simulationState.tick));
+    }
+
+    /**
+     * Runs the ticks due by this frame, renders it and reports the stats.
+     * Call once per animation frame.
+     * @param {number} currentTime - The frame time in milliseconds.
+     */
+    frame(currentTime) {
+        const { gl, camera, loopControl, worldStats, simulationState } = this;
+
+        // ----- FPS Calculation -----
+        this.frameCount++;
+        if (currentTime - this.lastFpsUpdate >= 1000) {
+            this.fps = this.frameCount;
+            this.frameCount = 0;
+            this.lastFpsUpdate = currentTime;
+        }
+
+        // ----- TPS Calculation -----
+        if (currentTime - this.lastTpsUpdate >= 1000) {
+            this.tps = this.ticksCount;
+            this.ticksCount = 0;
+            this.lastTpsUpdate = currentTime;
+        }
+
+        // ----- World Statistics -----
+        worldStats.poll();
+        if (currentTime - this.lastStatsTime >= STATS_INTERVAL && worldStats.request(simulationState)) {
+            this.lastStatsTime = currentTime;
+        }
+
+        // ----- Fixed Timestep Simulation -----
+        const tickInterval = 1000 / this.params.tickRate;
+        if (this.lockstep) this.lockstep.update(currentTime);
+        if (this.inNetworkGame()) {
+            // Peers keep the same pace: no pausing or fast-forward, and a tick waits for everyone's input
+            this.runCatchUpTicks(currentTime, tickInterval, () => this.lockstep.isReady(simulationState.tick));
+        } else if (this.player) {
+            this.runPlaybackTicks(currentTime, tickInterval);
+        } else if (loopControl.paused) {
+            for (; loopControl.pendingSteps > 0 && this.chunks.isReady(); loopControl.pendingSteps--) {
+                this.runTick();
+            }
+            this.lastTickTime = currentTime;
+        } else if (loopControl.fastForward > 1) {
+            for (let i = 0; i < loopControl.fastForward && this.chunks.isReady(); i++) {
+                this.runTick();
+            }
+            this.lastTickTime = currentTime;
+        } else {
+            this.runCatchUpTicks(currentTime, tickInterval);
+        }
+
+        // ----- Render Pass -----
+        camera.follow(getCentroid(this.getLocalShips().map((ship) => ship.position)));
+        const sceneTarget = this.postProcessor.begin();
+        renderScene(gl, this.mods.renderProgram, simulationState, camera, getViewUniforms(this.view), this.paletteTexture, sceneTarget);
+        renderCreatures(gl, this.creatureProgram, this.creatures, camera, sceneTarget);
+        for (const ship of this.ships) {
+            renderShip(gl, this.shipProgram, ship, camera, sceneTarget);
+        }
+        this.postProcessor.finish();
+
+        this.post({ type: ENGINE_MESSAGES.STATS, stats: this.getStats() });
+    }
+
+    /**
+     * Gathers what the HUD shows.
+     * @returns {EngineStats} - See protocol.js.
+     */
+    getStats() {
+        const { player, recorder, scenarioRun, lockstep, simulationState } = this;
+        const latest = this.worldStats.latest;
+        const localShips = this.getLocalShips();
+        return {
+            fps: this.fps,
+            tps: this.tps,
+            year: this.world.currentYear,
+            averageTemperature: latest ? latest.mean[ATTRIBUTES.TEMPERATURE] : 0,
+            climate: this.climate || computeClimate(this.world.ticksIntoYear, this.params),
+            ships: this.ships.map((ship, i) => ({
+                player: i + 1,
+                local: localShips.includes(ship),
+                hull: ship.hull,
+                maxHull: ship.maxHull,
+                energy: ship.energy,
+                maxEnergy: ship.maxEnergy,
+                tools: { cargo: ship.tools.cargo, maxCargo: ship.tools.maxCargo, ammo: ship.tools.ammo, maxAmmo: ship.tools.maxAmmo },
+            })),
+            population: {
+                ...this.creatures.getCounts(),
+                vegetation: latest ? latest.mean[ATTRIBUTES.ORGANIC] : 0,
+            },
+            objectives: scenarioRun && {
+                name: scenarioRun.scenario.name,
+                objectives: scenarioRun.objectives,
+                messages: scenarioRun.getRecentMessages(simulationState.tick, this.params.tickRate),
+            },
+            replay: {
+                mode: player ? 'playback' : (recorder ? 'recording' : 'idle'),
+                tick: simulationState.tick,
+                length: player ? player.length : 0,
+                paused: player ? player.paused : false,
+                seeking: player ? player.seekTarget !== null : false,
+                divergedAt: player ? player.divergedAt : null,
+            },
+            net: lockstep && lockstep.getStatus(simulationState.tick),
+        };
+    }
+}
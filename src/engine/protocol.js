@@ -0,0 +1,67 @@
+// src/engine/protocol.js
+
+/**
+ * The messages between the page and the engine.
+ *
+ * The engine (see Engine) owns the canvas, the simulation and everything
+ * drawn; the page (main.js) owns the DOM: the input listeners, the HUD, the
+ * dev panel and dialogs. They only talk through these messages, so the engine
+ * runs the same in a worker on an OffscreenCanvas (worker.js) as on the main
+ * thread, where the messages are passed as plain calls.
+ *
+ * Every message is a plain object with a `type` from the tables below and
+ * the fields listed next to it. Screen positions are in canvas pixels from
+ * the top-left corner.
+ */
+
+// Page to engine
+export const HOST_MESSAGES = {
+    INIT: 'init',         // canvas, options: starts the worker, see EngineOptions
+    RESIZE: 'resize',     // width, height: the new canvas resolution
+    INPUT: 'input',       // controls, brush, view: packed ship controls per local player (see encodeControls)
+                          // and settings, sent whenever they change
+    POINTER: 'pointer',   // event: a brush pointer event, see updatePointer
+    CAMERA: 'camera',     // command: a camera command, see applyCameraCommand
+    SET: 'set',           // target ('params', 'post' or 'loop'), key, value: a dev panel change
+    STEP: 'step',         // count: ticks to run while paused
+    SAVE: 'save',         // Asks for the world as a DOWNLOAD
+    LOAD: 'load',         // file: a world (.pxw), replay (.pxr) or mod (.js)
+    REPLAY: 'replay',     // action ('record', 'stopRecording', 'togglePause', 'speed', 'seek' or 'exit'), value
+    SCENARIO: 'scenario', // action ('play', 'retry' or 'freePlay'), scenario: see parseScenario
+    LEAVE: 'leave',       // Leaves the network game, as the page closes
+};
+
+// Engine to page
+export const ENGINE_MESSAGES = {
+    STATS: 'stats',              // stats: what the HUD shows, sent after every frame, see EngineStats
+    PARAMS: 'params',            // params: the simulation constants, after the engine changed them
+    DOWNLOAD: 'download',        // bytes, fileName: a file to offer the player
+    ALERT: 'alert',              // message: an error to tell the player about
+    ERROR: 'error',              // report: shader or mod errors for the error overlay, see showErrorOverlay
+    SCENARIO_END: 'scenarioEnd', // summary: see showScenarioSummary
+};
+
+/**
+ * @typedef {Object} EngineOptions
+ * @property {number} width - Canvas width in pixels.
+ * @property {number} height - Canvas height in pixels.
+ * @property {number} seed - Seed of the first world.
+ * @property {string[]} mods - Absolute URLs of mods to load at startup.
+ * @property {number} [localPlayers=1] - Players on this machine, each with a ship and bindings.
+ * @property {{room: string, relay: string|null}|null} [net] - The room of a network game to join, and the
+ *     relay to reach it through (tabs of the same browser meet without one); null to play alone.
+ */
+
+/**
+ * @typedef {Object} EngineStats
+ * @property {number} fps - Frames rendered in the last second.
+ * @property {number} tps - Ticks run in the last second.
+ * @property {number} year - Current simulation year.
+ * @property {number} averageTemperature - Mean temperature of the grid.
+ * @property {Object} climate - The climate at the current tick, see computeClimate.
+ * @property {Array<Object>} ships - Each ship's hull, energy and tool fields for updateShipDisplay.
+ * @property {Object} population - Creature counts and vegetation for updatePopulationDisplay.
+ * @property {Object|null} objectives - The scenario for updateObjectiveTracker, null outside one.
+ * @property {Object} replay - Recording and playback state for updateReplayDisplay.
+ * @property {Object|null} net - The network game for updateNetDisplay, null when playing alone.
+ */
@@ -0,0 +1,32 @@
+// src/engine/worker.js
+
+import { Engine } from './engine.js';
+import { HOST_MESSAGES } from './protocol.js';
+
+// Frames follow the display where workers have requestAnimationFrame, and a
+// timer where they don't
+const requestFrame = self.requestAnimationFrame
+    ? (callback) => self.requestAnimationFrame(callback)
+    : (callback) => setTimeout(() => callback(performance.now()), 1000 / 60);
+
+let engine = null;
+
+/**
+ * Runs the engine in a worker. The page transfers its canvas as an
+ * OffscreenCanvas in the INIT message; every later message goes to the
+ * engine, which posts its replies straight back.
+ */
+self.addEventListener('message', (e) => {
+    const message = e.data;
+    if (message.type !== HOST_MESSAGES.INIT) {
+        if (engine) engine.handleMessage(message);
+        return;
+    }
+
+    engine = new Engine(message.canvas, message.options, (reply, transfer = []) => self.postMessage(reply, transfer));
+    const frame = (currentTime) => {
+        engine.frame(currentTime);
+        requestFrame(frame);
+    };
+    requestFrame(frame);
+});
@@ -0,0 +1,144 @@
+// src/input/bindings.js
+
+import { clamp } from '../utils/utils.js';
+import { SHIP_CONTROLS, SHIP_BUTTONS } from './input.js';
+
+/**
+ * The default controls of each local player: a key `code` and a gamepad
+ * button per ship action. Codes name physical keys, so WASD stays under the
+ * left hand on any layout. Gamepad buttons use the standard mapping: the
+ * triggers thrust and reverse, the d-pad turns, A fires, B deposits, X mines,
+ * and the bumpers channel and release.
+ */
+export const DEFAULT_BINDINGS = [
+    {
+        keys: { thrust: 'KeyW', reverse: 'KeyS', turnLeft: 'KeyA', turnRight: 'KeyD', mine: 'KeyF', deposit: 'KeyG', fire: 'Space', channel: 'KeyE', release: 'KeyR' },
+        gamepad: { thrust: 7, reverse: 6, turnLeft: 14, turnRight: 15, mine: 2, deposit: 1, fire: 0, channel: 5, release: 4 },
+    },
+    {
+        keys: { thrust: 'ArrowUp', reverse: 'ArrowDown', turnLeft: 'ArrowLeft', turnRight: 'ArrowRight', mine: 'Period', deposit: 'Comma', fire: 'Enter', channel: 'KeyK', release: 'KeyM' },
+        gamepad: { thrust: 7, reverse: 6, turnLeft: 14, turnRight: 15, mine: 2, deposit: 1, fire: 0, channel: 5, release: 4 },
+    },
+];
+
+const BINDINGS_STORAGE_KEY = 'pixelPhysics.bindings';
+
+// The gamepad stick axis that steers alongside the bound buttons, and how far
+// it must move before it counts, so a stick resting off-center doesn't turn
+const STEERING_AXIS = 0;
+const STICK_DEAD_ZONE = 0.15;
+
+/**
+ * Reads the bindings from localStorage, falling back to DEFAULT_BINDINGS for
+ * anything missing or invalid.
+ * @returns {Array<Object>} - The keys and gamepad buttons of each local player, see DEFAULT_BINDINGS.
+ */
+export function loadBindings() {
+    let stored = null;
+    try {
+        stored = JSON.parse(localStorage.getItem(BINDINGS_STORAGE_KEY));
+    } catch (error) {
+        console.error('Failed to read control bindings:', error);
+    }
+    return DEFAULT_BINDINGS.map((defaults, player) => {
+        const saved = Array.isArray(stored) && stored[player] ? stored[player] : {};
+        const binding = { keys: {}, gamepad: {} };
+        for (const action of SHIP_CONTROLS) {
+            const key = saved.keys && saved.keys[action];
+            const button = saved.gamepad && saved.gamepad[action];
+            binding.keys[action] = typeof key === 'string' ? key : defaults.keys[action];
+            binding.gamepad[action] = Number.isInteger(button) ? button : defaults.gamepad[action];
+        }
+        return binding;
+    });
+}
+
+/**
+ * Writes the bindings to localStorage.
+ * @param {Array<Object>} bindings - The bindings of each local player.
+ */
+export function storeBindings(bindings) {
+    try {
+        localStorage.setItem(BINDINGS_STORAGE_KEY, JSON.stringify(bindings));
+    } catch (error) {
+        console.error('Failed to store control bindings:', error);
+    }
+}
+
+/**
+ * The connected gamepads, in the order they were connected; player N uses
+ * the Nth. Gamepads must be polled, and only the page can, so call this
+ * every frame.
+ * @returns {Array<Gamepad>}
+ */
+export function getGamepads() {
+    if (!navigator.getGamepads) return [];
+    return Array.from(navigator.getGamepads()).filter((gamepad) => gamepad && gamepad.connected);
+}
+
+/**
+ * Reads a player's ship controls from everything bound to them. Held keys
+ * count fully, gamepad triggers by how far they are pressed, the left stick
+ * steers in proportion, and the touch controls add their own values; the
+ * strongest input wins.
+ * @param {Object} keys - Held keys, by code.
+ * @param {Object} binding - The player's bindings, see DEFAULT_BINDINGS.
+ * @param {Gamepad|null} [gamepad] - The player's gamepad.
+ * @param {Object|null} [touch] - The touch controls, see createTouchControls.
+ * @returns {Object} - Thrust and reverse 0-1, turn -1 to 1, and whether each of SHIP_BUTTONS is held; see encodeControls.
+ */
+export function readControls(keys, binding, gamepad = null, touch = null) {
+    const level = (action) => {
+        const button = gamepad ? gamepad.buttons[binding.gamepad[action]] : null;
+        return Math.max(keys[binding.keys[action]] ? 1 : 0, button ? button.value : 0);
+    };
+
+    let turn = level('turnRight') - level('turnLeft');
+    const stick = gamepad ? gamepad.axes[STEERING_AXIS] || 0 : 0;
+    if (Math.abs(stick) > STICK_DEAD_ZONE) {
+        turn += Math.sign(stick) * (Math.abs(stick) - STICK_DEAD_ZONE) / (1 - STICK_DEAD_ZONE);
+    }
+
+    const controls = {
+        thrust: level('thrust'),
+        reverse: level('reverse'),
+        turn,
+    };
+    if (touch) {
+        controls.thrust = Math.max(controls.thrust, touch.thrust);
+        controls.reverse = Math.max(controls.reverse, touch.reverse);
+        controls.turn += touch.turn;
+    }
+    controls.turn = clamp(controls.turn, -1, 1);
+    for (const action of SHIP_BUTTONS) {
+        controls[action] = level(action) >= 0.5 || (touch !== null && touch.buttons[action] === true);
+    }
+    return controls;
+}
+
+/**
+ * Names a key for the bindings screen, e.g. 'KeyW' as 'W'.
+ * @param {string} code - The key's code.
+ * @returns {string}
+ */
+export function describeKey(code) {
+    if (code.startsWith('Key')) return code.slice(3);
+    if (code.startsWith('Digit')) return code.slice(5);
+    if (code.startsWith('Arrow')) return `${code.slice(5)} arrow`;
+    return code;
+}
+
+// Names of the standard gamepad buttons, by index
+const GAMEPAD_BUTTON_NAMES = [
+    'A', 'B', 'X', 'Y', 'LB', 'RB', 'LT', 'RT', 'Back', 'Start', 'Left stick', 'Right stick',
+    'D-pad up', 'D-pad down', 'D-pad left', 'D-pad right', 'Home',
+];
+
+/**
+ * Names a gamepad button for the bindings screen.
+ * @param {number} index - The button's index in the standard mapping.
+ * @returns {string}
+ */
+export function describeGamepadButton(index) {
+    return GAMEPAD_BUTTON_NAMES[index] || `Button ${index}`;
+}
@@ -1,27 +1,373 @@
 // src/input/input.js
 
 import { clamp } from '../utils/utils.js';
+import { BRUSH_SHAPES, resizeBrush } from '../brush/brush.js';
+import { cycleViewMode, cyclePalette } from '../rendering/views.js';
 
 /**
- * Sets up keyboard input handlers to track pressed keys.
- * @param {Object} keys - An object to store the state of keys.
+ * Sets up keyboard input handlers to track pressed keys. Keys are tracked by
+ * their `code`, the physical key, so bindings hold on any keyboard layout.
+ * @param {Object} keys - An object to store the state of keys, by code.
  */
 export function setupInputHandlers(keys) {
     window.addEventListener('keydown', (e) => {
-        keys[e.key.toLowerCase()] = true;
+        if (isTypingTarget(e.target)) return;
+        keys[e.code] = true;
+        // Space and the arrows fly ships; keep them from scrolling the page or pressing a focused button
+        if (e.code === 'Space' || e.code.startsWith('Arrow')) e.preventDefault();
     });
 
     window.addEventListener('keyup', (e) => {
-        keys[e.key.toLowerCase()] = false;
+        keys[e.code] = false;
+    });
+
+    // Keys released while the window is in the background never report it
+    window.addEventListener('blur', () => {
+        for (const code of Object.keys(keys)) keys[code] = false;
+    });
+}
+
+/**
+ * Ship actions, each bound to a key and a gamepad button, see DEFAULT_BINDINGS.
+ */
+export const SHIP_CONTROLS = ['thrust', 'reverse', 'turnLeft', 'turnRight', 'mine', 'deposit', 'fire', 'channel', 'release'];
+
+/**
+ * Ship actions that are either held or not; the others are analog.
+ */
+export const SHIP_BUTTONS = ['mine', 'deposit', 'fire', 'channel', 'release'];
+
+// Steps per unit that analog controls are rounded to, so a ship's controls
+// pack into one integer: the SHIP_BUTTONS bits, then 7 bits of thrust, 7 of
+// reverse thrust and 8 of turn as a signed byte; 0 is nothing held
+const AXIS_STEPS = 127;
+const THRUST_SHIFT = SHIP_BUTTONS.length;
+const REVERSE_SHIFT = THRUST_SHIFT + 7;
+const TURN_SHIFT = REVERSE_SHIFT + 7;
+
+/**
+ * Packs a ship's controls into one integer, as ticks, replays and network
+ * games store them. Analog values are rounded to 1/127, so the packed
+ * controls are all the simulation ever sees and every peer and playback
+ * steers exactly alike.
+ * @param {Object} controls - Thrust and reverse 0-1, turn -1 (left) to 1 (right), and whether each of SHIP_BUTTONS is held.
+ * @returns {number} - The packed controls.
+ */
+export function encodeControls(controls) {
+    let packed = 0;
+    SHIP_BUTTONS.forEach((action, bit) => {
+        if (controls[action]) packed |= 1 << bit;
+    });
+    packed |= Math.round(clamp(controls.thrust, 0, 1) * AXIS_STEPS) << THRUST_SHIFT;
+    packed |= Math.round(clamp(controls.reverse, 0, 1) * AXIS_STEPS) << REVERSE_SHIFT;
+    packed |= (Math.round(clamp(controls.turn, -1, 1) * AXIS_STEPS) & 0xff) << TURN_SHIFT;
+    return packed;
+}
+
+/**
+ * Unpacks a ship's controls, see encodeControls.
+ * @param {number} packed - The packed controls.
+ * @returns {Object} - Thrust, reverse and turn, and whether each of SHIP_BUTTONS is held.
+ */
+export function decodeControls(packed) {
+    const turn = (packed >> TURN_SHIFT) & 0xff;
+    const controls = {
+        thrust: ((packed >> THRUST_SHIFT) & 0x7f) / AXIS_STEPS,
+        reverse: ((packed >> REVERSE_SHIFT) & 0x7f) / AXIS_STEPS,
+        turn: (turn > 0x7f ? turn - 0x100 : turn) / AXIS_STEPS,
+    };
+    SHIP_BUTTONS.forEach((action, bit) => {
+        controls[action] = (packed & (1 << bit)) !== 0;
+    });
+    return controls;
+}
+
+/**
+ * Samples the input that acts on the world for one tick: the controls of
+ * each local player and the brush stroke painted since the previous tick.
+ * Everything the simulation gets from the players goes through here, so a
+ * run can be replayed from these values alone (see replay.js).
+ * @param {Array<number>} controls - The packed controls of each local player, see encodeControls.
+ * @param {Object} pointer - The pointer state, see createPointer; the stroke is consumed.
+ * @param {Object} brush - The brush settings.
+ * @param {number} [players=1] - Local players, each with a ship.
+ * @returns {{buttons: Array<number>, strokes: Array<Object>}} - The tick's input: packed controls per ship,
+ *     and strokes with from, to, erase and a copy of the brush.
+ */
+export function readTickInput(controls, pointer, brush, players = 1) {
+    const buttons = Array.from({ length: players }, (_, player) => controls[player] || 0);
+
+    const strokes = [];
+    if (pointer.down && pointer.position) {
+        strokes.push({
+            from: { ...pointer.lastPosition },
+            to: { ...pointer.position },
+            erase: pointer.erase,
+            brush: { ...brush },
+        });
+        pointer.lastPosition = pointer.position;
+    }
+    return { buttons, strokes };
+}
+
+/**
+ * Processes a player's controls and updates their ship accordingly. Call once
+ * per tick and ship. Thrust, reverse and turn fly the ship, mine runs the
+ * mining beam, deposit empties the cargo, fire shoots, channel draws magic
+ * into energy and release lets it out.
+ * @param {Object} controls - The ship's controls, see decodeControls.
+ * @param {PlayerShip} playerShip - The ship.
+ * @param {number} deltaTime - The tick length (in seconds).
+ */
+export function handlePlayerInput(controls, playerShip, deltaTime) {
+    playerShip.update(controls, deltaTime);
+
+    const { tools } = playerShip;
+    tools.beginTick();
+    if (controls.mine) tools.mine(playerShip, deltaTime);
+    if (controls.deposit) tools.deposit(playerShip, deltaTime);
+    if (controls.fire) tools.fire(playerShip);
+    if (controls.channel) tools.channel(playerShip, deltaTime);
+    if (controls.release) tools.release(playerShip, deltaTime);
+    tools.update(playerShip, deltaTime);
+}
+
+/**
+ * Converts a position in client (CSS) pixels to canvas pixels. The canvas
+ * resolution is its CSS size times the device pixel ratio (see resizeCanvas
+ * in main.js), which also holds once its control went to an OffscreenCanvas.
+ * @param {HTMLCanvasElement} canvas - The canvas.
+ * @param {number} clientX - X in client pixels.
+ * @param {number} clientY - Y in client pixels.
+ * @returns {{x: number, y: number}} - Position in canvas pixels from the top-left corner.
+ */
+export function clientToScreen(canvas, clientX, clientY) {
+    const rect = canvas.getBoundingClientRect();
+    return {
+        x: (clientX - rect.left) * window.devicePixelRatio,
+        y: (clientY - rect.top) * window.devicePixelRatio,
+    };
+}
+
+/**
+ * Whether a pointer event is meant for the camera rather than the brush:
+ * the middle button, or the left button with Alt held.
+ * @param {PointerEvent} e - The event.
+ * @returns {boolean}
+ */
+function isPanGesture(e) {
+    return e.button === 1 || (e.button === 0 && e.altKey);
+}
+
+/**
+ * Sets up pointer handlers that report where the player is painting.
+ * Left button paints, right button (or left with Shift) erases.
+ * @param {HTMLCanvasElement} canvas - The canvas the world is drawn on.
+ * @param {function(Object): void} onPointer - Called with each pointer event, see updatePointer.
+ */
+export function setupPointerHandlers(canvas, onPointer) {
+    let down = false;
+
+    canvas.addEventListener('pointerdown', (e) => {
+        if (isPanGesture(e)) return;
+        down = true;
+        onPointer({ phase: 'down', ...clientToScreen(canvas, e.clientX, e.clientY), erase: e.button === 2 || e.shiftKey });
+        canvas.setPointerCapture(e.pointerId);
+    });
+
+    canvas.addEventListener('pointermove', (e) => {
+        onPointer({ phase: 'move', ...clientToScreen(canvas, e.clientX, e.clientY) });
+    });
+
+    const release = (e) => {
+        if (!down) return;
+        down = false;
+        onPointer({ phase: 'up' });
+        if (canvas.hasPointerCapture(e.pointerId)) canvas.releasePointerCapture(e.pointerId);
+    };
+    canvas.addEventListener('pointerup', release);
+    canvas.addEventListener('pointercancel', release);
+
+    // Right button erases, so keep the context menu out of the way
+    canvas.addEventListener('contextmenu', (e) => e.preventDefault());
+}
+
+/**
+ * Creates the pointer state the brush paints from.
+ * @returns {Object} - Whether a stroke is under way, whether it erases, and
+ *     the cell under the pointer and the cell already painted up to.
+ */
+export function createPointer() {
+    return {
+        down: false,
+        erase: false,
+        position: null,
+        lastPosition: null,
+    };
+}
+
+/**
+ * Applies a pointer event from setupPointerHandlers to the pointer state,
+ * converting its position to world cells through the camera.
+ * @param {Object} pointer - The pointer state, see createPointer.
+ * @param {Camera} camera - The camera.
+ * @param {{phase: string, x?: number, y?: number, erase?: boolean}} event - 'down', 'move' or 'up', at canvas pixels.
+ */
+export function updatePointer(pointer, camera, event) {
+    if (event.phase === 'up') {
+        pointer.down = false;
+        return;
+    }
+
+    const world = camera.screenToWorld(event.x, event.y);
+    pointer.position = {
+        x: clamp(world.x, 0, camera.worldWidth - 1),
+        y: clamp(world.y, 0, camera.worldHeight - 1),
+    };
+    if (event.phase === 'down') {
+        pointer.down = true;
+        pointer.erase = event.erase;
+        pointer.lastPosition = pointer.position;
+    }
+}
+
+/**
+ * Sets up the camera controls: the mouse wheel zooms towards the cursor,
+ * dragging with the middle button (or Alt + left) pans, and C toggles
+ * following the ship.
+ * @param {HTMLCanvasElement} canvas - The canvas the world is drawn on.
+ * @param {function(Object): void} onCamera - Called with each camera command, see applyCameraCommand.
+ */
+export function setupCameraControls(canvas, onCamera) {
+    canvas.addEventListener('wheel', (e) => {
+        e.preventDefault();
+        const screen = clientToScreen(canvas, e.clientX, e.clientY);
+        onCamera({ action: 'zoom', x: screen.x, y: screen.y, direction: e.deltaY < 0 ? 1 : -1 });
+    }, { passive: false });
+
+    let drag = null; // Last pointer position in canvas pixels while panning
+
+    canvas.addEventListener('pointerdown', (e) => {
+        if (!isPanGesture(e)) return;
+        e.preventDefault();
+        drag = clientToScreen(canvas, e.clientX, e.clientY);
+        canvas.setPointerCapture(e.pointerId);
+    });
+
+    canvas.addEventListener('pointermove', (e) => {
+        if (!drag) return;
+        const screen = clientToScreen(canvas, e.clientX, e.clientY);
+        onCamera({ action: 'pan', dx: screen.x - drag.x, dy: screen.y - drag.y });
+        drag = screen;
+    });
+
+    const release = (e) => {
+        if (!drag) return;
+        drag = null;
+        if (canvas.hasPointerCapture(e.pointerId)) canvas.releasePointerCapture(e.pointerId);
+    };
+    canvas.addEventListener('pointerup', release);
+    canvas.addEventListener('pointercancel', release);
+
+    window.addEventListener('keydown', (e) => {
+        if (isTypingTarget(e.target)) return;
+        if (e.key === 'c' || e.key === 'C') onCamera({ action: 'follow' });
+    });
+}
+
+/**
+ * Applies a camera command from setupCameraControls.
+ * @param {Camera} camera - The camera to control.
+ * @param {{action: string}} command - 'zoom' (x, y, direction), 'pan' (dx, dy) or 'follow'.
+ */
+export function applyCameraCommand(camera, command) {
+    switch (command.action) {
+        case 'zoom':
+            camera.zoomAt(command.x, command.y, command.direction);
+            break;
+        case 'pan':
+            camera.panBy(command.dx, command.dy);
+            break;
+        case 'follow':
+            camera.following = !camera.following;
+            break;
+    }
+}
+
+/**
+ * Sets up the keyboard shortcuts that change the view.
+ * V cycles the view modes (Shift + V backwards), P the palette of the
+ * current heatmap, O toggles the flow overlay and L the legend.
+ * @param {Object} view - The view settings to modify, see createView.
+ */
+export function setupViewKeys(view) {
+    window.addEventListener('keydown', (e) => {
+        if (isTypingTarget(e.target)) return;
+        switch (e.key) {
+            case 'v':
+            case 'V':
+                cycleViewMode(view, e.shiftKey ? -1 : 1);
+                break;
+            case 'p':
+            case 'P':
+                cyclePalette(view, e.shiftKey ? -1 : 1);
+                break;
+            case 'o':
+            case 'O':
+                view.flow = !view.flow;
+                break;
+            case 'l':
+            case 'L':
+                view.legend = !view.legend;
+                break;
+        }
+    });
+}
+
+/**
+ * Sets up the keyboard shortcuts that change the brush.
+ * [ and ] resize it, B toggles circle/square, 1-4 pick the attribute
+ * (density, temperature, magic, organic), - and = change the strength.
+ * @param {Object} brush - The brush settings to modify.
+ */
+export function setupBrushKeys(brush) {
+    window.addEventListener('keydown', (e) => {
+        if (isTypingTarget(e.target)) return;
+        switch (e.key) {
+            case '[':
+                resizeBrush(brush, -1);
+                break;
+            case ']':
+                resizeBrush(brush, 1);
+                break;
+            case 'b':
+            case 'B':
+                brush.shape = brush.shape === BRUSH_SHAPES.CIRCLE ? BRUSH_SHAPES.SQUARE : BRUSH_SHAPES.CIRCLE;
+                break;
+            case '1':
+            case '2':
+            case '3':
+            case '4':
+                brush.attribute = Number(e.key) - 1;
+                break;
+            case '-':
+                brush.strength = clamp(brush.strength / 2, 0.005, 1);
+                break;
+            case '=':
+                brush.strength = clamp(brush.strength * 2, 0.005, 1);
+                break;
+        }
     });
 }
 
 /**
- * Processes player input and updates the player ship accordingly.
- * @param {Object} keys - The current state of keys.
- * @param {PlayerShip} playerShip - The player ship instance.
- * @param {number} deltaTime - Time elapsed since the last update (in seconds).
+ * Checks whether a key event target is a form field the player is typing in,
+ * so game shortcuts don't fire while editing values.
+ * @param {EventTarget} target - The event target.
+ * @returns {boolean} - Whether the target accepts text input.
  */
-export function handlePlayerInput(keys, playerShip, deltaTime) {
-    playerShip.update(keys, deltaTime);
+export function isTypingTarget(target) {
+    if (!target || !target.tagName) return false;
+    if (target.tagName === 'TEXTAREA' || target.tagName === 'SELECT') return true;
+    return target.tagName === 'INPUT' && !['range', 'button', 'checkbox'].includes(target.type);
 }
@@ -0,0 +1,137 @@
+// src/input/touch.js
+
+import { SHIP_BUTTONS } from './input.js';
+
+// Joystick size in CSS pixels: the base, and the knob that follows the finger
+const JOYSTICK_SIZE = 120;
+const KNOB_SIZE = 50;
+
+// Labels of the touch buttons, by ship action
+const BUTTON_LABELS = { mine: 'Mine', deposit: 'Drop', fire: 'Fire', channel: 'Chan', release: 'Rel' };
+
+/**
+ * Creates the on-screen controls for touch screens: a joystick at the bottom
+ * left that steers left and right and thrusts forward or back, and a button
+ * per tool at the bottom right. They fly the first player's ship, through
+ * readControls. They show on devices whose main pointer is a finger, and
+ * anywhere once the screen is touched.
+ * @returns {Object} - The touch state: thrust and reverse 0-1, turn -1 to 1,
+ *     and whether each of SHIP_BUTTONS is held, kept up to date as fingers move.
+ */
+export function createTouchControls() {
+    const touch = { thrust: 0, reverse: 0, turn: 0, buttons: {} };
+
+    const container = document.createElement('div');
+    container.id = 'touchControls';
+    container.style.display = 'none';
+    document.body.appendChild(container);
+
+    // Joystick
+    const base = document.createElement('div');
+    base.style.position = 'absolute';
+    base.style.left = '30px';
+    base.style.bottom = '130px';
+    base.style.width = `${JOYSTICK_SIZE}px`;
+    base.style.height = `${JOYSTICK_SIZE}px`;
+    base.style.borderRadius = '50%';
+    base.style.background = 'rgba(0, 0, 0, 0.3)';
+    base.style.border = '1px solid rgba(255, 255, 255, 0.5)';
+    base.style.touchAction = 'none';
+    base.style.zIndex = '1100';
+
+    const knob = document.createElement('div');
+    knob.style.position = 'absolute';
+    knob.style.left = `${(JOYSTICK_SIZE - KNOB_SIZE) / 2}px`;
+    knob.style.top = `${(JOYSTICK_SIZE - KNOB_SIZE) / 2}px`;
+    knob.style.width = `${KNOB_SIZE}px`;
+    knob.style.height = `${KNOB_SIZE}px`;
+    knob.style.borderRadius = '50%';
+    knob.style.background = 'rgba(255, 255, 255, 0.5)';
+    knob.style.pointerEvents = 'none';
+    base.appendChild(knob);
+    container.appendChild(base);
+
+    let stickPointer = null;
+    const moveStick = (e) => {
+        const rect = base.getBoundingClientRect();
+        const radius = rect.width / 2;
+        let x = (e.clientX - rect.left - radius) / radius;
+        let y = (e.clientY - rect.top - radius) / radius;
+        // Keep the knob on the base
+        const length = Math.hypot(x, y);
+        if (length > 1) {
+            x /= length;
+            y /= length;
+        }
+        touch.turn = x;
+        touch.thrust = Math.max(0, -y);
+        touch.reverse = Math.max(0, y);
+        knob.style.transform = `translate(${x * radius}px, ${y * radius}px)`;
+    };
+    const releaseStick = (e) => {
+        if (e.pointerId !== stickPointer) return;
+        stickPointer = null;
+        touch.turn = 0;
+        touch.thrust = 0;
+        touch.reverse = 0;
+        knob.style.transform = '';
+    };
+    base.addEventListener('pointerdown', (e) => {
+        e.preventDefault();
+        stickPointer = e.pointerId;
+        base.setPointerCapture(e.pointerId);
+        moveStick(e);
+    });
+    base.addEventListener('pointermove', (e) => {
+        if (e.pointerId === stickPointer) moveStick(e);
+    });
+    base.addEventListener('pointerup', releaseStick);
+    base.addEventListener('pointercancel', releaseStick);
+
+    // Tool buttons, in a column at the bottom right
+    const buttons = document.createElement('div');
+    buttons.style.position = 'absolute';
+    buttons.style.right = '20px';
+    buttons.style.bottom = '170px';
+    buttons.style.display = 'grid';
+    buttons.style.gridTemplateColumns = 'repeat(2, 60px)';
+    buttons.style.gap = '10px';
+    buttons.style.zIndex = '1100';
+    for (const action of SHIP_BUTTONS) {
+        touch.buttons[action] = false;
+        const button = document.createElement('div');
+        button.textContent = BUTTON_LABELS[action];
+        button.style.width = '60px';
+        button.style.height = '60px';
+        button.style.lineHeight = '60px';
+        button.style.textAlign = 'center';
+        button.style.borderRadius = '50%';
+        button.style.background = 'rgba(0, 0, 0, 0.3)';
+        button.style.border = '1px solid rgba(255, 255, 255, 0.5)';
+        button.style.color = 'white';
+        button.style.fontFamily = 'Arial, sans-serif';
+        button.style.fontSize = '14px';
+        button.style.userSelect = 'none';
+        button.style.touchAction = 'none';
+
+        const press = (held) => (e) => {
+            e.preventDefault();
+            touch.buttons[action] = held;
+            button.style.background = held ? 'rgba(255, 255, 255, 0.4)' : 'rgba(0, 0, 0, 0.3)';
+        };
+        button.addEventListener('pointerdown', press(true));
+        button.addEventListener('pointerup', press(false));
+        button.addEventListener('pointercancel', press(false));
+        button.addEventListener('pointerleave', press(false));
+        buttons.appendChild(button);
+    }
+    container.appendChild(buttons);
+
+    const show = () => {
+        container.style.display = 'block';
+    };
+    if (window.matchMedia('(pointer: coarse)').matches) show();
+    window.addEventListener('touchstart', show, { once: true });
+
+    return touch;
+}
@@ -1,178 +1,280 @@
 // src/main.js
 
-import { initializeSimulation, performSimulationStep, computeAverageTemperature } from './simulation/simulation.js';
-import { initializeUpdateProgram, initializeRenderProgram, renderScene } from './rendering/rendering.js';
-import { createUIElements, updateUI } from './ui/ui.js';
-import { setupInputHandlers, handlePlayerInput } from './input/input.js';
-import { PlayerShip } from './ship/ship.js';
-import { clamp, createTexture } from './utils/utils.js';
-
-// ----- WebGL Initialization -----
-const canvas = document.getElementById('glCanvas');
-const gl = canvas.getContext('webgl2');
+import { DEFAULT_SIMULATION_PARAMS } from './simulation/simulation.js';
+import { DEFAULT_POST_SETTINGS } from './rendering/postprocess.js';
+import { createUIElements, updateUI, createSaveLoadControls, downloadFile, updateBrushDisplay, updateSeasonDisplay, updateShipDisplay, updateNetDisplay, updateViewDisplay, createReplayControls, updateReplayDisplay, updatePopulationDisplay, showErrorOverlay, createScenarioScreens, showScenarioPicker, showScenarioSummary, hideScenarioScreens, updateObjectiveTracker, createBindingsScreen } from './ui/ui.js';
+import { setupInputHandlers, setupPointerHandlers, setupBrushKeys, setupCameraControls, setupViewKeys, encodeControls } from './input/input.js';
+import { loadBindings, storeBindings, getGamepads, readControls } from './input/bindings.js';
+import { createTouchControls } from './input/touch.js';
+import { createBrush } from './brush/brush.js';
+import { createDevPanel, refreshDevPanel } from './ui/devPanel.js';
+import { createView } from './rendering/views.js';
+import { loadBuiltInScenarios, parseScenario } from './scenarios/scenarios.js';
+import { Engine } from './engine/engine.js';
+import { HOST_MESSAGES, ENGINE_MESSAGES } from './engine/protocol.js';
+
+// The page: the DOM, input listeners, HUD and dev panel. The game itself runs
+// in the engine, in a worker where the browser can hand it the canvas, and
+// talks to the page through the messages of protocol.js.
 
-if (!gl) {
-    alert('WebGL 2 not supported in this browser.');
-}
+const canvas = document.getElementById('glCanvas');
+const search = new URLSearchParams(window.location.search);
 
-// Check for required extensions
-if (!gl.getExtension('EXT_color_buffer_float')) {
-    alert('EXT_color_buffer_float extension not supported!');
+// ----- Constants -----
+// Seed for new worlds, chosen with ?seed=<number> in the URL
+const SEED_PARAM = Number.parseInt(search.get('seed'), 10);
+const WORLD_SEED = Number.isInteger(SEED_PARAM) ? SEED_PARAM : 12345;
+// Mods to load at startup, named with ?mod=<url> in the URL (repeatable)
+const STARTUP_MODS = search.getAll('mod').map((url) => ({ url: new URL(url, document.baseURI).href, label: url }));
+// Players sharing this machine, chosen with ?players=<count>: the first
+// flies with WASD, the second with the arrow keys, each also with a gamepad
+const LOCAL_PLAYERS = Number.parseInt(search.get('players'), 10) || 1;
+// Network game to join, named with ?net=<room>; tabs of this browser meet
+// directly, other machines through the relay given with ?relay=<ws url>
+const NET = search.get('net') ? { room: search.get('net'), relay: search.get('relay') } : null;
+// Whether the engine runs in a worker on an OffscreenCanvas; ?worker=off
+// keeps it on the main thread, as browsers without OffscreenCanvas do
+const USE_WORKER = typeof OffscreenCanvas !== 'undefined' && 'transferControlToOffscreen' in canvas && search.get('worker') !== 'off';
+
+// Fill the window, at device pixel resolution so zoomed cells stay crisp
+canvas.style.display = 'block';
+canvas.style.width = '100vw';
+canvas.style.height = '100vh';
+
+/**
+ * The canvas resolution for its current CSS size.
+ * @returns {{width: number, height: number}} - Size in device pixels.
+ */
+function getCanvasSize() {
+    return {
+        width: Math.round(canvas.clientWidth * window.devicePixelRatio),
+        height: Math.round(canvas.clientHeight * window.devicePixelRatio),
+    };
 }
 
-// ----- Constants -----
-const WIDTH = 500; // Simulation grid width
-const HEIGHT = 500; // Simulation grid height
-
-// ----- Set Canvas Dimensions Dynamically -----
-canvas.width = WIDTH;
-canvas.height = HEIGHT;
-
-// Optional: Make the canvas responsive
-canvas.style.width = '100%';
-canvas.style.height = 'auto';
-
-// Set the WebGL viewport to match the canvas dimensions
-gl.viewport(0, 0, WIDTH, HEIGHT);
-
-// ----- Attribute Indices -----
-const ATTRIBUTES = {
-    DENSITY: 0,
-    TEMPERATURE: 1,
-    MAGIC: 2,
-    ORGANIC: 3,
-    // Add more attributes as needed
-};
+// ----- Initialize UI Elements -----
 
-// ----- Global Variables -----
+createUIElements();
 
-// FPS and TPS Counters
-let frameCount = 0;
-let lastFpsUpdate = performance.now();
-let fps = 0;
+// Copies of the engine's settings for the dev panel; changes are sent on
+const simulationParams = { ...DEFAULT_SIMULATION_PARAMS };
+const postSettings = { ...DEFAULT_POST_SETTINGS };
+// Pause, single-step and fast-forward
+const loopControl = {
+    paused: false,
+    pendingSteps: 0, // Ticks to run while paused
+    fastForward: 1,  // Ticks per frame when above 1, instead of real time
+};
 
-let ticsCount = 0;
-let lastTpsUpdate = performance.now();
-let tps = 0;
+// What the engine last reported for the HUD, see EngineStats
+let latestStats = null;
+let builtInScenarios = [];
+
+/**
+ * Handles a message from the engine, see ENGINE_MESSAGES.
+ * @param {Object} message - The message.
+ */
+function handleEngineMessage(message) {
+    switch (message.type) {
+        case ENGINE_MESSAGES.STATS:
+            latestStats = message.stats;
+            break;
+        case ENGINE_MESSAGES.PARAMS:
+            Object.assign(simulationParams, message.params);
+            refreshDevPanel(simulationParams);
+            break;
+        case ENGINE_MESSAGES.DOWNLOAD:
+            downloadFile(message.bytes, message.fileName);
+            break;
+        case ENGINE_MESSAGES.ALERT:
+            alert(message.message);
+            break;
+        case ENGINE_MESSAGES.ERROR:
+            showErrorOverlay(message.report);
+            break;
+        case ENGINE_MESSAGES.SCENARIO_END:
+            showScenarioSummary(message.summary);
+            break;
+    }
+}
 
-// Simulation Year Tracking
-let currentYear = 0;
-let ticksIntoYear = 0;
+// ----- Engine -----
+
+const engineOptions = { ...getCanvasSize(), seed: WORLD_SEED, mods: STARTUP_MODS, localPlayers: LOCAL_PLAYERS, net: NET };
+let sendToEngine;
+
+if (USE_WORKER) {
+    const worker = new Worker(new URL('./engine/worker.js', import.meta.url), { type: 'module' });
+    worker.addEventListener('message', (e) => handleEngineMessage(e.data));
+    worker.addEventListener('error', (e) => console.error('Engine worker failed:', e.message));
+    const offscreen = canvas.transferControlToOffscreen();
+    worker.postMessage({ type: HOST_MESSAGES.INIT, canvas: offscreen, options: engineOptions }, [offscreen]);
+    sendToEngine = (message) => worker.postMessage(message);
+} else {
+    const engine = new Engine(canvas, engineOptions, handleEngineMessage);
+    sendToEngine = (message) => engine.handleMessage(message);
+    const frame = (currentTime) => {
+        engine.frame(currentTime);
+        requestAnimationFrame(frame);
+    };
+    requestAnimationFrame(frame);
+}
 
-// Seasons Setup
-const SEASONS = [
-    { name: 'Spring', duration: 648000 }, // duration in simulation tics
-    { name: 'Summer', duration: 648000 },
-    { name: 'Autumn', duration: 648000 },
-    { name: 'Winter', duration: 648000 }
-];
-const SEASON_TOTAL_DURATION = SEASONS.reduce((sum, season) => sum + season.duration, 0); // Total ticks per year (2,592,000)
+window.addEventListener('resize', () => {
+    sendToEngine({ type: HOST_MESSAGES.RESIZE, ...getCanvasSize() });
+});
 
-// Average Temperature Tracking
-let lastAvgTime = performance.now();
-let averageTemperature = 0;
+// Tell the other peers right away rather than have them wait for a timeout
+window.addEventListener('pagehide', () => sendToEngine({ type: HOST_MESSAGES.LEAVE }));
 
 // ----- Handle User Input -----
 
+// Ship controls: keys, gamepads and the touch controls, through each player's
+// bindings, which are changed on the controls screen and kept in localStorage
 const keys = {};
 setupInputHandlers(keys);
+const bindings = loadBindings();
+createBindingsScreen(bindings, storeBindings);
+const touch = createTouchControls();
+
+// Brush painting with the mouse
+const brush = createBrush();
+setupPointerHandlers(canvas, (event) => sendToEngine({ type: HOST_MESSAGES.POINTER, event }));
+setupBrushKeys(brush);
+
+// Mouse wheel zoom, drag to pan, C to follow the ships
+setupCameraControls(canvas, (command) => sendToEngine({ type: HOST_MESSAGES.CAMERA, command }));
+
+// View modes, palettes, flow overlay and legend
+const view = createView();
+setupViewKeys(view);
+
+// Sends the controls, brush and view when they changed. Gamepads and touch
+// have no events to wait for, so this runs every frame, and after key events
+// too, by when the listeners above have run, so keys act without a frame's delay
+let sentInput = null;
+function sendInput() {
+    const gamepads = getGamepads();
+    const controls = bindings.slice(0, LOCAL_PLAYERS).map((binding, player) =>
+        encodeControls(readControls(keys, binding, gamepads[player] || null, player === 0 ? touch : null)));
+    const input = { controls, brush: { ...brush }, view: structuredClone(view) };
+    const json = JSON.stringify(input);
+    if (json === sentInput) return;
+    sentInput = json;
+    sendToEngine({ type: HOST_MESSAGES.INPUT, ...input });
+}
+window.addEventListener('keydown', sendInput);
+window.addEventListener('keyup', sendInput);
+sendInput();
+
+// ----- Save / Load -----
+
+createSaveLoadControls(
+    () => sendToEngine({ type: HOST_MESSAGES.SAVE }),
+    (file) => sendToEngine({ type: HOST_MESSAGES.LOAD, file })
+);
+
+// ----- Dev Panel -----
+
+/**
+ * Wraps settings the dev panel edits so every change is also sent to the
+ * engine, which holds the live values.
+ * @param {string} target - Which settings: 'params', 'post' or 'loop'.
+ * @param {Object} settings - The page's copy of the settings.
+ * @returns {Proxy} - The settings to hand to the dev panel.
+ */
+function syncWithEngine(target, settings) {
+    return new Proxy(settings, {
+        set(object, key, value) {
+            // The engine counts steps down as it runs them, so only the request is passed on
+            if (target === 'loop' && key === 'pendingSteps') {
+                sendToEngine({ type: HOST_MESSAGES.STEP, count: value - object.pendingSteps });
+                return true;
+            }
+            object[key] = value;
+            sendToEngine({ type: HOST_MESSAGES.SET, target, key, value });
+            return true;
+        },
+    });
+}
 
-// ----- Initialize UI Elements -----
-
-createUIElements();
-
-// ----- Initialize Simulation -----
-
-// Create textures for current and next states
-const currentStateData = new Float32Array(WIDTH * HEIGHT * 4); // RGBA
-const currentState = createTexture(gl, WIDTH, HEIGHT, currentStateData);
-const nextState = createTexture(gl, WIDTH, HEIGHT, new Float32Array(WIDTH * HEIGHT * 4));
-
-// Initialize simulation with a seed
-initializeSimulation(gl, currentState, WIDTH, HEIGHT, 12345);
-
-// ----- Initialize Shader Programs -----
-
-const updateProgram = initializeUpdateProgram(gl);
-const renderProgram = initializeRenderProgram(gl);
-
-// ----- Initialize Framebuffers -----
-
-const framebuffer = gl.createFramebuffer();
-
-// Initialize readFramebuffer to read from currentState
-const readFramebuffer = gl.createFramebuffer();
-gl.bindFramebuffer(gl.FRAMEBUFFER, readFramebuffer);
-gl.framebufferTexture2D(gl.FRAMEBUFFER, gl.COLOR_ATTACHMENT0, gl.TEXTURE_2D, currentState, 0);
-gl.bindFramebuffer(gl.FRAMEBUFFER, null);
-
-// ----- Initialize Player Ship -----
-
-const playerShip = new PlayerShip(WIDTH, HEIGHT, gl, readFramebuffer);
-
-// ----- Simulation Settings -----
-
-// Fixed timestep settings
-const TICK_RATE = 60; // 60 tics per second
-const TICK_INTERVAL = 1000 / TICK_RATE; // ~16.666 ms per tic
-let lastTickTime = performance.now();
-
-// ----- Simulation Loop -----
-
-function simulate(currentTime) {
-    // ----- FPS Calculation -----
-    frameCount++;
-    if (currentTime - lastFpsUpdate >= 1000) {
-        fps = frameCount;
-        frameCount = 0;
-        lastFpsUpdate = currentTime;
-    }
-
-    // ----- TPS Calculation -----
-    if (currentTime - lastTpsUpdate >= 1000) {
-        tps = ticsCount;
-        ticsCount = 0;
-        lastTpsUpdate = currentTime;
-    }
-
-    // ----- Average Temperature Calculation -----
-    if (currentTime - lastAvgTime >= 1000) { // Every 1 second
-        averageTemperature = computeAverageTemperature(gl, readFramebuffer, WIDTH, HEIGHT);
-        lastAvgTime += 1000;
-    }
+createDevPanel(syncWithEngine('params', simulationParams), syncWithEngine('loop', loopControl), syncWithEngine('post', postSettings));
+
+// ----- Replay -----
+
+createReplayControls({
+    onRecord: () => sendToEngine({ type: HOST_MESSAGES.REPLAY, action: 'record' }),
+    onStopRecording: () => sendToEngine({ type: HOST_MESSAGES.REPLAY, action: 'stopRecording' }),
+    onLoad: (file) => sendToEngine({ type: HOST_MESSAGES.LOAD, file }),
+    onTogglePause: () => sendToEngine({ type: HOST_MESSAGES.REPLAY, action: 'togglePause' }),
+    onSpeed: (speed) => sendToEngine({ type: HOST_MESSAGES.REPLAY, action: 'speed', value: speed }),
+    onSeek: (tick) => sendToEngine({ type: HOST_MESSAGES.REPLAY, action: 'seek', value: tick }),
+    onExit: () => sendToEngine({ type: HOST_MESSAGES.REPLAY, action: 'exit' }),
+});
+
+// ----- Scenarios -----
+
+/**
+ * Asks the engine to start a scenario from the beginning.
+ * @param {Object} scenario - The scenario, see parseScenario.
+ */
+function playScenario(scenario) {
+    sendToEngine({ type: HOST_MESSAGES.SCENARIO, action: 'play', scenario });
+    hideScenarioScreens();
+}
 
-    // ----- Fixed Timestep Simulation -----
-    while (currentTime - lastTickTime >= TICK_INTERVAL) {
-        performSimulationStep(gl, updateProgram, framebuffer, currentState, nextState, 0.1);
-        lastTickTime += TICK_INTERVAL;
-        ticsCount++;
-        ticksIntoYear++;
-
-        // Check if a year has passed
-        if (ticksIntoYear >= SEASON_TOTAL_DURATION) {
-            ticksIntoYear -= SEASON_TOTAL_DURATION;
-            currentYear++;
-            console.log(`Year ${currentYear} completed.`);
+createScenarioScreens({
+    onOpen: () => showScenarioPicker(builtInScenarios),
+    onPlay: playScenario,
+    onLoad: async (file) => {
+        try {
+            playScenario(parseScenario(await file.text()));
+        } catch (error) {
+            console.error('Failed to load scenario:', error);
+            alert(`Could not load ${file.name}: ${error.message}`);
         }
-
-        // Update Loading Bar and other UI elements if necessary
+    },
+    onRetry: () => {
+        sendToEngine({ type: HOST_MESSAGES.SCENARIO, action: 'retry' });
+        hideScenarioScreens();
+    },
+    onFreePlay: () => {
+        // The world carries on as it is, without objectives
+        sendToEngine({ type: HOST_MESSAGES.SCENARIO, action: 'freePlay' });
+        hideScenarioScreens();
+    },
+});
+
+// Offer the scenarios once they're loaded; the sandbox runs behind the picker
+loadBuiltInScenarios().then((scenarios) => {
+    builtInScenarios = scenarios;
+    showScenarioPicker(scenarios);
+});
+
+// ----- HUD -----
+
+/**
+ * Shows the engine's latest stats and the page's own settings, and polls the
+ * controls. Runs every animation frame of the page, independently of the
+ * engine's frames.
+ */
+function updateHud() {
+    if (latestStats) {
+        const { fps, tps, year, averageTemperature, climate, ships, population, objectives, replay, net } = latestStats;
+        updateUI(fps, tps, year, averageTemperature);
+        updateSeasonDisplay(climate);
+        updateShipDisplay(ships);
+        updateNetDisplay(net);
+        updatePopulationDisplay(population);
+        updateObjectiveTracker(objectives);
+        updateReplayDisplay(replay);
+        latestStats = null;
     }
+    updateBrushDisplay(brush);
+    updateViewDisplay(view);
+    sendInput();
 
-    // ----- Render Pass -----
-    renderScene(gl, renderProgram, currentState);
-
-    // ----- Handle Player Input -----
-    handlePlayerInput(keys, playerShip, 1 / TICK_RATE); // Pass fixed deltaTime in seconds
-
-    // ----- Render Ship -----
-    playerShip.render();
-
-    // ----- Update UI -----
-    updateUI(fps, tps, currentYear, averageTemperature);
-
-    // Continue the loop
-    requestAnimationFrame(simulate);
+    requestAnimationFrame(updateHud);
 }
 
-// Start the simulation loop
-requestAnimationFrame(simulate);
+requestAnimationFrame(updateHud);
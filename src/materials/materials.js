@@ -0,0 +1,226 @@
+// src/materials/materials.js
+
+/**
+ * Channel layout of the material texture (RGBA32F, one texel per cell).
+ */
+export const MATERIAL_CHANNELS = {
+    ID: 0,   // Material ID, stored as an integral float
+    LIFE: 1, // Remaining lifetime in ticks for materials that decay
+    // B and A are reserved
+};
+
+/**
+ * How a material moves through the grid.
+ */
+export const PHASES = {
+    EMPTY: 0,  // Vacuum, displaced by everything
+    SOLID: 1,  // Never moves
+    POWDER: 2, // Falls, does not spread sideways
+    LIQUID: 3, // Falls and spreads sideways
+    GAS: 4,    // Rises and drifts sideways
+};
+
+/**
+ * Material registry. The position in this array is the material ID stored
+ * in the material texture, so new materials must be appended.
+ *
+ * - color: Base render color (RGB, 0-1).
+ * - density: Relative weight used to order materials when they move.
+ * - phase: One of PHASES.
+ * - meltingPoint / meltsInto: Temperature at or above which the cell melts or boils into another material.
+ * - freezingPoint / freezesInto: Temperature at or below which the cell freezes or condenses into another material.
+ * - flammability: Per-tick chance of catching fire next to a heat source.
+ * - magicAffinity: Multiplier bonus on magic growth in the cell.
+ * - emitsHeat: Temperature the cell holds itself at (0 for none).
+ * - lifetime / decaysInto: Ticks before the cell turns into another material (0 for never).
+ */
+export const MATERIALS = [
+    {
+        name: 'empty', color: [0.0, 0.0, 0.0], density: 0.0, phase: PHASES.EMPTY,
+        meltingPoint: null, meltsInto: null, flammability: 0.0, magicAffinity: 0.0,
+        freezingPoint: null, freezesInto: null,
+        emitsHeat: 0.0, lifetime: 0, decaysInto: null,
+    },
+    {
+        name: 'stone', color: [0.45, 0.45, 0.48], density: 1.0, phase: PHASES.SOLID,
+        meltingPoint: 0.95, meltsInto: 'lava', flammability: 0.0, magicAffinity: 0.0,
+        freezingPoint: null, freezesInto: null,
+        emitsHeat: 0.0, lifetime: 0, decaysInto: null,
+    },
+    {
+        name: 'sand', color: [0.76, 0.68, 0.42], density: 0.7, phase: PHASES.POWDER,
+        meltingPoint: 0.9, meltsInto: 'lava', flammability: 0.0, magicAffinity: 0.0,
+        freezingPoint: null, freezesInto: null,
+        emitsHeat: 0.0, lifetime: 0, decaysInto: null,
+    },
+    {
+        name: 'water', color: [0.15, 0.35, 0.8], density: 0.5, phase: PHASES.LIQUID,
+        meltingPoint: 0.7, meltsInto: 'steam', flammability: 0.0, magicAffinity: 0.2,
+        freezingPoint: 0.05, freezesInto: 'ice',
+        emitsHeat: 0.0, lifetime: 0, decaysInto: null,
+    },
+    {
+        name: 'steam', color: [0.7, 0.72, 0.78], density: 0.05, phase: PHASES.GAS,
+        meltingPoint: null, meltsInto: null, flammability: 0.0, magicAffinity: 0.0,
+        freezingPoint: 0.4, freezesInto: 'water',
+        emitsHeat: 0.0, lifetime: 600, decaysInto: 'water',
+    },
+    {
+        name: 'lava', color: [0.9, 0.3, 0.05], density: 0.8, phase: PHASES.LIQUID,
+        meltingPoint: null, meltsInto: null, flammability: 0.0, magicAffinity: 0.1,
+        freezingPoint: null, freezesInto: null,
+        emitsHeat: 0.95, lifetime: 0, decaysInto: null,
+    },
+    {
+        name: 'fire', color: [1.0, 0.6, 0.1], density: 0.02, phase: PHASES.GAS,
+        meltingPoint: null, meltsInto: null, flammability: 0.0, magicAffinity: 0.0,
+        freezingPoint: null, freezesInto: null,
+        emitsHeat: 0.85, lifetime: 45, decaysInto: 'empty',
+    },
+    {
+        name: 'plant', color: [0.2, 0.6, 0.15], density: 0.4, phase: PHASES.SOLID,
+        meltingPoint: null, meltsInto: null, flammability: 0.05, magicAffinity: 0.5,
+        freezingPoint: null, freezesInto: null,
+        emitsHeat: 0.0, lifetime: 0, decaysInto: null,
+    },
+    {
+        name: 'ice', color: [0.7, 0.85, 0.95], density: 0.45, phase: PHASES.SOLID,
+        meltingPoint: 0.15, meltsInto: 'water', flammability: 0.0, magicAffinity: 0.3,
+        freezingPoint: null, freezesInto: null,
+        emitsHeat: 0.0, lifetime: 0, decaysInto: null,
+    },
+    {
+        name: 'crystal', color: [0.55, 0.3, 0.85], density: 0.9, phase: PHASES.SOLID,
+        meltingPoint: null, meltsInto: null, flammability: 0.0, magicAffinity: 4.0,
+        freezingPoint: null, freezesInto: null,
+        emitsHeat: 0.0, lifetime: 0, decaysInto: null,
+    },
+    {
+        name: 'ash', color: [0.25, 0.23, 0.22], density: 0.3, phase: PHASES.POWDER,
+        meltingPoint: null, meltsInto: null, flammability: 0.0, magicAffinity: 0.0,
+        freezingPoint: null, freezesInto: null,
+        emitsHeat: 0.0, lifetime: 0, decaysInto: null,
+    },
+];
+
+/**
+ * Pairwise reactions between neighbouring cells. When a cell of `reactants[0]`
+ * touches a cell of `reactants[1]`, they turn into `products[0]` and
+ * `products[1]` respectively with the given per-tick probability, and both
+ * gain `heat` temperature.
+ */
+export const REACTIONS = [
+    { reactants: ['water', 'fire'], products: ['steam', 'empty'], probability: 1.0, heat: 0.0 },
+    { reactants: ['water', 'lava'], products: ['steam', 'stone'], probability: 0.5, heat: 0.1 },
+    { reactants: ['ice', 'lava'], products: ['water', 'stone'], probability: 0.5, heat: 0.0 },
+    { reactants: ['sand', 'lava'], products: ['lava', 'lava'], probability: 0.01, heat: 0.0 },
+    { reactants: ['plant', 'water'], products: ['plant', 'plant'], probability: 0.002, heat: 0.0 },
+    { reactants: ['plant', 'fire'], products: ['fire', 'fire'], probability: 0.2, heat: 0.2 },
+    { reactants: ['crystal', 'fire'], products: ['crystal', 'empty'], probability: 0.1, heat: 0.0 },
+];
+
+// Name -> ID lookup
+const MATERIAL_IDS = new Map(MATERIALS.map((material, id) => [material.name, id]));
+
+/**
+ * Resolves a material name to its ID.
+ * @param {string} name - The material name.
+ * @returns {number} - The material ID.
+ */
+export function getMaterialId(name) {
+    const id = MATERIAL_IDS.get(name);
+    if (id === undefined) {
+        throw new Error(`Unknown material: ${name}`);
+    }
+    return id;
+}
+
+// "self,other" -> reaction outcome for the cell of material `self`; the first
+// declared reaction wins, matching the order of the compiled GLSL branches
+const REACTION_LOOKUP = new Map();
+for (const reaction of REACTIONS) {
+    const [a, b] = reaction.reactants.map(getMaterialId);
+    const [productA, productB] = reaction.products.map(getMaterialId);
+    const sides = a === b ? [[a, b, productA]] : [[a, b, productA], [b, a, productB]];
+    for (const [self, other, product] of sides) {
+        const key = `${self},${other}`;
+        if (!REACTION_LOOKUP.has(key)) {
+            REACTION_LOOKUP.set(key, { product, probability: reaction.probability, heat: reaction.heat });
+        }
+    }
+}
+
+/**
+ * Looks up the reaction between a cell and one neighbour, mirroring the
+ * compiled GLSL `react` function.
+ * @param {number} self - Material ID of the reacting cell.
+ * @param {number} other - Material ID of the neighbour.
+ * @returns {{product: number, probability: number, heat: number}|null} - The outcome for the reacting cell, or null.
+ */
+export function findReaction(self, other) {
+    return REACTION_LOOKUP.get(`${self},${other}`) || null;
+}
+
+/**
+ * Generates the GLSL material library: property tables indexed by material
+ * ID, the reaction lookup compiled from REACTIONS and helper accessors.
+ * Spliced into the update and render shaders.
+ * @returns {string} - GLSL source.
+ */
+export function buildMaterialShaderLibrary() {
+    const count = MATERIALS.length;
+    const floatList = (values) => values.map(glslFloat).join(', ');
+    const optionalId = (name) => (name === null ? -1 : getMaterialId(name));
+
+    const lines = [
+        `const int MATERIAL_COUNT = ${count};`,
+        ...Object.entries(PHASES).map(([name, value]) => `const int PHASE_${name} = ${value};`),
+        ...MATERIALS.map((material, id) => `const int MAT_${material.name.toUpperCase()} = ${id};`),
+        `const vec3 MATERIAL_COLOR[${count}] = vec3[${count}](${MATERIALS.map((m) => `vec3(${floatList(m.color)})`).join(', ')});`,
+        `const float MATERIAL_DENSITY[${count}] = float[${count}](${floatList(MATERIALS.map((m) => m.density))});`,
+        `const int MATERIAL_PHASE[${count}] = int[${count}](${MATERIALS.map((m) => m.phase).join(', ')});`,
+        `const float MATERIAL_MELTING_POINT[${count}] = float[${count}](${floatList(MATERIALS.map((m) => (m.meltingPoint === null ? 2.0 : m.meltingPoint)))});`,
+        `const int MATERIAL_MELTS_INTO[${count}] = int[${count}](${MATERIALS.map((m) => optionalId(m.meltsInto)).join(', ')});`,
+        `const float MATERIAL_FREEZING_POINT[${count}] = float[${count}](${floatList(MATERIALS.map((m) => (m.freezingPoint === null ? -1.0 : m.freezingPoint)))});`,
+        `const int MATERIAL_FREEZES_INTO[${count}] = int[${count}](${MATERIALS.map((m) => optionalId(m.freezesInto)).join(', ')});`,
+        `const float MATERIAL_FLAMMABILITY[${count}] = float[${count}](${floatList(MATERIALS.map((m) => m.flammability))});`,
+        `const float MATERIAL_MAGIC_AFFINITY[${count}] = float[${count}](${floatList(MATERIALS.map((m) => m.magicAffinity))});`,
+        `const float MATERIAL_EMITS_HEAT[${count}] = float[${count}](${floatList(MATERIALS.map((m) => m.emitsHeat))});`,
+        `const float MATERIAL_LIFETIME[${count}] = float[${count}](${floatList(MATERIALS.map((m) => m.lifetime))});`,
+        `const int MATERIAL_DECAYS_INTO[${count}] = int[${count}](${MATERIALS.map((m) => optionalId(m.decaysInto)).join(', ')});`,
+        '',
+        'int materialId(vec4 material) {',
+        '    return clamp(int(material.r + 0.5), 0, MATERIAL_COUNT - 1);',
+        '}',
+        '',
+        '// Looks up the reaction between a cell and one neighbour',
+        'bool react(int self, int other, out int product, out float probability, out float heat) {',
+    ];
+
+    for (const [key, outcome] of REACTION_LOOKUP) {
+        const [self, other] = key.split(',');
+        lines.push(
+            `    if (self == ${self} && other == ${other}) { product = ${outcome.product}; probability = ${glslFloat(outcome.probability)}; heat = ${glslFloat(outcome.heat)}; return true; }`
+        );
+    }
+
+    lines.push(
+        '    product = self;',
+        '    probability = 0.0;',
+        '    heat = 0.0;',
+        '    return false;',
+        '}',
+    );
+
+    return lines.join('\n');
+}
+
+/**
+ * Formats a number as a GLSL float literal.
+ * @param {number} value - The value to format.
+ * @returns {string} - The literal.
+ */
+function glslFloat(value) {
+    const text = String(value);
+    return /[.e]/.test(text) ? text : `${text}.0`;
+}
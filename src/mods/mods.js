@@ -0,0 +1,328 @@
+// src/mods/mods.js
+
+import { initializeUpdateProgram, initializeRenderProgram, MOD_SOURCE_MARKER } from '../rendering/rendering.js';
+
+/**
+ * Setters and starting values of the uniform types a mod can declare.
+ */
+const UNIFORM_TYPES = {
+    float: { zero: 0, set: (gl, location, value) => gl.uniform1f(location, value) },
+    int: { zero: 0, set: (gl, location, value) => gl.uniform1i(location, value) },
+    bool: { zero: false, set: (gl, location, value) => gl.uniform1i(location, value ? 1 : 0) },
+    vec2: { zero: [0, 0], set: (gl, location, value) => gl.uniform2fv(location, value) },
+    vec3: { zero: [0, 0, 0], set: (gl, location, value) => gl.uniform3fv(location, value) },
+    vec4: { zero: [0, 0, 0, 0], set: (gl, location, value) => gl.uniform4fv(location, value) },
+};
+
+const MOD_HOOKS = ['onTick', 'onYear', 'onInput'];
+
+const GLSL_IDENTIFIER = /^[A-Za-z_][A-Za-z0-9_]*$/;
+
+/**
+ * Loads mods at runtime and owns the shader programs they are spliced into.
+ *
+ * A mod is an ES module whose default export describes it:
+ *
+ *     export default {
+ *         name: 'Glowing moss',      // Loading a mod with the same name replaces it
+ *         uniforms: {                // Declared in both shaders; set with setUniform
+ *             u_mossGlow: { type: 'float', value: 0.5 },
+ *         },
+ *         glsl: `...`,               // Functions and constants shared by both rules
+ *         update: `...`,             // Body of the update rule
+ *         render: `...`,             // Body of the render rule
+ *         onTick(context) {},        // After every tick
+ *         onYear(context) {},        // When a year completes
+ *         onInput(input, context) {},// Before a tick's input is applied; may return a replacement
+ *     };
+ *
+ * Every field but the name is optional. The update rule is the body of
+ * `void rule(inout vec4 state, inout vec4 material, ivec2 texel, ivec2 worldCell)`
+ * and runs after the built-in rules on the cell's next state and material;
+ * it can read the current grid (u_currentState, u_currentMaterial) and the
+ * update shader's helpers. The render rule is the body of
+ * `void rule(inout vec3 color, vec4 state, vec4 material, ivec2 texel)` and
+ * recolors the natural view. The shared GLSL is spliced into both shaders,
+ * so it should only use GLSL built-ins and the mod's own uniforms.
+ *
+ * Hooks receive a context with the tick, year, simulation constants, climate,
+ * the first player's ship, every ship and setUniform. They run wherever the engine runs, often
+ * a worker, so they can't reach the page. Mods are not recorded in replays,
+ * so a replay only plays back faithfully with the same mods loaded.
+ *
+ * Shader errors are reported through onError with their line numbers
+ * counted in the mod's own strings, and the previous programs stay in use.
+ * A hook that throws is reported and switched off.
+ */
+export class ModManager {
+    /**
+     * Builds the update and render programs, without mods.
+     * @param {WebGL2RenderingContext} gl - The WebGL context.
+     * @param {Object} simulationPrograms - The programs of performSimulationStep; its update program is replaced as mods come and go.
+     * @param {function({title: string, messages: Array<string>}): void} onError - Shows an error to the player.
+     */
+    constructor(gl, simulationPrograms, onError) {
+        this.gl = gl;
+        this.simulationPrograms = simulationPrograms;
+        this.onError = onError;
+        // Loaded mods in load order, all compiled into the current programs
+        this.mods = [];
+
+        simulationPrograms.update = initializeUpdateProgram(gl);
+        this.renderProgram = initializeRenderProgram(gl);
+    }
+
+    /**
+     * Loads a mod from a file the player picked or dropped.
+     * @param {File} file - The mod's module source.
+     * @returns {Promise<boolean>} - Whether the mod is now loaded.
+     */
+    async loadFile(file) {
+        const url = URL.createObjectURL(new Blob([await file.text()], { type: 'text/javascript' }));
+        try {
+            return await this.loadUrl(url, file.name);
+        } finally {
+            URL.revokeObjectURL(url);
+        }
+    }
+
+    /**
+     * Loads a mod from a URL.
+     * @param {string} url - The mod's module.
+     * @param {string} [label] - How to refer to it in errors.
+     * @returns {Promise<boolean>} - Whether the mod is now loaded.
+     */
+    async loadUrl(url, label = url) {
+        let definition;
+        try {
+            definition = (await import(url)).default;
+        } catch (error) {
+            this.onError({ title: `Could not load ${label}`, messages: [error.message] });
+            return false;
+        }
+        return this.register(definition, label);
+    }
+
+    /**
+     * Adds a mod, or replaces the loaded mod of the same name, and rebuilds
+     * the programs with it. If they don't build, nothing changes.
+     * @param {Object} definition - The mod, see ModManager.
+     * @param {string} [label] - How to refer to it in errors before its name is known.
+     * @returns {boolean} - Whether the mod is now loaded.
+     */
+    register(definition, label = 'mod') {
+        let mod;
+        try {
+            mod = normalizeMod(definition);
+            for (const other of this.mods) {
+                if (other.name === mod.name) continue;
+                const shared = Object.keys(mod.uniforms).find((name) => name in other.uniforms);
+                if (shared) throw new Error(`Uniform ${shared} is already declared by ${other.name}.`);
+            }
+        } catch (error) {
+            this.onError({ title: `Could not load ${label}`, messages: [error.message] });
+            return false;
+        }
+
+        const mods = this.mods.filter((other) => other.name !== mod.name);
+        mods.push(mod);
+        return this.rebuild(mods, `Mod ${mod.name} failed to compile`);
+    }
+
+    /**
+     * Removes a mod and rebuilds the programs without it.
+     * @param {string} name - The mod's name.
+     * @returns {boolean} - Whether it was loaded and is now gone.
+     */
+    unregister(name) {
+        const mods = this.mods.filter((mod) => mod.name !== name);
+        if (mods.length === this.mods.length) return false;
+        return this.rebuild(mods, `Could not unload ${name}`);
+    }
+
+    /**
+     * Sets a uniform declared by a loaded mod, in both programs. Values
+     * outlive rebuilds.
+     * @param {string} name - The uniform's name.
+     * @param {number|boolean|Array<number>} value - Its new value, matching its type.
+     */
+    setUniform(name, value) {
+        const mod = this.mods.find((candidate) => name in candidate.uniforms);
+        if (!mod) throw new Error(`No loaded mod declares the uniform ${name}.`);
+        mod.uniforms[name].value = value;
+        this.uploadUniform(name, mod.uniforms[name]);
+    }
+
+    /**
+     * Runs the onInput hooks over a tick's input.
+     * @param {{buttons: Array<number>, strokes: Array<Object>}} input - The tick's input, see readTickInput.
+     * @param {Object} context - See ModManager.
+     * @returns {{buttons: Array<number>, strokes: Array<Object>}} - The input to apply.
+     */
+    onInput(input, context) {
+        for (const mod of this.mods) {
+            input = this.callHook(mod, 'onInput', input, context) ?? input;
+        }
+        return input;
+    }
+
+    /**
+     * Runs the onTick hooks, after a tick.
+     * @param {Object} context - See ModManager.
+     */
+    onTick(context) {
+        for (const mod of this.mods) this.callHook(mod, 'onTick', context);
+    }
+
+    /**
+     * Runs the onYear hooks, when a year completes.
+     * @param {Object} context - See ModManager.
+     */
+    onYear(context) {
+        for (const mod of this.mods) this.callHook(mod, 'onYear', context);
+    }
+
+    /**
+     * Calls one hook of one mod, switching it off if it throws.
+     * @param {Object} mod - The loaded mod.
+     * @param {string} hook - One of MOD_HOOKS.
+     * @param {...*} args - The hook's arguments.
+     * @returns {*} - What the hook returned, undefined if it has none or failed.
+     */
+    callHook(mod, hook, ...args) {
+        if (!mod.hooks[hook]) return undefined;
+        try {
+            return mod.hooks[hook](...args);
+        } catch (error) {
+            // Rather than failing again on every tick
+            mod.hooks[hook] = null;
+            console.error(`Mod ${mod.name}: ${hook} failed:`, error);
+            this.onError({ title: `Mod ${mod.name}: ${hook} failed and was switched off`, messages: [error.message] });
+            return undefined;
+        }
+    }
+
+    /**
+     * Builds both programs with the given mods and swaps them in. If either
+     * fails, the current programs and mods stay as they are.
+     * @param {Array<Object>} mods - The mods to build with, in load order.
+     * @param {string} title - Headline of the error, should it fail.
+     * @returns {boolean} - Whether the programs were swapped.
+     */
+    rebuild(mods, title) {
+        const gl = this.gl;
+        let update = null;
+        let render;
+        try {
+            update = initializeUpdateProgram(gl, mods);
+            render = initializeRenderProgram(gl, mods);
+        } catch (error) {
+            if (update) gl.deleteProgram(update);
+            console.error(`${title}:`, error.message);
+            this.onError({ title: `${title}; the previous shaders are still in use`, messages: traceShaderError(error, mods) });
+            return false;
+        }
+
+        gl.deleteProgram(this.simulationPrograms.update);
+        gl.deleteProgram(this.renderProgram);
+        this.simulationPrograms.update = update;
+        this.renderProgram = render;
+        this.mods = mods;
+
+        // Uniform values belong to a program, so the new ones start unset
+        for (const mod of mods) {
+            for (const [name, uniform] of Object.entries(mod.uniforms)) this.uploadUniform(name, uniform);
+        }
+        return true;
+    }
+
+    /**
+     * Uploads a uniform's value to both programs.
+     * @param {string} name - The uniform's name.
+     * @param {{type: string, value: *}} uniform - Its type and value.
+     */
+    uploadUniform(name, uniform) {
+        const gl = this.gl;
+        for (const program of [this.simulationPrograms.update, this.renderProgram]) {
+            gl.useProgram(program);
+            UNIFORM_TYPES[uniform.type].set(gl, gl.getUniformLocation(program, name), uniform.value);
+        }
+        gl.useProgram(null);
+    }
+}
+
+/**
+ * Checks a mod's description and copies it into the shape ModManager keeps.
+ * @param {Object} definition - The mod, see ModManager.
+ * @returns {Object} - The mod, with every field present and its hooks bound to it.
+ * @throws {Error} - If the description is malformed.
+ */
+function normalizeMod(definition) {
+    if (!definition || typeof definition !== 'object') {
+        throw new Error('A mod must describe itself in its default export.');
+    }
+    const { name, uniforms = {}, glsl = '', update = '', render = '' } = definition;
+    if (typeof name !== 'string' || name === '') {
+        throw new Error('A mod needs a name.');
+    }
+    for (const [field, source] of Object.entries({ glsl, update, render })) {
+        if (typeof source !== 'string') throw new Error(`${name}: ${field} must be a string of GLSL.`);
+    }
+
+    const copiedUniforms = {};
+    for (const [uniform, { type, value } = {}] of Object.entries(uniforms)) {
+        if (!GLSL_IDENTIFIER.test(uniform)) {
+            throw new Error(`${name}: ${uniform} is not a valid uniform name.`);
+        }
+        if (!(type in UNIFORM_TYPES)) {
+            throw new Error(`${name}: uniform ${uniform} has type ${type}; use one of ${Object.keys(UNIFORM_TYPES).join(', ')}.`);
+        }
+        copiedUniforms[uniform] = { type, value: value ?? UNIFORM_TYPES[type].zero };
+    }
+
+    const hooks = {};
+    for (const hook of MOD_HOOKS) {
+        hooks[hook] = typeof definition[hook] === 'function' ? definition[hook].bind(definition) : null;
+    }
+    return { name, uniforms: copiedUniforms, glsl, update, render, hooks };
+}
+
+/**
+ * Turns a shader error into one message per problem, with each line number
+ * traced back to the mod string it falls in, see MOD_SOURCE_MARKER.
+ * @param {Error} error - As thrown by initializeUpdateProgram or initializeRenderProgram.
+ * @param {Array<Object>} mods - The mods the shader was built with.
+ * @returns {Array<string>} - The messages, without duplicates.
+ */
+function traceShaderError(error, mods) {
+    if (typeof error.log !== 'string') return [error.message];
+    const sourceLines = error.source ? error.source.split('\n') : [];
+    const messages = new Set();
+    for (const entry of error.log.split('\n')) {
+        const text = entry.trim().replace(/\0/g, '');
+        if (text === '') continue;
+        // e.g. "ERROR: 0:412: 'foo' : undeclared identifier"
+        const match = /^ERROR:\s*\d+:(\d+):\s*(.*)$/.exec(text);
+        messages.add(match && sourceLines.length > 0 ? `${locateLine(sourceLines, Number(match[1]), mods)}: ${match[2]}` : text);
+    }
+    return messages.size > 0 ? [...messages] : [error.message];
+}
+
+/**
+ * Finds which mod string a line of a generated shader belongs to.
+ * @param {Array<string>} sourceLines - The shader's lines.
+ * @param {number} line - 1-based line number in the shader.
+ * @param {Array<Object>} mods - The mods the shader was built with.
+ * @returns {string} - e.g. "Glowing moss, update line 3".
+ */
+function locateLine(sourceLines, line, mods) {
+    for (let i = Math.min(line, sourceLines.length) - 2; i >= 0; i--) {
+        const text = sourceLines[i].trim();
+        if (!text.startsWith(MOD_SOURCE_MARKER)) continue;
+        const [index, block] = text.slice(MOD_SOURCE_MARKER.length).trim().split(' ');
+        if (index === 'end') break;
+        // The marker is shader line i + 1, so the string's first line is i + 2
+        return `${mods[Number(index)].name}, ${block} line ${line - 1 - i}`;
+    }
+    return `built-in shader line ${line}`;
+}
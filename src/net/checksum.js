@@ -0,0 +1,130 @@
+// src/net/checksum.js
+
+import { AsyncReadback, TICK_READBACK_LATENCY } from '../utils/readback.js';
+import { crc32, createTexture } from '../utils/utils.js';
+
+// Cells between the sampled cells of the grid, along each axis
+const SAMPLE_STRIDE = 8;
+
+/**
+ * Hashes the simulation state at a tick, so peers can check they agree.
+ *
+ * The hash covers the ships' positions, motion, hull, energy and cargo, the
+ * sum, minimum and maximum of every attribute over the grid, reduced on the
+ * GPU (see WorldStats), and every SAMPLE_STRIDE-th cell of the attribute and
+ * material textures along each axis, so cells that swap contents without
+ * changing the totals are caught too. Where the sampled cells start within
+ * the stride follows from the tick, so over many captures every cell gets
+ * compared. The grid part is read back without blocking and lands
+ * TICK_READBACK_LATENCY ticks later, like every readback the simulation
+ * depends on, so every peer gets its hash on the same tick. One capture is
+ * in flight at a time.
+ */
+export class StateChecksum {
+    /**
+     * Creates the readback buffer.
+     * @param {WebGL2RenderingContext} gl - The WebGL context.
+     * @param {WorldStats} worldStats - Provides the reduction passes.
+     */
+    constructor(gl, worldStats) {
+        this.gl = gl;
+        this.worldStats = worldStats;
+
+        // One texel per sampled cell, attributes on the first attachment and materials on the second
+        this.sampleWidth = Math.floor(worldStats.width / SAMPLE_STRIDE) - 1;
+        this.sampleHeight = Math.floor(worldStats.height / SAMPLE_STRIDE) - 1;
+        this.sampleTextures = [0, 1].map(() => createTexture(gl, this.sampleWidth, this.sampleHeight, null));
+        this.sampleFramebuffer = gl.createFramebuffer();
+        gl.bindFramebuffer(gl.FRAMEBUFFER, this.sampleFramebuffer);
+        this.sampleTextures.forEach((texture, i) => {
+            gl.framebufferTexture2D(gl.FRAMEBUFFER, gl.COLOR_ATTACHMENT0 + i, gl.TEXTURE_2D, texture, 0);
+        });
+        gl.bindFramebuffer(gl.FRAMEBUFFER, null);
+
+        // Readback layout, in RGBA texels: sum, min, max, sampled attributes, sampled materials
+        this.readback = new AsyncReadback(gl, (3 + 2 * this.sampleWidth * this.sampleHeight) * 4);
+    }
+
+    /**
+     * Starts hashing the state after a tick, unless a capture is in flight.
+     * @param {number} tick - The tick that just ran.
+     * @param {SimulationState} simulationState - The simulation state.
+     * @param {Array<PlayerShip>} ships - The ships.
+     * @returns {boolean} - Whether a capture was started.
+     */
+    capture(tick, simulationState, ships) {
+        if (this.readback.busy) return false;
+        const shipValues = new Float64Array(ships.flatMap((ship) => [
+            ship.position.x, ship.position.y, ship.velocity.x, ship.velocity.y, ship.angle,
+            ship.hull, ship.energy, ship.tools.cargo,
+        ]));
+        const gl = this.gl;
+        const { sampleWidth, sampleHeight } = this;
+        this.worldStats.reduce(simulationState.current);
+        this.sampleCells(tick, simulationState);
+        this.readback.start(() => {
+            this.worldStats.readReduction();
+            gl.bindFramebuffer(gl.FRAMEBUFFER, this.sampleFramebuffer);
+            for (let i = 0; i < 2; i++) {
+                gl.readBuffer(gl.COLOR_ATTACHMENT0 + i);
+                gl.readPixels(0, 0, sampleWidth, sampleHeight, gl.RGBA, gl.FLOAT, (3 + i * sampleWidth * sampleHeight) * 16);
+            }
+            gl.readBuffer(gl.COLOR_ATTACHMENT0);
+            gl.bindFramebuffer(gl.FRAMEBUFFER, null);
+        }, { tick, shipValues });
+        return true;
+    }
+
+    /**
+     * Copies every SAMPLE_STRIDE-th cell of the attribute and material
+     * textures into the sample textures, starting at an offset within the
+     * stride picked from the tick.
+     * @param {number} tick - The tick being hashed.
+     * @param {SimulationState} simulationState - The simulation state.
+     */
+    sampleCells(tick, simulationState) {
+        const gl = this.gl;
+        const phase = crc32(new Uint8Array(new Uint32Array([tick]).buffer));
+        const x = phase % SAMPLE_STRIDE;
+        const y = (phase >>> 8) % SAMPLE_STRIDE;
+        const { sampleWidth, sampleHeight } = this;
+
+        gl.bindFramebuffer(gl.READ_FRAMEBUFFER, simulationState.readFramebuffer);
+        gl.bindFramebuffer(gl.DRAW_FRAMEBUFFER, this.sampleFramebuffer);
+        for (let i = 0; i < 2; i++) {
+            // Nearest filtering of the shrunk copy keeps one cell per stride
+            gl.readBuffer(gl.COLOR_ATTACHMENT0 + i);
+            gl.drawBuffers(i === 0 ? [gl.COLOR_ATTACHMENT0, gl.NONE] : [gl.NONE, gl.COLOR_ATTACHMENT1]);
+            gl.blitFramebuffer(
+                x, y, x + sampleWidth * SAMPLE_STRIDE, y + sampleHeight * SAMPLE_STRIDE,
+                0, 0, sampleWidth, sampleHeight,
+                gl.COLOR_BUFFER_BIT, gl.NEAREST
+            );
+        }
+        gl.readBuffer(gl.COLOR_ATTACHMENT0);
+        gl.drawBuffers([gl.COLOR_ATTACHMENT0, gl.COLOR_ATTACHMENT1]);
+        gl.bindFramebuffer(gl.READ_FRAMEBUFFER, null);
+        gl.bindFramebuffer(gl.DRAW_FRAMEBUFFER, null);
+    }
+
+    /**
+     * Collects the capture once it is due. Call once per tick.
+     * @returns {{tick: number, hash: number}|null} - The captured tick and its hash, or null.
+     */
+    collect() {
+        const result = this.readback.pollAfter(TICK_READBACK_LATENCY);
+        if (!result) return null;
+        const { tick, shipValues } = result.context;
+        const bytes = new Uint8Array(result.data.byteLength + shipValues.byteLength);
+        bytes.set(new Uint8Array(result.data.buffer), 0);
+        bytes.set(new Uint8Array(shipValues.buffer), result.data.byteLength);
+        return { tick, hash: crc32(bytes) };
+    }
+
+    /**
+     * Drops a capture in flight, e.g. when the world is replaced.
+     */
+    cancel() {
+        this.readback.cancel();
+    }
+}
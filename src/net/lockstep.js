@@ -0,0 +1,385 @@
+// src/net/lockstep.js
+
+// Ticks between sampling a peer's input and running it, so it has time to
+// reach the others before they need it
+export const INPUT_DELAY = 4;
+
+// Ticks between state checksums
+export const CHECKSUM_INTERVAL = 60;
+
+// Milliseconds between hello messages, and of silence after which a peer counts as gone
+const HEARTBEAT_INTERVAL = 1000;
+const PEER_TIMEOUT = 5000;
+
+/**
+ * Deterministic lockstep over a transport (see transport.js).
+ *
+ * Every peer runs the whole simulation and only inputs cross the network.
+ * Each tick a peer sends the input it samples, due INPUT_DELAY ticks later,
+ * and a tick runs once every peer's input for it has arrived. The
+ * simulation follows from the seed, the constants and the inputs alone (the
+ * same property replays rely on), so all peers stay in the same state.
+ * Constants changed in the dev panel travel with the input, so they apply
+ * on the same tick everywhere.
+ *
+ * Peers find each other with hello messages, repeated as a heartbeat. The
+ * peer with the lowest id hosts: whenever the set of peers changes, it
+ * starts a new session with its seed and constants, and every peer restarts
+ * the world from them with a ship per player, in the session's peer order.
+ * A peer that joins before it hears from the host may start a session of its
+ * own, so a start only counts if it comes from the lowest id the receiver
+ * knows of, and hellos name the sender's session: the host sends its start
+ * again to a peer of its session that reports another one.
+ * A peer that says bye or falls silent for PEER_TIMEOUT is dropped the same
+ * way, and a peer left alone keeps its world and plays on.
+ *
+ * Every CHECKSUM_INTERVAL ticks the peers exchange a hash of their state
+ * (see StateChecksum). The first tick whose hashes differ is kept in
+ * `desyncAt`.
+ *
+ * Messages, each with `type` and the sender's `peer`:
+ *   hello     players: local players of the sender, session: its session or null
+ *   bye       -
+ *   start     session, peers: [{peer, players}], seed, params
+ *   input     session, tick, buttons: packed controls per local player, strokes, params: changed constants or null
+ *   checksum  session, tick, hash
+ */
+export class Lockstep {
+    /**
+     * Joins the room and says hello.
+     * @param {Object} transport - The transport to the other peers.
+     * @param {number} localPlayers - Players on this machine, each flying a ship.
+     * @param {Object} handlers - Callbacks into the engine.
+     * @param {function(): {seed: number, params: Object}} handlers.getWorld - The world a session hosted here starts from.
+     * @param {function(Object): void} handlers.onStart - Restart the world for a session: seed, params, players and firstPlayer.
+     * @param {function(): void} handlers.onEnd - Carry on alone after the other peers left.
+     */
+    constructor(transport, localPlayers, handlers) {
+        this.transport = transport;
+        this.localPlayers = localPlayers;
+        this.handlers = handlers;
+        this.peer = Math.random().toString(36).slice(2, 10);
+
+        // The other peers in the room, by id: their local players and when they were last heard from
+        this.peers = new Map();
+        // The current session, or null while playing alone
+        this.session = null;
+        // Inputs by session, then tick, then peer; inputs for a session that
+        // hasn't started here yet are kept until it does
+        this.inputs = new Map();
+        // Hashes by tick, then peer, until every peer's has arrived
+        this.checksums = new Map();
+        this.desyncAt = null;
+        // Constants changed here, sent with the next input
+        this.pendingParams = null;
+
+        this.lastHeartbeat = 0;
+        transport.onMessage = (message) => this.handleMessage(message);
+        this.sayHello();
+    }
+
+    /**
+     * Sends the heartbeat and drops silent peers. Call every frame.
+     * @param {number} now - Current time in milliseconds.
+     */
+    update(now) {
+        if (now - this.lastHeartbeat >= HEARTBEAT_INTERVAL) {
+            this.sayHello();
+            this.lastHeartbeat = now;
+        }
+
+        let dropped = false;
+        for (const [peer, { lastSeen }] of this.peers) {
+            if (now - lastSeen > PEER_TIMEOUT) {
+                console.warn(`Peer ${peer} timed out.`);
+                this.peers.delete(peer);
+                dropped = true;
+            }
+        }
+        if (dropped) this.onPeersChanged();
+    }
+
+    /**
+     * Says bye and leaves the room.
+     */
+    leave() {
+        this.send({ type: 'bye' });
+        this.transport.close();
+    }
+
+    /**
+     * Whether every peer's input for a tick has arrived.
+     * @param {number} tick - The tick to run next.
+     * @returns {boolean}
+     */
+    isReady(tick) {
+        if (!this.session) return false;
+        const inputs = this.getSessionInputs(this.session.id).get(tick);
+        return !!inputs && this.session.peers.every(({ peer }) => inputs.has(peer));
+    }
+
+    /**
+     * Sends the input sampled on this machine while running a tick. It
+     * applies INPUT_DELAY ticks later, on every peer.
+     * @param {number} tick - The tick about to run.
+     * @param {{buttons: Array<number>, strokes: Array<Object>}} input - The local input, see readTickInput.
+     */
+    submit(tick, input) {
+        const message = {
+            type: 'input',
+            session: this.session.id,
+            tick: tick + INPUT_DELAY,
+            buttons: input.buttons,
+            strokes: input.strokes,
+            params: this.pendingParams,
+        };
+        this.pendingParams = null;
+        this.storeInput(this.peer, message);
+        this.send(message);
+    }
+
+    /**
+     * Merges and forgets every peer's input for a tick. Check isReady first.
+     * @param {number} tick - The tick about to run.
+     * @returns {{buttons: Array<number>, strokes: Array<Object>, params: Object|null}} - Packed controls
+     *     per ship in session order, every stroke, and the constants changed at this tick.
+     */
+    take(tick) {
+        const sessionInputs = this.getSessionInputs(this.session.id);
+        const inputs = sessionInputs.get(tick);
+        sessionInputs.delete(tick);
+
+        const merged = { buttons: [], strokes: [], params: null };
+        for (const { peer, players } of this.session.peers) {
+            const input = inputs.get(peer);
+            for (let i = 0; i < players; i++) merged.buttons.push(input.buttons[i] || 0);
+            merged.strokes.push(...input.strokes);
+            if (input.params) merged.params = { ...merged.params, ...input.params };
+        }
+        return merged;
+    }
+
+    /**
+     * Holds back a change to the constants until it can apply on every peer
+     * at once.
+     * @param {Object} changes - Changed constants by name.
+     */
+    queueParams(changes) {
+        this.pendingParams = { ...this.pendingParams, ...changes };
+    }
+
+    /**
+     * Shares the hash of the state at a tick and compares it with the others'.
+     * @param {number} tick - The tick the state was hashed at.
+     * @param {number} hash - The hash, see StateChecksum.
+     */
+    submitChecksum(tick, hash) {
+        if (!this.session) return;
+        this.send({ type: 'checksum', session: this.session.id, tick, hash });
+        this.storeChecksum(this.peer, tick, hash);
+    }
+
+    /**
+     * Describes the session for the HUD.
+     * @param {number} tick - The next tick to run.
+     * @returns {{peers: number, players: number, waiting: boolean, desyncAt: number|null}} - Peers and
+     *     players in the session, whether the tick is held up by another peer, and the first desynced tick.
+     */
+    getStatus(tick) {
+        return {
+            peers: this.session ? this.session.peers.length : 1,
+            players: this.session ? this.session.players : this.localPlayers,
+            waiting: !!this.session && !this.isReady(tick),
+            desyncAt: this.desyncAt,
+        };
+    }
+
+    /**
+     * Handles a message from another peer.
+     * @param {Object} message - The message.
+     */
+    handleMessage(message) {
+        const { peer } = message;
+        if (peer === this.peer) return;
+        if (message.type === 'bye') {
+            if (this.peers.delete(peer)) this.onPeersChanged();
+            return;
+        }
+
+        const known = this.peers.has(peer);
+        this.peers.set(peer, { players: known ? this.peers.get(peer).players : 1, lastSeen: performance.now() });
+        switch (message.type) {
+            case 'hello':
+                this.peers.get(peer).players = message.players;
+                if (!known) {
+                    // Answer right away, so the newcomer learns about this peer too
+                    this.sayHello();
+                    this.onPeersChanged();
+                } else if (this.isHost() && !this.includes(peer)) {
+                    // It missed the last start, or joined while it was on its way
+                    this.onPeersChanged();
+                } else if (this.isHost() && this.session && message.session !== this.session.id) {
+                    // It is in the session but followed a start of its own, or missed ours
+                    this.send(this.session.start);
+                }
+                break;
+            case 'start':
+                if (this.acceptsStart(message)) this.startSession(message);
+                break;
+            case 'input':
+                this.storeInput(peer, message);
+                break;
+            case 'checksum':
+                if (this.session && message.session === this.session.id) this.storeChecksum(peer, message.tick, message.hash);
+                break;
+        }
+    }
+
+    /**
+     * Whether this peer hosts: it has the lowest id in the room.
+     * @returns {boolean}
+     */
+    isHost() {
+        for (const peer of this.peers.keys()) {
+            if (peer < this.peer) return false;
+        }
+        return true;
+    }
+
+    /**
+     * Whether to join the session a start message begins: it must list this
+     * peer, be new, and come from the lowest id known here, so a start sent
+     * by a peer that wrongly thought it hosted is ignored.
+     * @param {Object} start - The start message.
+     * @returns {boolean}
+     */
+    acceptsStart(start) {
+        if (this.session && this.session.id === start.session) return false;
+        if (!start.peers.some((entry) => entry.peer === this.peer)) return false;
+        if (this.peer < start.peer) return false;
+        for (const peer of this.peers.keys()) {
+            if (peer < start.peer) return false;
+        }
+        return true;
+    }
+
+    /**
+     * Whether a peer takes part in the current session.
+     * @param {string} peer - The peer's id.
+     * @returns {boolean}
+     */
+    includes(peer) {
+        return !!this.session && this.session.peers.some((entry) => entry.peer === peer);
+    }
+
+    /**
+     * Reacts to peers joining or leaving: alone, carries on without a
+     * session; as the host, starts a new session with everyone.
+     */
+    onPeersChanged() {
+        if (this.peers.size === 0) {
+            if (this.session) {
+                this.session = null;
+                this.inputs.clear();
+                this.handlers.onEnd();
+            }
+            return;
+        }
+        if (!this.isHost()) return;
+
+        const peers = [{ peer: this.peer, players: this.localPlayers }];
+        for (const [peer, { players }] of this.peers) peers.push({ peer, players });
+        peers.sort((a, b) => (a.peer < b.peer ? -1 : 1));
+        const { seed, params } = this.handlers.getWorld();
+        const start = { type: 'start', session: Math.random().toString(36).slice(2, 10), peers, seed, params: { ...params } };
+        this.send(start);
+        this.startSession(start);
+    }
+
+    /**
+     * Joins a session: forgets the previous one's inputs and checksums, fills
+     * in the inputs of the first INPUT_DELAY ticks, which nobody sends, and
+     * has the engine restart the world.
+     * @param {Object} start - The start message.
+     */
+    startSession(start) {
+        let players = 0;
+        let firstPlayer = 0;
+        for (const { peer, players: count } of start.peers) {
+            if (peer === this.peer) firstPlayer = players;
+            players += count;
+        }
+        this.session = { id: start.session, peers: start.peers, players, start };
+
+        const sessionInputs = this.getSessionInputs(start.session);
+        for (const id of this.inputs.keys()) {
+            if (id !== start.session) this.inputs.delete(id);
+        }
+        for (let tick = 0; tick < INPUT_DELAY; tick++) {
+            if (!sessionInputs.has(tick)) sessionInputs.set(tick, new Map());
+            for (const { peer } of start.peers) {
+                sessionInputs.get(tick).set(peer, { buttons: [], strokes: [], params: null });
+            }
+        }
+        this.checksums.clear();
+        this.desyncAt = null;
+        this.pendingParams = null;
+
+        this.handlers.onStart({ seed: start.seed, params: start.params, players, firstPlayer });
+    }
+
+    /**
+     * Keeps a peer's input until its tick runs.
+     * @param {string} peer - The sender.
+     * @param {Object} message - The input message.
+     */
+    storeInput(peer, message) {
+        const sessionInputs = this.getSessionInputs(message.session);
+        if (!sessionInputs.has(message.tick)) sessionInputs.set(message.tick, new Map());
+        sessionInputs.get(message.tick).set(peer, { buttons: message.buttons, strokes: message.strokes, params: message.params });
+    }
+
+    /**
+     * The inputs received for a session, by tick.
+     * @param {string} session - The session id.
+     * @returns {Map<number, Map<string, Object>>}
+     */
+    getSessionInputs(session) {
+        if (!this.inputs.has(session)) this.inputs.set(session, new Map());
+        return this.inputs.get(session);
+    }
+
+    /**
+     * Keeps a peer's hash and compares the tick's hashes once all are in.
+     * @param {string} peer - The peer the hash came from.
+     * @param {number} tick - The tick it was taken at.
+     * @param {number} hash - The hash.
+     */
+    storeChecksum(peer, tick, hash) {
+        if (!this.checksums.has(tick)) this.checksums.set(tick, new Map());
+        const hashes = this.checksums.get(tick);
+        hashes.set(peer, hash);
+        if (!this.session.peers.every((entry) => hashes.has(entry.peer))) return;
+
+        this.checksums.delete(tick);
+        if (new Set(hashes.values()).size > 1 && (this.desyncAt === null || tick < this.desyncAt)) {
+            this.desyncAt = tick;
+            console.warn(`Peers desynced at tick ${tick}.`);
+        }
+    }
+
+    /**
+     * Says hello to the room.
+     */
+    sayHello() {
+        this.send({ type: 'hello', players: this.localPlayers, session: this.session ? this.session.id : null });
+    }
+
+    /**
+     * Sends a message to the other peers, signed with this peer's id.
+     * @param {Object} message - The message.
+     */
+    send(message) {
+        this.transport.send({ ...message, peer: this.peer });
+    }
+}
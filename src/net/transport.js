@@ -0,0 +1,98 @@
+// src/net/transport.js
+
+/*
+ * Transports carry lockstep messages (see Lockstep) between the peers of a
+ * room. Each has the same small surface:
+ *
+ *   send(message)   Delivers a plain object to every other peer in the room,
+ *                   never back to the sender
+ *   onMessage       Set to a function to receive the messages of the others
+ *   close()         Leaves the room
+ */
+
+/**
+ * A room shared by the tabs of one browser, through a BroadcastChannel.
+ */
+export class BroadcastChannelTransport {
+    /**
+     * Joins a room.
+     * @param {string} room - Room name; tabs in the same room play together.
+     */
+    constructor(room) {
+        this.onMessage = null;
+        this.channel = new BroadcastChannel(`pixel-physics-${room}`);
+        this.channel.addEventListener('message', (e) => {
+            if (this.onMessage) this.onMessage(e.data);
+        });
+    }
+
+    /**
+     * Sends a message to the other tabs in the room.
+     * @param {Object} message - The message.
+     */
+    send(message) {
+        this.channel.postMessage(message);
+    }
+
+    /**
+     * Leaves the room.
+     */
+    close() {
+        this.channel.close();
+    }
+}
+
+/**
+ * A room on a relay server (see tools/relay.mjs), through a WebSocket.
+ * Messages are sent as JSON text; those sent before the socket opens are
+ * held back until it does.
+ */
+export class WebSocketTransport {
+    /**
+     * Connects to the relay and joins a room.
+     * @param {string} url - The relay's address, e.g. ws://localhost:8787.
+     * @param {string} room - Room name; peers in the same room play together.
+     */
+    constructor(url, room) {
+        this.onMessage = null;
+        this.queue = [];
+        this.socket = new WebSocket(`${url.replace(/\/$/, '')}/${encodeURIComponent(room)}`);
+        this.socket.addEventListener('open', () => {
+            for (const message of this.queue) this.socket.send(JSON.stringify(message));
+            this.queue = [];
+        });
+        this.socket.addEventListener('message', (e) => {
+            if (this.onMessage) this.onMessage(JSON.parse(e.data));
+        });
+        this.socket.addEventListener('close', () => console.warn(`Disconnected from the relay at ${url}.`));
+    }
+
+    /**
+     * Sends a message to the other peers in the room.
+     * @param {Object} message - The message.
+     */
+    send(message) {
+        if (this.socket.readyState === WebSocket.CONNECTING) {
+            this.queue.push(message);
+        } else if (this.socket.readyState === WebSocket.OPEN) {
+            this.socket.send(JSON.stringify(message));
+        }
+    }
+
+    /**
+     * Leaves the room and closes the connection.
+     */
+    close() {
+        this.socket.close();
+    }
+}
+
+/**
+ * Opens the transport for a network game: a relay when one is given,
+ * otherwise a room between the tabs of this browser.
+ * @param {{room: string, relay: string|null}} net - Room name and relay address.
+ * @returns {BroadcastChannelTransport|WebSocketTransport} - The transport.
+ */
+export function createTransport(net) {
+    return net.relay ? new WebSocketTransport(net.relay, net.room) : new BroadcastChannelTransport(net.room);
+}
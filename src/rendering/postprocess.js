@@ -0,0 +1,288 @@
+// src/rendering/postprocess.js
+
+import {
+    initializeDownsampleProgram,
+    initializeLightPropagationProgram,
+    initializeBlurProgram,
+    initializeCompositeProgram,
+    drawFullscreenQuad,
+    bindTextures,
+} from './rendering.js';
+
+/**
+ * Post-processing passes and their settings. Passes start disabled.
+ * - bloom: Hot and magic cells bleed light into their surroundings.
+ * - lighting: Glowing cells light up the area around them; walls block it.
+ * - pixelArt: The picture is drawn in blocks of pixelSize screen pixels.
+ * - crt: Screen curvature, scanlines and an aperture grille.
+ * - vignette: Darkened screen corners.
+ */
+export const DEFAULT_POST_SETTINGS = {
+    bloom: false,
+    lighting: false,
+    pixelArt: false,
+    crt: false,
+    vignette: false,
+    bloomIntensity: 1.2,
+    ambientLight: 0.45, // Brightness of unlit areas with lighting on
+    lightFalloff: 0.93, // Light kept per quarter-resolution texel travelled
+    pixelSize: 4,
+};
+
+// Passes of the light propagation shader; light travels one texel per pass
+const LIGHT_ITERATIONS = 24;
+
+/**
+ * Runs the scene through the enabled post-processing passes.
+ *
+ * With any pass enabled, `begin()` returns a canvas-sized framebuffer to
+ * render the scene into: color in attachment 0, and emission in attachment 1
+ * (glow in rgb, opacity to light in a, written by the render and ship
+ * shaders). `finish()` then downsamples the emission to quarter resolution,
+ * spreads it as light and blurs it for bloom as needed, and composites the
+ * result onto the canvas. Lighting works in screen space, so its reach is in
+ * pixels, not cells.
+ *
+ * With every pass disabled, `begin()` returns null so the scene is drawn
+ * straight to the canvas, `finish()` does nothing, and no targets are
+ * allocated.
+ */
+export class PostProcessor {
+    /**
+     * Compiles the post-processing programs. Targets are allocated on first use.
+     * @param {WebGL2RenderingContext} gl - The WebGL context.
+     */
+    constructor(gl) {
+        this.gl = gl;
+        this.settings = { ...DEFAULT_POST_SETTINGS };
+
+        this.downsampleProgram = initializeDownsampleProgram(gl);
+        this.lightProgram = initializeLightPropagationProgram(gl);
+        this.blurProgram = initializeBlurProgram(gl);
+        this.compositeProgram = initializeCompositeProgram(gl);
+
+        this.targets = null;
+        this.active = false;
+    }
+
+    /**
+     * Whether any pass is enabled.
+     * @returns {boolean} - True if the scene needs post-processing.
+     */
+    isEnabled() {
+        const { bloom, lighting, pixelArt, crt, vignette } = this.settings;
+        return bloom || lighting || pixelArt || crt || vignette;
+    }
+
+    /**
+     * Starts a frame: picks where the scene should be drawn.
+     * @returns {WebGLFramebuffer|null} - The scene target, or null to draw straight to the canvas.
+     */
+    begin() {
+        this.active = this.isEnabled();
+        if (!this.active) {
+            this.releaseTargets();
+            return null;
+        }
+
+        const { gl } = this;
+        const width = gl.canvas.width;
+        const height = gl.canvas.height;
+        if (!this.targets || this.targets.width !== width || this.targets.height !== height) {
+            this.releaseTargets();
+            this.targets = createTargets(gl, width, height);
+        }
+
+        gl.bindFramebuffer(gl.FRAMEBUFFER, this.targets.scene.framebuffer);
+        gl.clearBufferfv(gl.COLOR, 1, [0, 0, 0, 0]);
+        gl.bindFramebuffer(gl.FRAMEBUFFER, null);
+        return this.targets.scene.framebuffer;
+    }
+
+    /**
+     * Runs the enabled passes over the scene drawn since begin() and draws
+     * the result to the canvas.
+     */
+    finish() {
+        if (!this.active) return;
+        const { gl, settings, targets } = this;
+
+        if (settings.bloom || settings.lighting) {
+            this.runPass(this.downsampleProgram, targets.emission, { u_source: targets.scene.emission });
+        }
+
+        let light = null;
+        if (settings.lighting) {
+            let source = targets.emission;
+            for (let i = 0; i < LIGHT_ITERATIONS; i++) {
+                const target = targets.light[i % 2];
+                this.runPass(this.lightProgram, target, {
+                    u_emission: targets.emission.texture,
+                    u_light: source.texture,
+                }, (program) => {
+                    gl.uniform1f(gl.getUniformLocation(program, 'u_falloff'), settings.lightFalloff);
+                });
+                source = target;
+            }
+            light = source;
+        }
+
+        if (settings.bloom) {
+            this.runPass(this.blurProgram, targets.bloom[0], { u_source: targets.emission.texture }, (program) => {
+                gl.uniform2f(gl.getUniformLocation(program, 'u_direction'), 1, 0);
+            });
+            this.runPass(this.blurProgram, targets.bloom[1], { u_source: targets.bloom[0].texture }, (program) => {
+                gl.uniform2f(gl.getUniformLocation(program, 'u_direction'), 0, 1);
+            });
+        }
+
+        // Disabled passes leave their sampler on the scene; the shader never reads it
+        this.runPass(this.compositeProgram, null, {
+            u_scene: targets.scene.color,
+            u_bloom: settings.bloom ? targets.bloom[1].texture : targets.scene.color,
+            u_light: light ? light.texture : targets.scene.color,
+        }, (program) => {
+            const uniform = (name) => gl.getUniformLocation(program, name);
+            gl.uniform1i(uniform('u_bloomEnabled'), settings.bloom ? 1 : 0);
+            gl.uniform1i(uniform('u_lightingEnabled'), settings.lighting ? 1 : 0);
+            gl.uniform1i(uniform('u_pixelArt'), settings.pixelArt ? 1 : 0);
+            gl.uniform1i(uniform('u_crt'), settings.crt ? 1 : 0);
+            gl.uniform1i(uniform('u_vignette'), settings.vignette ? 1 : 0);
+            gl.uniform1f(uniform('u_bloomIntensity'), settings.bloomIntensity);
+            gl.uniform1f(uniform('u_ambientLight'), settings.ambientLight);
+            gl.uniform1f(uniform('u_pixelSize'), Math.max(1, settings.pixelSize));
+        });
+    }
+
+    /**
+     * Draws one fullscreen pass.
+     * @param {WebGLProgram} program - The pass's shader program.
+     * @param {{framebuffer: WebGLFramebuffer, width: number, height: number}|null} target - Where to draw; null for the canvas.
+     * @param {Object} textures - Textures by sampler uniform name, bound to units in order.
+     * @param {Function} [setUniforms] - Sets the pass's other uniforms, given the program.
+     */
+    runPass(program, target, textures, setUniforms) {
+        const { gl } = this;
+        gl.useProgram(program);
+        gl.bindFramebuffer(gl.FRAMEBUFFER, target ? target.framebuffer : null);
+        gl.viewport(0, 0, target ? target.width : gl.canvas.width, target ? target.height : gl.canvas.height);
+        const names = Object.keys(textures);
+        names.forEach((name, unit) => gl.uniform1i(gl.getUniformLocation(program, name), unit));
+        bindTextures(gl, names.map((name) => textures[name]));
+        if (setUniforms) setUniforms(program);
+        drawFullscreenQuad(gl);
+        bindTextures(gl, names.map(() => null));
+        gl.useProgram(null);
+    }
+
+    /**
+     * Frees the targets while post-processing is off.
+     */
+    releaseTargets() {
+        if (!this.targets) return;
+        const { gl } = this;
+        const { scene, emission, light, bloom } = this.targets;
+        gl.deleteFramebuffer(scene.framebuffer);
+        gl.deleteTexture(scene.color);
+        gl.deleteTexture(scene.emission);
+        for (const target of [emission, ...light, ...bloom]) {
+            gl.deleteFramebuffer(target.framebuffer);
+            gl.deleteTexture(target.texture);
+        }
+        this.targets = null;
+    }
+
+    /**
+     * Releases the GPU resources.
+     */
+    dispose() {
+        this.releaseTargets();
+        this.gl.deleteProgram(this.downsampleProgram);
+        this.gl.deleteProgram(this.lightProgram);
+        this.gl.deleteProgram(this.blurProgram);
+        this.gl.deleteProgram(this.compositeProgram);
+    }
+}
+
+/**
+ * Allocates the canvas-sized scene target and the quarter-resolution
+ * emission, light and bloom targets.
+ * @param {WebGL2RenderingContext} gl - The WebGL context.
+ * @param {number} width - Canvas width in pixels.
+ * @param {number} height - Canvas height in pixels.
+ * @returns {Object} - The targets.
+ */
+function createTargets(gl, width, height) {
+    const color = createColorTexture(gl, width, height, gl.RGBA8, gl.UNSIGNED_BYTE);
+    const emission = createColorTexture(gl, width, height, gl.RGBA16F, gl.HALF_FLOAT);
+    const framebuffer = gl.createFramebuffer();
+    gl.bindFramebuffer(gl.FRAMEBUFFER, framebuffer);
+    gl.framebufferTexture2D(gl.FRAMEBUFFER, gl.COLOR_ATTACHMENT0, gl.TEXTURE_2D, color, 0);
+    gl.framebufferTexture2D(gl.FRAMEBUFFER, gl.COLOR_ATTACHMENT1, gl.TEXTURE_2D, emission, 0);
+    gl.drawBuffers([gl.COLOR_ATTACHMENT0, gl.COLOR_ATTACHMENT1]);
+    checkFramebuffer(gl, 'Scene');
+    gl.bindFramebuffer(gl.FRAMEBUFFER, null);
+
+    const quarterWidth = Math.max(1, Math.ceil(width / 4));
+    const quarterHeight = Math.max(1, Math.ceil(height / 4));
+    const quarter = () => createTarget(gl, quarterWidth, quarterHeight);
+
+    return {
+        width,
+        height,
+        scene: { framebuffer, color, emission },
+        emission: quarter(),
+        light: [quarter(), quarter()],
+        bloom: [quarter(), quarter()],
+    };
+}
+
+/**
+ * Creates a single-attachment half-float target.
+ * @param {WebGL2RenderingContext} gl - The WebGL context.
+ * @param {number} width - Target width.
+ * @param {number} height - Target height.
+ * @returns {{texture: WebGLTexture, framebuffer: WebGLFramebuffer, width: number, height: number}} - The target.
+ */
+function createTarget(gl, width, height) {
+    const texture = createColorTexture(gl, width, height, gl.RGBA16F, gl.HALF_FLOAT);
+    const framebuffer = gl.createFramebuffer();
+    gl.bindFramebuffer(gl.FRAMEBUFFER, framebuffer);
+    gl.framebufferTexture2D(gl.FRAMEBUFFER, gl.COLOR_ATTACHMENT0, gl.TEXTURE_2D, texture, 0);
+    checkFramebuffer(gl, 'Post-processing');
+    gl.bindFramebuffer(gl.FRAMEBUFFER, null);
+    return { texture, framebuffer, width, height };
+}
+
+/**
+ * Creates an empty, linearly filtered color texture.
+ * @param {WebGL2RenderingContext} gl - The WebGL context.
+ * @param {number} width - Texture width.
+ * @param {number} height - Texture height.
+ * @param {number} internalFormat - Sized internal format, e.g. gl.RGBA16F.
+ * @param {number} type - Matching pixel type, e.g. gl.HALF_FLOAT.
+ * @returns {WebGLTexture} - The texture.
+ */
+function createColorTexture(gl, width, height, internalFormat, type) {
+    const texture = gl.createTexture();
+    gl.bindTexture(gl.TEXTURE_2D, texture);
+    gl.texImage2D(gl.TEXTURE_2D, 0, internalFormat, width, height, 0, gl.RGBA, type, null);
+    gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_MIN_FILTER, gl.LINEAR);
+    gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_MAG_FILTER, gl.LINEAR);
+    gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_WRAP_S, gl.CLAMP_TO_EDGE);
+    gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_WRAP_T, gl.CLAMP_TO_EDGE);
+    gl.bindTexture(gl.TEXTURE_2D, null);
+    return texture;
+}
+
+/**
+ * Logs an incomplete framebuffer, like the simulation state does.
+ * @param {WebGL2RenderingContext} gl - The WebGL context.
+ * @param {string} name - Name for the log message.
+ */
+function checkFramebuffer(gl, name) {
+    const status = gl.checkFramebufferStatus(gl.FRAMEBUFFER);
+    if (status !== gl.FRAMEBUFFER_COMPLETE) {
+        console.error(`${name} framebuffer incomplete:`, status);
+    }
+}
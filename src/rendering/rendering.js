@@ -1,12 +1,9 @@
 // src/rendering/rendering.js
 
-/**
- * Initializes the shader program for updating the simulation.
- * @param {WebGL2RenderingContext} gl - The WebGL context.
- * @returns {WebGLProgram} - The compiled and linked update shader program.
- */
-export function initializeUpdateProgram(gl) {
-    const vertexShaderSrc = `#version 300 es
+import { buildMaterialShaderLibrary } from '../materials/materials.js';
+
+// Shared vertex shader for every full-screen pass
+const FULLSCREEN_VERTEX_SHADER = `#version 300 es
     precision highp float;
     layout(location=0) in vec2 a_position;
     out vec2 v_uv;
@@ -15,155 +12,1687 @@ export function initializeUpdateProgram(gl) {
         gl_Position = vec4(a_position, 0.0, 1.0);
     }`;
 
+// Helpers shared by the simulation passes. gridSize must be assigned from
+// textureSize() at the top of main(), and u_tick declared before them.
+const SIMULATION_COMMON_GLSL = `
+    ivec2 gridSize;
+
+    // Simulation region, see createFullRegion
+    uniform ivec2 u_activeMin;  // Full-rate cells, in texels [min, max)
+    uniform ivec2 u_activeMax;
+    uniform int u_slowInterval; // Other cells only run on ticks that are multiples of this
+
+    const ivec2 NEIGHBOURS[4] = ivec2[4](ivec2(0, 1), ivec2(0, -1), ivec2(1, 0), ivec2(-1, 0));
+
+    bool inBounds(ivec2 p) {
+        return p.x >= 0 && p.y >= 0 && p.x < gridSize.x && p.y < gridSize.y;
+    }
+
+    // Whether a cell runs this tick. Cells that don't keep their state and
+    // act like the grid edge to those that do, so nothing crosses between them.
+    bool isLive(ivec2 p) {
+        if (!inBounds(p)) return false;
+        bool fullRate = p.x >= u_activeMin.x && p.y >= u_activeMin.y && p.x < u_activeMax.x && p.y < u_activeMax.y;
+        return fullRate || u_tick % u_slowInterval == 0;
+    }
+
+    uint hash(uint x) {
+        x ^= x >> 16;
+        x *= 0x7feb352du;
+        x ^= x >> 15;
+        x *= 0x846ca68bu;
+        x ^= x >> 16;
+        return x;
+    }
+
+    // Deterministic per-cell random number in [0, 1)
+    float cellRandom(ivec2 p, int salt) {
+        uint h = hash(uint(p.x) ^ hash(uint(p.y) ^ hash(uint(salt))));
+        return float(h >> 8) / 16777216.0;
+    }
+
+    // Random number shared by both cells of a pair, whichever of them asks
+    float pairRandom(ivec2 a, ivec2 b, int salt) {
+        ivec2 low = (a.y < b.y || (a.y == b.y && a.x < b.x)) ? a : b;
+        ivec2 high = low == a ? b : a;
+        return cellRandom(low, salt ^ (high.x - low.x + 2 * (high.y - low.y) + 3) * 0x9e3779);
+    }`;
+
+// Helpers shared by the fluid passes, after SIMULATION_COMMON_GLSL and the
+// material library; u_currentMaterial and u_velocity must be declared.
+// Velocities are in texels per tick, y growing upwards like the texture.
+const FLUID_COMMON_GLSL = `
+    // Flow is clamped to this many cells per tick
+    const float MAX_FLOW_SPEED = 4.0;
+
+    // Whether a cell carries flow this tick. Solids, frozen cells and the
+    // grid edge are walls.
+    bool isFluid(ivec2 p) {
+        return isLive(p) && MATERIAL_PHASE[materialId(texelFetch(u_currentMaterial, p, 0))] != PHASE_SOLID;
+    }
+
+    // Walls don't move
+    vec2 velocityAt(ivec2 p) {
+        return isFluid(p) ? texelFetch(u_velocity, p, 0).xy : vec2(0.0);
+    }
+
+    // Bilinear interpolation of the velocity between cell centers
+    vec2 sampleVelocity(vec2 p) {
+        ivec2 base = ivec2(floor(p));
+        vec2 f = p - floor(p);
+        vec2 bottom = mix(velocityAt(base), velocityAt(base + ivec2(1, 0)), f.x);
+        vec2 top = mix(velocityAt(base + ivec2(0, 1)), velocityAt(base + ivec2(1, 1)), f.x);
+        return mix(bottom, top, f.y);
+    }`;
+
+// Maps the fragment to world cells (y growing downwards) through the camera,
+// see Camera.getView; set with setCameraUniforms
+const CAMERA_GLSL = `
+    uniform vec2 u_viewOrigin;      // World position of the screen's top-left corner
+    uniform float u_cellsPerPixel;
+    uniform float u_viewportHeight;
+
+    vec2 fragmentToWorld() {
+        vec2 screen = vec2(gl_FragCoord.x, u_viewportHeight - gl_FragCoord.y);
+        return u_viewOrigin + screen * u_cellsPerPixel;
+    }`;
+
+// Comment line that starts each block of mod GLSL in a generated shader, with
+// the mod's index and the block's name ("glsl", "update" or "render"), or
+// "end" after it; compile errors are traced back through it, see ModManager
+export const MOD_SOURCE_MARKER = '// @mod';
+
+/**
+ * The shader side of a mod, see ModManager for the full mod format.
+ * @typedef {Object} ShaderMod
+ * @property {Object<string, {type: string}>} uniforms - Extra uniforms by name, with their GLSL type.
+ * @property {string} [glsl] - Functions and constants shared by its rules.
+ * @property {string} [update] - Body of its update rule, see initializeUpdateProgram.
+ * @property {string} [render] - Body of its render rule, see initializeRenderProgram.
+ */
+
+/**
+ * Builds the GLSL that mods splice into a shader: the uniform declarations,
+ * shared functions and rule function of each mod, placed before main(), and
+ * the calls of the rule functions, placed in main(). Each block of mod
+ * source is fenced by MOD_SOURCE_MARKER lines, with nothing added inside.
+ * @param {Array<ShaderMod>} mods - Mods in load order.
+ * @param {'update'|'render'} stage - The shader being built, and the rule it runs.
+ * @param {string} parameters - Parameter list of the rule functions.
+ * @param {string} args - Arguments main() calls them with.
+ * @returns {{declarations: string, calls: string}} - The two splices.
+ */
+function buildModGLSL(mods, stage, parameters, args) {
+    const declarations = [];
+    const calls = [];
+    mods.forEach((mod, index) => {
+        for (const [name, { type }] of Object.entries(mod.uniforms)) {
+            declarations.push(`uniform ${type} ${name};`);
+        }
+        if (mod.glsl) {
+            declarations.push(`${MOD_SOURCE_MARKER} ${index} glsl`, mod.glsl, `${MOD_SOURCE_MARKER} end`);
+        }
+        if (mod[stage]) {
+            declarations.push(`void mod${index}_${stage}(${parameters}) {`, `${MOD_SOURCE_MARKER} ${index} ${stage}`, mod[stage], `${MOD_SOURCE_MARKER} end`, '}');
+            calls.push(`mod${index}_${stage}(${args});`);
+        }
+    });
+    return { declarations: declarations.join('\n'), calls: calls.join('\n') };
+}
+
+// Full-screen quad VAO per context, created lazily by drawFullscreenQuad
+const quadVAOs = new WeakMap();
+
+/**
+ * Initializes the shader program that moves materials around the grid.
+ *
+ * Cells are paired with one neighbour along an axis that alternates every
+ * tick (vertical even/odd rows, then horizontal even/odd columns). Both cells
+ * of a pair evaluate the same swap decision, so whole cells (attributes and
+ * material) can trade places without scatter writes or conflicts. Heavier
+ * powders and liquids sink below lighter materials, gases rise, and liquids
+ * and gases spread sideways.
+ * @param {WebGL2RenderingContext} gl - The WebGL context.
+ * @returns {WebGLProgram} - The compiled and linked movement shader program.
+ */
+export function initializeMovementProgram(gl) {
+    const fragmentShaderSrc = `#version 300 es
+    precision highp float;
+    precision highp int;
+    in vec2 v_uv;
+    uniform sampler2D u_currentState;
+    uniform sampler2D u_currentMaterial;
+    uniform float u_gravity;
+    uniform float u_materialFallRate;
+    uniform int u_tick;
+    layout(location=0) out vec4 outState;
+    layout(location=1) out vec4 outMaterial;
+
+    ${SIMULATION_COMMON_GLSL}
+
+    ${buildMaterialShaderLibrary()}
+
+    bool movable(int id) {
+        return MATERIAL_PHASE[id] != PHASE_SOLID;
+    }
+
+    // Whether the upper and lower cells of a vertical pair trade places
+    bool swapsVertically(int upper, int lower) {
+        if (!movable(upper) || !movable(lower)) return false;
+        if (MATERIAL_DENSITY[upper] <= MATERIAL_DENSITY[lower]) return false;
+        // Something must be able to move: the upper one falling or the lower one rising
+        return MATERIAL_PHASE[upper] == PHASE_POWDER || MATERIAL_PHASE[upper] == PHASE_LIQUID
+            || MATERIAL_PHASE[lower] == PHASE_GAS;
+    }
+
+    // Whether two side-by-side cells trade places
+    bool swapsHorizontally(int a, int b) {
+        if (a == b || !movable(a) || !movable(b)) return false;
+        bool aFlows = MATERIAL_PHASE[a] == PHASE_LIQUID || MATERIAL_PHASE[a] == PHASE_GAS;
+        bool bFlows = MATERIAL_PHASE[b] == PHASE_LIQUID || MATERIAL_PHASE[b] == PHASE_GAS;
+        return aFlows || bFlows;
+    }
+
+    void main() {
+        gridSize = textureSize(u_currentState, 0);
+        ivec2 cell = ivec2(gl_FragCoord.xy);
+
+        vec4 state = texelFetch(u_currentState, cell, 0);
+        vec4 material = texelFetch(u_currentMaterial, cell, 0);
+
+        // Pick this tick's pairing: axis and whether pairs start on even or odd indices
+        int pattern = u_tick % 4;
+        bool vertical = pattern < 2;
+        ivec2 axis = vertical ? ivec2(0, 1) : ivec2(1, 0);
+        int index = vertical ? cell.y : cell.x;
+        bool isLowMember = ((index + (pattern & 1)) & 1) == 0;
+        ivec2 partner = isLowMember ? cell + axis : cell - axis;
+
+        if (!isLive(cell) || !isLive(partner)) {
+            outState = state;
+            outMaterial = material;
+            return;
+        }
+
+        vec4 partnerMaterial = texelFetch(u_currentMaterial, partner, 0);
+        ivec2 lowCell = isLowMember ? cell : partner;
+        ivec2 highCell = isLowMember ? partner : cell;
+        int lowId = materialId(isLowMember ? material : partnerMaterial);
+        int highId = materialId(isLowMember ? partnerMaterial : material);
+        float chance = pairRandom(lowCell, highCell, u_tick);
+
+        bool swapped;
+        if (vertical) {
+            // Texture rows grow upwards while the world grows downwards, so
+            // positive gravity makes the higher row index the upper cell
+            bool fallsTowardsLow = u_gravity >= 0.0;
+            int upper = fallsTowardsLow ? highId : lowId;
+            int lower = fallsTowardsLow ? lowId : highId;
+            swapped = chance < abs(u_gravity) * u_materialFallRate && swapsVertically(upper, lower);
+        } else {
+            swapped = chance < 0.5 && swapsHorizontally(lowId, highId);
+        }
+
+        if (swapped) {
+            outState = texelFetch(u_currentState, partner, 0);
+            outMaterial = partnerMaterial;
+        } else {
+            outState = state;
+            outMaterial = material;
+        }
+    }`;
+
+    return createProgram(gl, FULLSCREEN_VERTEX_SHADER, fragmentShaderSrc);
+}
+
+/**
+ * Initializes the shader program for updating the simulation.
+ *
+ * Each fragment gathers its von Neumann neighbourhood so that density can
+ * fall under gravity and heat, magic and organic matter can spread. Density
+ * transfer is written as a pairwise flux that both cells of a pair compute
+ * identically, so mass is conserved without scatter writes. Heat is
+ * conducted the same way, at a rate set by both cells' conductivity, and
+ * warms each cell according to its heat capacity; dense cells conduct and
+ * store heat well and organic matter insulates. Cells also radiate towards
+ * the ambient temperature. Materials react with their neighbours according
+ * to the compiled reaction table, ignite, melt, boil, freeze, condense and
+ * decay, and fire burns the organic matter in its cell for heat. Organic
+ * matter grows and spreads into cells whose temperature, density and
+ * moisture (water nearby and the season's precipitation) are habitable, and
+ * dies off into density elsewhere. Magic flows towards an even potential
+ * (see DEFAULT_MAGIC_PARAMS), pooling in crystal-like cells and running along
+ * the ley lines, and above its thresholds speeds up organic growth,
+ * condenses into density and bursts into heat. The update rules of mods run
+ * last, on the cell's next state and material, in load order.
+ * @param {WebGL2RenderingContext} gl - The WebGL context.
+ * @param {Array<ShaderMod>} [mods] - Mods to splice in, see buildModGLSL.
+ * @returns {WebGLProgram} - The compiled and linked update shader program.
+ * @throws {Error} - If the shader doesn't compile or link, see compileShader.
+ */
+export function initializeUpdateProgram(gl, mods = []) {
+    const modGLSL = buildModGLSL(mods, 'update', 'inout vec4 state, inout vec4 material, ivec2 texel, ivec2 worldCell', 'nextState, nextMaterial, cell, worldCell');
     const fragmentShaderSrc = `#version 300 es
     precision highp float;
+    precision highp int;
     in vec2 v_uv;
     uniform sampler2D u_currentState;
+    uniform sampler2D u_currentMaterial;
+    uniform float u_gravity;
+    uniform float u_fallRate;
+    uniform float u_heatDiffusion;
+    uniform float u_radiativeCooling;
+    uniform float u_densityHeatCapacity;
+    uniform float u_organicHeatCapacity;
+    uniform float u_latentHeat;
+    uniform float u_combustionRate;
+    uniform float u_combustionHeat;
+    uniform float u_magicSpread;
+    uniform float u_magicGrowth;
+    uniform float u_magicDissipation;
+    uniform float u_magicPooling;
+    uniform float u_leyLineScale;
+    uniform float u_leyLineWidth;
+    uniform float u_leyLineConductance;
+    uniform float u_leyLineRegeneration;
+    uniform float u_bloomThreshold;
+    uniform float u_bloomBoost;
+    uniform float u_transmuteThreshold;
+    uniform float u_transmuteRate;
+    uniform float u_igniteThreshold;
+    uniform float u_igniteRate;
+    uniform float u_magicHeat;
+    uniform float u_organicSpread;
+    uniform float u_organicGrowth;
+    uniform float u_organicDecay;
+    uniform vec2 u_habitableTemperature; // Habitable ranges, [min, max]
+    uniform vec2 u_habitableDensity;
+    uniform vec2 u_habitableMoisture;
+    uniform float u_ignitionTemperature;
+    uniform int u_tick;
+
+    // Climate, see computeClimate
+    uniform int u_season;
+    uniform float u_seasonProgress;
+    uniform float u_ambientTemperature;
+    uniform float u_growthFactor;
+    uniform float u_magicRegeneration;
+    uniform float u_precipitation;
+    uniform float u_climateCoupling;
+    uniform float u_latitudeGradient;
+    uniform float u_rainRate;
+
+    // Where the grid lies in the world, for latitude and the sky
+    uniform ivec2 u_worldOffset; // World cell of the grid's top-left cell
+    uniform int u_worldHeight;   // World height in cells
+    layout(location=0) out vec4 outState;
+    layout(location=1) out vec4 outMaterial;
+
+    ${SIMULATION_COMMON_GLSL}
+
+    ${buildMaterialShaderLibrary()}
+
+    // Out-of-bounds and frozen neighbours mirror the cell itself (zero-flux boundary)
+    vec4 neighbour(ivec2 p, vec4 self) {
+        return isLive(p) ? texelFetch(u_currentState, p, 0) : self;
+    }
+
+    // Density moving from an upper cell into the cell beneath it
+    float fallFlux(float upper, float lower) {
+        float rate = clamp(abs(u_gravity) * u_fallRate, 0.0, 1.0);
+        return clamp(min(upper * rate, 1.0 - lower), 0.0, 1.0);
+    }
+
+    // Conductivity of empty space relative to dense cells, and the share of
+    // it organic matter takes away
+    const float MIN_CONDUCTIVITY = 0.2;
+    const float ORGANIC_INSULATION = 0.5;
+
+    float conductivity(vec4 state) {
+        return u_heatDiffusion * mix(MIN_CONDUCTIVITY, 1.0, clamp(state.r, 0.0, 1.0)) * (1.0 - ORGANIC_INSULATION * clamp(state.a, 0.0, 1.0));
+    }
+
+    float heatCapacity(vec4 state) {
+        return 1.0 + u_densityHeatCapacity * state.r + u_organicHeatCapacity * state.a;
+    }
+
+    // Moisture every cell gets per unit of precipitation, on top of the
+    // share of water in its neighbourhood
+    const float PRECIPITATION_MOISTURE = 0.5;
+
+    bool inRange(float value, vec2 range) {
+        return value >= range.x && value <= range.y;
+    }
+
+    // Radiated heat grows with the fourth power of temperature
+    float radiance(float temperature) {
+        float t2 = max(temperature, 0.0) * max(temperature, 0.0);
+        return t2 * t2;
+    }
+
+    // Heat flowing between two cells per unit of temperature difference: the
+    // harmonic mean of their conductivities, the same seen from either side
+    float pairConductivity(float a, float b) {
+        return a + b > 0.0 ? 2.0 * a * b / (a + b) : 0.0;
+    }
+
+    // Salt of the ley line noise lattice
+    const int LEY_LINE_SALT = 0x1e71;
+
+    // Ley line strength at a world cell, 0-1: ridges along the middle
+    // contour of a smooth value noise over the world
+    float leyLine(ivec2 worldCell) {
+        vec2 p = vec2(worldCell) / u_leyLineScale;
+        ivec2 lattice = ivec2(floor(p));
+        vec2 f = p - floor(p);
+        f = f * f * (3.0 - 2.0 * f);
+        float top = mix(cellRandom(lattice, LEY_LINE_SALT), cellRandom(lattice + ivec2(1, 0), LEY_LINE_SALT), f.x);
+        float bottom = mix(cellRandom(lattice + ivec2(0, 1), LEY_LINE_SALT), cellRandom(lattice + ivec2(1, 1), LEY_LINE_SALT), f.x);
+        float ridge = 1.0 - abs(2.0 * mix(top, bottom, f.y) - 1.0);
+        return smoothstep(1.0 - u_leyLineWidth, 1.0, ridge);
+    }
+
+    // Magic a cell holds at a potential of 1; crystal-like cells hold more
+    float magicCapacity(float density, int id) {
+        return 1.0 + u_magicPooling * density * MATERIAL_MAGIC_AFFINITY[id];
+    }
+
+${modGLSL.declarations}
+
+    void main() {
+        gridSize = textureSize(u_currentState, 0);
+        ivec2 cell = ivec2(gl_FragCoord.xy);
+
+        // Sample current state and its neighbourhood
+        vec4 state = texelFetch(u_currentState, cell, 0);
+        if (!isLive(cell)) {
+            outState = state;
+            outMaterial = texelFetch(u_currentMaterial, cell, 0);
+            return;
+        }
+        vec4 north = neighbour(cell + ivec2(0, 1), state);
+        vec4 south = neighbour(cell + ivec2(0, -1), state);
+        vec4 east = neighbour(cell + ivec2(1, 0), state);
+        vec4 west = neighbour(cell + ivec2(-1, 0), state);
+        vec4 laplacian = north + south + east + west - 4.0 * state;
+
+        // Texture rows grow upwards while the world grows downwards, so
+        // positive gravity pulls density towards lower row indices
+        ivec2 down = u_gravity >= 0.0 ? ivec2(0, -1) : ivec2(0, 1);
+        ivec2 belowCell = cell + down;
+        ivec2 aboveCell = cell - down;
+        float outflow = isLive(belowCell) ? fallFlux(state.r, texelFetch(u_currentState, belowCell, 0).r) : 0.0;
+        float inflow = isLive(aboveCell) ? fallFlux(texelFetch(u_currentState, aboveCell, 0).r, state.r) : 0.0;
+        float density = clamp(state.r - outflow + inflow, 0.0, 1.0);
+
+        // The seasonal ambient temperature is colder towards the top and
+        // bottom of the world (the poles)
+        int worldY = u_worldOffset.y + gridSize.y - 1 - cell.y;
+        float latitude = abs(2.0 * (float(worldY) + 0.5) / float(u_worldHeight) - 1.0);
+        float ambient = u_ambientTemperature - u_latitudeGradient * latitude;
+
+        // Heat is conducted to and from live neighbours and radiates towards
+        // the ambient; the heat capacity turns it into a temperature change
+        float capacity = heatCapacity(state);
+        float selfConductivity = conductivity(state);
+        float heatFlow = 0.0;
+        for (int i = 0; i < 4; i++) {
+            ivec2 p = cell + NEIGHBOURS[i];
+            if (!isLive(p)) continue;
+            vec4 other = texelFetch(u_currentState, p, 0);
+            heatFlow += pairConductivity(selfConductivity, conductivity(other)) * (other.g - state.g);
+        }
+        heatFlow -= u_radiativeCooling * (radiance(state.g) - radiance(ambient));
+        float temperature = state.g + heatFlow / capacity;
+
+        // The climate pulls temperature towards the ambient
+        temperature += u_climateCoupling * (ambient - state.g);
+
+        // ----- Materials -----
+        vec4 material = texelFetch(u_currentMaterial, cell, 0);
+        int id = materialId(material);
+        int nextId = id;
+        float life = material.g;
+
+        // Reactions with neighbours; the first one that fires wins
+        bool nearHeatSource = false;
+        int waterCells = id == MAT_WATER ? 1 : 0;
+        for (int i = 0; i < 4; i++) {
+            ivec2 p = cell + NEIGHBOURS[i];
+            if (!isLive(p)) continue;
+            int other = materialId(texelFetch(u_currentMaterial, p, 0));
+            nearHeatSource = nearHeatSource || MATERIAL_EMITS_HEAT[other] > 0.0;
+            waterCells += other == MAT_WATER ? 1 : 0;
+
+            int product;
+            float probability;
+            float heat;
+            if (nextId == id && react(id, other, product, probability, heat) && pairRandom(cell, p, u_tick) < probability) {
+                nextId = product;
+                temperature += heat;
+            }
+        }
+
+        // Flammable materials catch fire next to heat sources or when hot enough
+        if (nextId == id && MATERIAL_FLAMMABILITY[id] > 0.0
+            && (nearHeatSource || temperature >= u_ignitionTemperature)
+            && cellRandom(cell, u_tick) < MATERIAL_FLAMMABILITY[id]) {
+            nextId = MAT_FIRE;
+        }
+
+        // Melting and boiling take in latent heat, freezing and condensing give it off
+        if (nextId == id && MATERIAL_MELTS_INTO[id] >= 0 && temperature >= MATERIAL_MELTING_POINT[id]) {
+            nextId = MATERIAL_MELTS_INTO[id];
+            temperature -= u_latentHeat;
+        } else if (nextId == id && MATERIAL_FREEZES_INTO[id] >= 0 && temperature <= MATERIAL_FREEZING_POINT[id]) {
+            nextId = MATERIAL_FREEZES_INTO[id];
+            temperature += u_latentHeat;
+        }
+
+        // Organic matter grows where the cell is habitable, seeded by its own
+        // and its neighbours', and otherwise dies and decomposes into density
+        float moisture = float(waterCells) / 5.0 + PRECIPITATION_MOISTURE * u_precipitation;
+        bool habitable = inRange(state.g, u_habitableTemperature) && inRange(state.r, u_habitableDensity)
+            && inRange(moisture, u_habitableMoisture);
+        float seedOrganic = 0.5 * state.a + 0.125 * (north.a + south.a + east.a + west.a);
+        float growth = habitable ? u_organicGrowth * u_growthFactor * seedOrganic * (1.0 - state.a) : 0.0;
+        growth *= state.b >= u_bloomThreshold ? 1.0 + u_bloomBoost : 1.0;
+        float decay = habitable ? 0.0 : u_organicDecay * state.a;
+        float organic = clamp(state.a + u_organicSpread * laplacian.a + growth - decay, 0.0, 1.0);
+        density = min(density + decay, 1.0);
+
+        // Fire burns the organic matter in its cell, releasing heat
+        float burned = nextId == MAT_FIRE ? min(organic, u_combustionRate) : 0.0;
+        organic -= burned;
+        temperature += u_combustionHeat * burned / capacity;
+
+        // Lifetimes restart on transformation and count down otherwise
+        if (nextId != id) {
+            life = MATERIAL_LIFETIME[nextId];
+        } else if (MATERIAL_LIFETIME[id] > 0.0) {
+            life -= 1.0;
+            if (life <= 0.0 && MATERIAL_DECAYS_INTO[id] >= 0) {
+                nextId = MATERIAL_DECAYS_INTO[id];
+                life = MATERIAL_LIFETIME[nextId];
+            }
+        }
+
+        // Precipitation falls in from the sky edge of the world
+        int skyRow = u_gravity >= 0.0 ? 0 : u_worldHeight - 1;
+        if (id == MAT_EMPTY && nextId == MAT_EMPTY && worldY == skyRow
+            && cellRandom(cell, u_tick ^ 0x5eed) < u_precipitation * u_rainRate) {
+            nextId = MAT_WATER;
+            life = MATERIAL_LIFETIME[MAT_WATER];
+        }
+
+        // ----- Magic -----
+        // Magic flows between live neighbours towards an even potential,
+        // faster along ley lines, which both cells of a pair see alike
+        ivec2 worldCell = ivec2(u_worldOffset.x + cell.x, worldY);
+        float ley = leyLine(worldCell);
+        float potential = state.b / magicCapacity(state.r, id);
+        float magicFlow = 0.0;
+        for (int i = 0; i < 4; i++) {
+            ivec2 p = cell + NEIGHBOURS[i];
+            if (!isLive(p)) continue;
+            vec4 other = texelFetch(u_currentState, p, 0);
+            int otherId = materialId(texelFetch(u_currentMaterial, p, 0));
+            float otherLey = leyLine(worldCell + ivec2(NEIGHBOURS[i].x, -NEIGHBOURS[i].y));
+            float pairSpread = u_magicSpread * (1.0 + u_leyLineConductance * 0.5 * (ley + otherLey));
+            magicFlow += pairSpread * (other.b / magicCapacity(other.r, otherId) - potential);
+        }
+
+        // It regenerates at a seasonal rate, faster in materials with an
+        // affinity for it and on ley lines, and dissipates away from them
+        float regeneration = u_magicGrowth * u_magicRegeneration * (1.0 + MATERIAL_MAGIC_AFFINITY[id]) * (1.0 + u_leyLineRegeneration * ley);
+        float magic = clamp(state.b + magicFlow + regeneration - u_magicDissipation * (1.0 - ley) * state.b, 0.0, 1.0);
+
+        // Above its thresholds it condenses into density and bursts into heat
+        float transmuted = min(max(magic - u_transmuteThreshold, 0.0), u_transmuteRate);
+        magic -= transmuted;
+        density = min(density + transmuted, 1.0);
+        float kindled = min(max(magic - u_igniteThreshold, 0.0), u_igniteRate);
+        magic -= kindled;
+        temperature += u_magicHeat * kindled / capacity;
+
+        // Heat sources hold their own temperature
+        temperature = clamp(max(temperature, MATERIAL_EMITS_HEAT[nextId]), 0.0, 1.0);
+
+        vec4 nextState = vec4(density, temperature, magic, organic);
+        vec4 nextMaterial = vec4(float(nextId), life, material.ba);
+${modGLSL.calls}
+
+        outState = nextState;
+        outMaterial = nextMaterial;
+    }`;
+
+    return createProgram(gl, FULLSCREEN_VERTEX_SHADER, fragmentShaderSrc);
+}
+
+/**
+ * Initializes the first fluid pass: the velocity field carries itself along
+ * (semi-Lagrangian advection: each cell takes the velocity found one step
+ * back along its own), then gains the body forces of the tick. Temperature
+ * above the ambient pushes against gravity and density weighs with it.
+ * Solid cells are walls with no velocity.
+ * @param {WebGL2RenderingContext} gl - The WebGL context.
+ * @returns {WebGLProgram} - The compiled and linked fluid forces shader program.
+ */
+export function initializeFluidForcesProgram(gl) {
+    const fragmentShaderSrc = `#version 300 es
+    precision highp float;
+    precision highp int;
+    uniform sampler2D u_currentState;
+    uniform sampler2D u_currentMaterial;
+    uniform sampler2D u_velocity;
     uniform float u_gravity;
+    uniform float u_buoyancy;           // Lift per unit of temperature above the ambient
+    uniform float u_densityWeight;      // Weight per unit of density
+    uniform float u_ambientTemperature;
+    uniform float u_velocityDamping;    // Share of the velocity lost per tick
+    uniform int u_tick;
+    out vec4 outVelocity;
+
+    ${SIMULATION_COMMON_GLSL}
+
+    ${buildMaterialShaderLibrary()}
+
+    ${FLUID_COMMON_GLSL}
+
+    void main() {
+        gridSize = textureSize(u_currentState, 0);
+        ivec2 cell = ivec2(gl_FragCoord.xy);
+        if (!isLive(cell)) {
+            outVelocity = texelFetch(u_velocity, cell, 0);
+            return;
+        }
+        if (!isFluid(cell)) {
+            outVelocity = vec4(0.0);
+            return;
+        }
+
+        vec2 velocity = sampleVelocity(vec2(cell) - texelFetch(u_velocity, cell, 0).xy);
+
+        // Texture rows grow upwards while the world grows downwards, so
+        // positive gravity pulls towards lower row indices
+        vec4 state = texelFetch(u_currentState, cell, 0);
+        velocity.y += u_gravity * (u_buoyancy * (state.g - u_ambientTemperature) - u_densityWeight * state.r);
+
+        velocity *= 1.0 - u_velocityDamping;
+        float speed = length(velocity);
+        if (speed > MAX_FLOW_SPEED) velocity *= MAX_FLOW_SPEED / speed;
+        outVelocity = vec4(velocity, 0.0, 0.0);
+    }`;
+
+    return createProgram(gl, FULLSCREEN_VERTEX_SHADER, fragmentShaderSrc);
+}
+
+/**
+ * Initializes the divergence pass: how much the velocity field flows out of
+ * each cell, by central differences with walls at rest.
+ * @param {WebGL2RenderingContext} gl - The WebGL context.
+ * @returns {WebGLProgram} - The compiled and linked divergence shader program.
+ */
+export function initializeDivergenceProgram(gl) {
+    const fragmentShaderSrc = `#version 300 es
+    precision highp float;
+    precision highp int;
+    uniform sampler2D u_currentState;
+    uniform sampler2D u_currentMaterial;
+    uniform sampler2D u_velocity;
+    uniform int u_tick;
+    out vec4 outDivergence;
+
+    ${SIMULATION_COMMON_GLSL}
+
+    ${buildMaterialShaderLibrary()}
+
+    ${FLUID_COMMON_GLSL}
+
+    void main() {
+        gridSize = textureSize(u_currentState, 0);
+        ivec2 cell = ivec2(gl_FragCoord.xy);
+        if (!isFluid(cell)) {
+            outDivergence = vec4(0.0);
+            return;
+        }
+        float divergence = 0.5 * (velocityAt(cell + ivec2(1, 0)).x - velocityAt(cell - ivec2(1, 0)).x
+            + velocityAt(cell + ivec2(0, 1)).y - velocityAt(cell - ivec2(0, 1)).y);
+        outDivergence = vec4(divergence, 0.0, 0.0, 0.0);
+    }`;
+
+    return createProgram(gl, FULLSCREEN_VERTEX_SHADER, fragmentShaderSrc);
+}
+
+/**
+ * Initializes one Jacobi iteration of the pressure solve: each cell's
+ * pressure becomes the mean of its neighbours' minus its divergence. Walls
+ * mirror the cell's own pressure, so no flow is pushed through them.
+ * Ping-pong u_pressure over the iterations, starting from zero.
+ * @param {WebGL2RenderingContext} gl - The WebGL context.
+ * @returns {WebGLProgram} - The compiled and linked pressure shader program.
+ */
+export function initializePressureProgram(gl) {
+    const fragmentShaderSrc = `#version 300 es
+    precision highp float;
+    precision highp int;
+    uniform sampler2D u_currentState;
+    uniform sampler2D u_currentMaterial;
+    uniform sampler2D u_velocity;
+    uniform sampler2D u_pressure;
+    uniform sampler2D u_divergence;
+    uniform int u_tick;
+    out vec4 outPressure;
+
+    ${SIMULATION_COMMON_GLSL}
+
+    ${buildMaterialShaderLibrary()}
+
+    ${FLUID_COMMON_GLSL}
+
+    void main() {
+        gridSize = textureSize(u_currentState, 0);
+        ivec2 cell = ivec2(gl_FragCoord.xy);
+        if (!isFluid(cell)) {
+            outPressure = vec4(0.0);
+            return;
+        }
+        float pressure = texelFetch(u_pressure, cell, 0).r;
+        float sum = 0.0;
+        for (int i = 0; i < 4; i++) {
+            ivec2 p = cell + NEIGHBOURS[i];
+            sum += isFluid(p) ? texelFetch(u_pressure, p, 0).r : pressure;
+        }
+        outPressure = vec4(0.25 * (sum - texelFetch(u_divergence, cell, 0).r), 0.0, 0.0, 0.0);
+    }`;
+
+    return createProgram(gl, FULLSCREEN_VERTEX_SHADER, fragmentShaderSrc);
+}
+
+/**
+ * Initializes the projection pass: subtracts the pressure gradient from the
+ * velocity, leaving a flow that neither piles up nor thins out.
+ * @param {WebGL2RenderingContext} gl - The WebGL context.
+ * @returns {WebGLProgram} - The compiled and linked projection shader program.
+ */
+export function initializeProjectionProgram(gl) {
+    const fragmentShaderSrc = `#version 300 es
+    precision highp float;
+    precision highp int;
+    uniform sampler2D u_currentState;
+    uniform sampler2D u_currentMaterial;
+    uniform sampler2D u_velocity;
+    uniform sampler2D u_pressure;
+    uniform int u_tick;
+    out vec4 outVelocity;
+
+    ${SIMULATION_COMMON_GLSL}
+
+    ${buildMaterialShaderLibrary()}
+
+    ${FLUID_COMMON_GLSL}
+
+    float pressureAt(ivec2 p, float self) {
+        return isFluid(p) ? texelFetch(u_pressure, p, 0).r : self;
+    }
+
+    void main() {
+        gridSize = textureSize(u_currentState, 0);
+        ivec2 cell = ivec2(gl_FragCoord.xy);
+        if (!isLive(cell)) {
+            outVelocity = texelFetch(u_velocity, cell, 0);
+            return;
+        }
+        if (!isFluid(cell)) {
+            outVelocity = vec4(0.0);
+            return;
+        }
+        float pressure = texelFetch(u_pressure, cell, 0).r;
+        vec2 gradient = 0.5 * vec2(
+            pressureAt(cell + ivec2(1, 0), pressure) - pressureAt(cell - ivec2(1, 0), pressure),
+            pressureAt(cell + ivec2(0, 1), pressure) - pressureAt(cell - ivec2(0, 1), pressure)
+        );
+        outVelocity = vec4(texelFetch(u_velocity, cell, 0).xy - gradient, 0.0, 0.0);
+    }`;
+
+    return createProgram(gl, FULLSCREEN_VERTEX_SHADER, fragmentShaderSrc);
+}
+
+/**
+ * Initializes the attribute advection pass: density, temperature and magic
+ * are carried along the projected velocity field, each cell taking the
+ * values found one step back along its flow. Walls pass their values
+ * through and stand in for the cell's own values when sampled, like the
+ * zero-flux boundary of the update pass. Organic matter and materials stay
+ * put; materials move in the movement pass.
+ * @param {WebGL2RenderingContext} gl - The WebGL context.
+ * @returns {WebGLProgram} - The compiled and linked advection shader program.
+ */
+export function initializeAdvectionProgram(gl) {
+    const fragmentShaderSrc = `#version 300 es
+    precision highp float;
+    precision highp int;
+    uniform sampler2D u_currentState;
+    uniform sampler2D u_currentMaterial;
+    uniform sampler2D u_velocity;
+    uniform int u_tick;
+    layout(location=0) out vec4 outState;
+    layout(location=1) out vec4 outMaterial;
+
+    ${SIMULATION_COMMON_GLSL}
+
+    ${buildMaterialShaderLibrary()}
+
+    ${FLUID_COMMON_GLSL}
+
+    vec4 stateAt(ivec2 p, vec4 self) {
+        return isFluid(p) ? texelFetch(u_currentState, p, 0) : self;
+    }
+
+    void main() {
+        gridSize = textureSize(u_currentState, 0);
+        ivec2 cell = ivec2(gl_FragCoord.xy);
+        vec4 state = texelFetch(u_currentState, cell, 0);
+        outMaterial = texelFetch(u_currentMaterial, cell, 0);
+        if (!isFluid(cell)) {
+            outState = state;
+            return;
+        }
+
+        vec2 source = vec2(cell) - texelFetch(u_velocity, cell, 0).xy;
+        ivec2 base = ivec2(floor(source));
+        vec2 f = source - floor(source);
+        vec4 bottom = mix(stateAt(base, state), stateAt(base + ivec2(1, 0), state), f.x);
+        vec4 top = mix(stateAt(base + ivec2(0, 1), state), stateAt(base + ivec2(1, 1), state), f.x);
+        outState = vec4(mix(bottom, top, f.y).rgb, state.a);
+    }`;
+
+    return createProgram(gl, FULLSCREEN_VERTEX_SHADER, fragmentShaderSrc);
+}
+
+/**
+ * Initializes the shader program that pushes the fluid: adds a velocity
+ * that fades out with a Gaussian around a point, e.g. the ship's exhaust.
+ * @param {WebGL2RenderingContext} gl - The WebGL context.
+ * @returns {WebGLProgram} - The compiled and linked impulse shader program.
+ */
+export function initializeImpulseProgram(gl) {
+    const fragmentShaderSrc = `#version 300 es
+    precision highp float;
+    uniform sampler2D u_velocity;
+    uniform vec2 u_center;  // Texel coordinates
+    uniform vec2 u_impulse; // Texels per tick, y growing upwards
+    uniform float u_radius; // Texels
+    out vec4 outVelocity;
+
+    void main() {
+        ivec2 cell = ivec2(gl_FragCoord.xy);
+        vec2 offset = vec2(cell) - u_center;
+        float falloff = exp(-dot(offset, offset) / (u_radius * u_radius));
+        outVelocity = vec4(texelFetch(u_velocity, cell, 0).xy + u_impulse * falloff, 0.0, 0.0);
+    }`;
+
+    return createProgram(gl, FULLSCREEN_VERTEX_SHADER, fragmentShaderSrc);
+}
+
+/**
+ * Initializes the shader program that splats a brush stroke into the state.
+ *
+ * The stroke is a segment swept by a circle or square, so a whole pointer
+ * drag between two frames is painted in a single pass. Cells inside the
+ * stroke get u_amount added to their attributes; materials pass through.
+ * @param {WebGL2RenderingContext} gl - The WebGL context.
+ * @returns {WebGLProgram} - The compiled and linked splat shader program.
+ */
+export function initializeSplatProgram(gl) {
+    const fragmentShaderSrc = `#version 300 es
+    precision highp float;
+    precision highp int;
+    in vec2 v_uv;
+    uniform sampler2D u_currentState;
+    uniform sampler2D u_currentMaterial;
+    uniform vec2 u_from;   // Stroke start, in texels
+    uniform vec2 u_to;     // Stroke end, in texels
+    uniform float u_radius;
+    uniform int u_shape;   // 0 = circle, 1 = square
+    uniform vec4 u_amount; // Added to the attributes of every covered cell
+    uniform bool u_clearMaterial; // Whether covered cells become empty
+    layout(location=0) out vec4 outState;
+    layout(location=1) out vec4 outMaterial;
+
+    void main() {
+        ivec2 cell = ivec2(gl_FragCoord.xy);
+        vec4 state = texelFetch(u_currentState, cell, 0);
+        outMaterial = texelFetch(u_currentMaterial, cell, 0);
+
+        // Offset from the closest point on the stroke segment
+        vec2 p = vec2(cell);
+        vec2 stroke = u_to - u_from;
+        float lengthSq = dot(stroke, stroke);
+        float t = lengthSq > 0.0 ? clamp(dot(p - u_from, stroke) / lengthSq, 0.0, 1.0) : 0.0;
+        vec2 offset = abs(p - (u_from + stroke * t));
+
+        float distance = u_shape == 0 ? length(offset) : max(offset.x, offset.y);
+        bool covered = distance <= u_radius;
+        outState = covered ? clamp(state + u_amount, 0.0, 1.0) : state;
+        if (covered && u_clearMaterial) outMaterial = vec4(0.0);
+    }`;
+
+    return createProgram(gl, FULLSCREEN_VERTEX_SHADER, fragmentShaderSrc);
+}
+
+/**
+ * Initializes the shader program for one level of the statistics reduction.
+ *
+ * Each fragment folds a 4×4 block of the previous level into one texel,
+ * writing the per-channel sum, minimum and maximum to color attachments
+ * 0, 1 and 2. For the first level, bind the state texture to all three
+ * samplers.
+ * @param {WebGL2RenderingContext} gl - The WebGL context.
+ * @returns {WebGLProgram} - The compiled and linked reduction shader program.
+ */
+export function initializeReductionProgram(gl) {
+    const fragmentShaderSrc = `#version 300 es
+    precision highp float;
+    precision highp int;
+    in vec2 v_uv;
+    uniform sampler2D u_sum;
+    uniform sampler2D u_min;
+    uniform sampler2D u_max;
+    layout(location=0) out vec4 outSum;
+    layout(location=1) out vec4 outMin;
+    layout(location=2) out vec4 outMax;
+
+    void main() {
+        ivec2 size = textureSize(u_sum, 0);
+        ivec2 base = ivec2(gl_FragCoord.xy) * 4;
+
+        vec4 sum = vec4(0.0);
+        vec4 lowest = vec4(3.4e38);
+        vec4 highest = vec4(-3.4e38);
+        for (int y = 0; y < 4; y++) {
+            for (int x = 0; x < 4; x++) {
+                ivec2 p = base + ivec2(x, y);
+                if (p.x >= size.x || p.y >= size.y) continue;
+                sum += texelFetch(u_sum, p, 0);
+                lowest = min(lowest, texelFetch(u_min, p, 0));
+                highest = max(highest, texelFetch(u_max, p, 0));
+            }
+        }
+
+        outSum = sum;
+        outMin = lowest;
+        outMax = highest;
+    }`;
+
+    return createProgram(gl, FULLSCREEN_VERTEX_SHADER, fragmentShaderSrc);
+}
+
+/**
+ * Initializes the shader program that builds histograms by scattering points.
+ *
+ * Draw one point per cell (gl_VertexID is the cell index) into a bins×1
+ * target with additive blending. In attribute mode, draw four instances:
+ * instance N counts channel N into color component N, with values in [0, 1]
+ * split into u_bins bins. In material mode, draw one instance: the material
+ * ID picks the bin and the count lands in the red component.
+ * @param {WebGL2RenderingContext} gl - The WebGL context.
+ * @returns {WebGLProgram} - The compiled and linked histogram shader program.
+ */
+export function initializeHistogramProgram(gl) {
+    const vertexShaderSrc = `#version 300 es
+    precision highp float;
+    precision highp int;
+    uniform sampler2D u_source;
+    uniform int u_bins;
+    uniform int u_mode; // 0 = attributes, 1 = material IDs
+    out vec4 v_weight;
+
+    void main() {
+        ivec2 size = textureSize(u_source, 0);
+        ivec2 cell = ivec2(gl_VertexID % size.x, gl_VertexID / size.x);
+        vec4 value = texelFetch(u_source, cell, 0);
+        int channel = gl_InstanceID;
+
+        int bin;
+        if (u_mode == 0) {
+            bin = int(clamp(value[channel], 0.0, 1.0) * float(u_bins));
+        } else {
+            bin = int(value.r + 0.5);
+        }
+        bin = clamp(bin, 0, u_bins - 1);
+
+        v_weight = vec4(0.0);
+        v_weight[channel] = 1.0;
+        gl_Position = vec4((float(bin) + 0.5) / float(u_bins) * 2.0 - 1.0, 0.0, 0.0, 1.0);
+        gl_PointSize = 1.0;
+    }`;
+
+    const fragmentShaderSrc = `#version 300 es
+    precision highp float;
+    in vec4 v_weight;
     out vec4 outColor;
 
     void main() {
-        // Sample current state
-        vec4 state = texture(u_currentState, v_uv);
+        outColor = v_weight;
+    }`;
 
-        // Apply gravity to density attribute
-        float density = clamp(state.r + u_gravity * 0.01, 0.0, 1.0);
+    return createProgram(gl, vertexShaderSrc, fragmentShaderSrc);
+}
 
-        // Example: Apply some rules to other attributes if needed
-        float temperature = clamp(state.g - 0.005, 0.0, 1.0); // Decrease temperature slightly
-        float magic = clamp(state.b + 0.001, 0.0, 1.0); // Increase magic slightly
-        float organic = clamp(state.a + 0.0005, 0.0, 1.0); // Increase organic slightly
+/**
+ * Initializes the shader program with which creatures sense their cell.
+ *
+ * Renders one texel per creature in the creature texture (x and y in world
+ * cells, y growing downwards): the organic matter in its cell, the organic
+ * gradient along x and y (y growing downwards) and the cell's temperature.
+ * Draw it into a row as wide as the creature count.
+ * @param {WebGL2RenderingContext} gl - The WebGL context.
+ * @returns {WebGLProgram} - The compiled and linked creature sense shader program.
+ */
+export function initializeCreatureSenseProgram(gl) {
+    const fragmentShaderSrc = `#version 300 es
+    precision highp float;
+    precision highp int;
+    uniform sampler2D u_currentState;
+    uniform sampler2D u_creatures;
+    out vec4 outSense;
 
-        outColor = vec4(density, temperature, magic, organic);
+    ivec2 gridSize;
+
+    float organicAt(ivec2 p) {
+        return texelFetch(u_currentState, clamp(p, ivec2(0), gridSize - 1), 0).a;
+    }
+
+    void main() {
+        gridSize = textureSize(u_currentState, 0);
+        vec4 creature = texelFetch(u_creatures, ivec2(gl_FragCoord.x, 0), 0);
+        ivec2 cell = ivec2(int(creature.x), gridSize.y - 1 - int(creature.y));
+        vec4 state = texelFetch(u_currentState, cell, 0);
+
+        float gradientX = 0.5 * (organicAt(cell + ivec2(1, 0)) - organicAt(cell - ivec2(1, 0)));
+        // Texel rows run bottom-up, the other way round to world y
+        float gradientY = 0.5 * (organicAt(cell - ivec2(0, 1)) - organicAt(cell + ivec2(0, 1)));
+        outSense = vec4(state.a, gradientX, gradientY, state.g);
     }`;
 
-    const vertexShader = compileShader(gl, gl.VERTEX_SHADER, vertexShaderSrc);
-    const fragmentShader = compileShader(gl, gl.FRAGMENT_SHADER, fragmentShaderSrc);
-    const program = linkProgram(gl, vertexShader, fragmentShader);
+    return createProgram(gl, FULLSCREEN_VERTEX_SHADER, fragmentShaderSrc);
+}
 
-    // Setup a full-screen quad
-    const vao = gl.createVertexArray();
-    gl.bindVertexArray(vao);
+/**
+ * Initializes the shader program that marks what creatures ate.
+ *
+ * Draws one point per creature (from gl_VertexID, no attributes) into a
+ * grid-sized grazing map, writing the organic matter the creature ate to its
+ * cell. At most one creature eats from a cell per tick, so no blending is
+ * needed.
+ * @param {WebGL2RenderingContext} gl - The WebGL context.
+ * @returns {WebGLProgram} - The compiled and linked graze mark shader program.
+ */
+export function initializeGrazeMarkProgram(gl) {
+    const vertexShaderSrc = `#version 300 es
+    precision highp float;
+    precision highp int;
+    uniform sampler2D u_creatures;
+    uniform vec2 u_gridSize;
+    out float v_eaten;
 
-    const quadBuffer = gl.createBuffer();
-    gl.bindBuffer(gl.ARRAY_BUFFER, quadBuffer);
-    const quadVertices = new Float32Array([
-        -1.0, -1.0,
-         1.0, -1.0,
-        -1.0,  1.0,
-         1.0,  1.0,
-    ]);
-    gl.bufferData(gl.ARRAY_BUFFER, quadVertices, gl.STATIC_DRAW);
+    void main() {
+        vec4 creature = texelFetch(u_creatures, ivec2(gl_VertexID, 0), 0);
+        vec2 texel = vec2(creature.x + 0.5, u_gridSize.y - creature.y - 0.5);
+        gl_Position = vec4(texel / u_gridSize * 2.0 - 1.0, 0.0, 1.0);
+        gl_PointSize = 1.0;
+        v_eaten = creature.z;
+    }`;
 
-    gl.enableVertexAttribArray(0); // a_position
-    gl.vertexAttribPointer(0, 2, gl.FLOAT, false, 0, 0);
+    const fragmentShaderSrc = `#version 300 es
+    precision highp float;
+    in float v_eaten;
+    out vec4 outGrazing;
 
-    gl.bindVertexArray(null);
-    gl.bindBuffer(gl.ARRAY_BUFFER, null);
+    void main() {
+        outGrazing = vec4(v_eaten, 0.0, 0.0, 0.0);
+    }`;
 
-    return program;
+    return createProgram(gl, vertexShaderSrc, fragmentShaderSrc);
+}
+
+/**
+ * Initializes the shader program that removes grazed organic matter.
+ * Subtracts the grazing map (red channel) from the organic matter of every
+ * cell; materials pass through. Run it with runSimulationPass.
+ * @param {WebGL2RenderingContext} gl - The WebGL context.
+ * @returns {WebGLProgram} - The compiled and linked graze shader program.
+ */
+export function initializeGrazeProgram(gl) {
+    const fragmentShaderSrc = `#version 300 es
+    precision highp float;
+    uniform sampler2D u_currentState;
+    uniform sampler2D u_currentMaterial;
+    uniform sampler2D u_grazing;
+    layout(location=0) out vec4 outState;
+    layout(location=1) out vec4 outMaterial;
+
+    void main() {
+        ivec2 cell = ivec2(gl_FragCoord.xy);
+        vec4 state = texelFetch(u_currentState, cell, 0);
+        state.a = max(state.a - texelFetch(u_grazing, cell, 0).r, 0.0);
+        outState = state;
+        outMaterial = texelFetch(u_currentMaterial, cell, 0);
+    }`;
+
+    return createProgram(gl, FULLSCREEN_VERTEX_SHADER, fragmentShaderSrc);
 }
 
+// Screen pixels between the arrows of the flow overlay
+const FLOW_GLYPH_SPACING = 16;
+
 /**
  * Initializes the shader program for rendering the simulation.
+ *
+ * The natural view colors cells by material, with open space shaded by its
+ * density and organic matter, hot cells glowing and magic-rich cells
+ * shimmering. The heatmap view maps one attribute through a row of the
+ * palette lookup texture. Either can carry the flow overlay: a grid of
+ * arrows pointing down the gradient of the shown attribute (density in the
+ * natural view), the way diffusion moves it. The render rules of mods recolor
+ * the natural view, in load order.
  * @param {WebGL2RenderingContext} gl - The WebGL context.
+ * @param {Array<ShaderMod>} [mods] - Mods to splice in, see buildModGLSL.
  * @returns {WebGLProgram} - The compiled and linked render shader program.
+ * @throws {Error} - If the shader doesn't compile or link, see compileShader.
+ */
+export function initializeRenderProgram(gl, mods = []) {
+    const modGLSL = buildModGLSL(mods, 'render', 'inout vec3 color, vec4 state, vec4 material, ivec2 texel', 'color, state, material, texel');
+    const fragmentShaderSrc = `#version 300 es
+    precision highp float;
+    precision highp int;
+    in vec2 v_uv;
+    uniform sampler2D u_currentState;
+    uniform sampler2D u_currentMaterial;
+    uniform sampler2D u_palette;   // One palette per row
+    uniform bool u_heatmap;
+    uniform int u_attribute;       // Channel shown by the heatmap and followed by the flow overlay
+    uniform float u_paletteRow;    // V coordinate of the heatmap's palette
+    uniform bool u_flow;
+    layout(location = 0) out vec4 outColor;
+    layout(location = 1) out vec4 outEmission; // Glow (rgb) and opacity (a), for post-processing
+
+    ${buildMaterialShaderLibrary()}
+    ${CAMERA_GLSL}
+
+    const float GLYPH_SPACING = ${FLOW_GLYPH_SPACING.toFixed(1)};
+
+    // Texel of a world cell, clamped to the grid
+    ivec2 cellTexel(ivec2 cell, ivec2 gridSize) {
+        cell = clamp(cell, ivec2(0), gridSize - 1);
+        return ivec2(cell.x, gridSize.y - 1 - cell.y);
+    }
+
+    float attributeAt(vec2 world, ivec2 gridSize) {
+        return texelFetch(u_currentState, cellTexel(ivec2(floor(world)), gridSize), 0)[u_attribute];
+    }
+
+    vec3 naturalColor(vec4 state, int id) {
+        vec3 color;
+        if (id == MAT_EMPTY) {
+            // Open space darkens to a void, thickens to grey haze with density
+            // and turns green with organic matter
+            color = mix(vec3(0.02, 0.02, 0.04), vec3(0.4, 0.4, 0.44), clamp(state.r, 0.0, 1.0));
+            color = mix(color, vec3(0.15, 0.45, 0.12), 0.6 * clamp(state.a, 0.0, 1.0));
+        } else {
+            color = MATERIAL_COLOR[id];
+        }
+
+        // Only hot cells glow, from dull red towards yellow as they heat up
+        float glow = smoothstep(0.6, 1.0, state.g);
+        color = mix(color, vec3(1.0, 0.3 + 0.6 * glow, 0.1 * glow), 0.8 * glow);
+
+        // Magic adds a violet shimmer
+        color += vec3(0.25, 0.1, 0.45) * clamp(state.b, 0.0, 1.0) * 0.5;
+        return clamp(color, 0.0, 1.0);
+    }
+
+    // Coverage of the flow arrow in this pixel's glyph, 0-1
+    float flowArrow(ivec2 gridSize) {
+        vec2 screen = vec2(gl_FragCoord.x, u_viewportHeight - gl_FragCoord.y);
+        vec2 center = (floor(screen / GLYPH_SPACING) + 0.5) * GLYPH_SPACING;
+        vec2 world = u_viewOrigin + center * u_cellsPerPixel;
+
+        // Central differences across about half a glyph, at least one cell
+        float reach = max(1.0, floor(0.5 * GLYPH_SPACING * u_cellsPerPixel));
+        vec2 gradient = vec2(
+            attributeAt(world + vec2(reach, 0.0), gridSize) - attributeAt(world - vec2(reach, 0.0), gridSize),
+            attributeAt(world + vec2(0.0, reach), gridSize) - attributeAt(world - vec2(0.0, reach), gridSize)
+        ) / (2.0 * reach);
+
+        // Screen and world y both grow downwards, so the direction carries over
+        vec2 flow = -gradient;
+        float strength = length(flow);
+        float arrowLength = min(strength * 40.0, 1.0) * 0.45 * GLYPH_SPACING;
+        if (arrowLength < 1.0) return 0.0;
+
+        vec2 tip = center + flow / strength * arrowLength;
+        vec2 tail = center - flow / strength * arrowLength;
+        vec2 shaft = tip - tail;
+        float t = clamp(dot(screen - tail, shaft) / dot(shaft, shaft), 0.0, 1.0);
+        float line = 1.0 - smoothstep(0.5, 1.0, distance(screen, tail + shaft * t));
+        float head = 1.0 - smoothstep(1.5, 2.0, distance(screen, tip));
+        return max(line, head);
+    }
+
+${modGLSL.declarations}
+
+    void main() {
+        // Only the visible cells are fetched; each pixel shows exactly one cell
+        ivec2 gridSize = textureSize(u_currentState, 0);
+        ivec2 cell = ivec2(floor(fragmentToWorld()));
+        if (cell.x < 0 || cell.y < 0 || cell.x >= gridSize.x || cell.y >= gridSize.y) {
+            outColor = vec4(0.02, 0.02, 0.03, 1.0);
+            outEmission = vec4(0.0);
+            return;
+        }
+        ivec2 texel = cellTexel(cell, gridSize);
+
+        vec4 state = texelFetch(u_currentState, texel, 0);
+        vec4 material = texelFetch(u_currentMaterial, texel, 0);
+        int id = materialId(material);
+        vec3 color;
+        if (u_heatmap) {
+            float value = clamp(state[u_attribute], 0.0, 1.0);
+            color = texture(u_palette, vec2(value, u_paletteRow)).rgb;
+        } else {
+            color = naturalColor(state, id);
+${modGLSL.calls}
+            color = clamp(color, 0.0, 1.0);
+        }
+
+        // Hot and magic-rich cells give off light in every view; solids and
+        // dense cells block it
+        vec3 glow = vec3(1.0, 0.45, 0.1) * smoothstep(0.6, 1.0, state.g)
+            + vec3(0.55, 0.25, 1.0) * smoothstep(0.5, 1.0, state.b);
+        float opacity = MATERIAL_PHASE[id] == PHASE_SOLID ? 1.0 : clamp(state.r, 0.0, 1.0);
+        outEmission = vec4(glow, opacity);
+
+        if (u_flow) {
+            color = mix(color, vec3(1.0), 0.85 * flowArrow(gridSize));
+        }
+
+        outColor = vec4(color, 1.0);
+    }`;
+
+    return createProgram(gl, FULLSCREEN_VERTEX_SHADER, fragmentShaderSrc);
+}
+
+// Projectiles the ship shader can draw, the same as MAX_PROJECTILES in ship/tools.js
+const MAX_SHIP_PROJECTILES = 32;
+
+/**
+ * Initializes the shader program that draws the player ship over the scene.
+ *
+ * Fills the cells whose centers lie inside the hull triangle, the same test
+ * PlayerShip.getHullCells uses, along with the mining beam and projectiles,
+ * and discards everything else.
+ * @param {WebGL2RenderingContext} gl - The WebGL context.
+ * @returns {WebGLProgram} - The compiled and linked ship shader program.
  */
-export function initializeRenderProgram(gl) {
+export function initializeShipProgram(gl) {
+    const fragmentShaderSrc = `#version 300 es
+    precision highp float;
+    in vec2 v_uv;
+    uniform vec2 u_hull[3]; // Corners in world cells, y growing downwards
+    uniform float u_health; // Hull, 0-1
+    uniform float u_energy; // Energy, 0-1
+    uniform vec3 u_color; // Intact hull color, one per player
+    uniform bool u_beamActive;
+    uniform vec2 u_beamFrom;
+    uniform vec2 u_beamTo;
+    uniform vec2 u_projectiles[${MAX_SHIP_PROJECTILES}];
+    uniform int u_projectileCount;
+    layout(location = 0) out vec4 outColor;
+    layout(location = 1) out vec4 outEmission; // Glow (rgb) and opacity (a), for post-processing
+
+    ${CAMERA_GLSL}
+
+    float edge(vec2 p, vec2 q, vec2 point) {
+        return (q.x - p.x) * (point.y - p.y) - (q.y - p.y) * (point.x - p.x);
+    }
+
+    void main() {
+        vec2 center = floor(fragmentToWorld()) + 0.5;
+
+        float e0 = edge(u_hull[0], u_hull[1], center);
+        float e1 = edge(u_hull[1], u_hull[2], center);
+        float e2 = edge(u_hull[2], u_hull[0], center);
+        bool inside = (e0 >= 0.0 && e1 >= 0.0 && e2 >= 0.0) || (e0 <= 0.0 && e1 <= 0.0 && e2 <= 0.0);
+        if (!inside) {
+            for (int i = 0; i < u_projectileCount; i++) {
+                if (distance(center, u_projectiles[i]) <= 1.0) {
+                    outColor = vec4(1.0, 0.9, 0.3, 1.0);
+                    outEmission = vec4(1.0, 0.8, 0.3, 0.0);
+                    return;
+                }
+            }
+            if (u_beamActive) {
+                vec2 beam = u_beamTo - u_beamFrom;
+                float t = clamp(dot(center - u_beamFrom, beam) / max(dot(beam, beam), 1e-6), 0.0, 1.0);
+                if (distance(center, u_beamFrom + beam * t) <= 0.5) {
+                    outColor = vec4(0.3, 0.9, 1.0, 1.0);
+                    outEmission = vec4(0.2, 0.6, 0.8, 0.0);
+                    return;
+                }
+            }
+            discard;
+        }
+
+        // The player's color when intact, red when damaged, with a violet glow for stored energy
+        vec3 color = mix(vec3(1.0, 0.2, 0.1), u_color, u_health);
+        color = mix(color, vec3(0.7, 0.4, 1.0), 0.4 * u_energy);
+        outColor = vec4(color, 1.0);
+        outEmission = vec4(0.0, 0.0, 0.0, 1.0);
+    }`;
+
+    return createProgram(gl, FULLSCREEN_VERTEX_SHADER, fragmentShaderSrc);
+}
+
+/**
+ * Initializes the shader program that draws creatures over the scene.
+ * Draws one square point per creature in the creature texture, one cell
+ * across (at least two pixels), shaded by its energy in the alpha channel.
+ * @param {WebGL2RenderingContext} gl - The WebGL context.
+ * @returns {WebGLProgram} - The compiled and linked creature shader program.
+ */
+export function initializeCreatureProgram(gl) {
     const vertexShaderSrc = `#version 300 es
     precision highp float;
-    layout(location=0) in vec2 a_position;
-    out vec2 v_uv;
+    precision highp int;
+    uniform sampler2D u_creatures;
+    // The CAMERA_GLSL uniforms, which the vertex stage can't use as they are
+    uniform vec2 u_viewOrigin;
+    uniform float u_cellsPerPixel;
+    uniform float u_viewportHeight;
+    uniform float u_viewportWidth;
+    out float v_energy;
+
     void main() {
-        v_uv = (a_position + 1.0) / 2.0;
-        gl_Position = vec4(a_position, 0.0, 1.0);
+        vec4 creature = texelFetch(u_creatures, ivec2(gl_VertexID, 0), 0);
+        vec2 screen = (creature.xy + 0.5 - u_viewOrigin) / u_cellsPerPixel;
+        gl_Position = vec4(screen.x / u_viewportWidth * 2.0 - 1.0, 1.0 - screen.y / u_viewportHeight * 2.0, 0.0, 1.0);
+        gl_PointSize = max(1.0 / u_cellsPerPixel, 2.0);
+        v_energy = creature.w;
     }`;
 
+    const fragmentShaderSrc = `#version 300 es
+    precision highp float;
+    in float v_energy;
+    layout(location = 0) out vec4 outColor;
+    layout(location = 1) out vec4 outEmission; // Glow (rgb) and opacity (a), for post-processing
+
+    void main() {
+        // Pale when starving, russet when well fed
+        outColor = vec4(mix(vec3(0.85, 0.8, 0.7), vec3(0.75, 0.35, 0.15), v_energy), 1.0);
+        outEmission = vec4(0.0, 0.0, 0.0, 1.0);
+    }`;
+
+    return createProgram(gl, vertexShaderSrc, fragmentShaderSrc);
+}
+
+/**
+ * Initializes the post-processing downsample program.
+ * Averages each 4×4 block of the source into one texel with four bilinear
+ * taps; render into a target a quarter of the source size.
+ * @param {WebGL2RenderingContext} gl - The WebGL context.
+ * @returns {WebGLProgram} - The compiled and linked downsample shader program.
+ */
+export function initializeDownsampleProgram(gl) {
     const fragmentShaderSrc = `#version 300 es
     precision highp float;
     in vec2 v_uv;
-    uniform sampler2D u_currentState;
+    uniform sampler2D u_source;
+    out vec4 outColor;
+
+    void main() {
+        vec2 texel = 1.0 / vec2(textureSize(u_source, 0));
+        outColor = 0.25 * (
+            texture(u_source, v_uv + vec2(-1.0, -1.0) * texel) +
+            texture(u_source, v_uv + vec2(1.0, -1.0) * texel) +
+            texture(u_source, v_uv + vec2(-1.0, 1.0) * texel) +
+            texture(u_source, v_uv + vec2(1.0, 1.0) * texel)
+        );
+    }`;
+
+    return createProgram(gl, FULLSCREEN_VERTEX_SHADER, fragmentShaderSrc);
+}
+
+/**
+ * Initializes the light propagation program.
+ *
+ * One iteration moves light one texel: each texel takes the brightest of
+ * its eight neighbours, dimmed by the falloff (more along diagonals) and by
+ * its own opacity, or its own emission if that is brighter. Run repeatedly,
+ * ping-ponging u_light, to spread light from glowing cells into the space
+ * around them while walls cast shadows.
+ * @param {WebGL2RenderingContext} gl - The WebGL context.
+ * @returns {WebGLProgram} - The compiled and linked light propagation shader program.
+ */
+export function initializeLightPropagationProgram(gl) {
+    const fragmentShaderSrc = `#version 300 es
+    precision highp float;
+    in vec2 v_uv;
+    uniform sampler2D u_emission; // Glow (rgb) and opacity (a)
+    uniform sampler2D u_light;    // Light after the previous iteration
+    uniform float u_falloff;      // Light kept per texel travelled
     out vec4 outColor;
 
     void main() {
-        vec4 state = texture(u_currentState, v_uv);
+        ivec2 size = textureSize(u_light, 0);
+        ivec2 p = ivec2(gl_FragCoord.xy);
+        vec4 emission = texelFetch(u_emission, p, 0);
+        float diagonalFalloff = pow(u_falloff, 1.41421356);
 
-        // Color mixing based on attributes, ensuring all are within [0,1]
-        vec3 color = vec3(0.0);
+        vec3 brightest = vec3(0.0);
+        for (int dy = -1; dy <= 1; dy++) {
+            for (int dx = -1; dx <= 1; dx++) {
+                ivec2 q = p + ivec2(dx, dy);
+                if ((dx == 0 && dy == 0) || q.x < 0 || q.y < 0 || q.x >= size.x || q.y >= size.y) continue;
+                float falloff = dx != 0 && dy != 0 ? diagonalFalloff : u_falloff;
+                brightest = max(brightest, texelFetch(u_light, q, 0).rgb * falloff);
+            }
+        }
 
-        // Magic: more magic -> blue
-        color += vec3(0.0, 0.0, clamp(state.b, 0.0, 1.0));
+        outColor = vec4(max(emission.rgb, brightest * (1.0 - emission.a)), 1.0);
+    }`;
 
-        // Density: more dense -> gray
-        color += vec3(0.5) * clamp(state.r, 0.0, 1.0);
+    return createProgram(gl, FULLSCREEN_VERTEX_SHADER, fragmentShaderSrc);
+}
 
-        // Temperature: more temperature -> red
-        color += vec3(clamp(state.g, 0.0, 1.0), 0.0, 0.0);
+/**
+ * Initializes the separable Gaussian blur program used by bloom.
+ * A 9-tap kernel folded into 5 bilinear taps along u_direction; run once
+ * horizontally and once vertically.
+ * @param {WebGL2RenderingContext} gl - The WebGL context.
+ * @returns {WebGLProgram} - The compiled and linked blur shader program.
+ */
+export function initializeBlurProgram(gl) {
+    const fragmentShaderSrc = `#version 300 es
+    precision highp float;
+    in vec2 v_uv;
+    uniform sampler2D u_source;
+    uniform vec2 u_direction; // (1, 0) or (0, 1)
+    out vec4 outColor;
 
-        // Organic: more organic -> green
-        color += vec3(0.0, 0.5, 0.0) * clamp(state.a, 0.0, 1.0);
+    const float OFFSETS[3] = float[3](0.0, 1.3846153846, 3.2307692308);
+    const float WEIGHTS[3] = float[3](0.2270270270, 0.3162162162, 0.0702702703);
 
-        outColor = vec4(color, 1.0);
+    void main() {
+        vec2 texelStep = u_direction / vec2(textureSize(u_source, 0));
+        vec4 sum = texture(u_source, v_uv) * WEIGHTS[0];
+        for (int i = 1; i < 3; i++) {
+            sum += texture(u_source, v_uv + texelStep * OFFSETS[i]) * WEIGHTS[i];
+            sum += texture(u_source, v_uv - texelStep * OFFSETS[i]) * WEIGHTS[i];
+        }
+        outColor = sum;
     }`;
 
-    const vertexShader = compileShader(gl, gl.VERTEX_SHADER, vertexShaderSrc);
-    const fragmentShader = compileShader(gl, gl.FRAGMENT_SHADER, fragmentShaderSrc);
-    const program = linkProgram(gl, vertexShader, fragmentShader);
+    return createProgram(gl, FULLSCREEN_VERTEX_SHADER, fragmentShaderSrc);
+}
 
-    // Setup a full-screen quad
-    const vao = gl.createVertexArray();
-    gl.bindVertexArray(vao);
+/**
+ * Initializes the final post-processing program, which draws the scene to
+ * the canvas with the enabled effects: lighting, bloom, pixel-art scaling,
+ * a CRT look (screen curvature, scanlines and an aperture grille) and a
+ * vignette. Disabled effects skip their texture reads.
+ * @param {WebGL2RenderingContext} gl - The WebGL context.
+ * @returns {WebGLProgram} - The compiled and linked composite shader program.
+ */
+export function initializeCompositeProgram(gl) {
+    const fragmentShaderSrc = `#version 300 es
+    precision highp float;
+    in vec2 v_uv;
+    uniform sampler2D u_scene;
+    uniform sampler2D u_bloom;
+    uniform sampler2D u_light;
+    uniform bool u_bloomEnabled;
+    uniform bool u_lightingEnabled;
+    uniform bool u_pixelArt;
+    uniform bool u_crt;
+    uniform bool u_vignette;
+    uniform float u_bloomIntensity;
+    uniform float u_ambientLight; // Light everywhere, before glowing cells add theirs
+    uniform float u_pixelSize;    // Screen pixels per pixel-art pixel
+    out vec4 outColor;
 
-    const quadBuffer = gl.createBuffer();
-    gl.bindBuffer(gl.ARRAY_BUFFER, quadBuffer);
-    const quadVertices = new Float32Array([
-        -1.0, -1.0,
-         1.0, -1.0,
-        -1.0,  1.0,
-         1.0,  1.0,
-    ]);
-    gl.bufferData(gl.ARRAY_BUFFER, quadVertices, gl.STATIC_DRAW);
+    void main() {
+        vec2 resolution = vec2(textureSize(u_scene, 0));
+        vec2 uv = v_uv;
 
-    gl.enableVertexAttribArray(0); // a_position
-    gl.vertexAttribPointer(0, 2, gl.FLOAT, false, 0, 0);
+        if (u_crt) {
+            // Bulge the picture like a curved tube; corners fall off the screen
+            vec2 centered = uv * 2.0 - 1.0;
+            centered *= 1.0 + 0.04 * dot(centered.yx, centered.yx);
+            uv = centered * 0.5 + 0.5;
+            if (uv.x < 0.0 || uv.y < 0.0 || uv.x > 1.0 || uv.y > 1.0) {
+                outColor = vec4(0.0, 0.0, 0.0, 1.0);
+                return;
+            }
+        }
+        if (u_pixelArt) {
+            uv = (floor(uv * resolution / u_pixelSize) + 0.5) * u_pixelSize / resolution;
+        }
 
+        vec3 color = texture(u_scene, uv).rgb;
+        if (u_lightingEnabled) {
+            color *= u_ambientLight + texture(u_light, uv).rgb;
+        }
+        if (u_bloomEnabled) {
+            color += texture(u_bloom, uv).rgb * u_bloomIntensity;
+        }
+
+        vec2 pixel = uv * resolution;
+        if (u_crt) {
+            color *= 0.75 + 0.25 * sin(pixel.y * 3.14159265);
+            int column = int(mod(gl_FragCoord.x, 3.0));
+            vec3 mask = vec3(0.8);
+            mask[column] = 1.1;
+            color *= mask;
+        }
+        if (u_vignette) {
+            vec2 centered = v_uv * 2.0 - 1.0;
+            color *= 1.0 - 0.45 * smoothstep(0.4, 1.4, length(centered));
+        }
+
+        outColor = vec4(clamp(color, 0.0, 1.0), 1.0);
+    }`;
+
+    return createProgram(gl, FULLSCREEN_VERTEX_SHADER, fragmentShaderSrc);
+}
+
+/**
+ * Draws a player's ship onto the canvas, over the rendered scene.
+ * @param {WebGL2RenderingContext} gl - The WebGL context.
+ * @param {WebGLProgram} shipProgram - The shader program used for the ship.
+ * @param {PlayerShip} ship - The ship to draw.
+ * @param {Camera} camera - The camera to draw through.
+ * @param {WebGLFramebuffer|null} [framebuffer=null] - Canvas-sized target, e.g. from PostProcessor.begin; null for the canvas.
+ */
+export function renderShip(gl, shipProgram, ship, camera, framebuffer = null) {
+    gl.useProgram(shipProgram);
+    gl.bindFramebuffer(gl.FRAMEBUFFER, framebuffer);
+    gl.viewport(0, 0, gl.canvas.width, gl.canvas.height);
+    setCameraUniforms(gl, shipProgram, camera);
+
+    const hull = ship.getHullVertices().flatMap((corner) => [corner.x, corner.y]);
+    gl.uniform2fv(gl.getUniformLocation(shipProgram, 'u_hull'), hull);
+    gl.uniform1f(gl.getUniformLocation(shipProgram, 'u_health'), ship.hull / ship.maxHull);
+    gl.uniform1f(gl.getUniformLocation(shipProgram, 'u_energy'), ship.energy / ship.maxEnergy);
+    gl.uniform3fv(gl.getUniformLocation(shipProgram, 'u_color'), ship.color);
+
+    const { beam, projectiles } = ship.tools;
+    gl.uniform1i(gl.getUniformLocation(shipProgram, 'u_beamActive'), beam ? 1 : 0);
+    if (beam) {
+        gl.uniform2f(gl.getUniformLocation(shipProgram, 'u_beamFrom'), beam.from.x, beam.from.y);
+        gl.uniform2f(gl.getUniformLocation(shipProgram, 'u_beamTo'), beam.to.x, beam.to.y);
+    }
+    const drawn = projectiles.slice(0, MAX_SHIP_PROJECTILES);
+    gl.uniform1i(gl.getUniformLocation(shipProgram, 'u_projectileCount'), drawn.length);
+    if (drawn.length > 0) {
+        gl.uniform2fv(gl.getUniformLocation(shipProgram, 'u_projectiles'), drawn.flatMap((p) => [p.x, p.y]));
+    }
+
+    drawFullscreenQuad(gl);
+    gl.useProgram(null);
+}
+
+/**
+ * Draws the creatures onto the canvas, over the rendered scene.
+ * @param {WebGL2RenderingContext} gl - The WebGL context.
+ * @param {WebGLProgram} creatureProgram - The shader program used for creatures.
+ * @param {CreaturePopulation} population - The creatures to draw.
+ * @param {Camera} camera - The camera to draw through.
+ * @param {WebGLFramebuffer|null} [framebuffer=null] - Canvas-sized target, e.g. from PostProcessor.begin; null for the canvas.
+ */
+export function renderCreatures(gl, creatureProgram, population, camera, framebuffer = null) {
+    if (population.agents.length === 0) return;
+    gl.useProgram(creatureProgram);
+    gl.bindFramebuffer(gl.FRAMEBUFFER, framebuffer);
+    gl.viewport(0, 0, gl.canvas.width, gl.canvas.height);
+    setCameraUniforms(gl, creatureProgram, camera);
+    gl.uniform1f(gl.getUniformLocation(creatureProgram, 'u_viewportWidth'), gl.canvas.width);
+    gl.uniform1i(gl.getUniformLocation(creatureProgram, 'u_creatures'), 0);
+    bindTextures(gl, [population.creatureTexture]);
+
+    gl.bindVertexArray(population.emptyVAO);
+    gl.drawArrays(gl.POINTS, 0, population.agents.length);
     gl.bindVertexArray(null);
-    gl.bindBuffer(gl.ARRAY_BUFFER, null);
 
-    return program;
+    bindTextures(gl, [null]);
+    gl.useProgram(null);
 }
 
 /**
- * Renders the current state to the canvas.
+ * Renders the part of the current state the camera sees to the canvas.
  * @param {WebGL2RenderingContext} gl - The WebGL context.
  * @param {WebGLProgram} renderProgram - The shader program used for rendering.
- * @param {WebGLTexture} currentState - The texture representing the current state.
+ * @param {SimulationState} simulationState - The double-buffered simulation state.
+ * @param {Camera} camera - The camera to draw through.
+ * @param {Object} view - What to draw, see getViewUniforms.
+ * @param {WebGLTexture} paletteTexture - The palette lookup texture, see createPaletteTexture.
+ * @param {WebGLFramebuffer|null} [framebuffer=null] - Canvas-sized target, e.g. from PostProcessor.begin; null for the canvas.
  */
-export function renderScene(gl, renderProgram, currentState) {
+export function renderScene(gl, renderProgram, simulationState, camera, view, paletteTexture, framebuffer = null) {
     gl.useProgram(renderProgram);
-    gl.bindVertexArray(gl.createVertexArray()); // Assuming VAO is already bound in initializeRendering
+    gl.bindFramebuffer(gl.FRAMEBUFFER, framebuffer);
+    gl.viewport(0, 0, gl.canvas.width, gl.canvas.height);
+    setCameraUniforms(gl, renderProgram, camera);
+
+    gl.uniform1i(gl.getUniformLocation(renderProgram, 'u_heatmap'), view.heatmap ? 1 : 0);
+    gl.uniform1i(gl.getUniformLocation(renderProgram, 'u_attribute'), view.attribute);
+    gl.uniform1f(gl.getUniformLocation(renderProgram, 'u_paletteRow'), view.paletteRow);
+    gl.uniform1i(gl.getUniformLocation(renderProgram, 'u_flow'), view.flow ? 1 : 0);
 
-    // Bind the current state texture to texture unit 0
-    const currentStateLoc = gl.getUniformLocation(renderProgram, 'u_currentState');
-    gl.uniform1i(currentStateLoc, 0);
-    gl.activeTexture(gl.TEXTURE0);
-    gl.bindTexture(gl.TEXTURE_2D, currentState);
+    // Bind the live attribute and material textures and the palettes to texture units 0-2
+    gl.uniform1i(gl.getUniformLocation(renderProgram, 'u_currentState'), 0);
+    gl.uniform1i(gl.getUniformLocation(renderProgram, 'u_currentMaterial'), 1);
+    gl.uniform1i(gl.getUniformLocation(renderProgram, 'u_palette'), 2);
+    bindTextures(gl, [simulationState.current, simulationState.currentMaterial, paletteTexture]);
 
     // Draw the full-screen quad
-    gl.drawArrays(gl.TRIANGLE_STRIP, 0, 4);
+    drawFullscreenQuad(gl);
 
     // Clean up
-    gl.bindTexture(gl.TEXTURE_2D, null);
-    gl.bindVertexArray(null);
+    bindTextures(gl, [null, null, null]);
     gl.useProgram(null);
 }
 
+/**
+ * Draws a quad covering the whole viewport with the currently bound program.
+ * The quad's VAO is created on first use and shared by every pass.
+ * @param {WebGL2RenderingContext} gl - The WebGL context.
+ */
+export function drawFullscreenQuad(gl) {
+    let vao = quadVAOs.get(gl);
+    if (!vao) {
+        vao = gl.createVertexArray();
+        gl.bindVertexArray(vao);
+
+        const quadBuffer = gl.createBuffer();
+        gl.bindBuffer(gl.ARRAY_BUFFER, quadBuffer);
+        const quadVertices = new Float32Array([
+            -1.0, -1.0,
+             1.0, -1.0,
+            -1.0,  1.0,
+             1.0,  1.0,
+        ]);
+        gl.bufferData(gl.ARRAY_BUFFER, quadVertices, gl.STATIC_DRAW);
+
+        gl.enableVertexAttribArray(0); // a_position
+        gl.vertexAttribPointer(0, 2, gl.FLOAT, false, 0, 0);
+
+        gl.bindBuffer(gl.ARRAY_BUFFER, null);
+        quadVAOs.set(gl, vao);
+    }
+
+    gl.bindVertexArray(vao);
+    gl.drawArrays(gl.TRIANGLE_STRIP, 0, 4);
+    gl.bindVertexArray(null);
+}
+
+/**
+ * Binds textures to consecutive texture units starting at unit 0.
+ * Leaves texture unit 0 active.
+ * @param {WebGL2RenderingContext} gl - The WebGL context.
+ * @param {Array<WebGLTexture|null>} textures - Textures to bind, in unit order.
+ */
+export function bindTextures(gl, textures) {
+    for (let i = textures.length - 1; i >= 0; i--) {
+        gl.activeTexture(gl.TEXTURE0 + i);
+        gl.bindTexture(gl.TEXTURE_2D, textures[i]);
+    }
+}
+
+/**
+ * Sets the CAMERA_GLSL uniforms of a program, which must be in use.
+ * @param {WebGL2RenderingContext} gl - The WebGL context.
+ * @param {WebGLProgram} program - The program.
+ * @param {Camera} camera - The camera.
+ */
+function setCameraUniforms(gl, program, camera) {
+    const view = camera.getView();
+    gl.uniform2f(gl.getUniformLocation(program, 'u_viewOrigin'), view.x, view.y);
+    gl.uniform1f(gl.getUniformLocation(program, 'u_cellsPerPixel'), view.cellsPerPixel);
+    gl.uniform1f(gl.getUniformLocation(program, 'u_viewportHeight'), gl.canvas.height);
+}
+
+/**
+ * Compiles and links a shader program from source. Nothing is left behind
+ * if it fails: a vertex shader compiled before the fragment shader failed is
+ * deleted too.
+ * @param {WebGL2RenderingContext} gl - The WebGL context.
+ * @param {string} vertexSource - The vertex shader source code.
+ * @param {string} fragmentSource - The fragment shader source code.
+ * @returns {WebGLProgram} - The linked shader program.
+ * @throws {Error} - If a shader doesn't compile or the program doesn't link, see compileShader and linkProgram.
+ */
+function createProgram(gl, vertexSource, fragmentSource) {
+    const vertexShader = compileShader(gl, gl.VERTEX_SHADER, vertexSource);
+    let fragmentShader;
+    try {
+        fragmentShader = compileShader(gl, gl.FRAGMENT_SHADER, fragmentSource);
+    } catch (error) {
+        gl.deleteShader(vertexShader);
+        throw error;
+    }
+    return linkProgram(gl, vertexShader, fragmentShader);
+}
+
 /**
  * Compiles a shader from source.
  * @param {WebGL2RenderingContext} gl - The WebGL context.
  * @param {number} type - The type of shader (VERTEX_SHADER or FRAGMENT_SHADER).
  * @param {string} source - The shader source code.
  * @returns {WebGLShader} - The compiled shader.
+ * @throws {Error} - If it doesn't compile; the error carries the info log
+ *   (log) and the source (source) so the log's line numbers can be traced.
  */
 function compileShader(gl, type, source) {
     const shader = gl.createShader(type);
@@ -171,9 +1700,9 @@ function compileShader(gl, type, source) {
     gl.compileShader(shader);
     const success = gl.getShaderParameter(shader, gl.COMPILE_STATUS);
     if (!success) {
-        console.error('Shader compilation failed:', gl.getShaderInfoLog(shader));
+        const log = gl.getShaderInfoLog(shader);
         gl.deleteShader(shader);
-        return null;
+        throw Object.assign(new Error(`Shader compilation failed: ${log}`), { log, source });
     }
     return shader;
 }
@@ -184,17 +1713,21 @@ function compileShader(gl, type, source) {
  * @param {WebGLShader} vertexShader - The compiled vertex shader.
  * @param {WebGLShader} fragmentShader - The compiled fragment shader.
  * @returns {WebGLProgram} - The linked shader program.
+ * @throws {Error} - If it doesn't link; the error carries the info log (log).
  */
 function linkProgram(gl, vertexShader, fragmentShader) {
     const program = gl.createProgram();
     gl.attachShader(program, vertexShader);
     gl.attachShader(program, fragmentShader);
     gl.linkProgram(program);
+    // The program keeps what it needs; the shaders are not reused
+    gl.deleteShader(vertexShader);
+    gl.deleteShader(fragmentShader);
     const success = gl.getProgramParameter(program, gl.LINK_STATUS);
     if (!success) {
-        console.error('Program linking failed:', gl.getProgramInfoLog(program));
+        const log = gl.getProgramInfoLog(program);
         gl.deleteProgram(program);
-        return null;
+        throw Object.assign(new Error(`Program linking failed: ${log}`), { log, source: null });
     }
     return program;
 }
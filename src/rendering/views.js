@@ -0,0 +1,152 @@
+// src/rendering/views.js
+
+import { ATTRIBUTES } from '../simulation/simulation.js';
+
+/**
+ * Color maps for heatmap views, as evenly spaced stops from low to high.
+ * Each one becomes a row of the palette lookup texture; new palettes only
+ * need an entry here.
+ */
+export const PALETTES = {
+    viridis: ['#440154', '#482878', '#3e4989', '#31688e', '#26828e', '#1f9e89', '#35b779', '#6ece58', '#b5de2b', '#fde725'],
+    inferno: ['#000004', '#1b0c41', '#4a0c6b', '#781c6d', '#a52c60', '#cf4446', '#ed6925', '#fb9b06', '#f7d13d', '#fcffa4'],
+    magma: ['#000004', '#180f3d', '#440f76', '#721f81', '#9e2f7f', '#cd4071', '#f1605d', '#fd9668', '#feca8d', '#fcfdbf'],
+    plasma: ['#0d0887', '#46039f', '#7201a8', '#9c179e', '#bd3786', '#d8576b', '#ed7953', '#fb9f3a', '#fdca26', '#f0f921'],
+    cividis: ['#00224e', '#123570', '#3b496c', '#575d6d', '#707173', '#8a8678', '#a59c74', '#c3b369', '#e1cc55', '#fee838'],
+    turbo: ['#30123b', '#4145ab', '#4675ed', '#39a2fc', '#1bcfd4', '#24eca6', '#61fc6c', '#a4fc3b', '#d1e834', '#f3c63a', '#fe9b2d', '#f36315', '#d93806', '#b11901', '#7a0403'],
+    grayscale: ['#000000', '#ffffff'],
+};
+
+export const PALETTE_NAMES = Object.keys(PALETTES);
+
+// Texels per palette row in the lookup texture
+const PALETTE_RESOLUTION = 256;
+
+/**
+ * View modes the render shader can draw.
+ * - natural: Materials in their own colors with attributes as subtle tints.
+ * - heatmap: One attribute through a palette; `attribute` is an ATTRIBUTES index.
+ * Attribute heatmaps start with their own palette, which can then be changed.
+ */
+export const VIEW_MODES = [
+    { name: 'Natural', kind: 'natural' },
+    { name: 'Density', kind: 'heatmap', attribute: ATTRIBUTES.DENSITY, palette: 'cividis' },
+    { name: 'Temperature', kind: 'heatmap', attribute: ATTRIBUTES.TEMPERATURE, palette: 'inferno' },
+    { name: 'Magic', kind: 'heatmap', attribute: ATTRIBUTES.MAGIC, palette: 'plasma' },
+    { name: 'Organic', kind: 'heatmap', attribute: ATTRIBUTES.ORGANIC, palette: 'viridis' },
+];
+
+/**
+ * Creates the view settings with the natural view selected.
+ * - mode: Index into VIEW_MODES.
+ * - palettes: Palette name chosen for each heatmap mode, by mode index.
+ * - flow: Whether the flow overlay is drawn.
+ * - legend: Whether the legend is shown.
+ * @returns {Object} - The view settings.
+ */
+export function createView() {
+    return {
+        mode: 0,
+        palettes: VIEW_MODES.map((mode) => mode.palette || null),
+        flow: false,
+        legend: true,
+    };
+}
+
+/**
+ * Steps through the view modes, wrapping around.
+ * @param {Object} view - The view settings.
+ * @param {number} step - Modes to advance (negative to go back).
+ */
+export function cycleViewMode(view, step) {
+    view.mode = (view.mode + step + VIEW_MODES.length) % VIEW_MODES.length;
+}
+
+/**
+ * Steps through the palettes for the current heatmap mode.
+ * Does nothing in the natural view, which has no palette.
+ * @param {Object} view - The view settings.
+ * @param {number} step - Palettes to advance (negative to go back).
+ */
+export function cyclePalette(view, step) {
+    const current = view.palettes[view.mode];
+    if (current === null) return;
+    const index = PALETTE_NAMES.indexOf(current);
+    view.palettes[view.mode] = PALETTE_NAMES[(index + step + PALETTE_NAMES.length) % PALETTE_NAMES.length];
+}
+
+/**
+ * Resolves the view settings into what the render shader needs.
+ * @param {Object} view - The view settings.
+ * @returns {{heatmap: boolean, attribute: number, paletteRow: number, flow: boolean}} - Settings for renderScene.
+ */
+export function getViewUniforms(view) {
+    const mode = VIEW_MODES[view.mode];
+    const heatmap = mode.kind === 'heatmap';
+    return {
+        heatmap,
+        // The natural view's flow overlay follows density
+        attribute: heatmap ? mode.attribute : ATTRIBUTES.DENSITY,
+        paletteRow: heatmap ? paletteRow(view.palettes[view.mode]) : 0,
+        flow: view.flow,
+    };
+}
+
+/**
+ * Builds the palette lookup texture: one row per palette in PALETTE_NAMES
+ * order, with the stops interpolated across PALETTE_RESOLUTION texels.
+ * Sampled with linear filtering at row centers, see paletteRow.
+ * @param {WebGL2RenderingContext} gl - The WebGL context.
+ * @returns {WebGLTexture} - The RGBA8 lookup texture.
+ */
+export function createPaletteTexture(gl) {
+    const data = new Uint8Array(PALETTE_RESOLUTION * PALETTE_NAMES.length * 4);
+    PALETTE_NAMES.forEach((name, row) => {
+        for (let i = 0; i < PALETTE_RESOLUTION; i++) {
+            const color = samplePalette(name, i / (PALETTE_RESOLUTION - 1));
+            data.set([...color.map((c) => Math.round(c * 255)), 255], (row * PALETTE_RESOLUTION + i) * 4);
+        }
+    });
+
+    const texture = gl.createTexture();
+    gl.bindTexture(gl.TEXTURE_2D, texture);
+    gl.texImage2D(gl.TEXTURE_2D, 0, gl.RGBA8, PALETTE_RESOLUTION, PALETTE_NAMES.length, 0, gl.RGBA, gl.UNSIGNED_BYTE, data);
+    gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_MIN_FILTER, gl.LINEAR);
+    gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_MAG_FILTER, gl.LINEAR);
+    gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_WRAP_S, gl.CLAMP_TO_EDGE);
+    gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_WRAP_T, gl.CLAMP_TO_EDGE);
+    gl.bindTexture(gl.TEXTURE_2D, null);
+    return texture;
+}
+
+/**
+ * The texture coordinate of a palette's row center in the lookup texture.
+ * @param {string} name - Palette name.
+ * @returns {number} - V coordinate, 0-1.
+ */
+export function paletteRow(name) {
+    return (PALETTE_NAMES.indexOf(name) + 0.5) / PALETTE_NAMES.length;
+}
+
+/**
+ * Interpolates a palette's stops.
+ * @param {string} name - Palette name.
+ * @param {number} t - Position along the palette, 0-1.
+ * @returns {Array<number>} - RGB, 0-1.
+ */
+export function samplePalette(name, t) {
+    const stops = PALETTES[name].map(parseHexColor);
+    const position = Math.min(Math.max(t, 0), 1) * (stops.length - 1);
+    const index = Math.min(Math.floor(position), stops.length - 2);
+    const f = position - index;
+    return stops[index].map((c, i) => c + (stops[index + 1][i] - c) * f);
+}
+
+/**
+ * Parses a #rrggbb color.
+ * @param {string} hex - The color.
+ * @returns {Array<number>} - RGB, 0-1.
+ */
+function parseHexColor(hex) {
+    return [1, 3, 5].map((i) => parseInt(hex.slice(i, i + 2), 16) / 255);
+}
@@ -0,0 +1,285 @@
+// src/replay/replay.js
+
+import { encodeControls } from '../input/input.js';
+
+/*
+ * Replay file: UTF-8 JSON with these fields.
+ *
+ *   format        FORMAT_NAME
+ *   version       FORMAT_VERSION
+ *   seed          world seed the run started from, at tick 0
+ *   params        simulation constants at tick 0
+ *   length        ticks recorded
+ *   players       number of ships (version 2+; 1 before)
+ *   buttons       [tick, controls, ...] with the packed controls of each ship
+ *                 (see encodeControls) each time they changed; before
+ *                 version 3, masks of held controls in LEGACY_CONTROLS order
+ *   strokes       [tick, fromX, fromY, toX, toY, erase, shape, radius, attribute, strength]
+ *                 for each brush stroke, in the order painted, positions in grid cells
+ *   paramChanges  [tick, {name: value, ...}] for each tick the constants changed
+ *   checkpoints   [tick, shipX, shipY] every CHECKPOINT_INTERVAL ticks, taken
+ *                 before the tick's input from the first ship, for spotting a
+ *                 diverging playback
+ *
+ * Ticks count from the start of the recording. Only what the player feeds
+ * into the simulation is stored; the rest follows from the seed, as every
+ * step and every readback the simulation depends on is fixed to the tick.
+ */
+
+const FORMAT_NAME = 'pixelPhysics.replay';
+const FORMAT_VERSION = 3;
+const CHECKPOINT_INTERVAL = 600;
+
+// Bit order of the held ship controls in version 1 and 2 masks
+const LEGACY_CONTROLS = ['thrust', 'reverse', 'turnLeft', 'turnRight', 'mine', 'deposit', 'fire', 'channel', 'release'];
+
+/**
+ * Converts a version 1 or 2 mask of held controls into packed controls.
+ * @param {number} mask - Held controls, one bit per LEGACY_CONTROLS entry.
+ * @returns {number} - The same controls, packed, see encodeControls.
+ */
+function upgradeMask(mask) {
+    const held = {};
+    LEGACY_CONTROLS.forEach((control, bit) => {
+        held[control] = (mask & (1 << bit)) !== 0 ? 1 : 0;
+    });
+    return encodeControls({ ...held, turn: held.turnRight - held.turnLeft });
+}
+
+/**
+ * Records a run tick by tick. Start it on a world freshly generated from
+ * `seed` with `params`, and call record() at the start of every tick.
+ */
+export class ReplayRecorder {
+    /**
+     * Starts a recording.
+     * @param {number} seed - Seed of the world the run starts from.
+     * @param {Object} params - Simulation constants at the start.
+     * @param {number} [players=1] - Number of ships.
+     */
+    constructor(seed, params, players = 1) {
+        this.seed = seed;
+        this.params = { ...params };
+        this.players = players;
+        this.length = 0;
+        this.buttons = [];
+        this.strokes = [];
+        this.paramChanges = [];
+        this.checkpoints = [];
+
+        this.lastButtons = new Array(players).fill(0);
+        this.lastParams = { ...params };
+    }
+
+    /**
+     * Logs a tick's input, before it is applied.
+     * @param {number} tick - Ticks since the recording started.
+     * @param {{buttons: Array<number>, strokes: Array<Object>}} input - The tick's input, see readTickInput.
+     * @param {Object} params - The live simulation constants.
+     * @param {{x: number, y: number}} shipPosition - The first ship's position before the tick.
+     */
+    record(tick, input, params, shipPosition) {
+        if (tick % CHECKPOINT_INTERVAL === 0) {
+            this.checkpoints.push([tick, shipPosition.x, shipPosition.y]);
+        }
+
+        const changes = diffParams(this.lastParams, params);
+        if (changes) {
+            this.paramChanges.push([tick, changes]);
+            Object.assign(this.lastParams, changes);
+        }
+
+        if (input.buttons.some((controls, ship) => controls !== this.lastButtons[ship])) {
+            this.buttons.push([tick, ...input.buttons]);
+            this.lastButtons = [...input.buttons];
+        }
+
+        for (const stroke of input.strokes) {
+            const { brush } = stroke;
+            this.strokes.push([
+                tick, stroke.from.x, stroke.from.y, stroke.to.x, stroke.to.y, stroke.erase ? 1 : 0,
+                brush.shape, brush.radius, brush.attribute, brush.strength,
+            ]);
+        }
+
+        this.length = tick + 1;
+    }
+
+    /**
+     * Encodes the recording as a replay file.
+     * @returns {Uint8Array} - The file contents.
+     */
+    toFile() {
+        const replay = {
+            format: FORMAT_NAME,
+            version: FORMAT_VERSION,
+            seed: this.seed,
+            params: this.params,
+            length: this.length,
+            players: this.players,
+            buttons: this.buttons,
+            strokes: this.strokes,
+            paramChanges: this.paramChanges,
+            checkpoints: this.checkpoints,
+        };
+        return new TextEncoder().encode(JSON.stringify(replay));
+    }
+}
+
+/**
+ * Decodes and validates a replay file.
+ * @param {ArrayBuffer|Uint8Array} file - The file contents.
+ * @returns {Object} - The replay, with the fields described at the top of this file.
+ * @throws {Error} - If the file is not a replay or has another version.
+ */
+export function parseReplay(file) {
+    const bytes = file instanceof Uint8Array ? file : new Uint8Array(file);
+    let replay;
+    try {
+        replay = JSON.parse(new TextDecoder().decode(bytes));
+    } catch (error) {
+        throw new Error('Not a replay file: not JSON.');
+    }
+    if (!replay || replay.format !== FORMAT_NAME) {
+        throw new Error('Not a replay file: bad signature.');
+    }
+    if (!Number.isInteger(replay.version) || replay.version < 1 || replay.version > FORMAT_VERSION) {
+        throw new Error(`Unsupported replay version ${replay.version} (this build reads versions 1-${FORMAT_VERSION}).`);
+    }
+    // Version 1 replays have a single ship, with masks read like version 2 ones
+    if (replay.version === 1) replay.players = 1;
+    const lists = ['buttons', 'strokes', 'paramChanges', 'checkpoints'];
+    if (!Number.isInteger(replay.seed) || !Number.isInteger(replay.length) || replay.length < 0 ||
+        !Number.isInteger(replay.players) || replay.players < 1 ||
+        typeof replay.params !== 'object' || lists.some((name) => !Array.isArray(replay[name]))) {
+        throw new Error('Replay file is corrupted.');
+    }
+    if (replay.version < 3) {
+        replay.buttons = replay.buttons.map(([tick, ...masks]) => [tick, ...masks.map(upgradeMask)]);
+    }
+    return replay;
+}
+
+/**
+ * Plays a replay back tick by tick, with pause, speed and seek state for
+ * the loop that drives it.
+ *
+ * The player only answers what the input was at a tick; the caller resets
+ * the world to the replay's seed and params before tick 0 and runs the
+ * ticks. Seeking backwards means starting over from tick 0.
+ */
+export class ReplayPlayer {
+    /**
+     * Prepares a parsed replay for playback.
+     * @param {Object} replay - The replay, see parseReplay.
+     */
+    constructor(replay) {
+        this.replay = replay;
+        this.length = replay.length;
+
+        this.paused = false;
+        this.speed = 1;
+        // Tick to fast-forward to, or null when playing normally
+        this.seekTarget = null;
+        // First tick whose checkpoint did not match, or null
+        this.divergedAt = null;
+
+        // Strokes by tick, in the order they were painted
+        this.strokes = new Map();
+        for (const [tick, fromX, fromY, toX, toY, erase, shape, radius, attribute, strength] of replay.strokes) {
+            if (!this.strokes.has(tick)) this.strokes.set(tick, []);
+            this.strokes.get(tick).push({
+                from: { x: fromX, y: fromY },
+                to: { x: toX, y: toY },
+                erase: erase === 1,
+                brush: { shape, radius, attribute, strength },
+            });
+        }
+        this.paramChanges = new Map(replay.paramChanges);
+        this.checkpoints = new Map(replay.checkpoints.map(([tick, x, y]) => [tick, { x, y }]));
+    }
+
+    /**
+     * Whether every recorded tick has been played.
+     * @param {number} tick - The next tick to play.
+     * @returns {boolean}
+     */
+    isFinished(tick) {
+        return tick >= this.length;
+    }
+
+    /**
+     * The input recorded for a tick.
+     * @param {number} tick - Ticks since the start of the replay.
+     * @returns {{buttons: Array<number>, strokes: Array<Object>}} - The tick's input, as readTickInput returned it.
+     */
+    inputAt(tick) {
+        return {
+            buttons: this.buttonsAt(tick),
+            strokes: this.strokes.get(tick) || [],
+        };
+    }
+
+    /**
+     * The simulation constants that changed at a tick.
+     * @param {number} tick - Ticks since the start of the replay.
+     * @returns {Object|null} - Changed constants by name, or null.
+     */
+    paramChangesAt(tick) {
+        return this.paramChanges.get(tick) || null;
+    }
+
+    /**
+     * Compares the first ship's position with the recorded checkpoint, if the
+     * tick has one, and remembers the first mismatch.
+     * @param {number} tick - Ticks since the start of the replay.
+     * @param {{x: number, y: number}} shipPosition - The first ship's position before the tick.
+     * @returns {boolean} - False if the playback has diverged from the recording at this tick.
+     */
+    verify(tick, shipPosition) {
+        const checkpoint = this.checkpoints.get(tick);
+        if (!checkpoint || (checkpoint.x === shipPosition.x && checkpoint.y === shipPosition.y)) return true;
+        if (this.divergedAt === null || tick < this.divergedAt) {
+            this.divergedAt = tick;
+            console.warn(`Replay diverged from the recording at tick ${tick}.`);
+        }
+        return false;
+    }
+
+    /**
+     * The ship controls held at a tick: the last change at or before it.
+     * @param {number} tick - Ticks since the start of the replay.
+     * @returns {Array<number>} - The packed controls of each ship.
+     */
+    buttonsAt(tick) {
+        const { buttons } = this.replay;
+        let low = 0;
+        let high = buttons.length;
+        while (low < high) {
+            const middle = (low + high) >> 1;
+            if (buttons[middle][0] <= tick) {
+                low = middle + 1;
+            } else {
+                high = middle;
+            }
+        }
+        return low > 0 ? buttons[low - 1].slice(1) : new Array(this.replay.players).fill(0);
+    }
+}
+
+/**
+ * Lists the constants whose values differ.
+ * @param {Object} previous - Earlier values.
+ * @param {Object} current - Current values.
+ * @returns {Object|null} - Changed constants with their current values, or null if none changed.
+ */
+function diffParams(previous, current) {
+    let changes = null;
+    for (const key of Object.keys(current)) {
+        if (current[key] !== previous[key]) {
+            changes = changes || {};
+            changes[key] = current[key];
+        }
+    }
+    return changes;
+}
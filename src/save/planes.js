@@ -0,0 +1,166 @@
+// src/save/planes.js
+
+/*
+ * The plane encoding of world files, also used to keep chunks that left the
+ * window compact in memory. Attribute, material and fluid data is split into
+ * one plane per texture channel; each plane is the channel's float32 values,
+ * byte-shuffled, then deflated.
+ */
+
+// The layers planes can hold, by the layer number stored with each plane:
+// attributes and materials (RGBA), and the fluid velocity (RG) and pressure (R)
+const LAYERS = [
+    { name: 'state', channels: 4 },
+    { name: 'material', channels: 4 },
+    { name: 'velocity', channels: 2 },
+    { name: 'pressure', channels: 1 },
+];
+
+// The layers of a stored chunk, which has no fluid
+const CHUNK_LAYERS = ['state', 'material'];
+
+/**
+ * Compresses layers of grid data into one plane per channel.
+ * @param {Object} layers - Data per layer name, with as many values per cell as the layer has channels; layers
+ *     left out get no planes.
+ * @returns {Promise<Array<Object>>} - The planes: layer, channel and compressed bytes.
+ */
+export async function encodePlanes(layers) {
+    const planes = [];
+    for (let layer = 0; layer < LAYERS.length; layer++) {
+        const { name, channels } = LAYERS[layer];
+        const data = layers[name];
+        if (!data) continue;
+        for (let channel = 0; channel < channels; channel++) {
+            planes.push({ layer, channel, bytes: await compress(shuffleBytes(extractChannel(data, channel, channels))) });
+        }
+    }
+    return planes;
+}
+
+/**
+ * Decompresses planes from encodePlanes back into grid data.
+ * @param {Array<Object>} planes - The planes: layer, channel and compressed bytes.
+ * @param {number} cellCount - Cells every plane must hold.
+ * @param {Array<string>} [names=CHUNK_LAYERS] - The layers the planes must cover, every channel once.
+ * @returns {Promise<Object>} - Data per layer name, as given to encodePlanes.
+ * @throws {Error} - If the planes are incomplete or corrupted.
+ */
+export async function decodePlanes(planes, cellCount, names = CHUNK_LAYERS) {
+    const layers = {};
+    let expected = 0;
+    for (const name of names) {
+        const { channels } = LAYERS.find((layer) => layer.name === name);
+        layers[name] = new Float32Array(cellCount * channels);
+        expected += channels;
+    }
+    if (planes.length !== expected) {
+        throw new Error(`World file is corrupted: expected ${expected} planes, found ${planes.length}.`);
+    }
+    const seen = new Set();
+    for (const { layer, channel, bytes } of planes) {
+        const known = LAYERS[layer];
+        if (!known || !names.includes(known.name) || channel >= known.channels || seen.has(`${layer},${channel}`)) {
+            throw new Error('World file is corrupted: unknown plane.');
+        }
+        seen.add(`${layer},${channel}`);
+
+        let plane;
+        try {
+            plane = unshuffleBytes(await decompress(bytes));
+        } catch (error) {
+            throw new Error('World file is corrupted: a data plane does not decompress.');
+        }
+        if (plane.length !== cellCount) {
+            throw new Error('World file is corrupted: a data plane has the wrong size.');
+        }
+        insertChannel(layers[known.name], plane, channel, known.channels);
+    }
+    return layers;
+}
+
+/**
+ * Copies one channel out of interleaved data.
+ * @param {Float32Array} data - Interleaved channel values.
+ * @param {number} channel - Channel index.
+ * @param {number} channels - Values per cell.
+ * @returns {Float32Array} - The channel values.
+ */
+function extractChannel(data, channel, channels) {
+    const plane = new Float32Array(data.length / channels);
+    for (let i = 0; i < plane.length; i++) {
+        plane[i] = data[i * channels + channel];
+    }
+    return plane;
+}
+
+/**
+ * Writes one channel into interleaved data.
+ * @param {Float32Array} data - Interleaved channel values.
+ * @param {Float32Array} plane - The channel values.
+ * @param {number} channel - Channel index.
+ * @param {number} channels - Values per cell.
+ */
+function insertChannel(data, plane, channel, channels) {
+    for (let i = 0; i < plane.length; i++) {
+        data[i * channels + channel] = plane[i];
+    }
+}
+
+/**
+ * Groups the n-th byte of every float together. Neighbouring cells share
+ * exponents and high mantissa bits, so this makes the data far more
+ * compressible.
+ * @param {Float32Array} plane - Channel values.
+ * @returns {Uint8Array} - Shuffled bytes.
+ */
+function shuffleBytes(plane) {
+    const source = new Uint8Array(plane.buffer, plane.byteOffset, plane.byteLength);
+    const shuffled = new Uint8Array(source.length);
+    const count = plane.length;
+    for (let i = 0; i < count; i++) {
+        for (let b = 0; b < 4; b++) {
+            shuffled[b * count + i] = source[i * 4 + b];
+        }
+    }
+    return shuffled;
+}
+
+/**
+ * Reverses shuffleBytes.
+ * @param {Uint8Array} shuffled - Shuffled bytes.
+ * @returns {Float32Array} - Channel values.
+ */
+function unshuffleBytes(shuffled) {
+    if (shuffled.length % 4 !== 0) {
+        throw new Error('Plane length is not a multiple of 4');
+    }
+    const count = shuffled.length / 4;
+    const bytes = new Uint8Array(shuffled.length);
+    for (let i = 0; i < count; i++) {
+        for (let b = 0; b < 4; b++) {
+            bytes[i * 4 + b] = shuffled[b * count + i];
+        }
+    }
+    return new Float32Array(bytes.buffer);
+}
+
+/**
+ * Deflates bytes with the platform CompressionStream.
+ * @param {Uint8Array} bytes - Raw bytes.
+ * @returns {Promise<Uint8Array>} - Compressed bytes.
+ */
+async function compress(bytes) {
+    const stream = new Blob([bytes]).stream().pipeThrough(new CompressionStream('deflate'));
+    return new Uint8Array(await new Response(stream).arrayBuffer());
+}
+
+/**
+ * Inflates bytes with the platform DecompressionStream.
+ * @param {Uint8Array} bytes - Compressed bytes.
+ * @returns {Promise<Uint8Array>} - Raw bytes.
+ */
+async function decompress(bytes) {
+    const stream = new Blob([bytes]).stream().pipeThrough(new DecompressionStream('deflate'));
+    return new Uint8Array(await new Response(stream).arrayBuffer());
+}
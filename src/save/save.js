@@ -0,0 +1,523 @@
+// src/save/save.js
+
+import { readSimulationState, writeSimulationState } from '../simulation/simulation.js';
+import { crc32 } from '../utils/utils.js';
+import { encodePlanes, decodePlanes } from './planes.js';
+import { CHUNK_SIZE, START_ORIGIN, chunkKey } from '../world/chunks.js';
+
+/*
+ * World file layout (all integers little-endian):
+ *
+ *   Header
+ *     magic            4 bytes  'PXWD'
+ *     version          u16      FORMAT_VERSION
+ *     flags            u16      reserved, 0
+ *     width, height    u32 x2   grid size
+ *     originX, originY i32 x2   top-left chunk of the grid window (version 2+)
+ *     seed             u32
+ *     tick             u32      simulation ticks since creation
+ *     currentYear      u32
+ *     ticksIntoYear    u32
+ *     shipCount        u16      number of ships (version 3+; earlier versions hold one)
+ *     per ship         f64 x5   position x/y, velocity x/y, angle
+ *                      f64 x2   hull, energy (version 3+)
+ *                      u32      times destroyed (version 3+)
+ *                      f64 x4   cargo, harvested, ammo, fire cooldown (version 3+)
+ *                      u16      projectile count (version 3+)
+ *     per projectile   f64 x5   position x/y, velocity x/y, remaining life
+ *     creatureCount    u32      (version 3+)
+ *     per creature     u32      id
+ *                      i32 x2   grid position x/y
+ *                      f64      energy
+ *                      u32      age
+ *     nextCreatureId   u32      (version 3+)
+ *     births, deaths   u32 x2   (version 3+)
+ *     creatureRandom   f64      state of the creatures' decision generator (version 3+)
+ *     paramsLength     u32
+ *     params           UTF-8 JSON of the simulation constants
+ *     planeCount       u16
+ *   Planes of the grid, one per texture channel
+ *     layer            u8       0 = attributes, 1 = materials, and from version 3
+ *                               2 = fluid velocity, 3 = pressure
+ *     channel          u8       0-3 (RGBA), 0-1 (RG) for the velocity, 0 for the pressure
+ *     length           u32      compressed size in bytes
+ *     data             deflate of the channel's float32 values, byte-shuffled
+ *   Stored chunks (version 2+)
+ *     chunkCount       u32
+ *     per chunk        cx, cy i32 x2, planeCount u16, then attribute and material planes as above
+ *   Trailer
+ *     checksum         u32      CRC-32 of everything before it
+ */
+
+const MAGIC = 'PXWD';
+const FORMAT_VERSION = 3;
+// Oldest version still read; version 1 files hold only the grid, no chunks,
+// and versions 1 and 2 only the first ship, and no fluid or creatures
+const MIN_FORMAT_VERSION = 1;
+
+// The layers of the grid's planes, see encodePlanes
+const GRID_LAYERS = ['state', 'material', 'velocity', 'pressure'];
+
+/**
+ * Serialises the whole world into the versioned binary format.
+ * @param {WebGL2RenderingContext} gl - The WebGL context.
+ * @param {Object} world - The world to save: simulationState, chunks, seed, currentYear, ticksIntoYear, ships,
+ *     creatures and params.
+ * @returns {Promise<Uint8Array>} - The file contents.
+ */
+export async function exportWorld(gl, world) {
+    const { simulationState, chunks, ships } = world;
+    const { width, height } = simulationState;
+    const planes = await encodePlanes({
+        ...readSimulationState(gl, simulationState),
+        velocity: simulationState.fluid.readVelocity(),
+        pressure: simulationState.fluid.readPressure(),
+    });
+
+    const storedChunks = [];
+    for (const [key, chunk] of chunks.store) {
+        const [cx, cy] = key.split(',').map(Number);
+        storedChunks.push({ cx, cy, planes: chunk.planes ?? await encodePlanes(chunk) });
+    }
+
+    const writer = new ByteWriter();
+    writer.string(MAGIC);
+    writer.u16(FORMAT_VERSION);
+    writer.u16(0);
+    writer.u32(width);
+    writer.u32(height);
+    writer.i32(chunks.originX);
+    writer.i32(chunks.originY);
+    writer.u32(world.seed >>> 0);
+    writer.u32(simulationState.tick);
+    writer.u32(world.currentYear);
+    writer.u32(world.ticksIntoYear);
+    writer.u16(ships.length);
+    for (const ship of ships) {
+        writeShip(writer, ship);
+    }
+    writeCreatures(writer, world.creatures);
+
+    const params = new TextEncoder().encode(JSON.stringify(world.params));
+    writer.u32(params.length);
+    writer.bytes(params);
+
+    writePlanes(writer, planes);
+
+    writer.u32(storedChunks.length);
+    for (const chunk of storedChunks) {
+        writer.i32(chunk.cx);
+        writer.i32(chunk.cy);
+        writePlanes(writer, chunk.planes);
+    }
+
+    const body = writer.finish();
+    const file = new Uint8Array(body.length + 4);
+    file.set(body);
+    new DataView(file.buffer).setUint32(body.length, crc32(body), true);
+    return file;
+}
+
+/**
+ * Restores a world from a file produced by exportWorld.
+ * The file is fully decoded and validated before anything is changed, so a
+ * rejected file leaves the running world untouched. The file's ships are
+ * restored into the world's in order; extra ones in the file are dropped,
+ * and the caller decides what happens to world ships the file has none for,
+ * and to the creatures when the file is too old to hold them.
+ * @param {WebGL2RenderingContext} gl - The WebGL context.
+ * @param {Object} world - The world to restore into, as passed to exportWorld.
+ * @param {ArrayBuffer|Uint8Array} file - The file contents.
+ * @returns {Promise<{ships: number, creatures: boolean}>} - How many of the world's ships were restored, and
+ *     whether the creatures were.
+ * @throws {Error} - If the file is not a world file, has another version, is corrupted or does not fit the world.
+ */
+export async function importWorld(gl, world, file) {
+    const bytes = file instanceof Uint8Array ? file : new Uint8Array(file);
+    if (bytes.length < 8) {
+        throw new Error('Not a world file: too short.');
+    }
+
+    const reader = new ByteReader(bytes.subarray(0, bytes.length - 4));
+    if (reader.string(4) !== MAGIC) {
+        throw new Error('Not a world file: bad signature.');
+    }
+    const version = reader.u16();
+    if (version < MIN_FORMAT_VERSION || version > FORMAT_VERSION) {
+        throw new Error(`Unsupported world file version ${version} (this build reads versions ${MIN_FORMAT_VERSION} to ${FORMAT_VERSION}).`);
+    }
+
+    const storedChecksum = new DataView(bytes.buffer, bytes.byteOffset).getUint32(bytes.length - 4, true);
+    if (crc32(bytes.subarray(0, bytes.length - 4)) !== storedChecksum) {
+        throw new Error('World file is corrupted: checksum mismatch.');
+    }
+
+    reader.u16(); // flags
+    const width = reader.u32();
+    const height = reader.u32();
+    const { simulationState } = world;
+    if (width !== simulationState.width || height !== simulationState.height) {
+        throw new Error(`World file is ${width}×${height} but the current world is ${simulationState.width}×${simulationState.height}.`);
+    }
+    // Version 1 worlds were a single grid, placed where a new world starts
+    const originX = version >= 2 ? reader.i32() : START_ORIGIN.x;
+    const originY = version >= 2 ? reader.i32() : START_ORIGIN.y;
+
+    const seed = reader.u32();
+    const tick = reader.u32();
+    const currentYear = reader.u32();
+    const ticksIntoYear = reader.u32();
+    const shipCount = version >= 3 ? reader.u16() : 1;
+    const ships = [];
+    for (let i = 0; i < shipCount; i++) {
+        ships.push(readShip(reader, version));
+    }
+    const creatures = version >= 3 ? readCreatures(reader) : null;
+    const params = JSON.parse(new TextDecoder().decode(reader.bytes(reader.u32())));
+
+    // Older worlds start with the fluid at rest
+    const layers = await decodePlanes(readPlanes(reader), width * height, version >= 3 ? GRID_LAYERS : undefined);
+
+    const store = new Map();
+    const chunkCount = version >= 2 ? reader.u32() : 0;
+    for (let i = 0; i < chunkCount; i++) {
+        const cx = reader.i32();
+        const cy = reader.i32();
+        // Decoded only to validate them; the chunk manager keeps chunks
+        // compressed until they come near the window
+        const planes = readPlanes(reader).map((plane) => ({ ...plane, bytes: plane.bytes.slice() }));
+        await decodePlanes(planes, CHUNK_SIZE * CHUNK_SIZE);
+        store.set(chunkKey(cx, cy), { planes });
+    }
+    if (reader.remaining > 0) {
+        throw new Error('World file is corrupted: unexpected data after the last chunk.');
+    }
+
+    // Everything decoded, apply it
+    writeSimulationState(gl, simulationState, layers);
+    simulationState.tick = tick;
+    world.chunks.restore(seed, originX, originY, store);
+    world.seed = seed;
+    world.currentYear = currentYear;
+    world.ticksIntoYear = ticksIntoYear;
+
+    const restored = Math.min(ships.length, world.ships.length);
+    for (let i = 0; i < restored; i++) {
+        applyShip(world.ships[i], ships[i]);
+    }
+
+    if (creatures) world.creatures.restore(creatures);
+
+    // Only known constants are taken over, so older files keep current values for newer ones
+    for (const key of Object.keys(world.params)) {
+        if (typeof params[key] === 'number') {
+            world.params[key] = params[key];
+        }
+    }
+    return { ships: restored, creatures: creatures !== null };
+}
+
+/**
+ * Writes a ship's record.
+ * @param {ByteWriter} writer - The file being written.
+ * @param {PlayerShip} ship - The ship.
+ */
+function writeShip(writer, ship) {
+    writer.f64(ship.position.x);
+    writer.f64(ship.position.y);
+    writer.f64(ship.velocity.x);
+    writer.f64(ship.velocity.y);
+    writer.f64(ship.angle);
+    writer.f64(ship.hull);
+    writer.f64(ship.energy);
+    writer.u32(ship.timesDestroyed);
+
+    const { tools } = ship;
+    writer.f64(tools.cargo);
+    writer.f64(tools.harvested);
+    writer.f64(tools.ammo);
+    writer.f64(tools.fireCooldown);
+    writer.u16(tools.projectiles.length);
+    for (const projectile of tools.projectiles) {
+        writer.f64(projectile.x);
+        writer.f64(projectile.y);
+        writer.f64(projectile.vx);
+        writer.f64(projectile.vy);
+        writer.f64(projectile.life);
+    }
+}
+
+/**
+ * Reads a ship's record written by writeShip.
+ * @param {ByteReader} reader - The file being read.
+ * @param {number} version - The file's format version.
+ * @returns {Object} - The ship's saved state, for applyShip. Older versions
+ *     lack the hull, energy, losses and tools, which are then null.
+ */
+function readShip(reader, version) {
+    const record = {
+        x: reader.f64(),
+        y: reader.f64(),
+        vx: reader.f64(),
+        vy: reader.f64(),
+        angle: reader.f64(),
+        hull: null,
+        energy: null,
+        timesDestroyed: null,
+        tools: null,
+    };
+    if (version >= 3) {
+        record.hull = reader.f64();
+        record.energy = reader.f64();
+        record.timesDestroyed = reader.u32();
+        record.tools = {
+            cargo: reader.f64(),
+            harvested: reader.f64(),
+            ammo: reader.f64(),
+            fireCooldown: reader.f64(),
+            projectiles: [],
+        };
+        const projectileCount = reader.u16();
+        for (let i = 0; i < projectileCount; i++) {
+            record.tools.projectiles.push({
+                x: reader.f64(),
+                y: reader.f64(),
+                vx: reader.f64(),
+                vy: reader.f64(),
+                life: reader.f64(),
+            });
+        }
+    }
+    return record;
+}
+
+/**
+ * Puts a ship in the state read by readShip. What an older file lacks
+ * starts as on a new world: a full hull, no energy, no losses, an empty
+ * hold and a loaded weapon.
+ * @param {PlayerShip} ship - The ship.
+ * @param {Object} record - Its saved state.
+ */
+function applyShip(ship, record) {
+    ship.position.x = record.x;
+    ship.position.y = record.y;
+    ship.velocity.x = record.vx;
+    ship.velocity.y = record.vy;
+    ship.angle = record.angle;
+    ship.hull = record.hull ?? ship.maxHull;
+    ship.energy = record.energy ?? 0;
+    ship.timesDestroyed = record.timesDestroyed ?? 0;
+    ship.tools.reset();
+    if (record.tools) Object.assign(ship.tools, record.tools);
+}
+
+/**
+ * Writes the creatures and where their decision generator is.
+ * @param {ByteWriter} writer - The file being written.
+ * @param {CreaturePopulation} population - The creatures.
+ */
+function writeCreatures(writer, population) {
+    writer.u32(population.agents.length);
+    for (const agent of population.agents) {
+        writer.u32(agent.id);
+        writer.i32(agent.x);
+        writer.i32(agent.y);
+        writer.f64(agent.energy);
+        writer.u32(agent.age);
+    }
+    writer.u32(population.nextId);
+    writer.u32(population.births);
+    writer.u32(population.deaths);
+    writer.f64(population.random.state);
+}
+
+/**
+ * Reads the creatures written by writeCreatures.
+ * @param {ByteReader} reader - The file being read.
+ * @returns {Object} - The saved population, see CreaturePopulation.restore.
+ */
+function readCreatures(reader) {
+    const agents = [];
+    const count = reader.u32();
+    for (let i = 0; i < count; i++) {
+        agents.push({
+            id: reader.u32(),
+            x: reader.i32(),
+            y: reader.i32(),
+            energy: reader.f64(),
+            age: reader.u32(),
+        });
+    }
+    return {
+        agents,
+        nextId: reader.u32(),
+        births: reader.u32(),
+        deaths: reader.u32(),
+        randomState: reader.f64(),
+    };
+}
+
+/**
+ * Writes a plane count followed by the planes.
+ * @param {ByteWriter} writer - The file being written.
+ * @param {Array<Object>} planes - Planes from encodePlanes.
+ */
+function writePlanes(writer, planes) {
+    writer.u16(planes.length);
+    for (const plane of planes) {
+        writer.u8(plane.layer);
+        writer.u8(plane.channel);
+        writer.u32(plane.bytes.length);
+        writer.bytes(plane.bytes);
+    }
+}
+
+/**
+ * Reads the planes written by writePlanes, still compressed.
+ * @param {ByteReader} reader - The file being read.
+ * @returns {Array<Object>} - The planes: layer, channel and compressed bytes; see decodePlanes.
+ */
+function readPlanes(reader) {
+    const planes = [];
+    const planeCount = reader.u16();
+    for (let i = 0; i < planeCount; i++) {
+        const layer = reader.u8();
+        const channel = reader.u8();
+        planes.push({ layer, channel, bytes: reader.bytes(reader.u32()) });
+    }
+    return planes;
+}
+
+/**
+ * Growable little-endian binary writer.
+ */
+class ByteWriter {
+    constructor() {
+        this.buffer = new Uint8Array(1024);
+        this.view = new DataView(this.buffer.buffer);
+        this.length = 0;
+    }
+
+    /**
+     * Makes room for `size` more bytes.
+     * @param {number} size - Bytes about to be written.
+     */
+    reserve(size) {
+        if (this.length + size <= this.buffer.length) return;
+        let capacity = this.buffer.length * 2;
+        while (capacity < this.length + size) capacity *= 2;
+        const grown = new Uint8Array(capacity);
+        grown.set(this.buffer.subarray(0, this.length));
+        this.buffer = grown;
+        this.view = new DataView(grown.buffer);
+    }
+
+    u8(value) {
+        this.reserve(1);
+        this.view.setUint8(this.length, value);
+        this.length += 1;
+    }
+
+    u16(value) {
+        this.reserve(2);
+        this.view.setUint16(this.length, value, true);
+        this.length += 2;
+    }
+
+    u32(value) {
+        this.reserve(4);
+        this.view.setUint32(this.length, value, true);
+        this.length += 4;
+    }
+
+    i32(value) {
+        this.reserve(4);
+        this.view.setInt32(this.length, value, true);
+        this.length += 4;
+    }
+
+    f64(value) {
+        this.reserve(8);
+        this.view.setFloat64(this.length, value, true);
+        this.length += 8;
+    }
+
+    bytes(bytes) {
+        this.reserve(bytes.length);
+        this.buffer.set(bytes, this.length);
+        this.length += bytes.length;
+    }
+
+    string(text) {
+        this.bytes(new TextEncoder().encode(text));
+    }
+
+    /**
+     * @returns {Uint8Array} - The written bytes.
+     */
+    finish() {
+        return this.buffer.slice(0, this.length);
+    }
+}
+
+/**
+ * Little-endian binary reader that reports truncation as a corrupted file.
+ */
+class ByteReader {
+    /**
+     * @param {Uint8Array} bytes - The data to read.
+     */
+    constructor(bytes) {
+        this.bytesView = bytes;
+        this.view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+        this.offset = 0;
+    }
+
+    /**
+     * Advances past `size` bytes, returning their offset.
+     * @param {number} size - Bytes to consume.
+     * @returns {number} - Offset of the consumed bytes.
+     */
+    take(size) {
+        if (this.offset + size > this.bytesView.length) {
+            throw new Error('World file is truncated.');
+        }
+        const offset = this.offset;
+        this.offset += size;
+        return offset;
+    }
+
+    /** @returns {number} - Bytes not read yet. */
+    get remaining() {
+        return this.bytesView.length - this.offset;
+    }
+
+    u8() {
+        return this.view.getUint8(this.take(1));
+    }
+
+    u16() {
+        return this.view.getUint16(this.take(2), true);
+    }
+
+    u32() {
+        return this.view.getUint32(this.take(4), true);
+    }
+
+    i32() {
+        return this.view.getInt32(this.take(4), true);
+    }
+
+    f64() {
+        return this.view.getFloat64(this.take(8), true);
+    }
+
+    bytes(size) {
+        const offset = this.take(size);
+        return this.bytesView.subarray(offset, offset + size);
+    }
+
+    string(size) {
+        return new TextDecoder().decode(this.bytes(size));
+    }
+}
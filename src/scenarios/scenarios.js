@@ -0,0 +1,442 @@
+// src/scenarios/scenarios.js
+
+import { DEFAULT_SIMULATION_PARAMS, ATTRIBUTES } from '../simulation/simulation.js';
+import { MATERIALS, MATERIAL_CHANNELS, getMaterialId } from '../materials/materials.js';
+import { DEFAULT_GENERATOR_CONFIG } from '../world/generator.js';
+
+/*
+ * Scenario files are JSON:
+ *
+ * - name, description: Shown in the scenario picker.
+ * - seed: World seed, optional; the current seed is kept without it.
+ * - map: Optional painted map laid over the generated world:
+ *   - x, y: World cell of its top-left corner.
+ *   - scale: Cells per character along each axis, default 1.
+ *   - rows: Strings, top row first, one character per map cell.
+ *   - legend: Character -> material name, or {material, density,
+ *     temperature, magic, organic}. Characters not in the legend leave the
+ *     generated world in place.
+ * - spawn: {x, y} world cell the ship starts and respawns at, optional.
+ * - params: Simulation constants to override, see DEFAULT_SIMULATION_PARAMS.
+ * - events: Things that happen at a tick or year ({tick} or {year}):
+ *   - message: Text shown in the objective tracker.
+ *   - params: Simulation constants to change.
+ *   - splat: {x, y, radius, amount: [density, temperature, magic, organic]}
+ *     added around a world cell, like the brush.
+ * - objectives: All must be completed to win; failing any loses. Each has
+ *   an optional description and one of these kinds:
+ *   - keep: {stat, below|above, until}: the stat stays within the bound
+ *     until the time is reached.
+ *   - reach: {stat, below|above, by?}: the stat gets within the bound,
+ *     before the time if one is given.
+ *   - harvest: {amount, by?}: the ship mines this much density in total.
+ *   - survive: {until}: the ship isn't destroyed before the time.
+ *
+ * Times are {tick: n} (ticks since the start) or {year: n} (years
+ * completed). Stats are the world means of the attributes (density,
+ * temperature, magic, organic), or creatures for the grazer population.
+ */
+
+// Built-in scenarios, in picker order
+export const BUILT_IN_SCENARIOS = [
+    new URL('./levels/prospector.json', import.meta.url),
+    new URL('./levels/cold-snap.json', import.meta.url),
+    new URL('./levels/greenhouse.json', import.meta.url),
+];
+
+const OBJECTIVE_KINDS = ['keep', 'reach', 'harvest', 'survive'];
+
+// Seconds an event message stays in the tracker
+const MESSAGE_DURATION = 6;
+
+/**
+ * Reads every built-in scenario. Ones that fail to load are left out.
+ * @returns {Promise<Array<Object>>} - The scenarios, see parseScenario.
+ */
+export async function loadBuiltInScenarios() {
+    const scenarios = await Promise.all(BUILT_IN_SCENARIOS.map(async (url) => {
+        try {
+            const response = await fetch(url);
+            return parseScenario(await response.text());
+        } catch (error) {
+            console.error(`Failed to load scenario ${url}:`, error);
+            return null;
+        }
+    }));
+    return scenarios.filter((scenario) => scenario !== null);
+}
+
+/**
+ * Decodes and validates a scenario file.
+ * @param {string} text - The file contents.
+ * @returns {Object} - The scenario, with the fields described at the top of this file.
+ * @throws {Error} - If the file is not a valid scenario.
+ */
+export function parseScenario(text) {
+    let scenario;
+    try {
+        scenario = JSON.parse(text);
+    } catch (error) {
+        throw new Error('Not a scenario file: not JSON.');
+    }
+    if (!scenario || typeof scenario !== 'object' || typeof scenario.name !== 'string') {
+        throw new Error('Not a scenario file: it has no name.');
+    }
+    if (scenario.seed !== undefined && !Number.isInteger(scenario.seed)) {
+        throw new Error('The scenario seed must be an integer.');
+    }
+    if (scenario.spawn !== undefined && !isPoint(scenario.spawn)) {
+        throw new Error('The scenario spawn must be {x, y}.');
+    }
+    checkParams(scenario.params);
+    if (scenario.map !== undefined) checkMap(scenario.map);
+
+    const events = scenario.events ?? [];
+    const objectives = scenario.objectives ?? [];
+    if (!Array.isArray(events) || !Array.isArray(objectives)) {
+        throw new Error('Scenario events and objectives must be lists.');
+    }
+    for (const event of events) {
+        checkTime(event, 'An event');
+        checkParams(event.params);
+        if (event.splat !== undefined && !(isPoint(event.splat) && Array.isArray(event.splat.amount))) {
+            throw new Error('An event splat must be {x, y, radius, amount}.');
+        }
+    }
+    objectives.forEach(checkObjective);
+
+    return {
+        description: '',
+        params: {},
+        ...scenario,
+        events,
+        objectives,
+    };
+}
+
+/**
+ * Lays a scenario's painted map over the live grid. Parts of it outside the
+ * window are left out.
+ * @param {WebGL2RenderingContext} gl - The WebGL context.
+ * @param {SimulationState} simulationState - The simulation state to paint.
+ * @param {Object} map - The map, see the top of this file.
+ * @param {{x: number, y: number}} worldOffset - World cell of the grid's top-left cell, see ChunkManager.
+ */
+export function paintMap(gl, simulationState, map, worldOffset) {
+    const { width: gridWidth, height: gridHeight } = simulationState;
+    const scale = map.scale ?? 1;
+    const columns = Math.max(...map.rows.map((row) => row.length));
+    const cells = Object.fromEntries(Object.entries(map.legend).map(([symbol, entry]) => [symbol, legendCell(entry)]));
+
+    // The painted rectangle in grid cells, clipped to the grid
+    const mapX = map.x - worldOffset.x;
+    const mapY = map.y - worldOffset.y;
+    const left = Math.max(0, mapX);
+    const top = Math.max(0, mapY);
+    const right = Math.min(gridWidth, mapX + columns * scale);
+    const bottom = Math.min(gridHeight, mapY + map.rows.length * scale);
+    if (left >= right || top >= bottom) return;
+    const width = right - left;
+    const height = bottom - top;
+    const texelY = gridHeight - bottom;
+
+    // Read what's there so unpainted cells keep it
+    const state = new Float32Array(width * height * 4);
+    const material = new Float32Array(width * height * 4);
+    gl.bindFramebuffer(gl.FRAMEBUFFER, simulationState.readFramebuffer);
+    gl.readBuffer(gl.COLOR_ATTACHMENT0);
+    gl.readPixels(left, texelY, width, height, gl.RGBA, gl.FLOAT, state);
+    gl.readBuffer(gl.COLOR_ATTACHMENT1);
+    gl.readPixels(left, texelY, width, height, gl.RGBA, gl.FLOAT, material);
+    gl.readBuffer(gl.COLOR_ATTACHMENT0);
+    gl.bindFramebuffer(gl.FRAMEBUFFER, null);
+
+    for (let y = top; y < bottom; y++) {
+        const row = map.rows[Math.floor((y - mapY) / scale)];
+        for (let x = left; x < right; x++) {
+            const cell = cells[row[Math.floor((x - mapX) / scale)]];
+            if (!cell) continue;
+            // Rows are stored bottom first
+            const i = ((bottom - 1 - y) * width + (x - left)) * 4;
+            state.set(cell.state, i);
+            material[i + MATERIAL_CHANNELS.ID] = cell.id;
+            material[i + MATERIAL_CHANNELS.LIFE] = MATERIALS[cell.id].lifetime;
+        }
+    }
+
+    gl.bindTexture(gl.TEXTURE_2D, simulationState.current);
+    gl.texSubImage2D(gl.TEXTURE_2D, 0, left, texelY, width, height, gl.RGBA, gl.FLOAT, state);
+    gl.bindTexture(gl.TEXTURE_2D, simulationState.currentMaterial);
+    gl.texSubImage2D(gl.TEXTURE_2D, 0, left, texelY, width, height, gl.RGBA, gl.FLOAT, material);
+    gl.bindTexture(gl.TEXTURE_2D, null);
+}
+
+/**
+ * Progress through a scenario: which events have fired, the state of each
+ * objective and, once decided, the outcome.
+ *
+ * The caller runs the due events each tick (takeDueEvents), then passes
+ * the measurements the objectives are checked against (evaluate).
+ */
+export class ScenarioRun {
+    /**
+     * Starts a scenario, with nothing fired and every objective open.
+     * @param {Object} scenario - The scenario, see parseScenario.
+     */
+    constructor(scenario) {
+        this.scenario = scenario;
+        this.pendingEvents = [...scenario.events];
+        // Each objective with its status ('active', 'complete' or 'failed') and latest progress text
+        this.objectives = scenario.objectives.map((objective) => ({
+            objective,
+            description: objective.description ?? describeObjective(objective),
+            status: 'active',
+            progress: '',
+        }));
+        // Event messages, with the tick they were shown at
+        this.messages = [];
+        this.outcome = null; // 'won' or 'lost' once decided
+        this.endTime = null;
+    }
+
+    /**
+     * Takes the events whose time has come; each is returned once.
+     * @param {{tick: number, year: number}} time - Ticks and years since the start.
+     * @returns {Array<Object>} - The events, in file order.
+     */
+    takeDueEvents(time) {
+        const due = this.pendingEvents.filter((event) => hasReached(event, time));
+        this.pendingEvents = this.pendingEvents.filter((event) => !due.includes(event));
+        for (const event of due) {
+            if (event.message) this.messages.push({ text: event.message, tick: time.tick });
+        }
+        return due;
+    }
+
+    /**
+     * Updates the objectives and decides the outcome once every objective
+     * is complete or any has failed.
+     * @param {{tick: number, year: number}} time - Ticks and years since the start.
+     * @param {Object} measurements - stats (attribute means by name, or null
+     *   while none are fresh), creatures, harvested and shipLosses.
+     */
+    evaluate(time, measurements) {
+        if (this.outcome) return;
+        for (const entry of this.objectives) {
+            if (entry.status !== 'active') continue;
+            entry.status = checkObjectiveStatus(entry.objective, time, measurements);
+            // Keep the last progress while the stats are being refreshed
+            entry.progress = describeProgress(entry.objective, measurements) || entry.progress;
+        }
+        if (this.objectives.some((entry) => entry.status === 'failed')) {
+            this.outcome = 'lost';
+        } else if (this.objectives.every((entry) => entry.status === 'complete')) {
+            this.outcome = 'won';
+        }
+        if (this.outcome) this.endTime = { ...time };
+    }
+
+    /**
+     * The event messages still on screen.
+     * @param {number} tick - The current tick.
+     * @param {number} tickRate - Ticks per second.
+     * @returns {Array<string>} - Newest last.
+     */
+    getRecentMessages(tick, tickRate) {
+        return this.messages
+            .filter((message) => tick - message.tick < MESSAGE_DURATION * tickRate)
+            .map((message) => message.text);
+    }
+}
+
+/**
+ * Whether a time given in a scenario has been reached.
+ * @param {{tick?: number, year?: number}} when - The scenario time.
+ * @param {{tick: number, year: number}} time - Ticks and years since the start.
+ * @returns {boolean}
+ */
+function hasReached(when, time) {
+    return when.tick !== undefined ? time.tick >= when.tick : time.year >= when.year;
+}
+
+/**
+ * Decides an open objective's status.
+ * @param {Object} objective - The objective.
+ * @param {{tick: number, year: number}} time - Ticks and years since the start.
+ * @param {Object} measurements - See ScenarioRun.evaluate.
+ * @returns {string} - 'active', 'complete' or 'failed'.
+ */
+function checkObjectiveStatus(objective, time, measurements) {
+    const deadline = objective.until ?? objective.by;
+    const expired = deadline !== undefined && hasReached(deadline, time);
+    switch (objective.kind) {
+        case 'keep': {
+            const value = measure(objective.stat, measurements);
+            if (value !== null && !withinBound(objective, value)) return 'failed';
+            return expired ? 'complete' : 'active';
+        }
+        case 'reach': {
+            const value = measure(objective.stat, measurements);
+            if (value !== null && withinBound(objective, value)) return 'complete';
+            return expired ? 'failed' : 'active';
+        }
+        case 'harvest':
+            if (measurements.harvested >= objective.amount) return 'complete';
+            return expired ? 'failed' : 'active';
+        case 'survive':
+            if (measurements.shipLosses > 0) return 'failed';
+            return expired ? 'complete' : 'active';
+        default:
+            return 'active';
+    }
+}
+
+/**
+ * The current value of a stat.
+ * @param {string} stat - An attribute name or 'creatures'.
+ * @param {Object} measurements - See ScenarioRun.evaluate.
+ * @returns {number|null} - The value, or null if not measured yet.
+ */
+function measure(stat, measurements) {
+    if (stat === 'creatures') return measurements.creatures;
+    return measurements.stats ? measurements.stats[stat] : null;
+}
+
+/**
+ * Whether a value is within an objective's bound.
+ * @param {{below?: number, above?: number}} objective - The objective.
+ * @param {number} value - The stat's value.
+ * @returns {boolean}
+ */
+function withinBound(objective, value) {
+    return objective.below !== undefined ? value < objective.below : value > objective.above;
+}
+
+/**
+ * A description of an objective for the tracker, when the file has none.
+ * @param {Object} objective - The objective.
+ * @returns {string}
+ */
+function describeObjective(objective) {
+    const bound = objective.below !== undefined ? `below ${objective.below}` : `above ${objective.above}`;
+    const deadline = objective.until ?? objective.by;
+    const when = deadline === undefined ? '' : (deadline.tick !== undefined ? `tick ${deadline.tick}` : `year ${deadline.year}`);
+    const stat = objective.stat === 'creatures' ? 'the creature population' : `average ${objective.stat}`;
+    switch (objective.kind) {
+        case 'keep':
+            return `Keep ${stat} ${bound} until ${when}`;
+        case 'reach':
+            return `Bring ${stat} ${bound}${when ? ` by ${when}` : ''}`;
+        case 'harvest':
+            return `Harvest ${objective.amount} density${when ? ` by ${when}` : ''}`;
+        default:
+            return `Survive until ${when}`;
+    }
+}
+
+/**
+ * The objective's progress, for the tracker.
+ * @param {Object} objective - The objective.
+ * @param {Object} measurements - See ScenarioRun.evaluate.
+ * @returns {string}
+ */
+function describeProgress(objective, measurements) {
+    switch (objective.kind) {
+        case 'keep':
+        case 'reach': {
+            const value = measure(objective.stat, measurements);
+            if (value === null) return '';
+            return objective.stat === 'creatures' ? `${value}` : value.toFixed(3);
+        }
+        case 'harvest':
+            return `${Math.floor(measurements.harvested)} / ${objective.amount}`;
+        default:
+            return '';
+    }
+}
+
+/**
+ * Resolves a map legend entry into the cell it paints.
+ * @param {string|Object} entry - A material name or {material, density, temperature, magic, organic}.
+ * @returns {{id: number, state: Array<number>}} - Material ID and attributes.
+ */
+function legendCell(entry) {
+    const spec = typeof entry === 'string' ? { material: entry } : entry;
+    const id = getMaterialId(spec.material);
+    return {
+        id,
+        state: [
+            spec.density ?? MATERIALS[id].density,
+            spec.temperature ?? DEFAULT_GENERATOR_CONFIG.surfaceTemperature,
+            spec.magic ?? 0,
+            spec.organic ?? 0,
+        ],
+    };
+}
+
+/**
+ * @param {*} value
+ * @returns {boolean} - Whether it is an object with numeric x and y.
+ */
+function isPoint(value) {
+    return !!value && Number.isFinite(value.x) && Number.isFinite(value.y);
+}
+
+/**
+ * @param {Object|undefined} params - Simulation constants to override.
+ * @throws {Error} - If one is not a known constant.
+ */
+function checkParams(params) {
+    if (params === undefined) return;
+    for (const name of Object.keys(params)) {
+        if (!(name in DEFAULT_SIMULATION_PARAMS)) throw new Error(`Unknown simulation constant in scenario: ${name}`);
+    }
+}
+
+/**
+ * @param {Object} when - Something with a scenario time.
+ * @param {string} what - How to refer to it in the error.
+ * @throws {Error} - If it has neither a tick nor a year.
+ */
+function checkTime(when, what) {
+    if (!when || !(Number.isInteger(when.tick) || Number.isInteger(when.year))) {
+        throw new Error(`${what} needs a tick or a year.`);
+    }
+}
+
+/**
+ * @param {Object} map - A painted map.
+ * @throws {Error} - If it is malformed or names an unknown material.
+ */
+function checkMap(map) {
+    if (!isPoint(map) || !Array.isArray(map.rows) || !map.rows.every((row) => typeof row === 'string') ||
+        typeof map.legend !== 'object' || (map.scale !== undefined && !(Number.isInteger(map.scale) && map.scale > 0))) {
+        throw new Error('The scenario map must be {x, y, scale, rows, legend}.');
+    }
+    // Throws on unknown materials
+    Object.values(map.legend).forEach(legendCell);
+}
+
+/**
+ * @param {Object} objective - An objective.
+ * @throws {Error} - If it is malformed.
+ */
+function checkObjective(objective) {
+    if (!objective || !OBJECTIVE_KINDS.includes(objective.kind)) {
+        throw new Error(`Objectives must be one of: ${OBJECTIVE_KINDS.join(', ')}.`);
+    }
+    if (objective.kind === 'keep' || objective.kind === 'reach') {
+        const stats = [...Object.keys(ATTRIBUTES).map((name) => name.toLowerCase()), 'creatures'];
+        if (!stats.includes(objective.stat)) throw new Error(`Objective stats must be one of: ${stats.join(', ')}.`);
+        if (!Number.isFinite(objective.below) && !Number.isFinite(objective.above)) {
+            throw new Error(`A ${objective.kind} objective needs a bound, below or above.`);
+        }
+    }
+    if (objective.kind === 'harvest' && !(objective.amount > 0)) {
+        throw new Error('A harvest objective needs an amount.');
+    }
+    if (objective.kind === 'keep' || objective.kind === 'survive') {
+        checkTime(objective.until, `A ${objective.kind} objective's until`);
+    }
+    if (objective.by !== undefined) checkTime(objective.by, 'An objective\'s by');
+}
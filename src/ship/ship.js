@@ -1,9 +1,64 @@
 // src/ship/ship.js
 
 import { clamp } from '../utils/utils.js';
+import { AsyncReadback, TICK_READBACK_LATENCY } from '../utils/readback.js';
+import { MATERIALS, MATERIAL_CHANNELS, PHASES } from '../materials/materials.js';
+import { ShipTools } from './tools.js';
+import { applyImpulse } from '../simulation/fluid.js';
 
 /**
- * Represents the player's ship in the simulation.
+ * Hull outline in cells relative to the ship's position, nose along +x.
+ * Every cell whose center lies inside this triangle belongs to the hull.
+ */
+export const HULL_VERTICES = [
+    { x: 4, y: 0 },
+    { x: -3, y: -3 },
+    { x: -3, y: 3 },
+];
+
+// Side of the square region read back around the ship; covers the mining
+// beam and leaves room for the ship to move while a readback is in flight
+const SAMPLE_SIZE = 32;
+
+/**
+ * Hull color of each player's ship when intact, as RGB 0-1.
+ */
+export const SHIP_COLORS = [
+    [0.95, 0.95, 1.0],
+    [1.0, 0.8, 0.35],
+    [0.45, 1.0, 0.55],
+    [0.45, 0.8, 1.0],
+];
+
+const MAX_HULL = 100;
+const MAX_ENERGY = 100;
+
+// Acceleration in cells/s² per unit of the `gravity` parameter
+const GRAVITY_ACCELERATION = 20;
+// Mean solidity of the cells under the hull at which the ship is blocked
+const BLOCKING_SOLIDITY = 0.7;
+// Fraction of the speed kept when bouncing off a blocking region
+const RESTITUTION = 0.5;
+// Velocity lost per second per unit of mean density under the hull
+const DRAG = 1.5;
+// Mean temperature above which the hull takes damage, and the damage per second per unit above it
+const HEAT_DAMAGE_THRESHOLD = 0.7;
+const HEAT_DAMAGE_RATE = 100;
+// Energy gained per second per unit of mean magic under the hull
+const MAGIC_RECHARGE_RATE = 20;
+// Speed in cells per tick the exhaust gives the fluid behind the ship, and its reach in cells
+const WAKE_SPEED = 1.5;
+const WAKE_RADIUS = 3;
+
+/**
+ * Represents a player's ship in the simulation. There is one per player,
+ * each steered by its own controls.
+ *
+ * The ship reads back the cells around it from the GPU without blocking
+ * (see AsyncReadback), so its view of the world lags the simulation by
+ * TICK_READBACK_LATENCY ticks. Cells under the hull slow it down, dense ones block it,
+ * hot ones damage the hull and magic ones recharge its energy. Thrusting
+ * pushes the fluid behind the hull, leaving a wake.
  */
 export class PlayerShip {
     /**
@@ -11,80 +66,335 @@ export class PlayerShip {
      * @param {number} width - Simulation grid width.
      * @param {number} height - Simulation grid height.
      * @param {WebGL2RenderingContext} gl - The WebGL context.
-     * @param {WebGLFramebuffer} readFramebuffer - The framebuffer for reading and writing textures.
+     * @param {SimulationState} simulationState - The double-buffered simulation state the ship samples.
+     * @param {Object} params - The live simulation constants, for gravity.
+     * @param {{splat: WebGLProgram, impulse: WebGLProgram}} programs - The splat and impulse programs, shared by all ships.
      */
-    constructor(width, height, gl, readFramebuffer) {
+    constructor(width, height, gl, simulationState, params, programs) {
         this.position = { x: width / 2, y: height / 2 };
+        // Where the ship starts and respawns; the center unless a scenario moves it
+        this.spawnPoint = { x: width / 2, y: height / 2 };
         this.angle = 0; // In radians
         this.velocity = { x: 0, y: 0 };
+        this.color = SHIP_COLORS[0];
         this.width = width;
         this.height = height;
         this.gl = gl;
-        this.readFramebuffer = readFramebuffer;
+        this.simulationState = simulationState;
+        this.params = params;
+
+        this.hull = MAX_HULL;
+        this.maxHull = MAX_HULL;
+        this.energy = 0;
+        this.maxEnergy = MAX_ENERGY;
+        this.timesDestroyed = 0;
+
+        // Attribute and material texels of the sampled region, one readback in flight at a time
+        this.readback = new AsyncReadback(gl, SAMPLE_SIZE * SAMPLE_SIZE * 8);
+        this.sample = null;
+
+        // Mining beam, deposit and weapon; driven by handlePlayerInput
+        this.tools = new ShipTools(gl, simulationState, programs.splat);
+
+        this.impulseProgram = programs.impulse;
     }
 
     /**
-     * Updates the ship's state based on user input and physics.
-     * @param {Object} keys - The current state of keys.
+     * Updates the ship's state based on its controls and physics. Call once per tick.
+     * Thrust and turning are analog: half a trigger gives half the push.
+     * @param {Object} controls - Thrust and reverse 0-1 and turn -1 (left) to 1 (right), see decodeControls.
      * @param {number} deltaTime - Time elapsed since the last update (in seconds).
      */
-    update(keys, deltaTime) {
+    update(controls, deltaTime) {
         const thrustPower = 0.1;
         const reverseThrustPower = 0.033;
         const turnSpeed = 0.05;
 
-        if (keys['w']) {
+        this.collectSample();
+
+        if (controls.thrust > 0) {
             // Apply forward thrust
-            this.velocity.x += Math.cos(this.angle) * thrustPower;
-            this.velocity.y += Math.sin(this.angle) * thrustPower;
+            this.velocity.x += Math.cos(this.angle) * thrustPower * controls.thrust;
+            this.velocity.y += Math.sin(this.angle) * thrustPower * controls.thrust;
         }
-        if (keys['s']) {
+        if (controls.reverse > 0) {
             // Apply reverse thrust
-            this.velocity.x -= Math.cos(this.angle) * reverseThrustPower;
-            this.velocity.y -= Math.sin(this.angle) * reverseThrustPower;
+            this.velocity.x -= Math.cos(this.angle) * reverseThrustPower * controls.reverse;
+            this.velocity.y -= Math.sin(this.angle) * reverseThrustPower * controls.reverse;
         }
-        if (keys['a']) {
-            // Turn left
-            this.angle -= turnSpeed;
+        if (controls.thrust > 0 || controls.reverse > 0) {
+            // Exhaust leaves the tail against the thrust, as strong as it
+            this.pushWake(controls.thrust > 0 ? controls.thrust : -controls.reverse);
         }
-        if (keys['d']) {
-            // Turn right
-            this.angle += turnSpeed;
+        // Turn left for negative values, right for positive
+        this.angle += turnSpeed * controls.turn;
+
+        // Gravity pulls towards increasing y, the same way u_gravity pulls cells down the grid
+        this.velocity.y += this.params.gravity * GRAVITY_ACCELERATION * deltaTime;
+
+        this.interactWithEnvironment(deltaTime);
+        this.move(deltaTime);
+
+        this.requestSample();
+    }
+
+    /**
+     * Pushes the fluid at the tail of the hull.
+     * @param {number} thrust - Forward thrust 0-1, or reverse thrust as 0 to -1.
+     */
+    pushWake(thrust) {
+        const directionX = Math.cos(this.angle);
+        const directionY = Math.sin(this.angle);
+        const tail = -HULL_VERTICES[1].x;
+        applyImpulse(this.gl, this.impulseProgram, this.simulationState.fluid, {
+            at: { x: this.position.x - directionX * tail, y: this.position.y - directionY * tail },
+            velocity: { x: -directionX * thrust * WAKE_SPEED, y: -directionY * thrust * WAKE_SPEED },
+            radius: WAKE_RADIUS,
+        });
+    }
+
+    /**
+     * Applies drag, heat damage and magic recharge from the cells under the hull.
+     * @param {number} deltaTime - Time elapsed since the last update (in seconds).
+     */
+    interactWithEnvironment(deltaTime) {
+        const surroundings = this.sampleHull(this.position.x, this.position.y);
+        if (!surroundings) return;
+
+        const drag = Math.max(0, 1 - DRAG * surroundings.density * deltaTime);
+        this.velocity.x *= drag;
+        this.velocity.y *= drag;
+
+        if (surroundings.temperature > HEAT_DAMAGE_THRESHOLD) {
+            this.hull -= (surroundings.temperature - HEAT_DAMAGE_THRESHOLD) * HEAT_DAMAGE_RATE * deltaTime;
         }
+        this.energy = Math.min(this.maxEnergy, this.energy + surroundings.magic * MAGIC_RECHARGE_RATE * deltaTime);
+
+        if (this.hull <= 0) {
+            this.timesDestroyed++;
+            this.respawn();
+        }
+    }
 
-        // Update position
-        this.position.x += this.velocity.x * deltaTime;
-        this.position.y += this.velocity.y * deltaTime;
+    /**
+     * Moves the ship one axis at a time, bouncing off blocking regions so it
+     * slides along walls instead of sticking to them.
+     * @param {number} deltaTime - Time elapsed since the last update (in seconds).
+     */
+    move(deltaTime) {
+        // A ship already inside dense cells (painted over, say) may always move, so it can get out
+        const stuck = this.isBlocked(this.position.x, this.position.y);
+
+        const nextX = clamp(this.position.x + this.velocity.x * deltaTime, 0, this.width - 1);
+        if (!stuck && this.isBlocked(nextX, this.position.y)) {
+            this.velocity.x *= -RESTITUTION;
+        } else {
+            this.position.x = nextX;
+        }
 
-        // Clamp position within the world bounds
-        this.position.x = clamp(this.position.x, 0, this.width - 1);
-        this.position.y = clamp(this.position.y, 0, this.height - 1);
+        const nextY = clamp(this.position.y + this.velocity.y * deltaTime, 0, this.height - 1);
+        if (!stuck && this.isBlocked(this.position.x, nextY)) {
+            this.velocity.y *= -RESTITUTION;
+        } else {
+            this.position.y = nextY;
+        }
     }
 
     /**
-     * Renders the ship onto the simulation state texture by setting specific pixel attributes.
+     * Checks whether the hull would be blocked by the world at a position.
+     * @param {number} x - Ship X in cells.
+     * @param {number} y - Ship Y in cells.
+     * @returns {boolean} - True if the hull leaves the grid or the cells under it are too solid.
      */
-    render() {
-        // Example: Mark ship's current position with high density and temperature
-        const shipX = Math.floor(this.position.x);
-        const shipY = Math.floor(this.position.y);
+    isBlocked(x, y) {
+        const cells = this.getHullCells(x, y);
+        if (cells.some(([cx, cy]) => cx < 0 || cy < 0 || cx >= this.width || cy >= this.height)) {
+            return true;
+        }
+        const surroundings = this.sampleHull(x, y);
+        return surroundings !== null && surroundings.solidity > BLOCKING_SOLIDITY;
+    }
 
-        // Ensure coordinates are within bounds
-        if (shipX >= 0 && shipX < this.width && shipY >= 0 && shipY < this.height) {
-            // Define attribute values for the ship (e.g., high density, high temperature)
-            const shipAttributes = new Float32Array([1.0, 1.0, 0.0, 0.0]); // [Density, Temperature, Magic, Organic]
+    /**
+     * Lists the cells covered by the hull at a position, using the current angle.
+     * @param {number} x - Ship X in cells.
+     * @param {number} y - Ship Y in cells.
+     * @returns {Array<Array<number>>} - [x, y] cell coordinates.
+     */
+    getHullCells(x, y) {
+        const [a, b, c] = this.getHullVertices(x, y);
+        const edge = (p, q, px, py) => (q.x - p.x) * (py - p.y) - (q.y - p.y) * (px - p.x);
 
-            // Invert Y-coordinate for WebGL
-            const invertedY = this.height - shipY - 1;
+        const reach = Math.ceil(Math.max(...HULL_VERTICES.map((v) => Math.hypot(v.x, v.y))));
+        const cells = [];
+        for (let cy = Math.floor(y) - reach; cy <= Math.floor(y) + reach; cy++) {
+            for (let cx = Math.floor(x) - reach; cx <= Math.floor(x) + reach; cx++) {
+                const px = cx + 0.5;
+                const py = cy + 0.5;
+                const e0 = edge(a, b, px, py);
+                const e1 = edge(b, c, px, py);
+                const e2 = edge(c, a, px, py);
+                if ((e0 >= 0 && e1 >= 0 && e2 >= 0) || (e0 <= 0 && e1 <= 0 && e2 <= 0)) {
+                    cells.push([cx, cy]);
+                }
+            }
+        }
+        return cells;
+    }
+
+    /**
+     * The hull triangle in world cell coordinates.
+     * @param {number} [x] - Ship X in cells, defaults to the current position.
+     * @param {number} [y] - Ship Y in cells, defaults to the current position.
+     * @returns {Array<{x: number, y: number}>} - The three corners.
+     */
+    getHullVertices(x = this.position.x, y = this.position.y) {
+        const cos = Math.cos(this.angle);
+        const sin = Math.sin(this.angle);
+        return HULL_VERTICES.map((v) => ({
+            x: x + cos * v.x - sin * v.y,
+            y: y + sin * v.x + cos * v.y,
+        }));
+    }
+
+    /**
+     * The tip of the hull, where the tools fire from.
+     * @returns {{x: number, y: number}} - Position in world cells.
+     */
+    getNose() {
+        return this.getHullVertices()[0];
+    }
+
+    /**
+     * Averages the sampled cells under the hull at a position.
+     * @param {number} x - Ship X in cells.
+     * @param {number} y - Ship Y in cells.
+     * @returns {Object|null} - Mean density, temperature, magic, organic and solidity, or null if no hull cell has been sampled.
+     */
+    sampleHull(x, y) {
+        const totals = { density: 0, temperature: 0, magic: 0, organic: 0, solidity: 0 };
+        let count = 0;
+        for (const [cx, cy] of this.getHullCells(x, y)) {
+            const cell = this.getSampledCell(cx, cy);
+            if (!cell) continue;
+            totals.density += cell.density;
+            totals.temperature += cell.temperature;
+            totals.magic += cell.magic;
+            totals.organic += cell.organic;
+            // Solid materials block whatever their density
+            totals.solidity += cell.phase === PHASES.SOLID ? 1 : cell.density;
+            count++;
+        }
+        if (count === 0) return null;
+        for (const key of Object.keys(totals)) {
+            totals[key] /= count;
+        }
+        return totals;
+    }
+
+    /**
+     * Looks up a cell in the latest readback.
+     * @param {number} x - Cell X.
+     * @param {number} y - Cell Y, growing downwards.
+     * @returns {Object|null} - The cell's attributes and material phase, or null if it was not sampled.
+     */
+    getSampledCell(x, y) {
+        const sample = this.sample;
+        if (!sample) return null;
+        const column = x - sample.x;
+        // Rows come back bottom-up, and world y grows downwards
+        const row = sample.y + SAMPLE_SIZE - 1 - y;
+        if (column < 0 || column >= SAMPLE_SIZE || row < 0 || row >= SAMPLE_SIZE) return null;
+
+        const i = (row * SAMPLE_SIZE + column) * 4;
+        const state = sample.data;
+        const material = MATERIALS[Math.round(state[SAMPLE_SIZE * SAMPLE_SIZE * 4 + i + MATERIAL_CHANNELS.ID])];
+        return {
+            density: state[i],
+            temperature: state[i + 1],
+            magic: state[i + 2],
+            organic: state[i + 3],
+            phase: material ? material.phase : PHASES.EMPTY,
+        };
+    }
+
+    /**
+     * Queues a readback of the region around the ship, unless one is in flight.
+     */
+    requestSample() {
+        if (this.readback.busy) return;
+        const { gl, simulationState } = this;
+
+        // Region origin in world cells, kept inside the grid
+        const x = clamp(Math.floor(this.position.x) - SAMPLE_SIZE / 2, 0, this.width - SAMPLE_SIZE);
+        const y = clamp(Math.floor(this.position.y) - SAMPLE_SIZE / 2, 0, this.height - SAMPLE_SIZE);
+        const texelY = this.height - y - SAMPLE_SIZE;
 
-            // Bind readFramebuffer to modify currentState texture
-            this.gl.bindFramebuffer(this.gl.FRAMEBUFFER, this.readFramebuffer);
+        this.readback.start(() => {
+            gl.bindFramebuffer(gl.FRAMEBUFFER, simulationState.readFramebuffer);
+            gl.readBuffer(gl.COLOR_ATTACHMENT0);
+            gl.readPixels(x, texelY, SAMPLE_SIZE, SAMPLE_SIZE, gl.RGBA, gl.FLOAT, 0);
+            gl.readBuffer(gl.COLOR_ATTACHMENT1);
+            gl.readPixels(x, texelY, SAMPLE_SIZE, SAMPLE_SIZE, gl.RGBA, gl.FLOAT, SAMPLE_SIZE * SAMPLE_SIZE * 16);
+            gl.readBuffer(gl.COLOR_ATTACHMENT0);
+            gl.bindFramebuffer(gl.FRAMEBUFFER, null);
+        }, { x, y });
+    }
 
-            // Update the specific pixel in the texture
-            this.gl.texSubImage2D(this.gl.TEXTURE_2D, 0, shipX, invertedY, 1, 1, this.gl.RGBA, this.gl.FLOAT, shipAttributes);
+    /**
+     * Takes over the readback queued TICK_READBACK_LATENCY ticks ago.
+     */
+    collectSample() {
+        const result = this.readback.pollAfter(TICK_READBACK_LATENCY);
+        if (result) {
+            this.sample = { ...result.context, data: result.data };
+        }
+    }
 
-            // Unbind framebuffer
-            this.gl.bindFramebuffer(this.gl.FRAMEBUFFER, null);
+    /**
+     * Moves the ship, its latest sample and its tools along with the world,
+     * e.g. when the chunk window shifts. A sample still in flight is dropped.
+     * The spawn point moves too, so it may end up outside the grid; respawn
+     * brings it back to the nearest cell inside.
+     * @param {number} deltaX - Cells to move right.
+     * @param {number} deltaY - Cells to move down.
+     */
+    translate(deltaX, deltaY) {
+        this.position.x += deltaX;
+        this.position.y += deltaY;
+        this.spawnPoint.x += deltaX;
+        this.spawnPoint.y += deltaY;
+        if (this.sample) {
+            this.sample.x += deltaX;
+            this.sample.y += deltaY;
         }
+        this.readback.cancel();
+        this.tools.translate(deltaX, deltaY);
+    }
+
+    /**
+     * Puts the ship back in its starting state, as for a new world: at the
+     * spawn point, empty-handed and with nothing sampled yet.
+     */
+    reset() {
+        this.respawn();
+        this.energy = 0;
+        this.timesDestroyed = 0;
+        this.sample = null;
+        this.readback.cancel();
+        this.tools.reset();
+    }
+
+    /**
+     * Puts the ship back at its spawn point, or the nearest cell of the grid
+     * if the window has moved away from it, with a fresh hull.
+     */
+    respawn() {
+        this.position.x = clamp(this.spawnPoint.x, 0, this.width - 1);
+        this.position.y = clamp(this.spawnPoint.y, 0, this.height - 1);
+        this.velocity.x = 0;
+        this.velocity.y = 0;
+        this.angle = 0;
+        this.hull = this.maxHull;
     }
 }
@@ -0,0 +1,363 @@
+// src/ship/tools.js
+
+import { applySplat } from '../brush/brush.js';
+import { MATERIALS, MATERIAL_CHANNELS, PHASES } from '../materials/materials.js';
+import { AsyncReadback, TICK_READBACK_LATENCY } from '../utils/readback.js';
+
+export const MAX_CARGO = 100; // Units of density
+export const MAX_AMMO = 20;
+export const MAX_PROJECTILES = 32;
+
+// Mining beam: reach beyond the nose and width in cells, density removed per cell per second
+const BEAM_LENGTH = 10;
+const BEAM_RADIUS = 1;
+const MINING_RATE = 0.5;
+
+// Deposit: distance of the drop point ahead of the nose, its radius, and units released per second
+const DEPOSIT_DISTANCE = 3;
+const DEPOSIT_RADIUS = 2;
+const DEPOSIT_RATE = 2;
+
+// Weapon: muzzle speed in cells/s, seconds between shots and before a projectile fizzles
+const PROJECTILE_SPEED = 120;
+const FIRE_INTERVAL = 0.2;
+const PROJECTILE_LIFETIME = 3;
+// Energy converted into one round when below MAX_AMMO
+const AMMO_ENERGY_COST = 5;
+// A projectile hits cells at least this dense, or of a solid material
+const IMPACT_DENSITY = 0.6;
+// Blast: heated radius and temperature added, destroyed core radius
+const BLAST_RADIUS = 4;
+const BLAST_HEAT = 0.4;
+const CORE_RADIUS = 2;
+
+/**
+ * The ship's tools: a mining beam that pulls density into the cargo hold,
+ * a deposit action that puts it back, a projectile weapon, and channelling,
+ * which draws magic from around the ship into its energy and releases it
+ * ahead of the ship (see DEFAULT_MAGIC_PARAMS for the rates).
+ *
+ * Grid changes are GPU splat passes. The mined amount is estimated from the
+ * ship's latest readback of its surroundings, which lags by a couple of
+ * ticks. Projectiles fly on the CPU; every tick their cells are read back
+ * without blocking, and a projectile that turns out to have entered dense
+ * cells explodes where it was when the read was queued.
+ */
+export class ShipTools {
+    /**
+     * Creates the tools and their GPU resources.
+     * @param {WebGL2RenderingContext} gl - The WebGL context.
+     * @param {SimulationState} simulationState - The double-buffered simulation state.
+     * @param {WebGLProgram} splatProgram - The splat program, shared with the brush.
+     */
+    constructor(gl, simulationState, splatProgram) {
+        this.gl = gl;
+        this.simulationState = simulationState;
+        this.splatProgram = splatProgram;
+
+        this.maxCargo = MAX_CARGO;
+        this.maxAmmo = MAX_AMMO;
+
+        // One state and one material texel per projectile
+        this.impactReadback = new AsyncReadback(gl, MAX_PROJECTILES * 8);
+
+        this.reset();
+    }
+
+    /**
+     * Empties the hold, zeroes the harvest total, reloads and clears
+     * projectiles in flight.
+     */
+    reset() {
+        this.cargo = 0;
+        // Density mined in total, whatever was deposited since
+        this.harvested = 0;
+        this.ammo = MAX_AMMO;
+
+        // Live projectiles: position and velocity in cells, remaining life in seconds
+        this.projectiles = [];
+        this.fireCooldown = 0;
+
+        // The beam segment if it fired this tick, for drawing it
+        this.beam = null;
+
+        this.impactReadback.cancel();
+    }
+
+    /**
+     * Clears per-tick state. Call once per tick before the tool actions.
+     */
+    beginTick() {
+        this.beam = null;
+    }
+
+    /**
+     * Runs the mining beam for a tick.
+     * @param {PlayerShip} ship - The ship carrying the tools.
+     * @param {number} deltaTime - Time elapsed since the last update (in seconds).
+     */
+    mine(ship, deltaTime) {
+        const from = ship.getNose();
+        const to = {
+            x: from.x + Math.cos(ship.angle) * BEAM_LENGTH,
+            y: from.y + Math.sin(ship.angle) * BEAM_LENGTH,
+        };
+        this.beam = { from, to };
+        if (this.cargo >= this.maxCargo) return;
+
+        const perCell = MINING_RATE * deltaTime;
+        let mined = 0;
+        for (const [x, y] of segmentCells(from, to, BEAM_RADIUS)) {
+            const cell = ship.getSampledCell(x, y);
+            if (cell) mined += Math.min(cell.density, perCell);
+        }
+        mined = Math.min(mined, this.maxCargo - this.cargo);
+        if (mined <= 0) return;
+
+        this.cargo += mined;
+        this.harvested += mined;
+        applySplat(this.gl, this.splatProgram, this.simulationState, {
+            from,
+            to,
+            radius: BEAM_RADIUS,
+            amount: [-perCell, 0, 0, 0],
+        });
+    }
+
+    /**
+     * Releases cargo as density in front of the ship for a tick.
+     * @param {PlayerShip} ship - The ship carrying the tools.
+     * @param {number} deltaTime - Time elapsed since the last update (in seconds).
+     */
+    deposit(ship, deltaTime) {
+        const released = Math.min(this.cargo, DEPOSIT_RATE * deltaTime);
+        if (released <= 0) return;
+
+        const nose = ship.getNose();
+        const at = {
+            x: nose.x + Math.cos(ship.angle) * DEPOSIT_DISTANCE,
+            y: nose.y + Math.sin(ship.angle) * DEPOSIT_DISTANCE,
+        };
+        const cells = segmentCells(at, at, DEPOSIT_RADIUS).length;
+
+        this.cargo -= released;
+        applySplat(this.gl, this.splatProgram, this.simulationState, {
+            from: at,
+            to: at,
+            radius: DEPOSIT_RADIUS,
+            amount: [released / cells, 0, 0, 0],
+        });
+    }
+
+    /**
+     * Channels the magic around the ship into its energy for a tick.
+     * @param {PlayerShip} ship - The ship carrying the tools.
+     * @param {number} deltaTime - Time elapsed since the last update (in seconds).
+     */
+    channel(ship, deltaTime) {
+        const { channelRadius, channelRate, channelEnergy } = ship.params;
+        const perCell = channelRate * deltaTime;
+        let available = 0;
+        for (const [x, y] of segmentCells(ship.position, ship.position, channelRadius)) {
+            const cell = ship.getSampledCell(x, y);
+            if (cell) available += Math.min(cell.magic, perCell);
+        }
+        const drawn = Math.min(available, (ship.maxEnergy - ship.energy) / channelEnergy);
+        if (drawn <= 0) return;
+
+        ship.energy += drawn * channelEnergy;
+        applySplat(this.gl, this.splatProgram, this.simulationState, {
+            from: ship.position,
+            to: ship.position,
+            radius: channelRadius,
+            amount: [0, 0, -perCell * drawn / available, 0],
+        });
+    }
+
+    /**
+     * Releases the ship's energy as magic ahead of the nose for a tick,
+     * enough of it to set off the magic thresholds.
+     * @param {PlayerShip} ship - The ship carrying the tools.
+     * @param {number} deltaTime - Time elapsed since the last update (in seconds).
+     */
+    release(ship, deltaTime) {
+        const { channelRadius, channelEnergy, releaseRate } = ship.params;
+        const released = Math.min(ship.energy, releaseRate * deltaTime);
+        if (released <= 0) return;
+
+        const nose = ship.getNose();
+        const at = {
+            x: nose.x + Math.cos(ship.angle) * channelRadius,
+            y: nose.y + Math.sin(ship.angle) * channelRadius,
+        };
+        const cells = segmentCells(at, at, channelRadius).length;
+
+        ship.energy -= released;
+        applySplat(this.gl, this.splatProgram, this.simulationState, {
+            from: at,
+            to: at,
+            radius: channelRadius,
+            amount: [0, 0, released / channelEnergy / cells, 0],
+        });
+    }
+
+    /**
+     * Fires a projectile from the nose if the weapon is loaded and ready.
+     * @param {PlayerShip} ship - The ship carrying the tools.
+     */
+    fire(ship) {
+        if (this.fireCooldown > 0 || this.ammo < 1 || this.projectiles.length >= MAX_PROJECTILES) return;
+
+        const nose = ship.getNose();
+        this.projectiles.push({
+            x: nose.x,
+            y: nose.y,
+            vx: ship.velocity.x + Math.cos(ship.angle) * PROJECTILE_SPEED,
+            vy: ship.velocity.y + Math.sin(ship.angle) * PROJECTILE_SPEED,
+            life: PROJECTILE_LIFETIME,
+        });
+        this.ammo--;
+        this.fireCooldown = FIRE_INTERVAL;
+    }
+
+    /**
+     * Advances projectiles, resolves impacts and reloads from the ship's energy.
+     * Call once per tick after the tool actions.
+     * @param {PlayerShip} ship - The ship carrying the tools.
+     * @param {number} deltaTime - Time elapsed since the last update (in seconds).
+     */
+    update(ship, deltaTime) {
+        this.fireCooldown = Math.max(0, this.fireCooldown - deltaTime);
+
+        while (this.ammo < this.maxAmmo && ship.energy >= AMMO_ENERGY_COST) {
+            ship.energy -= AMMO_ENERGY_COST;
+            this.ammo++;
+        }
+
+        this.collectImpacts();
+
+        const { width, height } = this.simulationState;
+        this.projectiles = this.projectiles.filter((projectile) => {
+            projectile.x += projectile.vx * deltaTime;
+            projectile.y += projectile.vy * deltaTime;
+            projectile.life -= deltaTime;
+            return projectile.life > 0 && !projectile.exploded &&
+                projectile.x >= 0 && projectile.y >= 0 && projectile.x < width && projectile.y < height;
+        });
+
+        this.requestImpacts();
+    }
+
+    /**
+     * Queues a readback of the cell under every live projectile.
+     */
+    requestImpacts() {
+        if (this.projectiles.length === 0 || this.impactReadback.busy) return;
+        const { gl, simulationState } = this;
+
+        const probes = this.projectiles.map((projectile) => ({
+            projectile,
+            x: Math.floor(projectile.x),
+            y: Math.floor(projectile.y),
+        }));
+        this.impactReadback.start(() => {
+            gl.bindFramebuffer(gl.FRAMEBUFFER, simulationState.readFramebuffer);
+            probes.forEach((probe, i) => {
+                const texelY = simulationState.height - probe.y - 1;
+                gl.readBuffer(gl.COLOR_ATTACHMENT0);
+                gl.readPixels(probe.x, texelY, 1, 1, gl.RGBA, gl.FLOAT, i * 16);
+                gl.readBuffer(gl.COLOR_ATTACHMENT1);
+                gl.readPixels(probe.x, texelY, 1, 1, gl.RGBA, gl.FLOAT, (MAX_PROJECTILES + i) * 16);
+            });
+            gl.readBuffer(gl.COLOR_ATTACHMENT0);
+            gl.bindFramebuffer(gl.FRAMEBUFFER, null);
+        }, probes);
+    }
+
+    /**
+     * Explodes projectiles whose read-back cell was dense enough to hit.
+     */
+    collectImpacts() {
+        const result = this.impactReadback.pollAfter(TICK_READBACK_LATENCY);
+        if (!result) return;
+
+        result.context.forEach((probe, i) => {
+            if (probe.projectile.exploded) return;
+            const density = result.data[i * 4];
+            const material = MATERIALS[Math.round(result.data[(MAX_PROJECTILES + i) * 4 + MATERIAL_CHANNELS.ID])];
+            if (density < IMPACT_DENSITY && !(material && material.phase === PHASES.SOLID)) return;
+
+            probe.projectile.exploded = true;
+            this.explode(probe);
+        });
+    }
+
+    /**
+     * Heats the cells around a point and destroys the ones at its core.
+     * @param {{x: number, y: number}} at - Impact point in world cells.
+     */
+    explode(at) {
+        applySplat(this.gl, this.splatProgram, this.simulationState, {
+            from: at,
+            to: at,
+            radius: BLAST_RADIUS,
+            amount: [0, BLAST_HEAT, 0, 0],
+        });
+        applySplat(this.gl, this.splatProgram, this.simulationState, {
+            from: at,
+            to: at,
+            radius: CORE_RADIUS,
+            amount: [-1, 0, 0, 0],
+            clearMaterial: true,
+        });
+    }
+
+    /**
+     * Moves projectiles along with the world, e.g. when the chunk window
+     * shifts. Impacts still in flight are dropped, as their cells moved.
+     * @param {number} deltaX - Cells to move right.
+     * @param {number} deltaY - Cells to move down.
+     */
+    translate(deltaX, deltaY) {
+        for (const projectile of this.projectiles) {
+            projectile.x += deltaX;
+            projectile.y += deltaY;
+        }
+        this.impactReadback.cancel();
+    }
+
+    /**
+     * Releases the GPU resources. The splat program is shared, so it stays.
+     */
+    dispose() {
+        this.impactReadback.dispose();
+    }
+}
+
+/**
+ * Lists the cells a circular splat along a segment covers, using the same
+ * test as the splat shader.
+ * @param {{x: number, y: number}} from - Segment start in world cells.
+ * @param {{x: number, y: number}} to - Segment end in world cells.
+ * @param {number} radius - Radius in cells.
+ * @returns {Array<Array<number>>} - [x, y] cell coordinates.
+ */
+function segmentCells(from, to, radius) {
+    const ax = Math.floor(from.x);
+    const ay = Math.floor(from.y);
+    const dx = Math.floor(to.x) - ax;
+    const dy = Math.floor(to.y) - ay;
+    const lengthSq = dx * dx + dy * dy;
+
+    const cells = [];
+    const reach = Math.ceil(radius);
+    for (let y = Math.min(ay, ay + dy) - reach; y <= Math.max(ay, ay + dy) + reach; y++) {
+        for (let x = Math.min(ax, ax + dx) - reach; x <= Math.max(ax, ax + dx) + reach; x++) {
+            const t = lengthSq > 0 ? Math.min(Math.max(((x - ax) * dx + (y - ay) * dy) / lengthSq, 0), 1) : 0;
+            if (Math.hypot(x - (ax + dx * t), y - (ay + dy * t)) <= radius) {
+                cells.push([x, y]);
+            }
+        }
+    }
+    return cells;
+}
@@ -0,0 +1,764 @@
+// src/simulation/cpuSimulation.js
+
+import { MATERIALS, PHASES, getMaterialId, findReaction } from '../materials/materials.js';
+import { generateInitialState, createFullRegion } from './simulation.js';
+import { DEFAULT_GENERATOR_CONFIG } from '../world/generator.js';
+import { clamp } from '../utils/utils.js';
+
+/**
+ * Headless reference implementation of the simulation passes.
+ *
+ * Mirrors the movement, update and fluid shaders in rendering.js rule for rule on
+ * plain Float32Arrays, so the simulation can run and be checked in Node
+ * without a GPU. Any change to the shader rules must be made here as well.
+ * Arrays use the texture layout: RGBA per cell, row 0 at the bottom.
+ */
+
+const EMPTY_ID = getMaterialId('empty');
+const WATER_ID = getMaterialId('water');
+const FIRE_ID = getMaterialId('fire');
+
+// Von Neumann neighbourhood, in the same order as NEIGHBOURS in the shaders
+const NEIGHBOURS = [[0, 1], [0, -1], [1, 0], [-1, 0]];
+
+// Mirrors MAX_FLOW_SPEED in the fluid shaders
+const MAX_FLOW_SPEED = 4.0;
+
+// Mirror MIN_CONDUCTIVITY and ORGANIC_INSULATION in the update shader
+const MIN_CONDUCTIVITY = 0.2;
+const ORGANIC_INSULATION = 0.5;
+
+// Mirrors PRECIPITATION_MOISTURE in the update shader
+const PRECIPITATION_MOISTURE = 0.5;
+
+// Mirrors LEY_LINE_SALT in the update shader
+const LEY_LINE_SALT = 0x1e71;
+
+/**
+ * CPU counterpart of SimulationState: two buffers of attribute and material
+ * data that are swapped after every pass, and the fluid fields of FluidState
+ * (velocity with two floats per cell, pressure and divergence).
+ */
+export class CpuSimulationState {
+    /**
+     * Allocates the two buffers.
+     * @param {number} width - Simulation grid width.
+     * @param {number} height - Simulation grid height.
+     */
+    constructor(width, height) {
+        this.width = width;
+        this.height = height;
+
+        this.buffers = [createBuffer(width, height), createBuffer(width, height)];
+        this.readIndex = 0;
+        this.tick = 0;
+
+        this.velocity = new Float32Array(width * height * 2);
+        this.nextVelocity = new Float32Array(width * height * 2);
+        this.pressure = new Float32Array(width * height);
+        this.nextPressure = new Float32Array(width * height);
+        this.divergence = new Float32Array(width * height);
+    }
+
+    /** @returns {Float32Array} - The live attribute data. */
+    get current() {
+        return this.buffers[this.readIndex].state;
+    }
+
+    /** @returns {Float32Array} - The live material data. */
+    get currentMaterial() {
+        return this.buffers[this.readIndex].material;
+    }
+
+    /** @returns {Float32Array} - The attribute data the next pass writes. */
+    get next() {
+        return this.buffers[1 - this.readIndex].state;
+    }
+
+    /** @returns {Float32Array} - The material data the next pass writes. */
+    get nextMaterial() {
+        return this.buffers[1 - this.readIndex].material;
+    }
+
+    /**
+     * Promotes the freshly written buffer to be the live state.
+     */
+    swap() {
+        this.readIndex = 1 - this.readIndex;
+    }
+}
+
+/**
+ * Initializes the CPU simulation with a given seed, producing exactly the
+ * same starting data as initializeSimulation.
+ * @param {CpuSimulationState} simulationState - The state to seed.
+ * @param {number} width - Simulation grid width.
+ * @param {number} height - Simulation grid height.
+ * @param {number} seed - Seed value for random generation.
+ * @param {Object} [generatorConfig] - World generator settings, see DEFAULT_GENERATOR_CONFIG.
+ */
+export function initializeCpuSimulation(simulationState, width, height, seed, generatorConfig = DEFAULT_GENERATOR_CONFIG) {
+    const { state, material } = generateInitialState(width, height, seed, generatorConfig);
+    simulationState.current.set(state);
+    simulationState.currentMaterial.set(material);
+}
+
+/**
+ * Performs a single simulation step on the CPU: the movement pass followed
+ * by the update pass, swapping buffers after each, then the fluid step.
+ * @param {CpuSimulationState} simulationState - The state to advance.
+ * @param {Object} params - Simulation constants, see DEFAULT_SIMULATION_PARAMS.
+ * @param {Object} climate - The climate for this tick, see computeClimate.
+ * @param {Object} [region] - Where the grid lies in the world and what runs at full rate, see createFullRegion.
+ */
+export function performCpuSimulationStep(simulationState, params, climate, region = createFullRegion(simulationState.width, simulationState.height)) {
+    const live = liveTest(simulationState, region);
+
+    movementPass(simulationState, params, live);
+    simulationState.swap();
+
+    updatePass(simulationState, params, climate, region, live);
+    simulationState.swap();
+
+    fluidStep(simulationState, params, climate, live);
+
+    simulationState.tick++;
+}
+
+/**
+ * Mirrors the movement shader.
+ * @param {CpuSimulationState} sim - The state to read from and write into.
+ * @param {Object} params - Simulation constants.
+ * @param {Function} live - Mirrors isLive: (x, y) => boolean.
+ */
+function movementPass(sim, params, live) {
+    const { width, height, tick } = sim;
+    const state = sim.current;
+    const material = sim.currentMaterial;
+    const outState = sim.next;
+    const outMaterial = sim.nextMaterial;
+
+    const pattern = tick % 4;
+    const vertical = pattern < 2;
+    const fallChance = Math.abs(params.gravity) * params.materialFallRate;
+    const fallsTowardsLow = params.gravity >= 0;
+
+    for (let y = 0; y < height; y++) {
+        for (let x = 0; x < width; x++) {
+            const index = vertical ? y : x;
+            const isLowMember = ((index + (pattern & 1)) & 1) === 0;
+            const step = isLowMember ? 1 : -1;
+            const px = vertical ? x : x + step;
+            const py = vertical ? y + step : y;
+
+            let source = cellIndex(x, y, width);
+            if (live(x, y) && live(px, py)) {
+                const partner = cellIndex(px, py, width);
+                const lowId = materialId(material, isLowMember ? source : partner);
+                const highId = materialId(material, isLowMember ? partner : source);
+                const chance = pairRandom(x, y, px, py, tick);
+
+                let swapped;
+                if (vertical) {
+                    const upper = fallsTowardsLow ? highId : lowId;
+                    const lower = fallsTowardsLow ? lowId : highId;
+                    swapped = chance < fallChance && swapsVertically(upper, lower);
+                } else {
+                    swapped = chance < 0.5 && swapsHorizontally(lowId, highId);
+                }
+
+                if (swapped) {
+                    source = partner;
+                }
+            }
+
+            const target = cellIndex(x, y, width);
+            for (let c = 0; c < 4; c++) {
+                outState[target * 4 + c] = state[source * 4 + c];
+                outMaterial[target * 4 + c] = material[source * 4 + c];
+            }
+        }
+    }
+}
+
+/**
+ * Mirrors the update shader.
+ * @param {CpuSimulationState} sim - The state to read from and write into.
+ * @param {Object} params - Simulation constants.
+ * @param {Object} climate - The climate for this tick.
+ * @param {Object} region - Where the grid lies in the world.
+ * @param {Function} live - Mirrors isLive: (x, y) => boolean.
+ */
+function updatePass(sim, params, climate, region, live) {
+    const { width, height, tick } = sim;
+    const state = sim.current;
+    const material = sim.currentMaterial;
+    const outState = sim.next;
+    const outMaterial = sim.nextMaterial;
+
+    const fallRate = clamp(Math.abs(params.gravity) * params.fallRate, 0, 1);
+    const down = params.gravity >= 0 ? -1 : 1;
+    const fallFlux = (upper, lower) => clamp(Math.min(upper * fallRate, 1 - lower), 0, 1);
+    const skyRow = params.gravity >= 0 ? 0 : region.worldHeight - 1;
+
+    const self = new Float32Array(4);
+    const laplacian = new Float32Array(4);
+
+    for (let y = 0; y < height; y++) {
+        for (let x = 0; x < width; x++) {
+            const i = cellIndex(x, y, width);
+            if (!live(x, y)) {
+                for (let c = 0; c < 4; c++) {
+                    outState[i * 4 + c] = state[i * 4 + c];
+                    outMaterial[i * 4 + c] = material[i * 4 + c];
+                }
+                continue;
+            }
+            for (let c = 0; c < 4; c++) {
+                self[c] = state[i * 4 + c];
+                laplacian[c] = -4 * self[c];
+            }
+
+            // Out-of-bounds and frozen neighbours mirror the cell itself
+            for (const [dx, dy] of NEIGHBOURS) {
+                const n = live(x + dx, y + dy) ? cellIndex(x + dx, y + dy, width) : i;
+                for (let c = 0; c < 4; c++) {
+                    laplacian[c] += state[n * 4 + c];
+                }
+            }
+
+            // Density falls as a pairwise flux
+            const belowY = y + down;
+            const aboveY = y - down;
+            const outflow = live(x, belowY) ? fallFlux(self[0], state[cellIndex(x, belowY, width) * 4]) : 0;
+            const inflow = live(x, aboveY) ? fallFlux(state[cellIndex(x, aboveY, width) * 4], self[0]) : 0;
+            let density = clamp(self[0] - outflow + inflow, 0, 1);
+
+            const worldY = region.worldOffset.y + height - 1 - y;
+            const latitude = Math.abs(2 * (worldY + 0.5) / region.worldHeight - 1);
+            const ambient = climate.ambientTemperature - params.latitudeGradient * latitude;
+
+            const capacity = heatCapacity(params, self[0], self[3]);
+            const selfConductivity = conductivity(params, self[0], self[3]);
+            let heatFlow = 0;
+            for (const [dx, dy] of NEIGHBOURS) {
+                if (!live(x + dx, y + dy)) continue;
+                const n = cellIndex(x + dx, y + dy, width) * 4;
+                heatFlow += pairConductivity(selfConductivity, conductivity(params, state[n], state[n + 3])) * (state[n + 1] - self[1]);
+            }
+            heatFlow -= params.radiativeCooling * (radiance(self[1]) - radiance(ambient));
+            let temperature = self[1] + heatFlow / capacity;
+
+            temperature += params.climateCoupling * (ambient - self[1]);
+
+            // ----- Materials -----
+            const id = materialId(material, i);
+            let nextId = id;
+            let life = material[i * 4 + 1];
+
+            let nearHeatSource = false;
+            let waterCells = id === WATER_ID ? 1 : 0;
+            for (const [dx, dy] of NEIGHBOURS) {
+                const nx = x + dx;
+                const ny = y + dy;
+                if (!live(nx, ny)) continue;
+                const other = materialId(material, cellIndex(nx, ny, width));
+                nearHeatSource = nearHeatSource || MATERIALS[other].emitsHeat > 0;
+                waterCells += other === WATER_ID ? 1 : 0;
+
+                if (nextId === id) {
+                    const reaction = findReaction(id, other);
+                    if (reaction && pairRandom(x, y, nx, ny, tick) < reaction.probability) {
+                        nextId = reaction.product;
+                        temperature += reaction.heat;
+                    }
+                }
+            }
+
+            const properties = MATERIALS[id];
+            if (nextId === id && properties.flammability > 0
+                && (nearHeatSource || temperature >= params.ignitionTemperature)
+                && cellRandom(x, y, tick) < properties.flammability) {
+                nextId = FIRE_ID;
+            }
+
+            if (nextId === id && properties.meltsInto !== null && temperature >= properties.meltingPoint) {
+                nextId = getMaterialId(properties.meltsInto);
+                temperature -= params.latentHeat;
+            } else if (nextId === id && properties.freezesInto !== null && temperature <= properties.freezingPoint) {
+                nextId = getMaterialId(properties.freezesInto);
+                temperature += params.latentHeat;
+            }
+
+            const moisture = waterCells / 5 + PRECIPITATION_MOISTURE * climate.precipitation;
+            const habitable = inRange(self[1], params.habitableMinTemperature, params.habitableMaxTemperature)
+                && inRange(self[0], params.habitableMinDensity, params.habitableMaxDensity)
+                && inRange(moisture, params.habitableMinMoisture, params.habitableMaxMoisture);
+            // The neighbours' organic matter, recovered from the laplacian
+            const seedOrganic = 0.5 * self[3] + 0.125 * (laplacian[3] + 4 * self[3]);
+            let growth = habitable ? params.organicGrowth * climate.growth * seedOrganic * (1 - self[3]) : 0;
+            growth *= self[2] >= params.bloomThreshold ? 1 + params.bloomBoost : 1;
+            const decay = habitable ? 0 : params.organicDecay * self[3];
+            let organic = clamp(self[3] + params.organicSpread * laplacian[3] + growth - decay, 0, 1);
+            density = Math.min(density + decay, 1);
+
+            const burned = nextId === FIRE_ID ? Math.min(organic, params.combustionRate) : 0;
+            organic -= burned;
+            temperature += params.combustionHeat * burned / capacity;
+
+            if (nextId !== id) {
+                life = MATERIALS[nextId].lifetime;
+            } else if (properties.lifetime > 0) {
+                life -= 1;
+                if (life <= 0 && properties.decaysInto !== null) {
+                    nextId = getMaterialId(properties.decaysInto);
+                    life = MATERIALS[nextId].lifetime;
+                }
+            }
+
+            if (id === EMPTY_ID && nextId === EMPTY_ID && worldY === skyRow
+                && cellRandom(x, y, tick ^ 0x5eed) < climate.precipitation * params.rainRate) {
+                nextId = WATER_ID;
+                life = MATERIALS[WATER_ID].lifetime;
+            }
+
+            const worldX = region.worldOffset.x + x;
+            const ley = leyLine(params, worldX, worldY);
+            const potential = self[2] / magicCapacity(params, self[0], id);
+            let magicFlow = 0;
+            for (const [dx, dy] of NEIGHBOURS) {
+                if (!live(x + dx, y + dy)) continue;
+                const n = cellIndex(x + dx, y + dy, width);
+                const otherLey = leyLine(params, worldX + dx, worldY - dy);
+                const pairSpread = params.magicSpread * (1 + params.leyLineConductance * 0.5 * (ley + otherLey));
+                magicFlow += pairSpread * (state[n * 4 + 2] / magicCapacity(params, state[n * 4], materialId(material, n)) - potential);
+            }
+
+            const regeneration = params.magicGrowth * climate.magicRegeneration * (1 + MATERIALS[id].magicAffinity) * (1 + params.leyLineRegeneration * ley);
+            let magic = clamp(self[2] + magicFlow + regeneration - params.magicDissipation * (1 - ley) * self[2], 0, 1);
+
+            const transmuted = Math.min(Math.max(magic - params.transmuteThreshold, 0), params.transmuteRate);
+            magic -= transmuted;
+            density = Math.min(density + transmuted, 1);
+            const kindled = Math.min(Math.max(magic - params.igniteThreshold, 0), params.igniteRate);
+            magic -= kindled;
+            temperature += params.magicHeat * kindled / capacity;
+
+            temperature = clamp(Math.max(temperature, MATERIALS[nextId].emitsHeat), 0, 1);
+
+            outState[i * 4 + 0] = density;
+            outState[i * 4 + 1] = temperature;
+            outState[i * 4 + 2] = magic;
+            outState[i * 4 + 3] = organic;
+            outMaterial[i * 4 + 0] = nextId;
+            outMaterial[i * 4 + 1] = life;
+            outMaterial[i * 4 + 2] = material[i * 4 + 2];
+            outMaterial[i * 4 + 3] = material[i * 4 + 3];
+        }
+    }
+}
+
+/**
+ * Mirrors leyLine in the update shader.
+ * @param {Object} params - Simulation constants, for the ley line scale and width.
+ * @param {number} worldX - World column.
+ * @param {number} worldY - World row, growing downwards.
+ * @returns {number} - Ley line strength, 0-1.
+ */
+function leyLine(params, worldX, worldY) {
+    const px = worldX / params.leyLineScale;
+    const py = worldY / params.leyLineScale;
+    const lx = Math.floor(px);
+    const ly = Math.floor(py);
+    const fx = smoothstep(0, 1, px - lx);
+    const fy = smoothstep(0, 1, py - ly);
+    const top = mix(cellRandom(lx, ly, LEY_LINE_SALT), cellRandom(lx + 1, ly, LEY_LINE_SALT), fx);
+    const bottom = mix(cellRandom(lx, ly + 1, LEY_LINE_SALT), cellRandom(lx + 1, ly + 1, LEY_LINE_SALT), fx);
+    const ridge = 1 - Math.abs(2 * mix(top, bottom, fy) - 1);
+    return smoothstep(1 - params.leyLineWidth, 1, ridge);
+}
+
+/**
+ * Mirrors magicCapacity in the update shader.
+ * @param {Object} params - Simulation constants, for the pooling.
+ * @param {number} density - The cell's density.
+ * @param {number} id - The cell's material ID.
+ * @returns {number} - Magic the cell holds at a potential of 1.
+ */
+function magicCapacity(params, density, id) {
+    return 1 + params.magicPooling * density * MATERIALS[id].magicAffinity;
+}
+
+/**
+ * Mirrors GLSL smoothstep.
+ * @param {number} edge0 - Lower edge.
+ * @param {number} edge1 - Upper edge.
+ * @param {number} value - The value.
+ * @returns {number} - Hermite interpolation of the value between the edges, 0-1.
+ */
+function smoothstep(edge0, edge1, value) {
+    const t = clamp((value - edge0) / (edge1 - edge0), 0, 1);
+    return t * t * (3 - 2 * t);
+}
+
+/**
+ * Whether a value lies in a closed range.
+ * @param {number} value - The value.
+ * @param {number} min - Lower bound.
+ * @param {number} max - Upper bound.
+ * @returns {boolean}
+ */
+function inRange(value, min, max) {
+    return value >= min && value <= max;
+}
+
+/**
+ * Mirrors conductivity in the update shader.
+ * @param {Object} params - Simulation constants.
+ * @param {number} density - The cell's density.
+ * @param {number} organic - The cell's organic matter.
+ * @returns {number} - The cell's conductivity.
+ */
+function conductivity(params, density, organic) {
+    return params.heatDiffusion * mix(MIN_CONDUCTIVITY, 1, clamp(density, 0, 1)) * (1 - ORGANIC_INSULATION * clamp(organic, 0, 1));
+}
+
+/**
+ * Mirrors heatCapacity in the update shader.
+ * @param {Object} params - Simulation constants.
+ * @param {number} density - The cell's density.
+ * @param {number} organic - The cell's organic matter.
+ * @returns {number} - The cell's heat capacity.
+ */
+function heatCapacity(params, density, organic) {
+    return 1 + params.densityHeatCapacity * density + params.organicHeatCapacity * organic;
+}
+
+/**
+ * Mirrors radiance in the update shader.
+ * @param {number} temperature - The temperature.
+ * @returns {number} - Its fourth power, 0 below zero.
+ */
+function radiance(temperature) {
+    const t2 = Math.max(temperature, 0) * Math.max(temperature, 0);
+    return t2 * t2;
+}
+
+/**
+ * Mirrors pairConductivity in the update shader.
+ * @param {number} a - Conductivity of one cell.
+ * @param {number} b - Conductivity of the other.
+ * @returns {number} - Heat flowing between them per unit of temperature difference.
+ */
+function pairConductivity(a, b) {
+    return a + b > 0 ? 2 * a * b / (a + b) : 0;
+}
+
+/**
+ * Mirrors the fluid passes run by performFluidStep: forces, divergence,
+ * the Jacobi pressure solve, projection and attribute advection.
+ * @param {CpuSimulationState} sim - The state to advance.
+ * @param {Object} params - Simulation constants.
+ * @param {Object} climate - The climate for this tick.
+ * @param {Function} live - Mirrors isLive: (x, y) => boolean.
+ */
+function fluidStep(sim, params, climate, live) {
+    const { width, height } = sim;
+    const material = sim.currentMaterial;
+    const cellCount = width * height;
+
+    // Mirror isFluid and velocityAt
+    const fluid = new Uint8Array(cellCount);
+    for (let y = 0; y < height; y++) {
+        for (let x = 0; x < width; x++) {
+            const i = cellIndex(x, y, width);
+            fluid[i] = live(x, y) && MATERIALS[materialId(material, i)].phase !== PHASES.SOLID ? 1 : 0;
+        }
+    }
+    const isFluid = (x, y) => inBounds(x, y, width, height) && fluid[cellIndex(x, y, width)] === 1;
+    const velocityAt = (velocity, x, y, c) => (isFluid(x, y) ? velocity[cellIndex(x, y, width) * 2 + c] : 0);
+
+    // ----- Forces -----
+    {
+        const velocity = sim.velocity;
+        const out = sim.nextVelocity;
+        const state = sim.current;
+        for (let y = 0; y < height; y++) {
+            for (let x = 0; x < width; x++) {
+                const i = cellIndex(x, y, width);
+                if (!live(x, y)) {
+                    out[i * 2] = velocity[i * 2];
+                    out[i * 2 + 1] = velocity[i * 2 + 1];
+                    continue;
+                }
+                if (!fluid[i]) {
+                    out[i * 2] = 0;
+                    out[i * 2 + 1] = 0;
+                    continue;
+                }
+
+                const sourceX = x - velocity[i * 2];
+                const sourceY = y - velocity[i * 2 + 1];
+                let vx = sampleBilinear((bx, by) => velocityAt(velocity, bx, by, 0), sourceX, sourceY);
+                let vy = sampleBilinear((bx, by) => velocityAt(velocity, bx, by, 1), sourceX, sourceY);
+
+                vy += params.gravity * (params.buoyancy * (state[i * 4 + 1] - climate.ambientTemperature) - params.densityWeight * state[i * 4]);
+
+                vx *= 1 - params.velocityDamping;
+                vy *= 1 - params.velocityDamping;
+                const speed = Math.hypot(vx, vy);
+                if (speed > MAX_FLOW_SPEED) {
+                    vx *= MAX_FLOW_SPEED / speed;
+                    vy *= MAX_FLOW_SPEED / speed;
+                }
+                out[i * 2] = vx;
+                out[i * 2 + 1] = vy;
+            }
+        }
+        [sim.velocity, sim.nextVelocity] = [sim.nextVelocity, sim.velocity];
+    }
+
+    // ----- Divergence -----
+    const velocity = sim.velocity;
+    for (let y = 0; y < height; y++) {
+        for (let x = 0; x < width; x++) {
+            const i = cellIndex(x, y, width);
+            sim.divergence[i] = fluid[i] ? 0.5 * (velocityAt(velocity, x + 1, y, 0) - velocityAt(velocity, x - 1, y, 0)
+                + velocityAt(velocity, x, y + 1, 1) - velocityAt(velocity, x, y - 1, 1)) : 0;
+        }
+    }
+
+    // ----- Pressure -----
+    sim.pressure.fill(0);
+    const iterations = Math.max(0, Math.round(params.pressureIterations));
+    for (let iteration = 0; iteration < iterations; iteration++) {
+        const pressure = sim.pressure;
+        const out = sim.nextPressure;
+        for (let y = 0; y < height; y++) {
+            for (let x = 0; x < width; x++) {
+                const i = cellIndex(x, y, width);
+                if (!fluid[i]) {
+                    out[i] = 0;
+                    continue;
+                }
+                let sum = 0;
+                for (const [dx, dy] of NEIGHBOURS) {
+                    sum += isFluid(x + dx, y + dy) ? pressure[cellIndex(x + dx, y + dy, width)] : pressure[i];
+                }
+                out[i] = 0.25 * (sum - sim.divergence[i]);
+            }
+        }
+        [sim.pressure, sim.nextPressure] = [sim.nextPressure, sim.pressure];
+    }
+
+    // ----- Projection -----
+    {
+        const pressure = sim.pressure;
+        const out = sim.nextVelocity;
+        const pressureAt = (x, y, self) => (isFluid(x, y) ? pressure[cellIndex(x, y, width)] : self);
+        for (let y = 0; y < height; y++) {
+            for (let x = 0; x < width; x++) {
+                const i = cellIndex(x, y, width);
+                if (!live(x, y)) {
+                    out[i * 2] = velocity[i * 2];
+                    out[i * 2 + 1] = velocity[i * 2 + 1];
+                    continue;
+                }
+                if (!fluid[i]) {
+                    out[i * 2] = 0;
+                    out[i * 2 + 1] = 0;
+                    continue;
+                }
+                const self = pressure[i];
+                out[i * 2] = velocity[i * 2] - 0.5 * (pressureAt(x + 1, y, self) - pressureAt(x - 1, y, self));
+                out[i * 2 + 1] = velocity[i * 2 + 1] - 0.5 * (pressureAt(x, y + 1, self) - pressureAt(x, y - 1, self));
+            }
+        }
+        [sim.velocity, sim.nextVelocity] = [sim.nextVelocity, sim.velocity];
+    }
+
+    // ----- Advection -----
+    {
+        const flow = sim.velocity;
+        const state = sim.current;
+        const outState = sim.next;
+        const outMaterial = sim.nextMaterial;
+        outMaterial.set(material);
+        for (let y = 0; y < height; y++) {
+            for (let x = 0; x < width; x++) {
+                const i = cellIndex(x, y, width);
+                if (!fluid[i]) {
+                    for (let c = 0; c < 4; c++) {
+                        outState[i * 4 + c] = state[i * 4 + c];
+                    }
+                    continue;
+                }
+                const sourceX = x - flow[i * 2];
+                const sourceY = y - flow[i * 2 + 1];
+                // Walls stand in for the cell's own values
+                for (let c = 0; c < 3; c++) {
+                    outState[i * 4 + c] = sampleBilinear((bx, by) => state[(isFluid(bx, by) ? cellIndex(bx, by, width) : i) * 4 + c], sourceX, sourceY);
+                }
+                outState[i * 4 + 3] = state[i * 4 + 3];
+            }
+        }
+        sim.swap();
+    }
+}
+
+/**
+ * Mirrors the bilinear sampling of the fluid shaders, built from GLSL mix().
+ * @param {Function} valueAt - (x, y) => the value at a cell.
+ * @param {number} x - Column to sample at, in cells.
+ * @param {number} y - Row to sample at, in cells.
+ * @returns {number} - The interpolated value.
+ */
+function sampleBilinear(valueAt, x, y) {
+    const baseX = Math.floor(x);
+    const baseY = Math.floor(y);
+    const fx = x - baseX;
+    const fy = y - baseY;
+    const bottom = mix(valueAt(baseX, baseY), valueAt(baseX + 1, baseY), fx);
+    const top = mix(valueAt(baseX, baseY + 1), valueAt(baseX + 1, baseY + 1), fx);
+    return mix(bottom, top, fy);
+}
+
+/**
+ * Mirrors GLSL mix().
+ * @param {number} a - Value at t = 0.
+ * @param {number} b - Value at t = 1.
+ * @param {number} t - Blend factor.
+ * @returns {number} - a * (1 - t) + b * t.
+ */
+function mix(a, b, t) {
+    return a * (1 - t) + b * t;
+}
+
+/**
+ * Mirrors swapsVertically in the movement shader.
+ * @param {number} upper - Material ID of the upper cell.
+ * @param {number} lower - Material ID of the lower cell.
+ * @returns {boolean} - Whether the cells trade places.
+ */
+function swapsVertically(upper, lower) {
+    const a = MATERIALS[upper];
+    const b = MATERIALS[lower];
+    if (a.phase === PHASES.SOLID || b.phase === PHASES.SOLID) return false;
+    if (a.density <= b.density) return false;
+    return a.phase === PHASES.POWDER || a.phase === PHASES.LIQUID || b.phase === PHASES.GAS;
+}
+
+/**
+ * Mirrors swapsHorizontally in the movement shader.
+ * @param {number} a - Material ID of the left cell.
+ * @param {number} b - Material ID of the right cell.
+ * @returns {boolean} - Whether the cells trade places.
+ */
+function swapsHorizontally(a, b) {
+    const phaseA = MATERIALS[a].phase;
+    const phaseB = MATERIALS[b].phase;
+    if (a === b || phaseA === PHASES.SOLID || phaseB === PHASES.SOLID) return false;
+    const flows = (phase) => phase === PHASES.LIQUID || phase === PHASES.GAS;
+    return flows(phaseA) || flows(phaseB);
+}
+
+/**
+ * Mirrors the GLSL integer hash.
+ * @param {number} x - Unsigned 32-bit input.
+ * @returns {number} - Unsigned 32-bit hash.
+ */
+function hash(x) {
+    x = (x ^ (x >>> 16)) >>> 0;
+    x = Math.imul(x, 0x7feb352d) >>> 0;
+    x = (x ^ (x >>> 15)) >>> 0;
+    x = Math.imul(x, 0x846ca68b) >>> 0;
+    x = (x ^ (x >>> 16)) >>> 0;
+    return x;
+}
+
+/**
+ * Mirrors cellRandom in the shaders.
+ * @param {number} x - Cell column.
+ * @param {number} y - Cell row.
+ * @param {number} salt - Signed 32-bit salt.
+ * @returns {number} - Random number in [0, 1).
+ */
+export function cellRandom(x, y, salt) {
+    const h = hash(((x >>> 0) ^ hash(((y >>> 0) ^ hash(salt >>> 0)) >>> 0)) >>> 0);
+    return (h >>> 8) / 16777216;
+}
+
+/**
+ * Mirrors pairRandom in the shaders.
+ * @param {number} ax - Column of the first cell.
+ * @param {number} ay - Row of the first cell.
+ * @param {number} bx - Column of the second cell.
+ * @param {number} by - Row of the second cell.
+ * @param {number} salt - Signed 32-bit salt.
+ * @returns {number} - Random number in [0, 1), identical for (a, b) and (b, a).
+ */
+function pairRandom(ax, ay, bx, by, salt) {
+    const aIsLow = ay < by || (ay === by && ax < bx);
+    const [lx, ly, hx, hy] = aIsLow ? [ax, ay, bx, by] : [bx, by, ax, ay];
+    return cellRandom(lx, ly, salt ^ Math.imul(hx - lx + 2 * (hy - ly) + 3, 0x9e3779));
+}
+
+/**
+ * Allocates one buffer of attribute and material data.
+ * @param {number} width - Simulation grid width.
+ * @param {number} height - Simulation grid height.
+ * @returns {{state: Float32Array, material: Float32Array}} - The buffer.
+ */
+function createBuffer(width, height) {
+    return {
+        state: new Float32Array(width * height * 4),
+        material: new Float32Array(width * height * 4),
+    };
+}
+
+/**
+ * Reads the material ID of a cell, as materialId() does in the shaders.
+ * @param {Float32Array} material - Material data.
+ * @param {number} index - Cell index.
+ * @returns {number} - The material ID.
+ */
+function materialId(material, index) {
+    return clamp(Math.trunc(material[index * 4] + 0.5), 0, MATERIALS.length - 1);
+}
+
+/**
+ * Converts cell coordinates to a cell index.
+ * @param {number} x - Cell column.
+ * @param {number} y - Cell row.
+ * @param {number} width - Simulation grid width.
+ * @returns {number} - The cell index.
+ */
+function cellIndex(x, y, width) {
+    return y * width + x;
+}
+
+/**
+ * Builds the isLive test of the shaders for one tick.
+ * @param {CpuSimulationState} sim - The state being advanced.
+ * @param {Object} region - The simulation region.
+ * @returns {Function} - (x, y) => whether the cell runs this tick.
+ */
+function liveTest(sim, region) {
+    const { width, height, tick } = sim;
+    const slowTick = tick % region.slowInterval === 0;
+    const { activeMin, activeMax } = region;
+    return (x, y) => inBounds(x, y, width, height) && (slowTick
+        || (x >= activeMin.x && y >= activeMin.y && x < activeMax.x && y < activeMax.y));
+}
+
+/**
+ * Checks whether cell coordinates lie inside the grid.
+ * @param {number} x - Cell column.
+ * @param {number} y - Cell row.
+ * @param {number} width - Simulation grid width.
+ * @param {number} height - Simulation grid height.
+ * @returns {boolean} - Whether the cell exists.
+ */
+function inBounds(x, y, width, height) {
+    return x >= 0 && y >= 0 && x < width && y < height;
+}
@@ -0,0 +1,251 @@
+// src/simulation/fluid.js
+
+import { drawFullscreenQuad, bindTextures } from '../rendering/rendering.js';
+
+/**
+ * The fluid layer of the simulation: a velocity field over the grid and the
+ * scratch fields of its pressure solve.
+ *
+ * - velocity: RG32F, texels per tick with y growing upwards like the
+ *   texture, double-buffered like SimulationState.
+ * - pressure: R32F, double-buffered for the Jacobi iterations.
+ * - divergence: R32F.
+ *
+ * The velocity lives only in the window being simulated: it is shifted with
+ * the grid, starts at rest in chunks that enter it, and is saved with the
+ * window's cells, see readVelocity and restore.
+ * The passes that advance it are run by performSimulationStep.
+ */
+export class FluidState {
+    /**
+     * Creates the fields, at rest.
+     * @param {WebGL2RenderingContext} gl - The WebGL context.
+     * @param {number} width - Simulation grid width.
+     * @param {number} height - Simulation grid height.
+     */
+    constructor(gl, width, height) {
+        this.gl = gl;
+        this.width = width;
+        this.height = height;
+
+        this.velocityTargets = [createTarget(gl, width, height, gl.RG32F, gl.RG), createTarget(gl, width, height, gl.RG32F, gl.RG)];
+        this.pressureTargets = [createTarget(gl, width, height, gl.R32F, gl.RED), createTarget(gl, width, height, gl.R32F, gl.RED)];
+        this.divergenceTarget = createTarget(gl, width, height, gl.R32F, gl.RED);
+
+        // Index of the live velocity; the other one is the render target
+        this.velocityIndex = 0;
+        this.pressureIndex = 0;
+
+        this.clear();
+    }
+
+    /** @returns {WebGLTexture} - The live velocity field. */
+    get velocity() {
+        return this.velocityTargets[this.velocityIndex].texture;
+    }
+
+    /** @returns {{texture: WebGLTexture, framebuffer: WebGLFramebuffer}} - Where the next velocity pass renders. */
+    get nextVelocityTarget() {
+        return this.velocityTargets[1 - this.velocityIndex];
+    }
+
+    /** @returns {WebGLTexture} - The latest pressure iterate. */
+    get pressure() {
+        return this.pressureTargets[this.pressureIndex].texture;
+    }
+
+    /** @returns {{texture: WebGLTexture, framebuffer: WebGLFramebuffer}} - Where the next pressure iteration renders. */
+    get nextPressureTarget() {
+        return this.pressureTargets[1 - this.pressureIndex];
+    }
+
+    /**
+     * Promotes the freshly written velocity to be the live one.
+     */
+    swapVelocity() {
+        this.velocityIndex = 1 - this.velocityIndex;
+    }
+
+    /**
+     * Promotes the freshly written pressure iterate to be the latest one.
+     */
+    swapPressure() {
+        this.pressureIndex = 1 - this.pressureIndex;
+    }
+
+    /**
+     * Brings the fluid to rest, e.g. when the grid contents are replaced.
+     */
+    clear() {
+        const gl = this.gl;
+        for (const target of [...this.velocityTargets, ...this.pressureTargets, this.divergenceTarget]) {
+            gl.bindFramebuffer(gl.FRAMEBUFFER, target.framebuffer);
+            gl.clearBufferfv(gl.COLOR, 0, [0, 0, 0, 0]);
+        }
+        gl.bindFramebuffer(gl.FRAMEBUFFER, null);
+    }
+
+    /**
+     * Moves the velocity field along with the grid contents, e.g. when the
+     * chunk window shifts. Cells that enter from outside start at rest.
+     * @param {number} offsetX - Texels to move right.
+     * @param {number} offsetY - Texels to move up.
+     */
+    translate(offsetX, offsetY) {
+        const gl = this.gl;
+        const { width, height } = this;
+        const source = this.velocityTargets[this.velocityIndex];
+        const target = this.nextVelocityTarget;
+
+        gl.bindFramebuffer(gl.FRAMEBUFFER, target.framebuffer);
+        gl.clearBufferfv(gl.COLOR, 0, [0, 0, 0, 0]);
+
+        const srcX0 = Math.max(0, -offsetX);
+        const srcX1 = Math.min(width, width - offsetX);
+        const srcY0 = Math.max(0, -offsetY);
+        const srcY1 = Math.min(height, height - offsetY);
+        if (srcX0 < srcX1 && srcY0 < srcY1) {
+            gl.bindFramebuffer(gl.READ_FRAMEBUFFER, source.framebuffer);
+            gl.bindFramebuffer(gl.DRAW_FRAMEBUFFER, target.framebuffer);
+            gl.blitFramebuffer(
+                srcX0, srcY0, srcX1, srcY1,
+                srcX0 + offsetX, srcY0 + offsetY, srcX1 + offsetX, srcY1 + offsetY,
+                gl.COLOR_BUFFER_BIT, gl.NEAREST
+            );
+            gl.bindFramebuffer(gl.READ_FRAMEBUFFER, null);
+            gl.bindFramebuffer(gl.DRAW_FRAMEBUFFER, null);
+        }
+        gl.bindFramebuffer(gl.FRAMEBUFFER, null);
+        this.swapVelocity();
+    }
+
+    /**
+     * Reads the live velocity field back to the CPU. This stalls the
+     * pipeline, so it is meant for tooling rather than per-frame use.
+     * @returns {Float32Array} - Two floats (x, y) per cell, row 0 at the bottom.
+     */
+    readVelocity() {
+        const gl = this.gl;
+        const { width, height } = this;
+        const rgba = new Float32Array(width * height * 4);
+        gl.bindFramebuffer(gl.FRAMEBUFFER, this.velocityTargets[this.velocityIndex].framebuffer);
+        gl.readPixels(0, 0, width, height, gl.RGBA, gl.FLOAT, rgba);
+        gl.bindFramebuffer(gl.FRAMEBUFFER, null);
+
+        const velocity = new Float32Array(width * height * 2);
+        for (let i = 0; i < width * height; i++) {
+            velocity[i * 2] = rgba[i * 4];
+            velocity[i * 2 + 1] = rgba[i * 4 + 1];
+        }
+        return velocity;
+    }
+
+    /**
+     * Reads the latest pressure iterate back to the CPU; stalls like readVelocity.
+     * @returns {Float32Array} - One float per cell, row 0 at the bottom.
+     */
+    readPressure() {
+        const gl = this.gl;
+        const { width, height } = this;
+        const rgba = new Float32Array(width * height * 4);
+        gl.bindFramebuffer(gl.FRAMEBUFFER, this.pressureTargets[this.pressureIndex].framebuffer);
+        gl.readPixels(0, 0, width, height, gl.RGBA, gl.FLOAT, rgba);
+        gl.bindFramebuffer(gl.FRAMEBUFFER, null);
+
+        const pressure = new Float32Array(width * height);
+        for (let i = 0; i < width * height; i++) {
+            pressure[i] = rgba[i * 4];
+        }
+        return pressure;
+    }
+
+    /**
+     * Uploads fields read with readVelocity and readPressure into the live
+     * textures, e.g. when a saved world is loaded.
+     * @param {Float32Array} velocity - Two floats (x, y) per cell, row 0 at the bottom.
+     * @param {Float32Array} pressure - One float per cell, row 0 at the bottom.
+     */
+    restore(velocity, pressure) {
+        const gl = this.gl;
+        const { width, height } = this;
+        gl.bindTexture(gl.TEXTURE_2D, this.velocity);
+        gl.texSubImage2D(gl.TEXTURE_2D, 0, 0, 0, width, height, gl.RG, gl.FLOAT, velocity);
+        gl.bindTexture(gl.TEXTURE_2D, this.pressure);
+        gl.texSubImage2D(gl.TEXTURE_2D, 0, 0, 0, width, height, gl.RED, gl.FLOAT, pressure);
+        gl.bindTexture(gl.TEXTURE_2D, null);
+    }
+
+    /**
+     * Releases the textures and framebuffers.
+     */
+    dispose() {
+        for (const target of [...this.velocityTargets, ...this.pressureTargets, this.divergenceTarget]) {
+            this.gl.deleteFramebuffer(target.framebuffer);
+            this.gl.deleteTexture(target.texture);
+        }
+        this.velocityTargets = [];
+        this.pressureTargets = [];
+        this.divergenceTarget = null;
+    }
+}
+
+/**
+ * Pushes the fluid around a point, e.g. with the ship's exhaust.
+ * Positions and velocities are in world cells (y grows downwards).
+ * @param {WebGL2RenderingContext} gl - The WebGL context.
+ * @param {WebGLProgram} impulseProgram - The impulse shader program.
+ * @param {FluidState} fluidState - The fluid layer to push.
+ * @param {Object} impulse - The impulse.
+ * @param {{x: number, y: number}} impulse.at - Center in world cells.
+ * @param {{x: number, y: number}} impulse.velocity - Velocity added at the center, in cells per tick.
+ * @param {number} impulse.radius - Falloff radius in cells.
+ */
+export function applyImpulse(gl, impulseProgram, fluidState, impulse) {
+    const { at, velocity, radius } = impulse;
+    const target = fluidState.nextVelocityTarget;
+
+    gl.useProgram(impulseProgram);
+    gl.bindFramebuffer(gl.FRAMEBUFFER, target.framebuffer);
+    gl.viewport(0, 0, fluidState.width, fluidState.height);
+    gl.uniform1i(gl.getUniformLocation(impulseProgram, 'u_velocity'), 0);
+    gl.uniform2f(gl.getUniformLocation(impulseProgram, 'u_center'), at.x - 0.5, fluidState.height - at.y - 0.5);
+    gl.uniform2f(gl.getUniformLocation(impulseProgram, 'u_impulse'), velocity.x, -velocity.y);
+    gl.uniform1f(gl.getUniformLocation(impulseProgram, 'u_radius'), radius);
+    bindTextures(gl, [fluidState.velocity]);
+
+    drawFullscreenQuad(gl);
+
+    gl.bindFramebuffer(gl.FRAMEBUFFER, null);
+    bindTextures(gl, [null]);
+    fluidState.swapVelocity();
+}
+
+/**
+ * Creates a single-channel or two-channel float texture and its framebuffer.
+ * @param {WebGL2RenderingContext} gl - The WebGL context.
+ * @param {number} width - Texture width.
+ * @param {number} height - Texture height.
+ * @param {number} internalFormat - gl.R32F or gl.RG32F.
+ * @param {number} format - gl.RED or gl.RG, matching internalFormat.
+ * @returns {{texture: WebGLTexture, framebuffer: WebGLFramebuffer}} - The target.
+ */
+function createTarget(gl, width, height, internalFormat, format) {
+    const texture = gl.createTexture();
+    gl.bindTexture(gl.TEXTURE_2D, texture);
+    gl.texImage2D(gl.TEXTURE_2D, 0, internalFormat, width, height, 0, format, gl.FLOAT, null);
+    gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_MIN_FILTER, gl.NEAREST);
+    gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_MAG_FILTER, gl.NEAREST);
+    gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_WRAP_S, gl.CLAMP_TO_EDGE);
+    gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_WRAP_T, gl.CLAMP_TO_EDGE);
+    gl.bindTexture(gl.TEXTURE_2D, null);
+
+    const framebuffer = gl.createFramebuffer();
+    gl.bindFramebuffer(gl.FRAMEBUFFER, framebuffer);
+    gl.framebufferTexture2D(gl.FRAMEBUFFER, gl.COLOR_ATTACHMENT0, gl.TEXTURE_2D, texture, 0);
+    const status = gl.checkFramebufferStatus(gl.FRAMEBUFFER);
+    if (status !== gl.FRAMEBUFFER_COMPLETE) {
+        console.error('Fluid framebuffer incomplete:', status);
+    }
+    gl.bindFramebuffer(gl.FRAMEBUFFER, null);
+    return { texture, framebuffer };
+}
@@ -0,0 +1,41 @@
+// src/simulation/magic.js
+
+/**
+ * The rules of the magic field, gathered in one object so they can be
+ * balanced together. They are part of DEFAULT_SIMULATION_PARAMS, so they are
+ * tuned in the dev panel, recorded in replays and saved with the world like
+ * every other constant.
+ *
+ * Magic diffuses towards an even potential, the magic in a cell divided by
+ * its capacity. Crystal-like cells (dense, with an affinity for magic) hold
+ * more, so magic pools in them. Ley lines are thin ridges of procedural noise
+ * fixed to the world; magic flows along them faster, regenerates on them
+ * faster and does not dissipate there. Above the thresholds, magic speeds up
+ * the growth of organic matter, condenses into density and bursts into heat.
+ * The ship channels magic from the cells around it into its energy and
+ * releases it back ahead of it.
+ */
+export const DEFAULT_MAGIC_PARAMS = {
+    magicSpread: 0.05,        // Share of the potential difference to a neighbour that flows per tick
+    magicGrowth: 0.001,       // Magic gained per tick, before affinity and ley lines
+    magicDissipation: 0.004,  // Share of the magic lost per tick away from ley lines
+    magicPooling: 2.0,        // Capacity added per unit of density times the material's magic affinity
+
+    leyLineScale: 96,         // Cells between the lattice points of the ley line noise
+    leyLineWidth: 0.08,       // Width of the ley lines, as a share of the noise range
+    leyLineConductance: 3.0,  // Extra spread along ley lines, relative to magicSpread
+    leyLineRegeneration: 2.0, // Extra growth on ley lines, relative to magicGrowth
+
+    bloomThreshold: 0.4,      // Magic above which organic matter grows faster
+    bloomBoost: 2.0,          // Extra organic growth above bloomThreshold, relative to the normal rate
+    transmuteThreshold: 0.8,  // Magic above which it condenses into density
+    transmuteRate: 0.01,      // Most magic condensed per tick
+    igniteThreshold: 0.9,     // Magic above which it bursts into heat
+    igniteRate: 0.02,         // Most magic burned per tick
+    magicHeat: 1.0,           // Heat released per unit of magic burned
+
+    channelRadius: 4,         // Reach of the ship's channelling around its center, in cells
+    channelRate: 0.3,         // Magic drawn per cell per second while channelling
+    channelEnergy: 20,        // Ship energy per unit of magic, channelled or released
+    releaseRate: 30,          // Ship energy released as magic per second
+};
@@ -0,0 +1,115 @@
+// src/simulation/parity.js
+
+import { initializeSimulation, performSimulationStep, readSimulationState, createFullRegion, DEFAULT_SIMULATION_PARAMS } from './simulation.js';
+import { CpuSimulationState, initializeCpuSimulation, performCpuSimulationStep } from './cpuSimulation.js';
+import { SimulationState } from './state.js';
+import { computeClimate } from '../climate/climate.js';
+import {
+    initializeMovementProgram, initializeUpdateProgram, initializeFluidForcesProgram, initializeDivergenceProgram,
+    initializePressureProgram, initializeProjectionProgram, initializeAdvectionProgram,
+} from '../rendering/rendering.js';
+
+/**
+ * Runs the GPU simulation and the CPU reference side by side from the same
+ * seed and compares them after every tick.
+ *
+ * Works with any WebGL2 context that supports EXT_color_buffer_float, including
+ * software implementations such as SwiftShader in headless Chrome; see
+ * tools/parity.html. Stops at the first tick with a mismatch, since a flipped
+ * threshold decision makes every later tick diverge anyway.
+ * @param {WebGL2RenderingContext} gl - The WebGL context.
+ * @param {Object} [options] - Comparison options.
+ * @param {number} [options.width=64] - Grid width.
+ * @param {number} [options.height=64] - Grid height.
+ * @param {number} [options.seed=12345] - World seed.
+ * @param {number} [options.ticks=32] - Number of ticks to simulate.
+ * @param {Object} [options.params] - Simulation constants, defaults to DEFAULT_SIMULATION_PARAMS.
+ * @param {number} [options.tolerance=1e-4] - Largest accepted absolute difference per channel.
+ * @param {Object} [options.region] - Simulation region, defaults to the whole grid at full rate.
+ * @returns {{ok: boolean, ticks: number, maxError: number, mismatches: number, firstMismatch: Object|null}} - The comparison report.
+ */
+export function compareWithGpu(gl, options = {}) {
+    const {
+        width = 64,
+        height = 64,
+        seed = 12345,
+        ticks = 32,
+        params = DEFAULT_SIMULATION_PARAMS,
+        tolerance = 1e-4,
+        region = createFullRegion(width, height),
+    } = options;
+
+    if (!gl.getExtension('EXT_color_buffer_float')) {
+        throw new Error('EXT_color_buffer_float is required to compare against the GPU simulation');
+    }
+
+    const gpuState = new SimulationState(gl, width, height);
+    const programs = {
+        movement: initializeMovementProgram(gl),
+        update: initializeUpdateProgram(gl),
+        fluidForces: initializeFluidForcesProgram(gl),
+        divergence: initializeDivergenceProgram(gl),
+        pressure: initializePressureProgram(gl),
+        projection: initializeProjectionProgram(gl),
+        advection: initializeAdvectionProgram(gl),
+    };
+    const cpuState = new CpuSimulationState(width, height);
+
+    initializeSimulation(gl, gpuState, width, height, seed);
+    initializeCpuSimulation(cpuState, width, height, seed);
+
+    const report = { ok: true, ticks: 0, maxError: 0, mismatches: 0, firstMismatch: null };
+
+    try {
+        for (let tick = 1; tick <= ticks && report.ok; tick++) {
+            const climate = computeClimate(tick - 1, params);
+            performSimulationStep(gl, programs, gpuState, params, climate, region);
+            performCpuSimulationStep(cpuState, params, climate, region);
+
+            const gpu = readSimulationState(gl, gpuState);
+            compareLayer(report, tick, 'state', gpu.state, cpuState.current, width, 4, tolerance);
+            compareLayer(report, tick, 'material', gpu.material, cpuState.currentMaterial, width, 4, tolerance);
+            compareLayer(report, tick, 'velocity', gpuState.fluid.readVelocity(), cpuState.velocity, width, 2, tolerance);
+            report.ticks = tick;
+        }
+    } finally {
+        gpuState.dispose();
+        Object.values(programs).forEach((program) => gl.deleteProgram(program));
+    }
+
+    return report;
+}
+
+/**
+ * Compares one layer of GPU and CPU data and records the result in the report.
+ * @param {Object} report - The report being built.
+ * @param {number} tick - The tick that produced the data.
+ * @param {string} layer - Layer name, 'state', 'material' or 'velocity'.
+ * @param {Float32Array} gpuData - Data read back from the GPU.
+ * @param {Float32Array} cpuData - Data from the CPU reference.
+ * @param {number} width - Grid width.
+ * @param {number} channels - Floats per cell.
+ * @param {number} tolerance - Largest accepted absolute difference.
+ */
+function compareLayer(report, tick, layer, gpuData, cpuData, width, channels, tolerance) {
+    for (let i = 0; i < gpuData.length; i++) {
+        const error = Math.abs(gpuData[i] - cpuData[i]);
+        report.maxError = Math.max(report.maxError, error);
+        if (!(error <= tolerance)) {
+            report.ok = false;
+            report.mismatches++;
+            if (!report.firstMismatch) {
+                const cell = Math.floor(i / channels);
+                report.firstMismatch = {
+                    tick,
+                    layer,
+                    x: cell % width,
+                    y: Math.floor(cell / width),
+                    channel: i % channels,
+                    gpu: gpuData[i],
+                    cpu: cpuData[i],
+                };
+            }
+        }
+    }
+}
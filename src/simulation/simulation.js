@@ -1,97 +1,369 @@
 // src/simulation/simulation.js
 
-import { clamp, createTexture } from '../utils/utils.js';
+import { drawFullscreenQuad, bindTextures } from '../rendering/rendering.js';
+import { WorldGenerator, DEFAULT_GENERATOR_CONFIG } from '../world/generator.js';
+import { DEFAULT_MAGIC_PARAMS } from './magic.js';
+
+// ----- Attribute Indices -----
+export const ATTRIBUTES = {
+    DENSITY: 0,
+    TEMPERATURE: 1,
+    MAGIC: 2,
+    ORGANIC: 3,
+    // Add more attributes as needed
+};
 
 /**
  * Initializes the simulation world with a given seed.
  * @param {WebGL2RenderingContext} gl - The WebGL context.
- * @param {WebGLTexture} currentState - The texture representing the current state.
+ * @param {SimulationState} simulationState - The double-buffered simulation state to seed.
  * @param {number} width - Simulation grid width.
  * @param {number} height - Simulation grid height.
- * @param {number} seed - Seed value for random generation.
+ * @param {number} seed - Seed value for world generation.
+ * @param {Object} [generatorConfig] - World generator settings, see DEFAULT_GENERATOR_CONFIG.
  */
-export function initializeSimulation(gl, currentState, width, height, seed) {
-    const rand = mulberry32(seed);
-    const initialData = new Float32Array(width * height * 4);
-
-    for (let i = 0; i < width * height; i++) {
-        initialData[i * 4 + 0] = clamp(rand(), 0.0, 1.0);       // Density (R)
-        initialData[i * 4 + 1] = clamp(rand(), 0.0, 1.0);       // Temperature (G)
-        initialData[i * 4 + 2] = clamp(rand() * 0.5, 0.0, 1.0); // Magic (B)
-        initialData[i * 4 + 3] = clamp(0.0, 0.0, 1.0);         // Organic (A)
-    }
+export function initializeSimulation(gl, simulationState, width, height, seed, generatorConfig = DEFAULT_GENERATOR_CONFIG) {
+    writeSimulationState(gl, simulationState, generateInitialState(width, height, seed, generatorConfig));
+}
 
-    gl.bindTexture(gl.TEXTURE_2D, currentState);
-    gl.texSubImage2D(gl.TEXTURE_2D, 0, 0, 0, width, height, gl.RGBA, gl.FLOAT, initialData);
-    gl.bindTexture(gl.TEXTURE_2D, null);
+/**
+ * Generates the initial attribute and material data for a seed, treating
+ * the grid as a whole world.
+ * Shared by the GPU simulation and the CPU reference so both start identical.
+ * @param {number} width - Simulation grid width.
+ * @param {number} height - Simulation grid height.
+ * @param {number} seed - Seed value for world generation.
+ * @param {Object} [generatorConfig] - World generator settings, see DEFAULT_GENERATOR_CONFIG.
+ * @returns {{state: Float32Array, material: Float32Array}} - RGBA data for the attribute and material textures.
+ */
+export function generateInitialState(width, height, seed, generatorConfig = DEFAULT_GENERATOR_CONFIG) {
+    return new WorldGenerator(seed, generatorConfig).generateRegion(0, 0, width, height, height);
+}
+
+/**
+ * Default values for the tunable simulation constants.
+ */
+export const DEFAULT_SIMULATION_PARAMS = {
+    gravity: 0.1,            // Direction and strength of density fall
+    fallRate: 1.0,           // Fraction of a cell's density that can fall per tick at |gravity| = 1
+    heatDiffusion: 0.1,      // Share of the temperature difference conducted per tick between two dense, inorganic neighbours
+    radiativeCooling: 0.01,  // Heat radiated per tick per unit of temperature⁴ above the ambient's
+    densityHeatCapacity: 2.0, // Heat capacity added per unit of density (empty space has 1)
+    organicHeatCapacity: 1.0, // Heat capacity added per unit of organic matter
+    latentHeat: 0.05,        // Temperature a cell loses melting or boiling, and gains freezing or condensing
+    combustionRate: 0.02,    // Organic matter a fire cell burns per tick
+    combustionHeat: 2.0,     // Heat released per unit of organic matter burned
+    organicSpread: 0.02,     // Share of the organic laplacian applied per tick
+    organicGrowth: 0.02,     // Logistic growth rate of organic matter per tick in habitable cells
+    organicDecay: 0.002,     // Share of the organic matter that dies per tick in uninhabitable cells
+    habitableMinTemperature: 0.15, // Ranges in which organic matter grows
+    habitableMaxTemperature: 0.75,
+    habitableMinDensity: 0.1,
+    habitableMaxDensity: 0.8,
+    habitableMinMoisture: 0.1,
+    habitableMaxMoisture: 1.0,
+    materialFallRate: 10.0,  // Chance per unit of |gravity| that a material falls when its pair comes up
+    ignitionTemperature: 0.6, // Temperature at which flammable materials may catch fire
+    climateCoupling: 0.002,  // Share of the gap to the seasonal ambient temperature closed per tick
+    latitudeGradient: 0.3,   // How much colder the poles (top and bottom edges) are than the equator
+    rainRate: 0.002,         // Chance per tick and sky cell of rain at full precipitation
+    buoyancy: 0.5,           // Lift of the fluid per unit of temperature above the ambient, at |gravity| = 1
+    densityWeight: 0.2,      // Sinking of the fluid per unit of density, at |gravity| = 1
+    velocityDamping: 0.02,   // Share of the fluid velocity lost per tick
+    pressureIterations: 20,  // Jacobi iterations of the pressure solve per tick
+    ...DEFAULT_MAGIC_PARAMS,
+
+    // Simulation loop, not passed to the shaders
+    tickRate: 60,            // Simulation tics per second
+    springLength: 648000,    // Season durations in simulation tics
+    summerLength: 648000,
+    autumnLength: 648000,
+    winterLength: 648000,
+};
+
+/**
+ * Describes a grid that is the whole world and runs every cell every tick.
+ *
+ * When the grid is a window onto a larger streamed world (see ChunkManager),
+ * the region places it in the world and limits full-rate simulation to an
+ * area around the player:
+ * - worldOffset: World cell of the grid's top-left cell.
+ * - worldHeight: World height in cells, for latitude and the sky.
+ * - activeMin, activeMax: Texel rectangle [min, max) simulated every tick.
+ * - slowInterval: Cells outside it run only on ticks that are multiples of this.
+ * @param {number} width - Simulation grid width.
+ * @param {number} height - Simulation grid height.
+ * @returns {Object} - The region.
+ */
+export function createFullRegion(width, height) {
+    return {
+        worldOffset: { x: 0, y: 0 },
+        worldHeight: height,
+        activeMin: { x: 0, y: 0 },
+        activeMax: { x: width, y: height },
+        slowInterval: 1,
+    };
 }
 
 /**
  * Performs a single simulation step.
+ * Runs the movement pass and then the update pass, each rendering the next
+ * state from the live one and swapping the buffers so the result becomes
+ * the live state. With the fluid programs given, the fluid step follows,
+ * see performFluidStep.
  * @param {WebGL2RenderingContext} gl - The WebGL context.
- * @param {WebGLProgram} updateProgram - The shader program for updating simulation.
- * @param {WebGLFramebuffer} framebuffer - The framebuffer to render to.
- * @param {WebGLTexture} currentState - The texture representing the current state.
- * @param {WebGLTexture} nextState - The texture representing the next state.
- * @param {number} gravity - Gravity value influencing the simulation.
+ * @param {Object} programs - The simulation shader programs: movement and update, and optionally fluidForces, divergence, pressure, projection and advection.
+ * @param {SimulationState} simulationState - The double-buffered simulation state.
+ * @param {Object} params - Simulation constants, see DEFAULT_SIMULATION_PARAMS.
+ * @param {Object} climate - The climate for this tick, see computeClimate.
+ * @param {Object} [region] - Where the grid lies in the world and what runs at full rate, see createFullRegion.
  */
-export function performSimulationStep(gl, updateProgram, framebuffer, currentState, nextState, gravity) {
-    gl.useProgram(updateProgram);
-    gl.bindFramebuffer(gl.FRAMEBUFFER, framebuffer);
-    gl.framebufferTexture2D(gl.FRAMEBUFFER, gl.COLOR_ATTACHMENT0, gl.TEXTURE_2D, nextState, 0);
+export function performSimulationStep(gl, programs, simulationState, params, climate, region = createFullRegion(simulationState.width, simulationState.height)) {
+    runSimulationPass(gl, programs.movement, simulationState, (program) => {
+        setRegionUniforms(gl, program, region);
+        gl.uniform1f(gl.getUniformLocation(program, 'u_gravity'), params.gravity);
+        gl.uniform1f(gl.getUniformLocation(program, 'u_materialFallRate'), params.materialFallRate);
+    });
 
-    // Set uniforms
-    const gravityLoc = gl.getUniformLocation(updateProgram, 'u_gravity');
-    const currentStateLoc = gl.getUniformLocation(updateProgram, 'u_currentState');
-    gl.uniform1f(gravityLoc, gravity);
-    gl.uniform1i(currentStateLoc, 0); // Texture unit 0
+    runSimulationPass(gl, programs.update, simulationState, (program) => {
+        setRegionUniforms(gl, program, region);
+        gl.uniform2i(gl.getUniformLocation(program, 'u_worldOffset'), region.worldOffset.x, region.worldOffset.y);
+        gl.uniform1i(gl.getUniformLocation(program, 'u_worldHeight'), region.worldHeight);
+        gl.uniform1f(gl.getUniformLocation(program, 'u_gravity'), params.gravity);
+        gl.uniform1f(gl.getUniformLocation(program, 'u_fallRate'), params.fallRate);
+        gl.uniform1f(gl.getUniformLocation(program, 'u_heatDiffusion'), params.heatDiffusion);
+        gl.uniform1f(gl.getUniformLocation(program, 'u_radiativeCooling'), params.radiativeCooling);
+        gl.uniform1f(gl.getUniformLocation(program, 'u_densityHeatCapacity'), params.densityHeatCapacity);
+        gl.uniform1f(gl.getUniformLocation(program, 'u_organicHeatCapacity'), params.organicHeatCapacity);
+        gl.uniform1f(gl.getUniformLocation(program, 'u_latentHeat'), params.latentHeat);
+        gl.uniform1f(gl.getUniformLocation(program, 'u_combustionRate'), params.combustionRate);
+        gl.uniform1f(gl.getUniformLocation(program, 'u_combustionHeat'), params.combustionHeat);
+        gl.uniform1f(gl.getUniformLocation(program, 'u_magicSpread'), params.magicSpread);
+        gl.uniform1f(gl.getUniformLocation(program, 'u_magicGrowth'), params.magicGrowth);
+        gl.uniform1f(gl.getUniformLocation(program, 'u_magicDissipation'), params.magicDissipation);
+        gl.uniform1f(gl.getUniformLocation(program, 'u_magicPooling'), params.magicPooling);
+        gl.uniform1f(gl.getUniformLocation(program, 'u_leyLineScale'), params.leyLineScale);
+        gl.uniform1f(gl.getUniformLocation(program, 'u_leyLineWidth'), params.leyLineWidth);
+        gl.uniform1f(gl.getUniformLocation(program, 'u_leyLineConductance'), params.leyLineConductance);
+        gl.uniform1f(gl.getUniformLocation(program, 'u_leyLineRegeneration'), params.leyLineRegeneration);
+        gl.uniform1f(gl.getUniformLocation(program, 'u_bloomThreshold'), params.bloomThreshold);
+        gl.uniform1f(gl.getUniformLocation(program, 'u_bloomBoost'), params.bloomBoost);
+        gl.uniform1f(gl.getUniformLocation(program, 'u_transmuteThreshold'), params.transmuteThreshold);
+        gl.uniform1f(gl.getUniformLocation(program, 'u_transmuteRate'), params.transmuteRate);
+        gl.uniform1f(gl.getUniformLocation(program, 'u_igniteThreshold'), params.igniteThreshold);
+        gl.uniform1f(gl.getUniformLocation(program, 'u_igniteRate'), params.igniteRate);
+        gl.uniform1f(gl.getUniformLocation(program, 'u_magicHeat'), params.magicHeat);
+        gl.uniform1f(gl.getUniformLocation(program, 'u_organicSpread'), params.organicSpread);
+        gl.uniform1f(gl.getUniformLocation(program, 'u_organicGrowth'), params.organicGrowth);
+        gl.uniform1f(gl.getUniformLocation(program, 'u_organicDecay'), params.organicDecay);
+        gl.uniform2f(gl.getUniformLocation(program, 'u_habitableTemperature'), params.habitableMinTemperature, params.habitableMaxTemperature);
+        gl.uniform2f(gl.getUniformLocation(program, 'u_habitableDensity'), params.habitableMinDensity, params.habitableMaxDensity);
+        gl.uniform2f(gl.getUniformLocation(program, 'u_habitableMoisture'), params.habitableMinMoisture, params.habitableMaxMoisture);
+        gl.uniform1f(gl.getUniformLocation(program, 'u_ignitionTemperature'), params.ignitionTemperature);
+        gl.uniform1f(gl.getUniformLocation(program, 'u_climateCoupling'), params.climateCoupling);
+        gl.uniform1f(gl.getUniformLocation(program, 'u_latitudeGradient'), params.latitudeGradient);
+        gl.uniform1f(gl.getUniformLocation(program, 'u_rainRate'), params.rainRate);
+        gl.uniform1i(gl.getUniformLocation(program, 'u_season'), climate.seasonIndex);
+        gl.uniform1f(gl.getUniformLocation(program, 'u_seasonProgress'), climate.seasonProgress);
+        gl.uniform1f(gl.getUniformLocation(program, 'u_ambientTemperature'), climate.ambientTemperature);
+        gl.uniform1f(gl.getUniformLocation(program, 'u_growthFactor'), climate.growth);
+        gl.uniform1f(gl.getUniformLocation(program, 'u_magicRegeneration'), climate.magicRegeneration);
+        gl.uniform1f(gl.getUniformLocation(program, 'u_precipitation'), climate.precipitation);
+    });
+
+    if (programs.fluidForces) {
+        performFluidStep(gl, programs, simulationState, params, climate, region);
+    }
+
+    simulationState.tick++;
+}
+
+/**
+ * Advances the fluid layer and carries the attributes along it:
+ * 1. Forces: the velocity advects itself and gains buoyancy and weight.
+ * 2. Divergence, then params.pressureIterations Jacobi iterations of the
+ *    pressure from zero, then projection: the flow is made divergence-free.
+ * 3. Advection: density, temperature and magic move with the flow.
+ * Runs within the tick, so u_tick and the live cells match the update pass.
+ * @param {WebGL2RenderingContext} gl - The WebGL context.
+ * @param {Object} programs - The simulation shader programs, see performSimulationStep.
+ * @param {SimulationState} simulationState - The double-buffered simulation state.
+ * @param {Object} params - Simulation constants, see DEFAULT_SIMULATION_PARAMS.
+ * @param {Object} climate - The climate for this tick, see computeClimate.
+ * @param {Object} region - Where the grid lies in the world and what runs at full rate, see createFullRegion.
+ */
+function performFluidStep(gl, programs, simulationState, params, climate, region) {
+    const { fluid } = simulationState;
+
+    runFluidPass(gl, programs.fluidForces, simulationState, fluid.nextVelocityTarget, { u_velocity: fluid.velocity }, (program) => {
+        setRegionUniforms(gl, program, region);
+        gl.uniform1f(gl.getUniformLocation(program, 'u_gravity'), params.gravity);
+        gl.uniform1f(gl.getUniformLocation(program, 'u_buoyancy'), params.buoyancy);
+        gl.uniform1f(gl.getUniformLocation(program, 'u_densityWeight'), params.densityWeight);
+        gl.uniform1f(gl.getUniformLocation(program, 'u_ambientTemperature'), climate.ambientTemperature);
+        gl.uniform1f(gl.getUniformLocation(program, 'u_velocityDamping'), params.velocityDamping);
+    });
+    fluid.swapVelocity();
+
+    runFluidPass(gl, programs.divergence, simulationState, fluid.divergenceTarget, { u_velocity: fluid.velocity }, (program) => {
+        setRegionUniforms(gl, program, region);
+    });
+
+    gl.bindFramebuffer(gl.FRAMEBUFFER, fluid.nextPressureTarget.framebuffer);
+    gl.clearBufferfv(gl.COLOR, 0, [0, 0, 0, 0]);
+    fluid.swapPressure();
+    const iterations = Math.max(0, Math.round(params.pressureIterations));
+    for (let i = 0; i < iterations; i++) {
+        runFluidPass(gl, programs.pressure, simulationState, fluid.nextPressureTarget, {
+            u_pressure: fluid.pressure,
+            u_divergence: fluid.divergenceTarget.texture,
+        }, (program) => {
+            setRegionUniforms(gl, program, region);
+        });
+        fluid.swapPressure();
+    }
+
+    runFluidPass(gl, programs.projection, simulationState, fluid.nextVelocityTarget, {
+        u_velocity: fluid.velocity,
+        u_pressure: fluid.pressure,
+    }, (program) => {
+        setRegionUniforms(gl, program, region);
+    });
+    fluid.swapVelocity();
 
-    // Bind current state texture to texture unit 0
+    // The advection writes the attributes, so it goes through the state's own ping-pong
+    runSimulationPass(gl, programs.advection, simulationState, (program) => {
+        setRegionUniforms(gl, program, region);
+        gl.uniform1i(gl.getUniformLocation(program, 'u_velocity'), 2);
+        gl.activeTexture(gl.TEXTURE2);
+        gl.bindTexture(gl.TEXTURE_2D, fluid.velocity);
+    });
+    gl.activeTexture(gl.TEXTURE2);
+    gl.bindTexture(gl.TEXTURE_2D, null);
     gl.activeTexture(gl.TEXTURE0);
-    gl.bindTexture(gl.TEXTURE_2D, currentState);
+}
 
-    // Draw the full-screen quad
-    gl.drawArrays(gl.TRIANGLE_STRIP, 0, 4);
+/**
+ * Runs one full-grid fluid pass into one of the fluid targets. The live
+ * attribute and material textures are bound like in runSimulationPass, and
+ * the given textures to the units after them.
+ * @param {WebGL2RenderingContext} gl - The WebGL context.
+ * @param {WebGLProgram} program - The pass shader program.
+ * @param {SimulationState} simulationState - The double-buffered simulation state.
+ * @param {{framebuffer: WebGLFramebuffer}} target - Where the pass renders.
+ * @param {Object} textures - Textures by sampler uniform name.
+ * @param {Function} setUniforms - Called with the bound program to set pass-specific uniforms.
+ */
+function runFluidPass(gl, program, simulationState, target, textures, setUniforms) {
+    gl.useProgram(program);
+    gl.bindFramebuffer(gl.FRAMEBUFFER, target.framebuffer);
+    gl.viewport(0, 0, simulationState.width, simulationState.height);
+
+    gl.uniform1i(gl.getUniformLocation(program, 'u_currentState'), 0);
+    gl.uniform1i(gl.getUniformLocation(program, 'u_currentMaterial'), 1);
+    gl.uniform1i(gl.getUniformLocation(program, 'u_tick'), simulationState.tick);
+    const names = Object.keys(textures);
+    names.forEach((name, i) => gl.uniform1i(gl.getUniformLocation(program, name), i + 2));
+    setUniforms(program);
+
+    bindTextures(gl, [simulationState.current, simulationState.currentMaterial, ...names.map((name) => textures[name])]);
+    drawFullscreenQuad(gl);
 
-    // Unbind framebuffer and texture
     gl.bindFramebuffer(gl.FRAMEBUFFER, null);
-    gl.bindTexture(gl.TEXTURE_2D, null);
+    bindTextures(gl, [null, null, ...names.map(() => null)]);
 }
 
 /**
- * Computes the average temperature of the entire simulation grid.
+ * Sets the simulation region uniforms of SIMULATION_COMMON_GLSL.
  * @param {WebGL2RenderingContext} gl - The WebGL context.
- * @param {WebGLFramebuffer} readFramebuffer - The framebuffer to read from.
- * @param {number} width - Simulation grid width.
- * @param {number} height - Simulation grid height.
- * @returns {number} - The average temperature.
+ * @param {WebGLProgram} program - The bound pass program.
+ * @param {Object} region - The simulation region, see createFullRegion.
  */
-export function computeAverageTemperature(gl, readFramebuffer, width, height) {
-    gl.bindFramebuffer(gl.FRAMEBUFFER, readFramebuffer);
+function setRegionUniforms(gl, program, region) {
+    gl.uniform2i(gl.getUniformLocation(program, 'u_activeMin'), region.activeMin.x, region.activeMin.y);
+    gl.uniform2i(gl.getUniformLocation(program, 'u_activeMax'), region.activeMax.x, region.activeMax.y);
+    gl.uniform1i(gl.getUniformLocation(program, 'u_slowInterval'), region.slowInterval);
+}
 
-    const pixelData = new Float32Array(width * height * 4);
-    gl.readPixels(0, 0, width, height, gl.RGBA, gl.FLOAT, pixelData);
+/**
+ * Runs one full-grid pass from the live state into the next state and swaps.
+ * Shared by the simulation passes and by tools that edit the grid on the GPU.
+ * The live attribute and material textures are bound to units 0 and 1 as
+ * u_currentState and u_currentMaterial, and u_tick is set.
+ * @param {WebGL2RenderingContext} gl - The WebGL context.
+ * @param {WebGLProgram} program - The pass shader program.
+ * @param {SimulationState} simulationState - The double-buffered simulation state.
+ * @param {Function} setUniforms - Called with the bound program to set pass-specific uniforms.
+ */
+export function runSimulationPass(gl, program, simulationState, setUniforms) {
+    gl.useProgram(program);
+    gl.bindFramebuffer(gl.FRAMEBUFFER, simulationState.writeFramebuffer);
+    gl.viewport(0, 0, simulationState.width, simulationState.height);
 
+    // Set uniforms
+    gl.uniform1i(gl.getUniformLocation(program, 'u_currentState'), 0); // Texture unit 0
+    gl.uniform1i(gl.getUniformLocation(program, 'u_currentMaterial'), 1); // Texture unit 1
+    gl.uniform1i(gl.getUniformLocation(program, 'u_tick'), simulationState.tick);
+    setUniforms(program);
+
+    // Bind the live textures
+    bindTextures(gl, [simulationState.current, simulationState.currentMaterial]);
+
+    // Draw the full-screen quad
+    drawFullscreenQuad(gl);
+
+    // Unbind framebuffer and textures
     gl.bindFramebuffer(gl.FRAMEBUFFER, null);
+    bindTextures(gl, [null, null]);
 
-    let sumTemperature = 0;
-    for (let i = 0; i < width * height; i++) {
-        sumTemperature += clamp(pixelData[i * 4 + 1], 0.0, 1.0); // Temperature is G channel
-    }
+    // The freshly rendered state becomes the live one
+    simulationState.swap();
+}
 
-    return sumTemperature / (width * height);
+/**
+ * Reads the live attribute and material textures back to the CPU.
+ * This stalls the pipeline, so it is meant for tooling rather than per-frame use.
+ * @param {WebGL2RenderingContext} gl - The WebGL context.
+ * @param {SimulationState} simulationState - The double-buffered simulation state.
+ * @returns {{state: Float32Array, material: Float32Array}} - RGBA data of both textures.
+ */
+export function readSimulationState(gl, simulationState) {
+    const { width, height } = simulationState;
+    const state = new Float32Array(width * height * 4);
+    const material = new Float32Array(width * height * 4);
+
+    gl.bindFramebuffer(gl.FRAMEBUFFER, simulationState.readFramebuffer);
+    gl.readBuffer(gl.COLOR_ATTACHMENT0);
+    gl.readPixels(0, 0, width, height, gl.RGBA, gl.FLOAT, state);
+    gl.readBuffer(gl.COLOR_ATTACHMENT1);
+    gl.readPixels(0, 0, width, height, gl.RGBA, gl.FLOAT, material);
+    gl.readBuffer(gl.COLOR_ATTACHMENT0);
+    gl.bindFramebuffer(gl.FRAMEBUFFER, null);
+
+    return { state, material };
 }
 
 /**
- * Mulberry32 PRNG.
- * @param {number} a - Seed value.
- * @returns {Function} - A function that returns a pseudo-random number between 0 and 1.
+ * Uploads attribute and material data into the live textures. The fluid
+ * takes the velocity and pressure given with them, as a saved world has;
+ * without those it is brought to rest, as its velocity belongs to the
+ * contents being replaced.
+ * @param {WebGL2RenderingContext} gl - The WebGL context.
+ * @param {SimulationState} simulationState - The double-buffered simulation state.
+ * @param {Object} data - RGBA data for both textures, state and material, and optionally the fluid's velocity and
+ *     pressure, see FluidState.restore.
  */
-function mulberry32(a) {
-    return function() {
-        var t = a += 0x6D2B79F5;
-        t = Math.imul(t ^ (t >>> 15), t | 1);
-        t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
-        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+export function writeSimulationState(gl, simulationState, data) {
+    const { width, height } = simulationState;
+
+    gl.bindTexture(gl.TEXTURE_2D, simulationState.current);
+    gl.texSubImage2D(gl.TEXTURE_2D, 0, 0, 0, width, height, gl.RGBA, gl.FLOAT, data.state);
+    gl.bindTexture(gl.TEXTURE_2D, simulationState.currentMaterial);
+    gl.texSubImage2D(gl.TEXTURE_2D, 0, 0, 0, width, height, gl.RGBA, gl.FLOAT, data.material);
+    gl.bindTexture(gl.TEXTURE_2D, null);
+    if (data.velocity && data.pressure) {
+        simulationState.fluid.restore(data.velocity, data.pressure);
+    } else {
+        simulationState.fluid.clear();
     }
 }
@@ -0,0 +1,137 @@
+// src/simulation/state.js
+
+import { createTexture } from '../utils/utils.js';
+import { FluidState } from './fluid.js';
+
+/**
+ * Double-buffered (ping-pong) simulation state.
+ *
+ * Each of the two buffers holds an attribute texture (density, temperature,
+ * magic, organic) and a material texture (see MATERIAL_CHANNELS), both
+ * RGBA32F and attached to one framebuffer as color attachments 0 and 1.
+ * Simulation passes sample the `current` textures and render into the
+ * `next` ones; `swap()` then makes the freshly written buffer the live one.
+ * Consumers should always go through these getters rather than caching a
+ * texture, since the underlying objects alternate every pass.
+ *
+ * The fluid velocity field that moves the contents around is kept
+ * alongside, in `fluid` (see FluidState).
+ */
+export class SimulationState {
+    /**
+     * Creates the two buffers and their framebuffers.
+     * @param {WebGL2RenderingContext} gl - The WebGL context.
+     * @param {number} width - Simulation grid width.
+     * @param {number} height - Simulation grid height.
+     */
+    constructor(gl, width, height) {
+        this.gl = gl;
+        this.width = width;
+        this.height = height;
+
+        this.buffers = [createBuffer(gl, width, height), createBuffer(gl, width, height)];
+
+        // Index of the live buffer; the other one is the render target
+        this.readIndex = 0;
+
+        this.fluid = new FluidState(gl, width, height);
+
+        // Number of completed simulation ticks, used to alternate update patterns
+        this.tick = 0;
+    }
+
+    /**
+     * The attribute texture holding the live simulation state.
+     * @returns {WebGLTexture}
+     */
+    get current() {
+        return this.buffers[this.readIndex].state;
+    }
+
+    /**
+     * The material texture holding the live simulation state.
+     * @returns {WebGLTexture}
+     */
+    get currentMaterial() {
+        return this.buffers[this.readIndex].material;
+    }
+
+    /**
+     * The attribute texture the next pass renders into.
+     * @returns {WebGLTexture}
+     */
+    get next() {
+        return this.buffers[1 - this.readIndex].state;
+    }
+
+    /**
+     * The material texture the next pass renders into.
+     * @returns {WebGLTexture}
+     */
+    get nextMaterial() {
+        return this.buffers[1 - this.readIndex].material;
+    }
+
+    /**
+     * Framebuffer with the live state attached, for readPixels and direct writes.
+     * Attachment 0 (the default read buffer) is the attribute texture.
+     * @returns {WebGLFramebuffer}
+     */
+    get readFramebuffer() {
+        return this.buffers[this.readIndex].framebuffer;
+    }
+
+    /**
+     * Framebuffer with the next state attached, used as the pass target.
+     * @returns {WebGLFramebuffer}
+     */
+    get writeFramebuffer() {
+        return this.buffers[1 - this.readIndex].framebuffer;
+    }
+
+    /**
+     * Promotes the freshly written buffer to be the live state.
+     */
+    swap() {
+        this.readIndex = 1 - this.readIndex;
+    }
+
+    /**
+     * Releases the textures and framebuffers.
+     */
+    dispose() {
+        for (const buffer of this.buffers) {
+            this.gl.deleteFramebuffer(buffer.framebuffer);
+            this.gl.deleteTexture(buffer.state);
+            this.gl.deleteTexture(buffer.material);
+        }
+        this.buffers = [];
+        this.fluid.dispose();
+    }
+}
+
+/**
+ * Creates one buffer: an attribute and a material texture sharing a framebuffer.
+ * @param {WebGL2RenderingContext} gl - The WebGL context.
+ * @param {number} width - Simulation grid width.
+ * @param {number} height - Simulation grid height.
+ * @returns {{state: WebGLTexture, material: WebGLTexture, framebuffer: WebGLFramebuffer}} - The buffer.
+ */
+function createBuffer(gl, width, height) {
+    const state = createTexture(gl, width, height, new Float32Array(width * height * 4));
+    const material = createTexture(gl, width, height, new Float32Array(width * height * 4));
+
+    const framebuffer = gl.createFramebuffer();
+    gl.bindFramebuffer(gl.FRAMEBUFFER, framebuffer);
+    gl.framebufferTexture2D(gl.FRAMEBUFFER, gl.COLOR_ATTACHMENT0, gl.TEXTURE_2D, state, 0);
+    gl.framebufferTexture2D(gl.FRAMEBUFFER, gl.COLOR_ATTACHMENT1, gl.TEXTURE_2D, material, 0);
+    gl.drawBuffers([gl.COLOR_ATTACHMENT0, gl.COLOR_ATTACHMENT1]);
+
+    const status = gl.checkFramebufferStatus(gl.FRAMEBUFFER);
+    if (status !== gl.FRAMEBUFFER_COMPLETE) {
+        console.error('Simulation framebuffer incomplete:', status);
+    }
+
+    gl.bindFramebuffer(gl.FRAMEBUFFER, null);
+    return { state, material, framebuffer };
+}
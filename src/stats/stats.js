@@ -0,0 +1,321 @@
+// src/stats/stats.js
+
+import { initializeReductionProgram, initializeHistogramProgram, drawFullscreenQuad, bindTextures } from '../rendering/rendering.js';
+import { MATERIAL_CHANNELS, MATERIALS } from '../materials/materials.js';
+import { createTexture } from '../utils/utils.js';
+import { AsyncReadback } from '../utils/readback.js';
+
+// Bins per attribute histogram, covering values 0-1
+export const HISTOGRAM_BINS = 32;
+
+// Each reduction level folds 4×4 texels into one
+const REDUCTION_FACTOR = 4;
+
+/**
+ * World statistics computed on the GPU.
+ *
+ * `request()` reduces the live attribute texture down to 1×1 textures of
+ * per-channel sum, minimum and maximum, builds the attribute histograms and
+ * material counts, and queues a readback into a pixel buffer guarded by a
+ * fence. `poll()` picks up the result once the GPU has finished, so the
+ * frame never stalls on readPixels. Only one readback is in flight at a
+ * time; requests made meanwhile are skipped.
+ *
+ * The latest result is in `latest`, null until the first readback lands:
+ * - tick: Simulation tick the statistics were taken at.
+ * - cellCount: Number of cells.
+ * - mean, min, max: Per-channel values, indexed by ATTRIBUTES.
+ * - histograms: One array of HISTOGRAM_BINS cell counts per channel, or null
+ *   without EXT_float_blend.
+ * - materialCounts: Cell count per material ID, or null without EXT_float_blend.
+ */
+export class WorldStats {
+    /**
+     * Creates the reduction levels, histogram targets and readback buffer.
+     * @param {WebGL2RenderingContext} gl - The WebGL context.
+     * @param {number} width - Simulation grid width.
+     * @param {number} height - Simulation grid height.
+     */
+    constructor(gl, width, height) {
+        this.gl = gl;
+        this.width = width;
+        this.height = height;
+        this.latest = null;
+
+        this.reductionProgram = initializeReductionProgram(gl);
+        this.histogramProgram = initializeHistogramProgram(gl);
+
+        // Histograms add up points with blending, which float targets only support with this extension
+        this.histogramsSupported = !!gl.getExtension('EXT_float_blend');
+
+        this.levels = [];
+        let levelWidth = width;
+        let levelHeight = height;
+        do {
+            levelWidth = Math.ceil(levelWidth / REDUCTION_FACTOR);
+            levelHeight = Math.ceil(levelHeight / REDUCTION_FACTOR);
+            this.levels.push(createLevel(gl, levelWidth, levelHeight));
+        } while (levelWidth > 1 || levelHeight > 1);
+
+        this.materialBins = Object.keys(MATERIALS).length;
+        this.histogramTarget = createTarget(gl, HISTOGRAM_BINS, 1);
+        this.materialTarget = createTarget(gl, this.materialBins, 1);
+
+        // Points are generated from gl_VertexID, so the histogram pass needs no attributes
+        this.emptyVAO = gl.createVertexArray();
+
+        // Readback layout, in RGBA texels: sum, min, max, attribute histogram, material counts
+        this.readback = new AsyncReadback(gl, (3 + HISTOGRAM_BINS + this.materialBins) * 4);
+    }
+
+    /**
+     * Starts computing statistics for the live state, unless a readback is
+     * still in flight.
+     * @param {SimulationState} simulationState - The simulation state to measure.
+     * @returns {boolean} - Whether a new computation was started.
+     */
+    request(simulationState) {
+        if (this.readback.busy) return false;
+        const gl = this.gl;
+
+        this.reduce(simulationState.current);
+        if (this.histogramsSupported) {
+            this.buildHistogram(this.histogramTarget, simulationState.current, HISTOGRAM_BINS, 0, 4);
+            this.buildHistogram(this.materialTarget, simulationState.currentMaterial, this.materialBins, 1, 1);
+        }
+
+        this.readback.start(() => {
+            this.readReduction();
+            if (this.histogramsSupported) {
+                gl.bindFramebuffer(gl.FRAMEBUFFER, this.histogramTarget.framebuffer);
+                gl.readPixels(0, 0, HISTOGRAM_BINS, 1, gl.RGBA, gl.FLOAT, 3 * 16);
+                gl.bindFramebuffer(gl.FRAMEBUFFER, this.materialTarget.framebuffer);
+                gl.readPixels(0, 0, this.materialBins, 1, gl.RGBA, gl.FLOAT, (3 + HISTOGRAM_BINS) * 16);
+            }
+            gl.bindFramebuffer(gl.FRAMEBUFFER, null);
+        }, simulationState.tick);
+        return true;
+    }
+
+    /**
+     * Forgets the latest statistics and drops a readback in flight, e.g. when
+     * the world is replaced.
+     */
+    reset() {
+        this.readback.cancel();
+        this.latest = null;
+    }
+
+    /**
+     * Collects the in-flight readback if the GPU has finished it.
+     * @returns {boolean} - Whether `latest` was updated.
+     */
+    poll() {
+        const result = this.readback.poll();
+        if (!result) return false;
+        const { data, context: tick } = result;
+
+        const cellCount = this.width * this.height;
+        const texel = (index) => Array.from(data.subarray(index * 4, index * 4 + 4));
+        this.latest = {
+            tick,
+            cellCount,
+            mean: texel(0).map((sum) => sum / cellCount),
+            min: texel(1),
+            max: texel(2),
+            histograms: null,
+            materialCounts: null,
+        };
+        if (this.histogramsSupported) {
+            this.latest.histograms = [0, 1, 2, 3].map((channel) => {
+                const bins = new Array(HISTOGRAM_BINS);
+                for (let bin = 0; bin < HISTOGRAM_BINS; bin++) {
+                    bins[bin] = data[(3 + bin) * 4 + channel];
+                }
+                return bins;
+            });
+            this.latest.materialCounts = [];
+            for (let id = 0; id < this.materialBins; id++) {
+                this.latest.materialCounts.push(data[(3 + HISTOGRAM_BINS + id) * 4]);
+            }
+        }
+        return true;
+    }
+
+    /**
+     * Runs the reduction levels from the attribute texture down to 1×1.
+     * @param {WebGLTexture} source - The attribute texture.
+     */
+    reduce(source) {
+        const gl = this.gl;
+        gl.useProgram(this.reductionProgram);
+        gl.uniform1i(gl.getUniformLocation(this.reductionProgram, 'u_sum'), 0);
+        gl.uniform1i(gl.getUniformLocation(this.reductionProgram, 'u_min'), 1);
+        gl.uniform1i(gl.getUniformLocation(this.reductionProgram, 'u_max'), 2);
+
+        let inputs = [source, source, source];
+        for (const level of this.levels) {
+            gl.bindFramebuffer(gl.FRAMEBUFFER, level.framebuffer);
+            gl.viewport(0, 0, level.width, level.height);
+            bindTextures(gl, inputs);
+            drawFullscreenQuad(gl);
+            inputs = [level.sum, level.min, level.max];
+        }
+    }
+
+    /**
+     * Queues readPixels of the reduced sum, minimum and maximum, three RGBA
+     * texels, into the bound pixel pack buffer from its start. Call after
+     * reduce(), inside a readback's queueReads.
+     */
+    readReduction() {
+        const gl = this.gl;
+        const last = this.levels[this.levels.length - 1];
+        gl.bindFramebuffer(gl.FRAMEBUFFER, last.framebuffer);
+        for (let i = 0; i < 3; i++) {
+            gl.readBuffer(gl.COLOR_ATTACHMENT0 + i);
+            gl.readPixels(0, 0, 1, 1, gl.RGBA, gl.FLOAT, i * 16);
+        }
+        gl.readBuffer(gl.COLOR_ATTACHMENT0);
+    }
+
+    /**
+     * Scatters one point per cell into a histogram target with additive blending.
+     * @param {Object} target - The histogram target.
+     * @param {WebGLTexture} source - The texture to count.
+     * @param {number} bins - Number of bins.
+     * @param {number} mode - 0 for attribute values, 1 for material IDs.
+     * @param {number} instances - Channels to count.
+     */
+    buildHistogram(target, source, bins, mode, instances) {
+        const gl = this.gl;
+        gl.useProgram(this.histogramProgram);
+        gl.bindFramebuffer(gl.FRAMEBUFFER, target.framebuffer);
+        gl.viewport(0, 0, bins, 1);
+        gl.clearColor(0, 0, 0, 0);
+        gl.clear(gl.COLOR_BUFFER_BIT);
+
+        bindTextures(gl, [source]);
+        gl.uniform1i(gl.getUniformLocation(this.histogramProgram, 'u_source'), 0);
+        gl.uniform1i(gl.getUniformLocation(this.histogramProgram, 'u_bins'), bins);
+        gl.uniform1i(gl.getUniformLocation(this.histogramProgram, 'u_mode'), mode);
+
+        gl.enable(gl.BLEND);
+        gl.blendFunc(gl.ONE, gl.ONE);
+        gl.bindVertexArray(this.emptyVAO);
+        gl.drawArraysInstanced(gl.POINTS, 0, this.width * this.height, instances);
+        gl.bindVertexArray(null);
+        gl.disable(gl.BLEND);
+    }
+
+    /**
+     * Releases the GPU resources.
+     */
+    dispose() {
+        const gl = this.gl;
+        this.readback.dispose();
+        for (const target of [...this.levels, this.histogramTarget, this.materialTarget]) {
+            gl.deleteFramebuffer(target.framebuffer);
+            for (const texture of [target.sum, target.min, target.max, target.texture]) {
+                if (texture) gl.deleteTexture(texture);
+            }
+        }
+        gl.deleteVertexArray(this.emptyVAO);
+        gl.deleteProgram(this.reductionProgram);
+        gl.deleteProgram(this.histogramProgram);
+        this.levels = [];
+    }
+}
+
+/**
+ * Computes the same statistics as WorldStats from CPU-side data, such as
+ * the CPU reference simulator or readSimulationState output.
+ * @param {Float32Array} state - RGBA attribute data.
+ * @param {Float32Array} material - RGBA material data.
+ * @returns {Object} - Statistics in the layout of WorldStats.latest, without tick.
+ */
+export function computeStats(state, material) {
+    const cellCount = state.length / 4;
+    const sum = [0, 0, 0, 0];
+    const min = [Infinity, Infinity, Infinity, Infinity];
+    const max = [-Infinity, -Infinity, -Infinity, -Infinity];
+    const histograms = [0, 1, 2, 3].map(() => new Array(HISTOGRAM_BINS).fill(0));
+    const materialCounts = new Array(Object.keys(MATERIALS).length).fill(0);
+
+    for (let cell = 0; cell < cellCount; cell++) {
+        for (let channel = 0; channel < 4; channel++) {
+            const value = state[cell * 4 + channel];
+            sum[channel] += value;
+            min[channel] = Math.min(min[channel], value);
+            max[channel] = Math.max(max[channel], value);
+            const bin = Math.floor(Math.min(Math.max(value, 0), 1) * HISTOGRAM_BINS);
+            histograms[channel][Math.min(bin, HISTOGRAM_BINS - 1)]++;
+        }
+        const id = Math.round(material[cell * 4 + MATERIAL_CHANNELS.ID]);
+        materialCounts[Math.min(Math.max(id, 0), materialCounts.length - 1)]++;
+    }
+
+    return {
+        cellCount,
+        mean: sum.map((total) => total / cellCount),
+        min,
+        max,
+        histograms,
+        materialCounts,
+    };
+}
+
+/**
+ * Creates one reduction level: sum, min and max textures on one framebuffer.
+ * @param {WebGL2RenderingContext} gl - The WebGL context.
+ * @param {number} width - Level width.
+ * @param {number} height - Level height.
+ * @returns {Object} - The level.
+ */
+function createLevel(gl, width, height) {
+    const level = {
+        width,
+        height,
+        sum: createTexture(gl, width, height, null),
+        min: createTexture(gl, width, height, null),
+        max: createTexture(gl, width, height, null),
+        framebuffer: gl.createFramebuffer(),
+    };
+    gl.bindFramebuffer(gl.FRAMEBUFFER, level.framebuffer);
+    gl.framebufferTexture2D(gl.FRAMEBUFFER, gl.COLOR_ATTACHMENT0, gl.TEXTURE_2D, level.sum, 0);
+    gl.framebufferTexture2D(gl.FRAMEBUFFER, gl.COLOR_ATTACHMENT1, gl.TEXTURE_2D, level.min, 0);
+    gl.framebufferTexture2D(gl.FRAMEBUFFER, gl.COLOR_ATTACHMENT2, gl.TEXTURE_2D, level.max, 0);
+    gl.drawBuffers([gl.COLOR_ATTACHMENT0, gl.COLOR_ATTACHMENT1, gl.COLOR_ATTACHMENT2]);
+    checkFramebuffer(gl, 'Reduction');
+    gl.bindFramebuffer(gl.FRAMEBUFFER, null);
+    return level;
+}
+
+/**
+ * Creates a single-texture render target.
+ * @param {WebGL2RenderingContext} gl - The WebGL context.
+ * @param {number} width - Target width.
+ * @param {number} height - Target height.
+ * @returns {{texture: WebGLTexture, framebuffer: WebGLFramebuffer}} - The target.
+ */
+function createTarget(gl, width, height) {
+    const texture = createTexture(gl, width, height, null);
+    const framebuffer = gl.createFramebuffer();
+    gl.bindFramebuffer(gl.FRAMEBUFFER, framebuffer);
+    gl.framebufferTexture2D(gl.FRAMEBUFFER, gl.COLOR_ATTACHMENT0, gl.TEXTURE_2D, texture, 0);
+    checkFramebuffer(gl, 'Histogram');
+    gl.bindFramebuffer(gl.FRAMEBUFFER, null);
+    return { texture, framebuffer };
+}
+
+/**
+ * Logs an incomplete framebuffer, like the simulation state does.
+ * @param {WebGL2RenderingContext} gl - The WebGL context.
+ * @param {string} name - Name for the log message.
+ */
+function checkFramebuffer(gl, name) {
+    const status = gl.checkFramebufferStatus(gl.FRAMEBUFFER);
+    if (status !== gl.FRAMEBUFFER_COMPLETE) {
+        console.error(`${name} framebuffer incomplete:`, status);
+    }
+}
@@ -0,0 +1,419 @@
+// src/ui/devPanel.js
+
+import { DEFAULT_SIMULATION_PARAMS } from '../simulation/simulation.js';
+
+/**
+ * Control ranges for the simulation constants. Constants without an entry
+ * still get a plain number field, so new parameters show up automatically.
+ */
+const PARAM_CONTROLS = {
+    gravity: { label: 'Gravity', group: 'Physics', min: -1, max: 1, step: 0.01 },
+    fallRate: { label: 'Fall rate', group: 'Physics', min: 0, max: 2, step: 0.01 },
+    materialFallRate: { label: 'Material fall rate', group: 'Physics', min: 0, max: 20, step: 0.5 },
+    heatDiffusion: { label: 'Heat diffusion', group: 'Heat', min: 0, max: 0.25, step: 0.005 },
+    radiativeCooling: { label: 'Radiative cooling', group: 'Heat', min: 0, max: 0.05, step: 0.001 },
+    densityHeatCapacity: { label: 'Heat capacity per density', group: 'Heat', min: 0, max: 10, step: 0.1 },
+    organicHeatCapacity: { label: 'Heat capacity per organic', group: 'Heat', min: 0, max: 10, step: 0.1 },
+    latentHeat: { label: 'Latent heat', group: 'Heat', min: 0, max: 0.2, step: 0.005 },
+    combustionRate: { label: 'Combustion rate', group: 'Heat', min: 0, max: 0.1, step: 0.001 },
+    combustionHeat: { label: 'Combustion heat', group: 'Heat', min: 0, max: 10, step: 0.1 },
+    ignitionTemperature: { label: 'Ignition temperature', group: 'Heat', min: 0, max: 1, step: 0.01 },
+    organicSpread: { label: 'Organic spread', group: 'Organic', min: 0, max: 0.25, step: 0.005 },
+    organicGrowth: { label: 'Organic growth', group: 'Organic', min: 0, max: 0.1, step: 0.001 },
+    organicDecay: { label: 'Organic decay', group: 'Organic', min: 0, max: 0.02, step: 0.0005 },
+    habitableMinTemperature: { label: 'Habitable min temperature', group: 'Organic', min: 0, max: 1, step: 0.01 },
+    habitableMaxTemperature: { label: 'Habitable max temperature', group: 'Organic', min: 0, max: 1, step: 0.01 },
+    habitableMinDensity: { label: 'Habitable min density', group: 'Organic', min: 0, max: 1, step: 0.01 },
+    habitableMaxDensity: { label: 'Habitable max density', group: 'Organic', min: 0, max: 1, step: 0.01 },
+    habitableMinMoisture: { label: 'Habitable min moisture', group: 'Organic', min: 0, max: 1, step: 0.01 },
+    habitableMaxMoisture: { label: 'Habitable max moisture', group: 'Organic', min: 0, max: 1, step: 0.01 },
+    magicSpread: { label: 'Magic spread', group: 'Magic', min: 0, max: 0.25, step: 0.005 },
+    magicGrowth: { label: 'Magic growth', group: 'Magic', min: 0, max: 0.01, step: 0.0001 },
+    magicDissipation: { label: 'Magic dissipation', group: 'Magic', min: 0, max: 0.02, step: 0.0005 },
+    magicPooling: { label: 'Pooling in crystals', group: 'Magic', min: 0, max: 10, step: 0.1 },
+    leyLineScale: { label: 'Ley line scale (cells)', group: 'Magic', min: 16, max: 256, step: 1 },
+    leyLineWidth: { label: 'Ley line width', group: 'Magic', min: 0.01, max: 0.5, step: 0.01 },
+    leyLineConductance: { label: 'Ley line conductance', group: 'Magic', min: 0, max: 4, step: 0.1 },
+    leyLineRegeneration: { label: 'Ley line regeneration', group: 'Magic', min: 0, max: 10, step: 0.1 },
+    bloomThreshold: { label: 'Bloom threshold', group: 'Magic', min: 0, max: 1, step: 0.01 },
+    bloomBoost: { label: 'Bloom growth boost', group: 'Magic', min: 0, max: 10, step: 0.1 },
+    transmuteThreshold: { label: 'Transmute threshold', group: 'Magic', min: 0, max: 1, step: 0.01 },
+    transmuteRate: { label: 'Transmute rate', group: 'Magic', min: 0, max: 0.1, step: 0.001 },
+    igniteThreshold: { label: 'Ignite threshold', group: 'Magic', min: 0, max: 1, step: 0.01 },
+    igniteRate: { label: 'Ignite rate', group: 'Magic', min: 0, max: 0.1, step: 0.001 },
+    magicHeat: { label: 'Heat per magic', group: 'Magic', min: 0, max: 5, step: 0.05 },
+    channelRadius: { label: 'Ship channel radius', group: 'Magic', min: 1, max: 10, step: 1 },
+    channelRate: { label: 'Ship channel rate', group: 'Magic', min: 0, max: 2, step: 0.05 },
+    channelEnergy: { label: 'Ship energy per magic', group: 'Magic', min: 1, max: 100, step: 1 },
+    releaseRate: { label: 'Ship release rate', group: 'Magic', min: 0, max: 100, step: 1 },
+    climateCoupling: { label: 'Climate coupling', group: 'Climate', min: 0, max: 0.02, step: 0.0005 },
+    latitudeGradient: { label: 'Latitude gradient', group: 'Climate', min: 0, max: 1, step: 0.01 },
+    rainRate: { label: 'Rain rate', group: 'Climate', min: 0, max: 0.05, step: 0.0005 },
+    buoyancy: { label: 'Buoyancy', group: 'Fluid', min: 0, max: 2, step: 0.01 },
+    densityWeight: { label: 'Density weight', group: 'Fluid', min: 0, max: 1, step: 0.01 },
+    velocityDamping: { label: 'Velocity damping', group: 'Fluid', min: 0, max: 0.2, step: 0.005 },
+    pressureIterations: { label: 'Pressure iterations', group: 'Fluid', min: 0, max: 60, step: 1 },
+    tickRate: { label: 'Tick rate (tics/s)', group: 'Time', min: 1, max: 240, step: 1 },
+    springLength: { label: 'Spring length (tics)', group: 'Time', type: 'number', min: 1, step: 1 },
+    summerLength: { label: 'Summer length (tics)', group: 'Time', type: 'number', min: 1, step: 1 },
+    autumnLength: { label: 'Autumn length (tics)', group: 'Time', type: 'number', min: 1, step: 1 },
+    winterLength: { label: 'Winter length (tics)', group: 'Time', type: 'number', min: 1, step: 1 },
+};
+
+// Post-processing passes, by setting name, and ranges for their strengths
+const POST_PASS_LABELS = {
+    bloom: 'Bloom',
+    lighting: 'Lighting',
+    pixelArt: 'Pixel art',
+    crt: 'CRT',
+    vignette: 'Vignette',
+};
+const POST_CONTROLS = {
+    bloomIntensity: { label: 'Bloom intensity', min: 0, max: 4, step: 0.05 },
+    ambientLight: { label: 'Ambient light', min: 0, max: 1, step: 0.01 },
+    lightFalloff: { label: 'Light falloff', min: 0.8, max: 0.99, step: 0.01 },
+    pixelSize: { label: 'Pixel size', min: 2, max: 12, step: 1 },
+};
+
+const PRESETS_STORAGE_KEY = 'pixelPhysics.presets';
+const FAST_FORWARD_OPTIONS = [1, 2, 4, 8, 16, 32, 64];
+
+// Inputs bound to each parameter, for refreshing after external changes
+const boundInputs = new Map();
+
+/**
+ * Builds the dev console inside #devPanel and binds it to the parameters.
+ * The panel is toggled with the backquote key. Every control writes straight
+ * into `params`, so changes apply on the next tick.
+ * @param {Object} params - The live simulation constants.
+ * @param {Object} loopControl - The loop control state: paused, pendingSteps and fastForward.
+ * @param {Object} [postSettings] - The live post-processing settings, see DEFAULT_POST_SETTINGS.
+ */
+export function createDevPanel(params, loopControl, postSettings) {
+    const panel = document.getElementById('devPanel');
+    if (!panel) return;
+    panel.textContent = '';
+
+    const title = document.createElement('div');
+    title.textContent = 'Dev Console (`)';
+    title.style.fontWeight = 'bold';
+    title.style.marginBottom = '5px';
+    panel.appendChild(title);
+
+    panel.appendChild(createLoopControls(loopControl));
+
+    // Parameter controls, grouped
+    const groups = new Map();
+    for (const key of Object.keys(params)) {
+        const spec = PARAM_CONTROLS[key] || { label: key, group: 'Other', type: 'number' };
+        if (!groups.has(spec.group)) {
+            const fieldset = document.createElement('fieldset');
+            const legend = document.createElement('legend');
+            legend.textContent = spec.group;
+            fieldset.appendChild(legend);
+            groups.set(spec.group, fieldset);
+        }
+        groups.get(spec.group).appendChild(createParamControl(params, key, spec));
+    }
+    for (const fieldset of groups.values()) {
+        fieldset.style.margin = '5px 0';
+        panel.appendChild(fieldset);
+    }
+
+    if (postSettings) panel.appendChild(createPostControls(postSettings));
+    panel.appendChild(createPresetControls(params));
+
+    window.addEventListener('keydown', (e) => {
+        if (e.code === 'Backquote') {
+            panel.style.display = panel.style.display === 'block' ? 'none' : 'block';
+        }
+    });
+}
+
+/**
+ * Updates every control to show the current parameter values, after they
+ * were changed from outside the panel (loading a world or a preset).
+ * @param {Object} params - The live simulation constants.
+ */
+export function refreshDevPanel(params) {
+    for (const [key, { input, output, spec }] of boundInputs) {
+        input.value = params[key];
+        if (output) output.textContent = formatValue(params[key], spec);
+    }
+}
+
+/**
+ * Creates the pause, single-step and fast-forward controls.
+ * @param {Object} loopControl - The loop control state.
+ * @returns {HTMLElement} - The controls row.
+ */
+function createLoopControls(loopControl) {
+    const row = document.createElement('div');
+
+    const pauseButton = document.createElement('button');
+    pauseButton.textContent = 'Pause';
+    pauseButton.addEventListener('click', () => {
+        loopControl.paused = !loopControl.paused;
+        pauseButton.textContent = loopControl.paused ? 'Resume' : 'Pause';
+    });
+    row.appendChild(pauseButton);
+
+    const stepButton = document.createElement('button');
+    stepButton.textContent = 'Step';
+    stepButton.title = 'Run a single tick while paused';
+    stepButton.addEventListener('click', () => {
+        if (loopControl.paused) loopControl.pendingSteps++;
+    });
+    row.appendChild(stepButton);
+
+    const label = document.createElement('label');
+    label.textContent = ' Fast-forward:';
+    row.appendChild(label);
+
+    const fastForward = document.createElement('select');
+    for (const ticks of FAST_FORWARD_OPTIONS) {
+        const option = document.createElement('option');
+        option.value = ticks;
+        option.textContent = ticks === 1 ? 'Off' : `${ticks} tics/frame`;
+        fastForward.appendChild(option);
+    }
+    fastForward.value = loopControl.fastForward;
+    fastForward.addEventListener('change', () => {
+        loopControl.fastForward = Number(fastForward.value);
+    });
+    row.appendChild(fastForward);
+
+    return row;
+}
+
+/**
+ * Creates a labelled control bound to one parameter.
+ * @param {Object} params - The live simulation constants.
+ * @param {string} key - The parameter name.
+ * @param {Object} spec - Control spec from PARAM_CONTROLS.
+ * @returns {HTMLElement} - The control row.
+ */
+function createParamControl(params, key, spec) {
+    const row = document.createElement('div');
+
+    const label = document.createElement('label');
+    label.textContent = `${spec.label}:`;
+    label.htmlFor = `param-${key}`;
+    row.appendChild(label);
+
+    const input = document.createElement('input');
+    input.id = `param-${key}`;
+    input.type = spec.type || 'range';
+    if (spec.min !== undefined) input.min = spec.min;
+    if (spec.max !== undefined) input.max = spec.max;
+    input.step = spec.step !== undefined ? spec.step : 'any';
+    input.value = params[key];
+    row.appendChild(input);
+
+    let output = null;
+    if (input.type === 'range') {
+        output = document.createElement('span');
+        output.textContent = formatValue(params[key], spec);
+        row.appendChild(output);
+    } else {
+        input.style.width = '90px';
+    }
+
+    input.addEventListener('input', () => {
+        const value = Number(input.value);
+        if (!Number.isFinite(value)) return;
+        params[key] = value;
+        if (output) output.textContent = formatValue(value, spec);
+    });
+
+    boundInputs.set(key, { input, output, spec });
+    return row;
+}
+
+/**
+ * Creates the post-processing controls: a checkbox per pass and sliders for
+ * their strengths. Passes apply from the next frame.
+ * @param {Object} settings - The live post-processing settings.
+ * @returns {HTMLElement} - The post-processing controls.
+ */
+function createPostControls(settings) {
+    const fieldset = document.createElement('fieldset');
+    fieldset.style.margin = '5px 0';
+    const legend = document.createElement('legend');
+    legend.textContent = 'Post-processing';
+    fieldset.appendChild(legend);
+
+    for (const [key, label] of Object.entries(POST_PASS_LABELS)) {
+        const row = document.createElement('label');
+        row.style.marginRight = '8px';
+        const checkbox = document.createElement('input');
+        checkbox.type = 'checkbox';
+        checkbox.checked = settings[key];
+        checkbox.addEventListener('change', () => {
+            settings[key] = checkbox.checked;
+        });
+        row.appendChild(checkbox);
+        row.appendChild(document.createTextNode(label));
+        fieldset.appendChild(row);
+    }
+
+    for (const [key, spec] of Object.entries(POST_CONTROLS)) {
+        const row = document.createElement('div');
+        const label = document.createElement('label');
+        label.textContent = `${spec.label}:`;
+        label.htmlFor = `post-${key}`;
+        row.appendChild(label);
+
+        const input = document.createElement('input');
+        input.id = `post-${key}`;
+        input.type = 'range';
+        input.min = spec.min;
+        input.max = spec.max;
+        input.step = spec.step;
+        input.value = settings[key];
+        row.appendChild(input);
+
+        const output = document.createElement('span');
+        output.textContent = formatValue(settings[key], spec);
+        row.appendChild(output);
+
+        input.addEventListener('input', () => {
+            settings[key] = Number(input.value);
+            output.textContent = formatValue(settings[key], spec);
+        });
+        fieldset.appendChild(row);
+    }
+
+    return fieldset;
+}
+
+/**
+ * Creates the preset controls: save the current parameters under a name,
+ * load or delete a saved preset, or reset to the defaults.
+ * @param {Object} params - The live simulation constants.
+ * @returns {HTMLElement} - The preset controls.
+ */
+function createPresetControls(params) {
+    const fieldset = document.createElement('fieldset');
+    fieldset.style.margin = '5px 0';
+    const legend = document.createElement('legend');
+    legend.textContent = 'Presets';
+    fieldset.appendChild(legend);
+
+    const nameInput = document.createElement('input');
+    nameInput.type = 'text';
+    nameInput.placeholder = 'Preset name';
+    nameInput.style.width = '110px';
+    fieldset.appendChild(nameInput);
+
+    const saveButton = document.createElement('button');
+    saveButton.textContent = 'Save';
+    fieldset.appendChild(saveButton);
+
+    fieldset.appendChild(document.createElement('br'));
+
+    const select = document.createElement('select');
+    select.style.width = '118px';
+    fieldset.appendChild(select);
+
+    const loadButton = document.createElement('button');
+    loadButton.textContent = 'Load';
+    fieldset.appendChild(loadButton);
+
+    const deleteButton = document.createElement('button');
+    deleteButton.textContent = 'Delete';
+    fieldset.appendChild(deleteButton);
+
+    const resetButton = document.createElement('button');
+    resetButton.textContent = 'Defaults';
+    fieldset.appendChild(resetButton);
+
+    const refreshList = () => {
+        select.textContent = '';
+        for (const name of Object.keys(loadPresets()).sort()) {
+            const option = document.createElement('option');
+            option.value = name;
+            option.textContent = name;
+            select.appendChild(option);
+        }
+    };
+
+    saveButton.addEventListener('click', () => {
+        const name = nameInput.value.trim();
+        if (!name) return;
+        const presets = loadPresets();
+        presets[name] = { ...params };
+        storePresets(presets);
+        refreshList();
+        select.value = name;
+    });
+
+    loadButton.addEventListener('click', () => {
+        const preset = loadPresets()[select.value];
+        if (!preset) return;
+        applyParams(params, preset);
+        nameInput.value = select.value;
+    });
+
+    deleteButton.addEventListener('click', () => {
+        const presets = loadPresets();
+        delete presets[select.value];
+        storePresets(presets);
+        refreshList();
+    });
+
+    resetButton.addEventListener('click', () => applyParams(params, DEFAULT_SIMULATION_PARAMS));
+
+    refreshList();
+    return fieldset;
+}
+
+/**
+ * Copies known parameter values into the live parameters and refreshes the panel.
+ * @param {Object} params - The live simulation constants.
+ * @param {Object} values - The values to apply.
+ */
+function applyParams(params, values) {
+    for (const key of Object.keys(params)) {
+        if (typeof values[key] === 'number') {
+            params[key] = values[key];
+        }
+    }
+    refreshDevPanel(params);
+}
+
+/**
+ * Reads the saved presets from localStorage.
+ * @returns {Object} - Preset name -> parameter values.
+ */
+function loadPresets() {
+    try {
+        return JSON.parse(localStorage.getItem(PRESETS_STORAGE_KEY)) || {};
+    } catch (error) {
+        console.error('Failed to read parameter presets:', error);
+        return {};
+    }
+}
+
+/**
+ * Writes the presets to localStorage.
+ * @param {Object} presets - Preset name -> parameter values.
+ */
+function storePresets(presets) {
+    try {
+        localStorage.setItem(PRESETS_STORAGE_KEY, JSON.stringify(presets));
+    } catch (error) {
+        console.error('Failed to store parameter presets:', error);
+    }
+}
+
+/**
+ * Formats a parameter value with as many decimals as its control step.
+ * @param {number} value - The value.
+ * @param {Object} spec - Control spec.
+ * @returns {string} - The formatted value.
+ */
+function formatValue(value, spec) {
+    const decimals = spec.step ? Math.max(0, -Math.floor(Math.log10(spec.step))) : 2;
+    return value.toFixed(decimals);
+}
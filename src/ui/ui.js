@@ -1,5 +1,12 @@
 // src/ui/ui.js
 
+import { BRUSH_SHAPES } from '../brush/brush.js';
+import { ATTRIBUTES } from '../simulation/simulation.js';
+import { MATERIALS } from '../materials/materials.js';
+import { VIEW_MODES, PALETTES } from '../rendering/views.js';
+import { SHIP_CONTROLS } from '../input/input.js';
+import { DEFAULT_BINDINGS, getGamepads, describeKey, describeGamepadButton } from '../input/bindings.js';
+
 /**
  * Creates and appends UI elements to the document body.
  */
@@ -67,6 +74,186 @@ export function createUIElements() {
     averageTempDisplay.style.zIndex = '1000';
     averageTempDisplay.textContent = 'Avg Temp: 0.00';
     document.body.appendChild(averageTempDisplay);
+
+    // Brush Display
+    const brushDisplay = document.createElement('div');
+    brushDisplay.id = 'brushDisplay';
+    brushDisplay.style.position = 'absolute';
+    brushDisplay.style.bottom = '80px';
+    brushDisplay.style.right = '10px';
+    brushDisplay.style.background = 'rgba(0, 0, 0, 0.5)';
+    brushDisplay.style.color = 'white';
+    brushDisplay.style.padding = '5px 10px';
+    brushDisplay.style.borderRadius = '5px';
+    brushDisplay.style.fontFamily = 'Arial, sans-serif';
+    brushDisplay.style.fontSize = '14px';
+    brushDisplay.style.zIndex = '1000';
+    brushDisplay.textContent = 'Brush';
+    document.body.appendChild(brushDisplay);
+
+    // Ship Display
+    const shipDisplay = document.createElement('div');
+    shipDisplay.id = 'shipDisplay';
+    shipDisplay.style.position = 'absolute';
+    shipDisplay.style.bottom = '100px';
+    shipDisplay.style.right = '10px';
+    shipDisplay.style.background = 'rgba(0, 0, 0, 0.5)';
+    shipDisplay.style.color = 'white';
+    shipDisplay.style.padding = '5px 10px';
+    shipDisplay.style.borderRadius = '5px';
+    shipDisplay.style.fontFamily = 'Arial, sans-serif';
+    shipDisplay.style.fontSize = '14px';
+    shipDisplay.style.zIndex = '1000';
+    shipDisplay.style.whiteSpace = 'pre';
+    shipDisplay.textContent = 'Hull: 100 Energy: 0';
+    document.body.appendChild(shipDisplay);
+
+    // Season Display with a progress bar through the current season
+    const seasonDisplay = document.createElement('div');
+    seasonDisplay.id = 'seasonDisplay';
+    seasonDisplay.style.position = 'absolute';
+    seasonDisplay.style.top = '60px';
+    seasonDisplay.style.right = '10px';
+    seasonDisplay.style.width = '140px';
+    seasonDisplay.style.background = 'rgba(0, 0, 0, 0.5)';
+    seasonDisplay.style.color = 'white';
+    seasonDisplay.style.padding = '5px 10px';
+    seasonDisplay.style.borderRadius = '5px';
+    seasonDisplay.style.fontFamily = 'Arial, sans-serif';
+    seasonDisplay.style.fontSize = '14px';
+    seasonDisplay.style.zIndex = '1000';
+
+    const seasonName = document.createElement('div');
+    seasonName.id = 'seasonName';
+    seasonName.textContent = 'Spring';
+    seasonDisplay.appendChild(seasonName);
+
+    const seasonBar = document.createElement('div');
+    seasonBar.style.height = '6px';
+    seasonBar.style.marginTop = '3px';
+    seasonBar.style.background = 'rgba(255, 255, 255, 0.2)';
+    seasonBar.style.borderRadius = '3px';
+    seasonBar.style.overflow = 'hidden';
+
+    const seasonBarFill = document.createElement('div');
+    seasonBarFill.id = 'seasonBarFill';
+    seasonBarFill.style.height = '100%';
+    seasonBarFill.style.width = '0%';
+    seasonBarFill.style.background = 'white';
+    seasonBar.appendChild(seasonBarFill);
+
+    seasonDisplay.appendChild(seasonBar);
+    document.body.appendChild(seasonDisplay);
+
+    // Population Display, below the season
+    const populationDisplay = document.createElement('div');
+    populationDisplay.id = 'populationDisplay';
+    populationDisplay.style.position = 'absolute';
+    populationDisplay.style.top = '110px';
+    populationDisplay.style.right = '10px';
+    populationDisplay.style.width = '140px';
+    populationDisplay.style.background = 'rgba(0, 0, 0, 0.5)';
+    populationDisplay.style.color = 'white';
+    populationDisplay.style.padding = '5px 10px';
+    populationDisplay.style.borderRadius = '5px';
+    populationDisplay.style.fontFamily = 'Arial, sans-serif';
+    populationDisplay.style.fontSize = '14px';
+    populationDisplay.style.zIndex = '1000';
+    populationDisplay.style.whiteSpace = 'pre';
+    populationDisplay.textContent = 'Creatures: 0';
+    document.body.appendChild(populationDisplay);
+
+    // Network game status, below the population; hidden outside a network game
+    const netDisplay = document.createElement('div');
+    netDisplay.id = 'netDisplay';
+    netDisplay.style.position = 'absolute';
+    netDisplay.style.top = '180px';
+    netDisplay.style.right = '10px';
+    netDisplay.style.width = '140px';
+    netDisplay.style.background = 'rgba(0, 0, 0, 0.5)';
+    netDisplay.style.color = 'white';
+    netDisplay.style.padding = '5px 10px';
+    netDisplay.style.borderRadius = '5px';
+    netDisplay.style.fontFamily = 'Arial, sans-serif';
+    netDisplay.style.fontSize = '14px';
+    netDisplay.style.zIndex = '1000';
+    netDisplay.style.whiteSpace = 'pre';
+    netDisplay.style.display = 'none';
+    document.body.appendChild(netDisplay);
+
+    // View mode and its legend, above the save and load controls
+    const viewDisplay = document.createElement('div');
+    viewDisplay.id = 'viewDisplay';
+    viewDisplay.style.position = 'absolute';
+    viewDisplay.style.bottom = '50px';
+    viewDisplay.style.left = '10px';
+    viewDisplay.style.width = '200px';
+    viewDisplay.style.background = 'rgba(0, 0, 0, 0.5)';
+    viewDisplay.style.color = 'white';
+    viewDisplay.style.padding = '5px 10px';
+    viewDisplay.style.borderRadius = '5px';
+    viewDisplay.style.fontFamily = 'Arial, sans-serif';
+    viewDisplay.style.fontSize = '14px';
+    viewDisplay.style.zIndex = '1000';
+    document.body.appendChild(viewDisplay);
+
+    // Mod errors, hidden until there are some; see showErrorOverlay
+    const errorOverlay = document.createElement('div');
+    errorOverlay.id = 'errorOverlay';
+    errorOverlay.style.position = 'absolute';
+    errorOverlay.style.top = '10px';
+    errorOverlay.style.left = '50%';
+    errorOverlay.style.transform = 'translateX(-50%)';
+    errorOverlay.style.maxWidth = '60%';
+    errorOverlay.style.maxHeight = '50%';
+    errorOverlay.style.overflowY = 'auto';
+    errorOverlay.style.display = 'none';
+    errorOverlay.style.background = 'rgba(40, 0, 0, 0.85)';
+    errorOverlay.style.color = 'white';
+    errorOverlay.style.border = '1px solid #ff6b5b';
+    errorOverlay.style.padding = '5px 10px';
+    errorOverlay.style.borderRadius = '5px';
+    errorOverlay.style.fontFamily = 'Arial, sans-serif';
+    errorOverlay.style.fontSize = '14px';
+    errorOverlay.style.zIndex = '1500';
+
+    const errorList = document.createElement('div');
+    errorList.id = 'errorList';
+    errorOverlay.appendChild(errorList);
+
+    const dismissButton = createButton('Dismiss');
+    dismissButton.addEventListener('click', () => {
+        errorOverlay.style.display = 'none';
+        errorList.replaceChildren();
+    });
+    errorOverlay.appendChild(dismissButton);
+    document.body.appendChild(errorOverlay);
+}
+
+/**
+ * Adds an error to the error overlay and shows it. Errors pile up until the
+ * overlay is dismissed.
+ * @param {{title: string, messages: Array<string>}} report - What failed, and the details, one per line.
+ */
+export function showErrorOverlay(report) {
+    const errorOverlay = document.getElementById('errorOverlay');
+    const errorList = document.getElementById('errorList');
+    if (!errorOverlay || !errorList) return;
+
+    const title = document.createElement('div');
+    title.style.fontWeight = 'bold';
+    title.style.color = '#ff6b5b';
+    title.textContent = report.title;
+    errorList.appendChild(title);
+
+    const messages = document.createElement('div');
+    messages.style.fontFamily = 'monospace';
+    messages.style.whiteSpace = 'pre-wrap';
+    messages.style.margin = '5px 0 10px';
+    messages.textContent = report.messages.join('\n');
+    errorList.appendChild(messages);
+
+    errorOverlay.style.display = 'block';
 }
 
 /**
@@ -87,3 +274,790 @@ export function updateUI(fps, tps, year, averageTemperature) {
     if (yearDisplay) yearDisplay.textContent = `Year: ${year}`;
     if (averageTempDisplay) averageTempDisplay.textContent = `Avg Temp: ${averageTemperature.toFixed(2)}`;
 }
+
+// Progress bar color per season, in SEASONS order
+const SEASON_COLORS = ['#7ec850', '#f2c14e', '#d9772b', '#a8d8f0'];
+
+/**
+ * Updates the season display with the current season and the progress through it.
+ * @param {Object} climate - The current climate, see computeClimate.
+ */
+export function updateSeasonDisplay(climate) {
+    const seasonName = document.getElementById('seasonName');
+    const seasonBarFill = document.getElementById('seasonBarFill');
+
+    if (seasonName) seasonName.textContent = `${climate.seasonName} (${Math.floor(climate.seasonProgress * 100)}%)`;
+    if (seasonBarFill) {
+        seasonBarFill.style.width = `${(climate.seasonProgress * 100).toFixed(1)}%`;
+        seasonBarFill.style.background = SEASON_COLORS[climate.seasonIndex % SEASON_COLORS.length];
+    }
+}
+
+/**
+ * Updates the brush display with the current brush settings.
+ * @param {Object} brush - The brush settings.
+ */
+export function updateBrushDisplay(brush) {
+    const brushDisplay = document.getElementById('brushDisplay');
+    if (!brushDisplay) return;
+
+    const shape = brush.shape === BRUSH_SHAPES.CIRCLE ? 'Circle' : 'Square';
+    const attribute = Object.keys(ATTRIBUTES).find((name) => ATTRIBUTES[name] === brush.attribute);
+    const label = attribute.charAt(0) + attribute.slice(1).toLowerCase();
+    brushDisplay.textContent = `Brush: ${label} ${shape} r${brush.radius} ×${brush.strength.toFixed(3)}`;
+}
+
+/**
+ * Updates the ship display with each ship's hull, energy, cargo and ammo.
+ * @param {Array<Object>} ships - Each ship's player number, whether it is flown here, and its hull,
+ *     energy and tool fields, as in PlayerShip and EngineStats.
+ */
+export function updateShipDisplay(ships) {
+    const shipDisplay = document.getElementById('shipDisplay');
+    if (!shipDisplay) return;
+
+    // With several ships each gets its player number, marked * if flown here
+    shipDisplay.textContent = ships.map((ship) => {
+        const { tools } = ship;
+        const label = ships.length > 1 ? `P${ship.player}${ship.local ? '*' : ''} ` : '';
+        return `${label}Hull: ${Math.ceil(ship.hull)}/${ship.maxHull} Energy: ${Math.floor(ship.energy)}/${ship.maxEnergy}\n` +
+            `${label}Cargo: ${tools.cargo.toFixed(1)}/${tools.maxCargo} Ammo: ${tools.ammo}/${tools.maxAmmo}`;
+    }).join('\n');
+    const damaged = ships.some((ship) => ship.local && ship.hull < ship.maxHull * 0.25);
+    shipDisplay.style.color = damaged ? '#ff6b5b' : 'white';
+}
+
+/**
+ * Updates the network game display: who is playing, whether the game waits
+ * for another peer, and whether the peers have desynced.
+ * @param {Object|null} net - The status, see Lockstep.getStatus; null outside a network game.
+ */
+export function updateNetDisplay(net) {
+    const netDisplay = document.getElementById('netDisplay');
+    if (!netDisplay) return;
+
+    netDisplay.style.display = net ? 'block' : 'none';
+    if (!net) return;
+    let status = 'In sync';
+    if (net.peers === 1) status = 'Waiting for peers';
+    else if (net.waiting) status = 'Waiting for input';
+    if (net.desyncAt !== null) status = `Desynced at tick ${net.desyncAt}`;
+    netDisplay.textContent = `Peers: ${net.peers} Players: ${net.players}\n${status}`;
+    netDisplay.style.color = net.desyncAt !== null ? '#ff6b5b' : 'white';
+}
+
+/**
+ * Updates the population display with the creature counts and the vegetation.
+ * @param {Object} population - The counts.
+ * @param {number} population.creatures - Creatures alive.
+ * @param {number} population.births - Creatures born since the world started.
+ * @param {number} population.deaths - Creatures that died since the world started.
+ * @param {number} population.vegetation - Mean organic matter per cell, 0-1.
+ */
+export function updatePopulationDisplay(population) {
+    const populationDisplay = document.getElementById('populationDisplay');
+    if (!populationDisplay) return;
+
+    populationDisplay.textContent =
+        `Creatures: ${population.creatures}\n` +
+        `Born: ${population.births} Died: ${population.deaths}\n` +
+        `Vegetation: ${(population.vegetation * 100).toFixed(1)}%`;
+    populationDisplay.style.color = population.creatures === 0 ? '#ff6b5b' : 'white';
+}
+
+// The view settings the legend was last built for, so it is only rebuilt on change
+let shownView = null;
+
+/**
+ * Updates the view display: the current mode and, when the legend is on,
+ * the palette scale of a heatmap or the material colors of the natural view.
+ * @param {Object} view - The view settings, see createView.
+ */
+export function updateViewDisplay(view) {
+    const viewDisplay = document.getElementById('viewDisplay');
+    if (!viewDisplay) return;
+
+    const mode = VIEW_MODES[view.mode];
+    const palette = view.palettes[view.mode];
+    const key = `${view.mode},${palette},${view.flow},${view.legend}`;
+    if (key === shownView) return;
+    shownView = key;
+
+    viewDisplay.textContent = '';
+    const title = document.createElement('div');
+    title.textContent = `View: ${mode.name}${palette ? ` (${palette})` : ''}${view.flow ? ' + flow' : ''}`;
+    viewDisplay.appendChild(title);
+    if (!view.legend) return;
+
+    const legend = document.createElement('div');
+    legend.style.marginTop = '4px';
+    legend.style.fontSize = '12px';
+    if (palette) {
+        const bar = document.createElement('div');
+        bar.style.height = '10px';
+        bar.style.borderRadius = '2px';
+        bar.style.background = `linear-gradient(to right, ${PALETTES[palette].join(', ')})`;
+        legend.appendChild(bar);
+
+        const scale = document.createElement('div');
+        scale.style.display = 'flex';
+        scale.style.justifyContent = 'space-between';
+        for (const label of ['0', '0.5', '1']) {
+            const tick = document.createElement('span');
+            tick.textContent = label;
+            scale.appendChild(tick);
+        }
+        legend.appendChild(scale);
+    } else {
+        legend.style.display = 'grid';
+        legend.style.gridTemplateColumns = '1fr 1fr';
+        legend.style.gap = '2px 8px';
+        for (const material of MATERIALS) {
+            const entry = document.createElement('div');
+            const swatch = document.createElement('span');
+            swatch.style.display = 'inline-block';
+            swatch.style.width = '10px';
+            swatch.style.height = '10px';
+            swatch.style.marginRight = '4px';
+            swatch.style.verticalAlign = 'middle';
+            swatch.style.border = '1px solid rgba(255, 255, 255, 0.3)';
+            swatch.style.background = `rgb(${material.color.map((c) => Math.round(c * 255)).join(', ')})`;
+            entry.appendChild(swatch);
+            entry.appendChild(document.createTextNode(material.name));
+            legend.appendChild(entry);
+        }
+    }
+    viewDisplay.appendChild(legend);
+}
+
+/**
+ * Creates the save and load controls: a download button, file pickers for
+ * worlds and mods and a drop zone covering the page that accepts world,
+ * replay and mod files.
+ * @param {Function} onSave - Called when the player asks to save the world.
+ * @param {Function} onLoad - Called with the File the player picked or dropped.
+ */
+export function createSaveLoadControls(onSave, onLoad) {
+    const container = document.createElement('div');
+    container.id = 'saveLoadControls';
+    container.style.position = 'absolute';
+    container.style.bottom = '10px';
+    container.style.left = '10px';
+    container.style.display = 'flex';
+    container.style.gap = '5px';
+    container.style.zIndex = '1000';
+
+    const saveButton = createButton('Save World');
+    saveButton.addEventListener('click', () => onSave());
+    container.appendChild(saveButton);
+
+    for (const [label, accept] of [['Load World', '.pxw'], ['Load Mod', '.js']]) {
+        const fileInput = document.createElement('input');
+        fileInput.type = 'file';
+        fileInput.accept = accept;
+        fileInput.style.display = 'none';
+        fileInput.addEventListener('change', () => {
+            if (fileInput.files.length > 0) onLoad(fileInput.files[0]);
+            fileInput.value = '';
+        });
+        container.appendChild(fileInput);
+
+        const loadButton = createButton(label);
+        loadButton.addEventListener('click', () => fileInput.click());
+        container.appendChild(loadButton);
+    }
+
+    document.body.appendChild(container);
+
+    // Drop zone overlay, shown while a file is dragged over the page
+    const dropOverlay = document.createElement('div');
+    dropOverlay.id = 'dropOverlay';
+    dropOverlay.style.position = 'absolute';
+    dropOverlay.style.inset = '0';
+    dropOverlay.style.display = 'none';
+    dropOverlay.style.alignItems = 'center';
+    dropOverlay.style.justifyContent = 'center';
+    dropOverlay.style.background = 'rgba(0, 0, 0, 0.6)';
+    dropOverlay.style.border = '3px dashed white';
+    dropOverlay.style.color = 'white';
+    dropOverlay.style.fontFamily = 'Arial, sans-serif';
+    dropOverlay.style.fontSize = '24px';
+    dropOverlay.style.zIndex = '2000';
+    dropOverlay.style.pointerEvents = 'none';
+    dropOverlay.textContent = 'Drop a world, replay or mod file to load it';
+    document.body.appendChild(dropOverlay);
+
+    window.addEventListener('dragover', (e) => {
+        e.preventDefault();
+        dropOverlay.style.display = 'flex';
+    });
+    window.addEventListener('dragleave', (e) => {
+        // Only hide once the drag has left the window entirely
+        if (e.relatedTarget === null) dropOverlay.style.display = 'none';
+    });
+    window.addEventListener('drop', (e) => {
+        e.preventDefault();
+        dropOverlay.style.display = 'none';
+        if (e.dataTransfer.files.length > 0) onLoad(e.dataTransfer.files[0]);
+    });
+}
+
+// Playback speeds offered, as multiples of the tick rate
+const REPLAY_SPEEDS = [0.25, 0.5, 1, 2, 4, 8];
+
+/**
+ * Creates the replay controls at the bottom center: record and load buttons,
+ * and while a replay plays, pause, speed, a seek bar and an exit button.
+ * Which ones show is kept up to date by updateReplayDisplay.
+ * @param {Object} handlers - Callbacks for the controls.
+ * @param {Function} handlers.onRecord - Restart the world from its seed and record.
+ * @param {Function} handlers.onStopRecording - Stop and save the recording.
+ * @param {Function} handlers.onLoad - Called with the replay File the player picked.
+ * @param {Function} handlers.onTogglePause - Pause or resume playback.
+ * @param {Function} handlers.onSpeed - Called with the chosen playback speed.
+ * @param {Function} handlers.onSeek - Called with the tick to jump to.
+ * @param {Function} handlers.onExit - Stop playback and carry on live from there.
+ */
+export function createReplayControls(handlers) {
+    const container = document.createElement('div');
+    container.id = 'replayControls';
+    container.style.position = 'absolute';
+    container.style.bottom = '10px';
+    container.style.left = '50%';
+    container.style.transform = 'translateX(-50%)';
+    container.style.display = 'flex';
+    container.style.alignItems = 'center';
+    container.style.gap = '5px';
+    container.style.color = 'white';
+    container.style.fontFamily = 'Arial, sans-serif';
+    container.style.fontSize = '14px';
+    container.style.zIndex = '1000';
+
+    const recordButton = createButton('Record');
+    recordButton.id = 'replayRecord';
+    recordButton.title = 'Restart the world from its seed and record every tick of input';
+    recordButton.addEventListener('click', () => handlers.onRecord());
+    container.appendChild(recordButton);
+
+    const stopButton = createButton('Stop & Save Replay');
+    stopButton.id = 'replayStop';
+    stopButton.addEventListener('click', () => handlers.onStopRecording());
+    container.appendChild(stopButton);
+
+    const fileInput = document.createElement('input');
+    fileInput.type = 'file';
+    fileInput.accept = '.pxr';
+    fileInput.style.display = 'none';
+    fileInput.addEventListener('change', () => {
+        if (fileInput.files.length > 0) handlers.onLoad(fileInput.files[0]);
+        fileInput.value = '';
+    });
+    container.appendChild(fileInput);
+
+    const loadButton = createButton('Load Replay');
+    loadButton.id = 'replayLoad';
+    loadButton.addEventListener('click', () => fileInput.click());
+    container.appendChild(loadButton);
+
+    const pauseButton = createButton('Pause');
+    pauseButton.id = 'replayPause';
+    pauseButton.addEventListener('click', () => handlers.onTogglePause());
+    container.appendChild(pauseButton);
+
+    const speedSelect = document.createElement('select');
+    speedSelect.id = 'replaySpeed';
+    for (const speed of REPLAY_SPEEDS) {
+        const option = document.createElement('option');
+        option.value = speed;
+        option.textContent = `${speed}×`;
+        speedSelect.appendChild(option);
+    }
+    speedSelect.value = 1;
+    speedSelect.addEventListener('change', () => handlers.onSpeed(Number(speedSelect.value)));
+    container.appendChild(speedSelect);
+
+    // Seeks when released, as seeking backwards replays from the start
+    const seekBar = document.createElement('input');
+    seekBar.id = 'replaySeek';
+    seekBar.type = 'range';
+    seekBar.min = 0;
+    seekBar.step = 1;
+    seekBar.style.width = '240px';
+    seekBar.addEventListener('pointerdown', () => {
+        seekBar.dataset.dragging = 'true';
+    });
+    seekBar.addEventListener('change', () => {
+        delete seekBar.dataset.dragging;
+        handlers.onSeek(Number(seekBar.value));
+    });
+    container.appendChild(seekBar);
+
+    const status = document.createElement('span');
+    status.id = 'replayStatus';
+    status.style.background = 'rgba(0, 0, 0, 0.5)';
+    status.style.padding = '5px 10px';
+    status.style.borderRadius = '5px';
+    status.style.whiteSpace = 'pre';
+    container.appendChild(status);
+
+    const exitButton = createButton('Exit Replay');
+    exitButton.id = 'replayExit';
+    exitButton.title = 'Stop the replay and take over from here';
+    exitButton.addEventListener('click', () => handlers.onExit());
+    container.appendChild(exitButton);
+
+    document.body.appendChild(container);
+}
+
+/**
+ * Updates the replay controls for the current mode.
+ * @param {Object} replay - What the replay system is doing.
+ * @param {string} replay.mode - 'idle', 'recording' or 'playback'.
+ * @param {number} replay.tick - Ticks since the recording or replay started.
+ * @param {number} [replay.length] - Ticks in the replay, during playback.
+ * @param {boolean} [replay.paused] - Whether playback is paused.
+ * @param {boolean} [replay.seeking] - Whether playback is fast-forwarding to a seek target.
+ * @param {number|null} [replay.divergedAt] - First tick the playback stopped matching the recording.
+ */
+export function updateReplayDisplay(replay) {
+    const container = document.getElementById('replayControls');
+    if (!container) return;
+
+    const { mode, tick } = replay;
+    const show = (id, visible) => {
+        document.getElementById(id).style.display = visible ? '' : 'none';
+    };
+    show('replayRecord', mode === 'idle');
+    show('replayLoad', mode === 'idle');
+    show('replayStop', mode === 'recording');
+    show('replayStatus', mode !== 'idle');
+    for (const id of ['replayPause', 'replaySpeed', 'replaySeek', 'replayExit']) {
+        show(id, mode === 'playback');
+    }
+
+    const status = document.getElementById('replayStatus');
+    if (mode === 'recording') {
+        status.textContent = `● REC tick ${tick}`;
+        status.style.color = '#ff6b5b';
+    } else if (mode === 'playback') {
+        let state = replay.paused ? 'Paused' : 'Playing';
+        if (tick >= replay.length) state = 'Finished';
+        if (replay.seeking) state = 'Seeking';
+        const warning = replay.divergedAt !== null ? `\nDiverged at tick ${replay.divergedAt}` : '';
+        status.textContent = `${state} tick ${tick} / ${replay.length}${warning}`;
+        status.style.color = replay.divergedAt !== null ? '#ffb347' : 'white';
+
+        document.getElementById('replayPause').textContent = replay.paused ? 'Play' : 'Pause';
+        const seekBar = document.getElementById('replaySeek');
+        seekBar.max = replay.length;
+        // Leave the thumb alone while the player drags it
+        if (!seekBar.dataset.dragging) seekBar.value = tick;
+    }
+}
+
+// Tracker marks per objective status
+const OBJECTIVE_MARKS = { active: '○', complete: '✓', failed: '✗' };
+
+// Called with the scenario the player picks, see createScenarioScreens
+let scenarioPlayHandler = null;
+
+/**
+ * Creates the scenario screens: a Scenarios button at the bottom right that
+ * opens the picker, the picker, the objective tracker at the top center and
+ * the end-of-scenario summary. They are filled in by showScenarioPicker,
+ * updateObjectiveTracker and showScenarioSummary.
+ * @param {Object} handlers - Callbacks for the controls.
+ * @param {Function} handlers.onOpen - The player asked for the picker.
+ * @param {Function} handlers.onPlay - Called with the scenario to start.
+ * @param {Function} handlers.onLoad - Called with the scenario File the player picked.
+ * @param {Function} handlers.onRetry - Restart the scenario that just ended.
+ * @param {Function} handlers.onFreePlay - Leave the scenario and carry on in the sandbox.
+ */
+export function createScenarioScreens(handlers) {
+    const openButton = createButton('Scenarios');
+    openButton.style.position = 'absolute';
+    openButton.style.bottom = '10px';
+    openButton.style.right = '10px';
+    openButton.style.zIndex = '1000';
+    openButton.addEventListener('click', () => handlers.onOpen());
+    document.body.appendChild(openButton);
+
+    const tracker = document.createElement('div');
+    tracker.id = 'objectiveTracker';
+    tracker.style.position = 'absolute';
+    tracker.style.top = '10px';
+    tracker.style.left = '50%';
+    tracker.style.transform = 'translateX(-50%)';
+    tracker.style.display = 'none';
+    tracker.style.background = 'rgba(0, 0, 0, 0.5)';
+    tracker.style.color = 'white';
+    tracker.style.padding = '5px 10px';
+    tracker.style.borderRadius = '5px';
+    tracker.style.fontFamily = 'Arial, sans-serif';
+    tracker.style.fontSize = '14px';
+    tracker.style.zIndex = '1000';
+    tracker.style.whiteSpace = 'pre';
+    document.body.appendChild(tracker);
+
+    // Picker: the scenario list is filled in by showScenarioPicker
+    const picker = createScreen('scenarioPicker', 'Scenarios');
+    const list = document.createElement('div');
+    list.id = 'scenarioList';
+    picker.panel.insertBefore(list, picker.buttons);
+
+    const fileInput = document.createElement('input');
+    fileInput.type = 'file';
+    fileInput.accept = '.json';
+    fileInput.style.display = 'none';
+    fileInput.addEventListener('change', () => {
+        if (fileInput.files.length > 0) handlers.onLoad(fileInput.files[0]);
+        fileInput.value = '';
+    });
+    picker.buttons.appendChild(fileInput);
+    const loadButton = createButton('Load Scenario File');
+    loadButton.addEventListener('click', () => fileInput.click());
+    picker.buttons.appendChild(loadButton);
+    const freePlayButton = createButton('Free Play');
+    freePlayButton.addEventListener('click', () => handlers.onFreePlay());
+    picker.buttons.appendChild(freePlayButton);
+    scenarioPlayHandler = handlers.onPlay;
+
+    // Summary: filled in by showScenarioSummary
+    const summary = createScreen('scenarioSummary', '');
+    const details = document.createElement('div');
+    details.id = 'scenarioSummaryDetails';
+    details.style.whiteSpace = 'pre-wrap';
+    details.style.margin = '10px 0';
+    summary.panel.insertBefore(details, summary.buttons);
+    for (const [label, handler] of [['Retry', handlers.onRetry], ['Scenarios', handlers.onOpen], ['Free Play', handlers.onFreePlay]]) {
+        const button = createButton(label);
+        button.addEventListener('click', () => handler());
+        summary.buttons.appendChild(button);
+    }
+}
+
+/**
+ * Shows the scenario picker, listing the given scenarios.
+ * @param {Array<Object>} scenarios - The scenarios to offer, see parseScenario.
+ */
+export function showScenarioPicker(scenarios) {
+    const list = document.getElementById('scenarioList');
+    if (!list) return;
+    list.replaceChildren();
+    for (const scenario of scenarios) {
+        const entry = document.createElement('div');
+        entry.style.display = 'flex';
+        entry.style.alignItems = 'center';
+        entry.style.gap = '10px';
+        entry.style.margin = '10px 0';
+
+        const text = document.createElement('div');
+        text.style.flex = '1';
+        const name = document.createElement('div');
+        name.style.fontWeight = 'bold';
+        name.textContent = scenario.name;
+        const description = document.createElement('div');
+        description.style.opacity = '0.8';
+        description.textContent = scenario.description;
+        text.append(name, description);
+
+        const playButton = createButton('Play');
+        playButton.addEventListener('click', () => scenarioPlayHandler(scenario));
+        entry.append(text, playButton);
+        list.appendChild(entry);
+    }
+    document.getElementById('scenarioSummary').style.display = 'none';
+    document.getElementById('scenarioPicker').style.display = 'flex';
+}
+
+/**
+ * Shows how a scenario ended.
+ * @param {Object} summary - The finished run.
+ * @param {string} summary.name - Scenario name.
+ * @param {string} summary.outcome - 'won' or 'lost'.
+ * @param {Array<Object>} summary.objectives - Objectives with description and status, see ScenarioRun.
+ * @param {{tick: number, year: number}} summary.time - When it ended.
+ * @param {number} summary.tickRate - Ticks per second, to show the time taken.
+ * @param {number} summary.harvested - Density mined by the ship.
+ * @param {number} summary.creatures - Creatures alive at the end.
+ */
+export function showScenarioSummary(summary) {
+    const screen = document.getElementById('scenarioSummary');
+    if (!screen) return;
+    const title = screen.querySelector('h2');
+    title.textContent = summary.outcome === 'won' ? `${summary.name}: complete` : `${summary.name}: failed`;
+    title.style.color = summary.outcome === 'won' ? '#7ec850' : '#ff6b5b';
+
+    const seconds = summary.time.tick / summary.tickRate;
+    document.getElementById('scenarioSummaryDetails').textContent =
+        summary.objectives.map((entry) => `${OBJECTIVE_MARKS[entry.status]} ${entry.description}`).join('\n') +
+        `\n\nTime: ${Math.floor(seconds / 60)}:${String(Math.floor(seconds % 60)).padStart(2, '0')} (year ${summary.time.year}, tick ${summary.time.tick})` +
+        `\nDensity harvested: ${Math.floor(summary.harvested)}` +
+        `\nCreatures alive: ${summary.creatures}`;
+
+    document.getElementById('scenarioPicker').style.display = 'none';
+    screen.style.display = 'flex';
+}
+
+/**
+ * Hides the scenario picker and summary.
+ */
+export function hideScenarioScreens() {
+    for (const id of ['scenarioPicker', 'scenarioSummary']) {
+        const screen = document.getElementById(id);
+        if (screen) screen.style.display = 'none';
+    }
+}
+
+// Bindings screen labels, by ship action
+const ACTION_LABELS = {
+    thrust: 'Thrust',
+    reverse: 'Reverse',
+    turnLeft: 'Turn left',
+    turnRight: 'Turn right',
+    mine: 'Mine',
+    deposit: 'Deposit',
+    fire: 'Fire',
+    channel: 'Channel',
+    release: 'Release',
+};
+
+/**
+ * Creates the controls screen, opened with a Controls button above the
+ * Scenarios button: a table of each local player's key and gamepad button
+ * per ship action. Clicking one waits for the new key or button; Escape
+ * cancels. Changes are made in place in `bindings`.
+ * @param {Array<Object>} bindings - The bindings of each local player, see DEFAULT_BINDINGS.
+ * @param {function(Array<Object>): void} onChange - Called with the bindings after every change.
+ */
+export function createBindingsScreen(bindings, onChange) {
+    const openButton = createButton('Controls');
+    openButton.style.position = 'absolute';
+    openButton.style.bottom = '55px';
+    openButton.style.right = '10px';
+    openButton.style.zIndex = '1000';
+    document.body.appendChild(openButton);
+
+    const { screen, panel, buttons } = createScreen('bindingsScreen', 'Controls');
+    const table = document.createElement('table');
+    table.style.width = '100%';
+    table.style.margin = '10px 0';
+    panel.insertBefore(table, buttons);
+
+    // The binding being changed: the cell and how to stop waiting for input
+    let capture = null;
+    const stopCapture = () => {
+        if (!capture) return;
+        capture.stop();
+        capture = null;
+        fillTable();
+    };
+
+    /**
+     * Waits for the key or gamepad button to bind to an action.
+     * @param {HTMLElement} cell - The cell that was clicked.
+     * @param {number} player - The player, from 0.
+     * @param {string} action - The ship action.
+     * @param {string} device - 'keys' or 'gamepad'.
+     */
+    const startCapture = (cell, player, action, device) => {
+        stopCapture();
+        cell.textContent = device === 'keys' ? 'Press a key…' : 'Press a button…';
+        const bind = (value) => {
+            bindings[player][device][action] = value;
+            stopCapture();
+            onChange(bindings);
+        };
+
+        // Captured before the game's own listeners see the key
+        const onKey = (e) => {
+            e.preventDefault();
+            e.stopImmediatePropagation();
+            if (e.code === 'Escape') stopCapture();
+            else if (device === 'keys') bind(e.code);
+        };
+        window.addEventListener('keydown', onKey, true);
+
+        // Gamepads only report state, so look for a button that wasn't held when asked
+        let frame = null;
+        if (device === 'gamepad') {
+            const held = new Set(getGamepads().flatMap((gamepad) => gamepad.buttons.map((button, i) => (button.pressed ? `${gamepad.index}:${i}` : null))));
+            const poll = () => {
+                for (const gamepad of getGamepads()) {
+                    const index = gamepad.buttons.findIndex((button, i) => button.pressed && !held.has(`${gamepad.index}:${i}`));
+                    if (index >= 0) {
+                        bind(index);
+                        return;
+                    }
+                }
+                frame = requestAnimationFrame(poll);
+            };
+            frame = requestAnimationFrame(poll);
+        }
+        capture = {
+            stop: () => {
+                window.removeEventListener('keydown', onKey, true);
+                if (frame !== null) cancelAnimationFrame(frame);
+            },
+        };
+    };
+
+    const fillTable = () => {
+        table.replaceChildren();
+        const header = document.createElement('tr');
+        for (const label of ['', ...bindings.flatMap((_, player) => [`P${player + 1} key`, `P${player + 1} gamepad`])]) {
+            const cell = document.createElement('th');
+            cell.textContent = label;
+            cell.style.textAlign = 'left';
+            header.appendChild(cell);
+        }
+        table.appendChild(header);
+
+        for (const action of SHIP_CONTROLS) {
+            const row = document.createElement('tr');
+            const name = document.createElement('td');
+            name.textContent = ACTION_LABELS[action];
+            row.appendChild(name);
+            bindings.forEach((binding, player) => {
+                for (const device of ['keys', 'gamepad']) {
+                    const cell = document.createElement('td');
+                    const value = binding[device][action];
+                    cell.textContent = device === 'keys' ? describeKey(value) : describeGamepadButton(value);
+                    cell.style.cursor = 'pointer';
+                    cell.style.textDecoration = 'underline dotted';
+                    cell.addEventListener('click', () => startCapture(cell, player, action, device));
+                    row.appendChild(cell);
+                }
+            });
+            table.appendChild(row);
+        }
+    };
+
+    const resetButton = createButton('Reset to Defaults');
+    resetButton.addEventListener('click', () => {
+        stopCapture();
+        DEFAULT_BINDINGS.forEach((defaults, player) => {
+            bindings[player] = structuredClone(defaults);
+        });
+        fillTable();
+        onChange(bindings);
+    });
+    buttons.appendChild(resetButton);
+    const closeButton = createButton('Close');
+    closeButton.addEventListener('click', () => {
+        stopCapture();
+        screen.style.display = 'none';
+    });
+    buttons.appendChild(closeButton);
+
+    openButton.addEventListener('click', () => {
+        fillTable();
+        screen.style.display = 'flex';
+    });
+}
+
+/**
+ * Updates the objective tracker.
+ * @param {Object|null} tracker - The scenario being played, or null to hide the tracker.
+ * @param {string} tracker.name - Scenario name.
+ * @param {Array<Object>} tracker.objectives - Objectives with description, status and progress, see ScenarioRun.
+ * @param {Array<string>} tracker.messages - Recent event messages.
+ */
+export function updateObjectiveTracker(tracker) {
+    const element = document.getElementById('objectiveTracker');
+    if (!element) return;
+    if (!tracker) {
+        element.style.display = 'none';
+        return;
+    }
+
+    const lines = [tracker.name];
+    for (const entry of tracker.objectives) {
+        const progress = entry.progress ? ` (${entry.progress})` : '';
+        lines.push(`${OBJECTIVE_MARKS[entry.status]} ${entry.description}${progress}`);
+    }
+    for (const message of tracker.messages) lines.push(`» ${message}`);
+    element.textContent = lines.join('\n');
+    element.style.display = 'block';
+}
+
+/**
+ * Creates a hidden full-screen dimmed overlay with a centered panel.
+ * @param {string} id - Element ID of the overlay.
+ * @param {string} title - Panel heading.
+ * @returns {{screen: HTMLElement, panel: HTMLElement, buttons: HTMLElement}} - The overlay, the panel and
+ *   its button row; content goes before the button row.
+ */
+function createScreen(id, title) {
+    const screen = document.createElement('div');
+    screen.id = id;
+    screen.style.position = 'absolute';
+    screen.style.inset = '0';
+    screen.style.display = 'none';
+    screen.style.alignItems = 'center';
+    screen.style.justifyContent = 'center';
+    screen.style.background = 'rgba(0, 0, 0, 0.6)';
+    screen.style.zIndex = '1200';
+
+    const panel = document.createElement('div');
+    panel.style.background = 'rgba(0, 0, 0, 0.85)';
+    panel.style.color = 'white';
+    panel.style.border = '1px solid rgba(255, 255, 255, 0.5)';
+    panel.style.padding = '10px 20px';
+    panel.style.borderRadius = '5px';
+    panel.style.fontFamily = 'Arial, sans-serif';
+    panel.style.fontSize = '14px';
+    panel.style.width = 'min(560px, 90vw)';
+    panel.style.maxHeight = '80vh';
+    panel.style.overflowY = 'auto';
+
+    const heading = document.createElement('h2');
+    heading.style.margin = '5px 0';
+    heading.textContent = title;
+    panel.appendChild(heading);
+
+    const buttons = document.createElement('div');
+    buttons.style.display = 'flex';
+    buttons.style.gap = '5px';
+    buttons.style.justifyContent = 'flex-end';
+    panel.appendChild(buttons);
+
+    screen.appendChild(panel);
+    document.body.appendChild(screen);
+    return { screen, panel, buttons };
+}
+
+/**
+ * Offers bytes to the player as a file download.
+ * @param {Uint8Array} bytes - The file contents.
+ * @param {string} fileName - Suggested file name.
+ */
+export function downloadFile(bytes, fileName) {
+    const url = URL.createObjectURL(new Blob([bytes], { type: 'application/octet-stream' }));
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = fileName;
+    document.body.appendChild(link);
+    link.click();
+    link.remove();
+    setTimeout(() => URL.revokeObjectURL(url), 0);
+}
+
+/**
+ * Creates a button styled like the rest of the HUD.
+ * @param {string} label - Button text.
+ * @returns {HTMLButtonElement} - The button.
+ */
+function createButton(label) {
+    const button = document.createElement('button');
+    button.textContent = label;
+    button.style.background = 'rgba(0, 0, 0, 0.5)';
+    button.style.color = 'white';
+    button.style.border = '1px solid rgba(255, 255, 255, 0.5)';
+    button.style.padding = '5px 10px';
+    button.style.borderRadius = '5px';
+    button.style.fontFamily = 'Arial, sans-serif';
+    button.style.fontSize = '14px';
+    button.style.cursor = 'pointer';
+    return button;
+}
@@ -0,0 +1,112 @@
+// src/utils/readback.js
+
+// Ticks between queuing a readback the simulation depends on and using it
+export const TICK_READBACK_LATENCY = 2;
+
+/**
+ * Non-blocking GPU readback through a pixel pack buffer.
+ *
+ * `start()` queues readPixels calls into the buffer and sets a fence; `poll()`
+ * returns the data once the fence has signalled, so the CPU never waits on
+ * the GPU. One readback is in flight at a time.
+ *
+ * Results that feed back into the simulation should use `pollAfter()`
+ * instead, which lands them a fixed number of calls (ticks) after they were
+ * queued, so runs replay identically however fast the GPU is.
+ */
+export class AsyncReadback {
+    /**
+     * Creates the pixel pack buffer.
+     * @param {WebGL2RenderingContext} gl - The WebGL context.
+     * @param {number} floatCount - Number of float32 values each readback holds.
+     */
+    constructor(gl, floatCount) {
+        this.gl = gl;
+        this.floatCount = floatCount;
+        this.buffer = gl.createBuffer();
+        gl.bindBuffer(gl.PIXEL_PACK_BUFFER, this.buffer);
+        gl.bufferData(gl.PIXEL_PACK_BUFFER, floatCount * 4, gl.STREAM_READ);
+        gl.bindBuffer(gl.PIXEL_PACK_BUFFER, null);
+        this.pending = null;
+    }
+
+    /**
+     * Whether a readback is still in flight.
+     * @returns {boolean}
+     */
+    get busy() {
+        return this.pending !== null;
+    }
+
+    /**
+     * Queues a readback. `queueReads` is called with the pixel pack buffer
+     * bound and should issue readPixels with byte offsets into it, as float
+     * RGBA.
+     * @param {Function} queueReads - Issues the reads: (gl) => void.
+     * @param {*} [context] - Returned with the data, e.g. the tick the data belongs to.
+     * @returns {boolean} - False if a readback was already in flight.
+     */
+    start(queueReads, context = null) {
+        if (this.pending) return false;
+        const gl = this.gl;
+
+        gl.bindBuffer(gl.PIXEL_PACK_BUFFER, this.buffer);
+        queueReads(gl);
+        gl.bindBuffer(gl.PIXEL_PACK_BUFFER, null);
+
+        this.pending = { sync: gl.fenceSync(gl.SYNC_GPU_COMMANDS_COMPLETE, 0), context, age: 0 };
+        gl.flush();
+        return true;
+    }
+
+    /**
+     * Collects the readback if the GPU has finished it.
+     * @param {boolean} [wait=false] - Collect it even if the fence has not signalled; the read then stalls until the GPU catches up.
+     * @returns {{data: Float32Array, context: *}|null} - The data, or null if none is ready.
+     */
+    poll(wait = false) {
+        if (!this.pending) return null;
+        const gl = this.gl;
+
+        if (!wait && gl.getSyncParameter(this.pending.sync, gl.SYNC_STATUS) !== gl.SIGNALED) return null;
+        gl.deleteSync(this.pending.sync);
+
+        const data = new Float32Array(this.floatCount);
+        gl.bindBuffer(gl.PIXEL_PACK_BUFFER, this.buffer);
+        gl.getBufferSubData(gl.PIXEL_PACK_BUFFER, 0, data);
+        gl.bindBuffer(gl.PIXEL_PACK_BUFFER, null);
+
+        const { context } = this.pending;
+        this.pending = null;
+        return { data, context };
+    }
+
+    /**
+     * Collects the readback on the `latency`-th call after it was queued,
+     * waiting for the GPU if it is not done by then. Call once per tick.
+     * @param {number} latency - Calls to wait, at least 1.
+     * @returns {{data: Float32Array, context: *}|null} - The data, or null before then.
+     */
+    pollAfter(latency) {
+        if (!this.pending) return null;
+        this.pending.age++;
+        return this.pending.age >= latency ? this.poll(true) : null;
+    }
+
+    /**
+     * Forgets the readback in flight, e.g. when its context no longer applies.
+     */
+    cancel() {
+        if (this.pending) this.gl.deleteSync(this.pending.sync);
+        this.pending = null;
+    }
+
+    /**
+     * Releases the buffer and any pending fence.
+     */
+    dispose() {
+        if (this.pending) this.gl.deleteSync(this.pending.sync);
+        this.gl.deleteBuffer(this.buffer);
+        this.pending = null;
+    }
+}
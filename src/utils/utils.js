@@ -33,3 +33,48 @@ export function createTexture(gl, width, height, data) {
     gl.bindTexture(gl.TEXTURE_2D, null);
     return texture;
 }
+
+// CRC-32 (IEEE 802.3) lookup table, built on first use
+let crcTable = null;
+
+/**
+ * Computes the CRC-32 checksum of a byte array.
+ * @param {Uint8Array} bytes - The data to checksum.
+ * @returns {number} - The unsigned 32-bit checksum.
+ */
+export function crc32(bytes) {
+    if (!crcTable) {
+        crcTable = new Uint32Array(256);
+        for (let n = 0; n < 256; n++) {
+            let c = n;
+            for (let k = 0; k < 8; k++) {
+                c = c & 1 ? 0xEDB88320 ^ (c >>> 1) : c >>> 1;
+            }
+            crcTable[n] = c >>> 0;
+        }
+    }
+
+    let crc = 0xFFFFFFFF;
+    for (let i = 0; i < bytes.length; i++) {
+        crc = crcTable[(crc ^ bytes[i]) & 0xFF] ^ (crc >>> 8);
+    }
+    return (crc ^ 0xFFFFFFFF) >>> 0;
+}
+
+/**
+ * Mulberry32 PRNG. The generator's `state` property holds where it is in
+ * its sequence: mulberry32(generator.state) carries on from there, e.g.
+ * after a saved world is loaded.
+ * @param {number} a - Seed value.
+ * @returns {Function} - A function that returns a pseudo-random number between 0 and 1.
+ */
+export function mulberry32(a) {
+    const random = function() {
+        var t = random.state += 0x6D2B79F5;
+        t = Math.imul(t ^ (t >>> 15), t | 1);
+        t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    };
+    random.state = a;
+    return random;
+}
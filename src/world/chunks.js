@@ -0,0 +1,397 @@
+// src/world/chunks.js
+
+import { WorldGenerator, DEFAULT_GENERATOR_CONFIG } from './generator.js';
+import { clamp } from '../utils/utils.js';
+import { encodePlanes, decodePlanes } from '../save/planes.js';
+
+// Chunk edge length in cells
+export const CHUNK_SIZE = 128;
+// The simulation grid is a window of this many chunks in each direction
+export const WINDOW_CHUNKS = 8;
+// The world is unbounded horizontally and this many chunks tall
+export const WORLD_HEIGHT_CHUNKS = 16;
+
+// Top-left chunk of the window in a new world, at the top so the surface is in view
+export const START_ORIGIN = { x: 0, y: 0 };
+
+// Chunks within this distance of the ship's chunk run every tick
+const ACTIVE_RADIUS = 1;
+// The rest of the window runs on every SLOW_INTERVAL-th tick. Coprime with
+// the four movement patterns, so slow cells still cycle through all of them.
+const SLOW_INTERVAL = 5;
+// The window recenters once the ship is this close to its edge, in chunks
+const RECENTER_MARGIN = 2;
+// Stored chunks within this many chunks of the window are kept decoded,
+// ready to enter it; farther ones are compressed. A recentering shift moves
+// the window at most WINDOW_CHUNKS / 2 - 1 chunks, so it only ever needs
+// decoded ones.
+const DECODED_DISTANCE = WINDOW_CHUNKS / 2;
+
+/**
+ * Streams an endless world through the fixed-size simulation grid.
+ *
+ * The world is split into CHUNK_SIZE square chunks addressed by (cx, cy),
+ * with cy growing downwards like world y. The grid holds a window of
+ * WINDOW_CHUNKS × WINDOW_CHUNKS of them whose top-left chunk is
+ * (originX, originY); grid position (x, y) is world cell
+ * (originX * CHUNK_SIZE + x, originY * CHUNK_SIZE + y).
+ *
+ * When the ship nears the edge of the window, `update()` moves the window:
+ * chunks that leave it are read back and kept in `store`, the rest of the
+ * grid is shifted on the GPU, and the chunks that enter are restored from
+ * the store or generated. The generator works in world coordinates, so an
+ * unvisited chunk always generates the same way, whichever order it is
+ * reached in, and fits its neighbours.
+ *
+ * Within the window chunks are just parts of one texture, so cells cross
+ * chunk borders like any other neighbours. Only the chunks around the ship
+ * run every tick; `getRegion()` describes that for performSimulationStep.
+ * With several ships the window follows the middle of them.
+ *
+ * Stored chunks are kept for the session so edits survive leaving and
+ * coming back. Raw they take 512 KiB each, so those that drift more than
+ * DECODED_DISTANCE chunks from the window are compressed in the background
+ * with the plane encoding of world files, and decoded again as the window
+ * nears them. Decoding is asynchronous while shifting is not, so the engine
+ * holds ticks back until `isReady()`; that only delays them, and the
+ * simulation stays deterministic.
+ */
+export class ChunkManager {
+    /**
+     * Creates a manager for a simulation grid of WINDOW_CHUNKS × WINDOW_CHUNKS chunks.
+     * @param {WebGL2RenderingContext} gl - The WebGL context.
+     * @param {SimulationState} simulationState - The double-buffered simulation state.
+     * @param {number} seed - World seed.
+     * @param {Object} [generatorConfig] - World generator settings, see DEFAULT_GENERATOR_CONFIG.
+     */
+    constructor(gl, simulationState, seed, generatorConfig = DEFAULT_GENERATOR_CONFIG) {
+        const size = WINDOW_CHUNKS * CHUNK_SIZE;
+        if (simulationState.width !== size || simulationState.height !== size) {
+            throw new Error(`A chunked world needs a ${size}×${size} simulation grid.`);
+        }
+
+        this.gl = gl;
+        this.simulationState = simulationState;
+        this.generator = new WorldGenerator(seed, generatorConfig);
+
+        // Top-left chunk of the window
+        this.originX = START_ORIGIN.x;
+        this.originY = START_ORIGIN.y;
+
+        // Chunks outside the window that have been loaded before, keyed by
+        // chunkKey: raw texels ({state, material}) or compressed ({planes})
+        this.store = new Map();
+        // Stored chunks being decoded or compressed, by key
+        this.decoding = new Map();
+        this.encoding = new Map();
+    }
+
+    /**
+     * Fills the window with freshly generated chunks and forgets stored ones.
+     */
+    generate() {
+        this.store.clear();
+        this.decoding.clear();
+        this.encoding.clear();
+        this.simulationState.fluid.clear();
+        for (let cy = this.originY; cy < this.originY + WINDOW_CHUNKS; cy++) {
+            for (let cx = this.originX; cx < this.originX + WINDOW_CHUNKS; cx++) {
+                this.uploadChunk(cx, cy, this.generateChunk(cx, cy));
+            }
+        }
+    }
+
+    /**
+     * Replaces the window position, seed and stored chunks, e.g. when loading
+     * a saved world. The grid contents are left to the caller.
+     * @param {number} seed - World seed.
+     * @param {number} originX - Left chunk column of the window.
+     * @param {number} originY - Top chunk row of the window.
+     * @param {Map<string, Object>} store - Chunks outside the window, raw or compressed; see `store`.
+     */
+    restore(seed, originX, originY, store) {
+        this.generator = new WorldGenerator(seed, this.generator.config);
+        this.originX = originX;
+        this.originY = clamp(originY, 0, WORLD_HEIGHT_CHUNKS - WINDOW_CHUNKS);
+        this.store = store;
+        this.decoding.clear();
+        this.encoding.clear();
+        this.settleStore();
+    }
+
+    /**
+     * Whether every stored chunk the window could move onto next is decoded.
+     * Hold ticks back until it is, since any tick may shift the window.
+     * @returns {boolean}
+     */
+    isReady() {
+        return this.decoding.size === 0;
+    }
+
+    /**
+     * World cell of the grid's top-left cell.
+     * @returns {{x: number, y: number}}
+     */
+    get worldOffset() {
+        return { x: this.originX * CHUNK_SIZE, y: this.originY * CHUNK_SIZE };
+    }
+
+    /**
+     * The generated ground surface in a grid column.
+     * @param {number} x - Grid column.
+     * @returns {number} - Grid row of the column's top ground cell; may lie outside the window.
+     */
+    surfaceRow(x) {
+        const { x: offsetX, y: offsetY } = this.worldOffset;
+        return this.generator.surfaceAt(offsetX + x, WORLD_HEIGHT_CHUNKS * CHUNK_SIZE) - offsetY;
+    }
+
+    /**
+     * Generates a chunk from the world seed.
+     * @param {number} cx - Chunk column.
+     * @param {number} cy - Chunk row.
+     * @returns {{state: Float32Array, material: Float32Array}} - The chunk's texels, bottom row first.
+     */
+    generateChunk(cx, cy) {
+        return this.generator.generateRegion(cx * CHUNK_SIZE, cy * CHUNK_SIZE, CHUNK_SIZE, CHUNK_SIZE, WORLD_HEIGHT_CHUNKS * CHUNK_SIZE);
+    }
+
+    /**
+     * Moves the window if the focus is near its edge.
+     * Grid positions held elsewhere (ship, camera, projectiles) must be moved
+     * by the returned offset to stay on the same world cells.
+     * @param {{x: number, y: number}} focus - Grid position to keep away from the edges, usually the ship or the middle of the ships.
+     * @returns {{dx: number, dy: number}|null} - Cells to add to every grid position, or null if the window stayed.
+     */
+    update(focus) {
+        const shiftX = recenterShift(Math.floor(focus.x / CHUNK_SIZE));
+        const targetY = clamp(this.originY + recenterShift(Math.floor(focus.y / CHUNK_SIZE)), 0, WORLD_HEIGHT_CHUNKS - WINDOW_CHUNKS);
+        const shiftY = targetY - this.originY;
+        if (shiftX === 0 && shiftY === 0) return null;
+
+        this.shift(shiftX, shiftY);
+        return { dx: -shiftX * CHUNK_SIZE, dy: -shiftY * CHUNK_SIZE };
+    }
+
+    /**
+     * Moves the window by whole chunks.
+     * @param {number} shiftX - Chunks to move right.
+     * @param {number} shiftY - Chunks to move down.
+     */
+    shift(shiftX, shiftY) {
+        const { gl, simulationState } = this;
+        const size = WINDOW_CHUNKS * CHUNK_SIZE;
+        const oldX = this.originX;
+        const oldY = this.originY;
+        const newX = oldX + shiftX;
+        const newY = oldY + shiftY;
+        const inWindow = (cx, cy, x, y) => cx >= x && cy >= y && cx < x + WINDOW_CHUNKS && cy < y + WINDOW_CHUNKS;
+
+        // Save the chunks that leave the window
+        for (let cy = oldY; cy < oldY + WINDOW_CHUNKS; cy++) {
+            for (let cx = oldX; cx < oldX + WINDOW_CHUNKS; cx++) {
+                if (!inWindow(cx, cy, newX, newY)) {
+                    this.store.set(chunkKey(cx, cy), this.readChunk(cx, cy));
+                }
+            }
+        }
+
+        // Copy the chunks that stay into the other buffer at their new place.
+        // Texel rows run bottom-up, so moving down shifts texels up.
+        const offsetX = -shiftX * CHUNK_SIZE;
+        const offsetY = shiftY * CHUNK_SIZE;
+        const srcX0 = Math.max(0, -offsetX);
+        const srcX1 = Math.min(size, size - offsetX);
+        const srcY0 = Math.max(0, -offsetY);
+        const srcY1 = Math.min(size, size - offsetY);
+        if (srcX0 < srcX1 && srcY0 < srcY1) {
+            gl.bindFramebuffer(gl.READ_FRAMEBUFFER, simulationState.readFramebuffer);
+            gl.bindFramebuffer(gl.DRAW_FRAMEBUFFER, simulationState.writeFramebuffer);
+            // A blit writes every draw buffer, so copy one attachment at a time
+            const attachments = [gl.COLOR_ATTACHMENT0, gl.COLOR_ATTACHMENT1];
+            attachments.forEach((attachment, i) => {
+                gl.readBuffer(attachment);
+                gl.drawBuffers(attachments.map((other, j) => (j === i ? other : gl.NONE)));
+                gl.blitFramebuffer(
+                    srcX0, srcY0, srcX1, srcY1,
+                    srcX0 + offsetX, srcY0 + offsetY, srcX1 + offsetX, srcY1 + offsetY,
+                    gl.COLOR_BUFFER_BIT, gl.NEAREST
+                );
+            });
+            gl.drawBuffers(attachments);
+            gl.readBuffer(gl.COLOR_ATTACHMENT0);
+            gl.bindFramebuffer(gl.READ_FRAMEBUFFER, null);
+            gl.bindFramebuffer(gl.DRAW_FRAMEBUFFER, null);
+        }
+        simulationState.swap();
+        simulationState.fluid.translate(offsetX, offsetY);
+
+        this.originX = newX;
+        this.originY = newY;
+
+        // Fill in the chunks that enter the window
+        for (let cy = newY; cy < newY + WINDOW_CHUNKS; cy++) {
+            for (let cx = newX; cx < newX + WINDOW_CHUNKS; cx++) {
+                if (inWindow(cx, cy, oldX, oldY)) continue;
+                const key = chunkKey(cx, cy);
+                const data = this.store.get(key) || this.generateChunk(cx, cy);
+                if (data.planes) throw new Error(`Chunk ${key} entered the window before it was decoded.`);
+                this.store.delete(key);
+                this.uploadChunk(cx, cy, data);
+            }
+        }
+        this.settleStore();
+    }
+
+    /**
+     * Compresses the stored chunks that are far from the window and decodes
+     * those near it, in the background. A result is dropped if the chunk
+     * changed meanwhile, e.g. it entered the window or a world was loaded.
+     */
+    settleStore() {
+        for (const [key, chunk] of this.store) {
+            const [cx, cy] = key.split(',').map(Number);
+            const near = this.distanceToWindow(cx, cy) <= DECODED_DISTANCE;
+            if (near && chunk.planes && !this.decoding.has(key)) {
+                this.decoding.set(key, chunk);
+                decodePlanes(chunk.planes, CHUNK_SIZE * CHUNK_SIZE)
+                    .then((data) => {
+                        if (this.store.get(key) === chunk) this.store.set(key, data);
+                    })
+                    .catch((error) => {
+                        // Generating it again beats never letting the window move
+                        console.error(`Failed to decode chunk ${key}, regenerating it:`, error);
+                        if (this.store.get(key) === chunk) this.store.delete(key);
+                    })
+                    .finally(() => {
+                        if (this.decoding.get(key) === chunk) this.decoding.delete(key);
+                    });
+            } else if (!near && !chunk.planes && !this.encoding.has(key)) {
+                this.encoding.set(key, chunk);
+                encodePlanes(chunk)
+                    .then((planes) => {
+                        // Left raw if the window came back meanwhile
+                        if (this.store.get(key) === chunk && this.distanceToWindow(cx, cy) > DECODED_DISTANCE) {
+                            this.store.set(key, { planes });
+                        }
+                    })
+                    .catch((error) => console.error(`Failed to compress chunk ${key}:`, error))
+                    .finally(() => {
+                        if (this.encoding.get(key) === chunk) this.encoding.delete(key);
+                    });
+            }
+        }
+    }
+
+    /**
+     * How many chunks a chunk lies outside the window, along the farther axis.
+     * @param {number} cx - Chunk column.
+     * @param {number} cy - Chunk row.
+     * @returns {number} - 0 inside the window.
+     */
+    distanceToWindow(cx, cy) {
+        const dx = Math.max(this.originX - cx, cx - (this.originX + WINDOW_CHUNKS - 1), 0);
+        const dy = Math.max(this.originY - cy, cy - (this.originY + WINDOW_CHUNKS - 1), 0);
+        return Math.max(dx, dy);
+    }
+
+    /**
+     * Describes which cells run every tick: the chunks around each focus,
+     * and those between them.
+     * @param {Array<{x: number, y: number}>} foci - Grid positions at the centers of full-rate areas, e.g. the ships.
+     * @returns {Object} - The region for performSimulationStep, see createFullRegion.
+     */
+    getRegion(foci) {
+        const size = WINDOW_CHUNKS * CHUNK_SIZE;
+        const chunksX = foci.map((focus) => clamp(Math.floor(focus.x / CHUNK_SIZE), 0, WINDOW_CHUNKS - 1));
+        const chunksY = foci.map((focus) => clamp(Math.floor(focus.y / CHUNK_SIZE), 0, WINDOW_CHUNKS - 1));
+        const left = Math.max(0, (Math.min(...chunksX) - ACTIVE_RADIUS) * CHUNK_SIZE);
+        const right = Math.min(size, (Math.max(...chunksX) + ACTIVE_RADIUS + 1) * CHUNK_SIZE);
+        const top = Math.max(0, (Math.min(...chunksY) - ACTIVE_RADIUS) * CHUNK_SIZE);
+        const bottom = Math.min(size, (Math.max(...chunksY) + ACTIVE_RADIUS + 1) * CHUNK_SIZE);
+
+        return {
+            worldOffset: this.worldOffset,
+            worldHeight: WORLD_HEIGHT_CHUNKS * CHUNK_SIZE,
+            // Grid rows to texel rows, which run bottom-up
+            activeMin: { x: left, y: size - bottom },
+            activeMax: { x: right, y: size - top },
+            slowInterval: SLOW_INTERVAL,
+        };
+    }
+
+    /**
+     * Reads a chunk of the window back from the GPU.
+     * @param {number} cx - Chunk column.
+     * @param {number} cy - Chunk row.
+     * @returns {{state: Float32Array, material: Float32Array}} - The chunk's texels, bottom row first.
+     */
+    readChunk(cx, cy) {
+        const { gl, simulationState } = this;
+        const { x, y } = this.chunkTexel(cx, cy);
+        const state = new Float32Array(CHUNK_SIZE * CHUNK_SIZE * 4);
+        const material = new Float32Array(CHUNK_SIZE * CHUNK_SIZE * 4);
+
+        gl.bindFramebuffer(gl.FRAMEBUFFER, simulationState.readFramebuffer);
+        gl.readBuffer(gl.COLOR_ATTACHMENT0);
+        gl.readPixels(x, y, CHUNK_SIZE, CHUNK_SIZE, gl.RGBA, gl.FLOAT, state);
+        gl.readBuffer(gl.COLOR_ATTACHMENT1);
+        gl.readPixels(x, y, CHUNK_SIZE, CHUNK_SIZE, gl.RGBA, gl.FLOAT, material);
+        gl.readBuffer(gl.COLOR_ATTACHMENT0);
+        gl.bindFramebuffer(gl.FRAMEBUFFER, null);
+
+        return { state, material };
+    }
+
+    /**
+     * Writes a chunk into the live buffer at its place in the window.
+     * @param {number} cx - Chunk column.
+     * @param {number} cy - Chunk row.
+     * @param {{state: Float32Array, material: Float32Array}} data - The chunk's texels, bottom row first.
+     */
+    uploadChunk(cx, cy, data) {
+        const { gl, simulationState } = this;
+        const { x, y } = this.chunkTexel(cx, cy);
+
+        gl.bindTexture(gl.TEXTURE_2D, simulationState.current);
+        gl.texSubImage2D(gl.TEXTURE_2D, 0, x, y, CHUNK_SIZE, CHUNK_SIZE, gl.RGBA, gl.FLOAT, data.state);
+        gl.bindTexture(gl.TEXTURE_2D, simulationState.currentMaterial);
+        gl.texSubImage2D(gl.TEXTURE_2D, 0, x, y, CHUNK_SIZE, CHUNK_SIZE, gl.RGBA, gl.FLOAT, data.material);
+        gl.bindTexture(gl.TEXTURE_2D, null);
+    }
+
+    /**
+     * The bottom-left texel of a chunk in the window.
+     * @param {number} cx - Chunk column.
+     * @param {number} cy - Chunk row.
+     * @returns {{x: number, y: number}} - Texel coordinates.
+     */
+    chunkTexel(cx, cy) {
+        return {
+            x: (cx - this.originX) * CHUNK_SIZE,
+            y: (WINDOW_CHUNKS - 1 - (cy - this.originY)) * CHUNK_SIZE,
+        };
+    }
+}
+
+/**
+ * Key of a chunk in the store.
+ * @param {number} cx - Chunk column.
+ * @param {number} cy - Chunk row.
+ * @returns {string}
+ */
+export function chunkKey(cx, cy) {
+    return `${cx},${cy}`;
+}
+
+/**
+ * How many chunks to move the window along one axis so a chunk near its
+ * edge ends up next to the middle again.
+ * @param {number} chunk - The focus chunk's index within the window.
+ * @returns {number} - Chunks to move, 0 if the focus is far enough from both edges.
+ */
+function recenterShift(chunk) {
+    if (chunk < RECENTER_MARGIN) return chunk - (WINDOW_CHUNKS / 2 - 1);
+    if (chunk >= WINDOW_CHUNKS - RECENTER_MARGIN) return chunk - WINDOW_CHUNKS / 2;
+    return 0;
+}
@@ -0,0 +1,359 @@
+// src/world/generator.js
+
+import { clamp, mulberry32 } from '../utils/utils.js';
+import { MATERIALS, MATERIAL_CHANNELS, getMaterialId } from '../materials/materials.js';
+
+/**
+ * Biomes the classifier assigns to cells. Each sets coherent starting
+ * attributes and materials for its cells.
+ */
+export const BIOMES = {
+    SKY: 0,     // Open air above the ground
+    FOREST: 1,  // Plant cover and canopy on the surface, rich in organic matter
+    SOIL: 2,    // Loose sand just below the surface
+    ROCK: 3,    // Solid stone, warming with depth
+    CAVERN: 4,  // Open pockets underground, some of them flooded
+    MAGMA: 5,   // Lava pockets deep down, heating the rock around them
+    CRYSTAL: 6, // Thin veins of crystal, charged with magic
+};
+
+/**
+ * Default world generator settings. Lengths are in cells, noise thresholds
+ * are 0-1 and depths are measured from the local surface downwards.
+ */
+export const DEFAULT_GENERATOR_CONFIG = {
+    // Fractal noise: octaves summed, frequency and amplitude ratio between them
+    octaves: 5,
+    lacunarity: 2,
+    gain: 0.5,
+    // Domain warp: how far and at what scale underground features are pushed
+    // around, with fewer octaves since fine detail in the warp is invisible
+    warpStrength: 48,
+    warpScale: 160,
+    warpOctaves: 3,
+    // Surface: mean height as a fraction of the world, and the hills around it
+    surfaceLevel: 0.3,
+    hillHeight: 64,
+    hillScale: 384,
+    soilDepth: 8,
+    // Forests: which stretches of surface are wooded, and the canopy above them
+    forestScale: 512,
+    forestThreshold: 0.5,
+    canopyHeight: 20,
+    canopyScale: 12,
+    canopyThreshold: 0.5,
+    // Caverns: open where the warped noise exceeds the threshold, flooded below the water table
+    cavernScale: 96,
+    cavernThreshold: 0.6,
+    cavernMinDepth: 24,
+    waterTableDepth: 320,
+    floodThreshold: 0.55,
+    // Magma pockets, only this deep or deeper
+    magmaScale: 128,
+    magmaThreshold: 0.7,
+    magmaMinDepth: 400,
+    // Crystal veins along the ridges of their noise, narrower with a higher threshold
+    crystalScale: 160,
+    crystalThreshold: 0.97,
+    crystalMinDepth: 64,
+    // Temperature at the surface and its rise per cell of depth
+    surfaceTemperature: 0.45,
+    geothermalGradient: 0.0004,
+};
+
+// Salts that give every noise field its own stream from the world seed
+const FIELDS = {
+    SURFACE: 0x68e31da4,
+    FOREST: 0xb5297a4d,
+    CANOPY: 0x1b56c4e9,
+    WARP_X: 0x7f4a7c15,
+    WARP_Y: 0x94d049bb,
+    CAVERN: 0xbf58476d,
+    FLOOD: 0xd6e8feb8,
+    MAGMA: 0x2545f491,
+    CRYSTAL: 0x9e3779b9,
+    JITTER: 0x5bd1e995,
+};
+
+/**
+ * Procedural world generator.
+ *
+ * Every noise field is a function of world cell coordinates and the seed
+ * alone, so any region of the world can be generated on its own and the
+ * results fit together seamlessly, which is what lets chunks be generated
+ * in any order. The same seed and config always give the same world.
+ */
+export class WorldGenerator {
+    /**
+     * Creates a generator for one world.
+     * @param {number} seed - World seed.
+     * @param {Object} [config] - Generator settings, see DEFAULT_GENERATOR_CONFIG.
+     */
+    constructor(seed, config = DEFAULT_GENERATOR_CONFIG) {
+        this.seed = seed;
+        this.config = { ...DEFAULT_GENERATOR_CONFIG, ...config };
+
+        const rand = mulberry32(seed);
+        this.salts = {};
+        for (const [name, salt] of Object.entries(FIELDS)) {
+            this.salts[name] = (Math.floor(rand() * 4294967296) ^ salt) >>> 0;
+        }
+    }
+
+    /**
+     * Height of the ground surface in a column.
+     * @param {number} x - World column.
+     * @param {number} worldHeight - World height in cells.
+     * @returns {number} - World y of the top ground cell.
+     */
+    surfaceAt(x, worldHeight) {
+        const { surfaceLevel, hillHeight, hillScale } = this.config;
+        const hills = this.fbm(this.salts.SURFACE, x / hillScale, 0.5) * 2 - 1;
+        return Math.round(surfaceLevel * worldHeight + hills * hillHeight);
+    }
+
+    /**
+     * Samples the noise fields at a cell and picks its biome.
+     * @param {number} x - World column.
+     * @param {number} y - World row, growing downwards.
+     * @param {number} surface - The column's surface, from surfaceAt.
+     * @param {number} forest - The column's forest noise, from forestAt.
+     * @returns {Object} - The biome and the field values that shaped it.
+     */
+    sample(x, y, surface, forest) {
+        const config = this.config;
+        const depth = y - surface;
+        const fields = { depth, forest, canopy: 0, cavern: 0, flood: 0, magma: 0, crystal: 0 };
+
+        if (depth < 0) {
+            if (forest >= config.forestThreshold && depth >= -config.canopyHeight) {
+                fields.canopy = this.fbm(this.salts.CANOPY, x / config.canopyScale, y / config.canopyScale)
+                    * (1 + depth / config.canopyHeight);
+            }
+        } else {
+            // Underground features are sampled through a warped domain, so
+            // they twist instead of following the noise lattice
+            const wx = x / config.warpScale;
+            const wy = y / config.warpScale;
+            const warpX = x + (this.fbm(this.salts.WARP_X, wx, wy, config.warpOctaves) * 2 - 1) * config.warpStrength;
+            const warpY = y + (this.fbm(this.salts.WARP_Y, wx, wy, config.warpOctaves) * 2 - 1) * config.warpStrength;
+
+            fields.cavern = this.fbm(this.salts.CAVERN, warpX / config.cavernScale, warpY / config.cavernScale);
+            if (depth >= config.waterTableDepth) {
+                fields.flood = this.fbm(this.salts.FLOOD, warpX / (config.cavernScale * 4), warpY / (config.cavernScale * 4), 2);
+            }
+            if (depth >= config.magmaMinDepth) {
+                fields.magma = this.fbm(this.salts.MAGMA, warpX / config.magmaScale, warpY / config.magmaScale);
+            }
+            if (depth >= config.crystalMinDepth) {
+                // Ridged noise peaks along thin lines where the field crosses 0.5
+                const vein = this.fbm(this.salts.CRYSTAL, warpX / config.crystalScale, warpY / config.crystalScale);
+                fields.crystal = 1 - Math.abs(vein * 2 - 1);
+            }
+        }
+
+        fields.biome = classifyBiome(fields, config);
+        return fields;
+    }
+
+    /**
+     * Forest noise of a column, deciding which stretches of surface are wooded.
+     * @param {number} x - World column.
+     * @returns {number} - Noise value, 0-1.
+     */
+    forestAt(x) {
+        return this.fbm(this.salts.FOREST, x / this.config.forestScale, 0.5);
+    }
+
+    /**
+     * Generates the starting attributes and materials of a rectangle of the world.
+     * @param {number} left - World column of the rectangle's left edge.
+     * @param {number} top - World row of the rectangle's top edge.
+     * @param {number} width - Rectangle width in cells.
+     * @param {number} height - Rectangle height in cells.
+     * @param {number} worldHeight - World height in cells.
+     * @returns {{state: Float32Array, material: Float32Array}} - RGBA texture data, bottom row first.
+     */
+    generateRegion(left, top, width, height, worldHeight) {
+        const config = this.config;
+        const state = new Float32Array(width * height * 4);
+        const material = new Float32Array(width * height * 4);
+
+        for (let column = 0; column < width; column++) {
+            const x = left + column;
+            const surface = this.surfaceAt(x, worldHeight);
+            const forest = this.forestAt(x);
+
+            for (let row = 0; row < height; row++) {
+                const y = top + height - 1 - row;
+                const fields = this.sample(x, y, surface, forest);
+                const jitter = hashCell(this.salts.JITTER, x, y);
+                const cell = biomeCell(fields, jitter, config);
+
+                const i = (row * width + column) * 4;
+                state[i + 0] = clamp(cell.density, 0.0, 1.0);
+                state[i + 1] = clamp(cell.temperature, 0.0, 1.0);
+                state[i + 2] = clamp(cell.magic, 0.0, 1.0);
+                state[i + 3] = clamp(cell.organic, 0.0, 1.0);
+                material[i + MATERIAL_CHANNELS.ID] = cell.material;
+                material[i + MATERIAL_CHANNELS.LIFE] = MATERIALS[cell.material].lifetime;
+            }
+        }
+
+        return { state, material };
+    }
+
+    /**
+     * Fractal Brownian motion: octaves of value noise at rising frequency
+     * and falling amplitude, normalised to 0-1.
+     * @param {number} salt - The field's salt.
+     * @param {number} x - Sample x in noise units.
+     * @param {number} y - Sample y in noise units.
+     * @param {number} [octaves] - Octaves to sum, defaults to the config's.
+     * @returns {number} - Noise value, 0-1.
+     */
+    fbm(salt, x, y, octaves = this.config.octaves) {
+        const { lacunarity, gain } = this.config;
+        let sum = 0;
+        let total = 0;
+        let amplitude = 1;
+        let frequency = 1;
+        for (let octave = 0; octave < octaves; octave++) {
+            // Each octave gets its own lattice so they don't line up at the origin
+            sum += amplitude * valueNoise((salt + Math.imul(octave, 0x632be5ab)) >>> 0, x * frequency, y * frequency);
+            total += amplitude;
+            amplitude *= gain;
+            frequency *= lacunarity;
+        }
+        return sum / total;
+    }
+}
+
+/**
+ * Picks the biome of a cell from its noise fields.
+ * @param {Object} fields - Depth below the surface and noise values, see WorldGenerator.sample.
+ * @param {Object} config - Generator settings.
+ * @returns {number} - One of BIOMES.
+ */
+export function classifyBiome(fields, config) {
+    const { depth } = fields;
+    if (depth < 0) {
+        return fields.canopy >= config.canopyThreshold ? BIOMES.FOREST : BIOMES.SKY;
+    }
+    if (fields.magma >= config.magmaThreshold) return BIOMES.MAGMA;
+    if (depth >= config.cavernMinDepth && fields.cavern >= config.cavernThreshold) return BIOMES.CAVERN;
+    if (fields.crystal >= config.crystalThreshold) return BIOMES.CRYSTAL;
+    if (depth < config.soilDepth) {
+        return fields.forest >= config.forestThreshold ? BIOMES.FOREST : BIOMES.SOIL;
+    }
+    return BIOMES.ROCK;
+}
+
+// Material IDs the biomes place
+const IDS = {
+    empty: getMaterialId('empty'),
+    stone: getMaterialId('stone'),
+    sand: getMaterialId('sand'),
+    water: getMaterialId('water'),
+    lava: getMaterialId('lava'),
+    plant: getMaterialId('plant'),
+    crystal: getMaterialId('crystal'),
+};
+
+/**
+ * Starting attributes and material of a cell in its biome.
+ * @param {Object} fields - The cell's biome and noise values.
+ * @param {number} jitter - Per-cell random value, 0-1, for small variations.
+ * @param {Object} config - Generator settings.
+ * @returns {{density: number, temperature: number, magic: number, organic: number, material: number}} - The cell.
+ */
+function biomeCell(fields, jitter, config) {
+    const { depth } = fields;
+    const ground = config.surfaceTemperature + Math.max(depth, 0) * config.geothermalGradient;
+    // Rock warms up as it nears a magma pocket, and picks up magic near a vein
+    const magmaHeat = smoothstep(config.magmaThreshold - 0.08, config.magmaThreshold, fields.magma) * 0.4;
+    const veinMagic = smoothstep(config.crystalThreshold - 0.1, config.crystalThreshold, fields.crystal) * 0.4;
+
+    switch (fields.biome) {
+        case BIOMES.SKY:
+            return { density: 0.02 * jitter, temperature: config.surfaceTemperature, magic: 0.02, organic: 0, material: IDS.empty };
+        case BIOMES.FOREST:
+            return { density: 0.4 + 0.1 * jitter, temperature: config.surfaceTemperature, magic: 0.1, organic: 0.6 + 0.3 * jitter, material: IDS.plant };
+        case BIOMES.SOIL:
+            return { density: 0.6 + 0.1 * jitter, temperature: ground, magic: 0.05, organic: 0.1 * jitter, material: IDS.sand };
+        case BIOMES.CAVERN: {
+            const flooded = fields.flood >= config.floodThreshold;
+            return {
+                density: flooded ? 0.5 : 0.05 * jitter,
+                temperature: ground + magmaHeat,
+                magic: 0.05 + veinMagic,
+                organic: 0,
+                material: flooded ? IDS.water : IDS.empty,
+            };
+        }
+        case BIOMES.MAGMA:
+            return { density: 0.8, temperature: 0.95, magic: 0.1, organic: 0, material: IDS.lava };
+        case BIOMES.CRYSTAL:
+            return { density: 0.9, temperature: ground + magmaHeat, magic: 0.8 + 0.2 * jitter, organic: 0, material: IDS.crystal };
+        default:
+            return { density: 0.85 + 0.15 * jitter, temperature: ground + magmaHeat, magic: 0.05 + veinMagic, organic: 0, material: IDS.stone };
+    }
+}
+
+/**
+ * Smoothly interpolated value noise on the integer lattice.
+ * @param {number} salt - The field's salt.
+ * @param {number} x - Sample x in lattice units.
+ * @param {number} y - Sample y in lattice units.
+ * @returns {number} - Noise value, 0-1.
+ */
+function valueNoise(salt, x, y) {
+    const x0 = Math.floor(x);
+    const y0 = Math.floor(y);
+    const tx = fade(x - x0);
+    const ty = fade(y - y0);
+
+    const a = hashCell(salt, x0, y0);
+    const b = hashCell(salt, x0 + 1, y0);
+    const c = hashCell(salt, x0, y0 + 1);
+    const d = hashCell(salt, x0 + 1, y0 + 1);
+    return (a + (b - a) * tx) + ((c + (d - c) * tx) - (a + (b - a) * tx)) * ty;
+}
+
+/**
+ * Hashes integer coordinates to a value in [0, 1).
+ * @param {number} salt - The field's salt.
+ * @param {number} x - Integer x.
+ * @param {number} y - Integer y.
+ * @returns {number} - The hash value.
+ */
+function hashCell(salt, x, y) {
+    let h = Math.imul(x ^ salt, 0x85ebca6b);
+    h ^= h >>> 13;
+    h = Math.imul(h ^ y, 0xc2b2ae35);
+    h ^= h >>> 16;
+    h = Math.imul(h ^ salt, 0x27d4eb2f);
+    h ^= h >>> 15;
+    return (h >>> 0) / 4294967296;
+}
+
+/**
+ * Quintic fade curve, giving noise continuous first and second derivatives.
+ * @param {number} t - Position between lattice points, 0-1.
+ * @returns {number} - Eased position.
+ */
+function fade(t) {
+    return t * t * t * (t * (t * 6 - 15) + 10);
+}
+
+/**
+ * Hermite interpolation between two edges, as in GLSL.
+ * @param {number} edge0 - Value mapped to 0.
+ * @param {number} edge1 - Value mapped to 1.
+ * @param {number} value - The input.
+ * @returns {number} - 0-1.
+ */
+function smoothstep(edge0, edge1, value) {
+    const t = clamp((value - edge0) / (edge1 - edge0), 0, 1);
+    return t * t * (3 - 2 * t);
+}
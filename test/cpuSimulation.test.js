@@ -0,0 +1,409 @@
+// test/cpuSimulation.test.js
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { CpuSimulationState, initializeCpuSimulation, performCpuSimulationStep } from '../src/simulation/cpuSimulation.js';
+import { DEFAULT_SIMULATION_PARAMS } from '../src/simulation/simulation.js';
+import { computeClimate } from '../src/climate/climate.js';
+import { MATERIALS, REACTIONS, getMaterialId, findReaction } from '../src/materials/materials.js';
+
+// Constants under which nothing enters or leaves the grid: no radiation,
+// climate, rain, organic matter, magic or fluid forces, and a heat capacity
+// of 1 everywhere, so total density and temperature must stay put
+const CLOSED_PARAMS = {
+    ...DEFAULT_SIMULATION_PARAMS,
+    radiativeCooling: 0,
+    climateCoupling: 0,
+    rainRate: 0,
+    densityHeatCapacity: 0,
+    organicHeatCapacity: 0,
+    organicGrowth: 0,
+    organicDecay: 0,
+    organicSpread: 0,
+    magicGrowth: 0,
+    buoyancy: 0,
+    densityWeight: 0,
+};
+
+// A climate that doesn't change with the tick, for tests of single rules
+const STEADY_CLIMATE = { ambientTemperature: 0.4, growth: 1, magicRegeneration: 1, precipitation: 0 };
+
+// Materials of the grids drawn in the tests, by character
+const CELLS = {
+    '.': 'empty', '#': 'stone', 's': 'sand', 'w': 'water', 'f': 'fire', 'l': 'lava', 'i': 'ice', 'p': 'plant', 'c': 'crystal',
+};
+
+/**
+ * Builds a state from rows of CELLS characters, top row first. Every cell
+ * gets its material's density and the given temperature.
+ * @param {Array<string>} rows - The grid.
+ * @param {number} [temperature] - Temperature of every cell, or a function (x, y) => temperature.
+ * @returns {CpuSimulationState}
+ */
+function drawState(rows, temperature = 0.4) {
+    const width = rows[0].length;
+    const height = rows.length;
+    const sim = new CpuSimulationState(width, height);
+    rows.forEach((row, top) => {
+        const y = height - 1 - top;
+        [...row].forEach((char, x) => {
+            const id = getMaterialId(CELLS[char]);
+            const i = (y * width + x) * 4;
+            sim.current[i] = MATERIALS[id].density;
+            sim.current[i + 1] = typeof temperature === 'function' ? temperature(x, y) : temperature;
+            sim.currentMaterial[i] = id;
+            sim.currentMaterial[i + 1] = MATERIALS[id].lifetime;
+        });
+    });
+    return sim;
+}
+
+/**
+ * Runs ticks of the CPU simulation.
+ * @param {CpuSimulationState} sim - The state to advance.
+ * @param {number} ticks - Ticks to run.
+ * @param {Object} [params] - Simulation constants.
+ */
+function run(sim, ticks, params = DEFAULT_SIMULATION_PARAMS) {
+    for (let i = 0; i < ticks; i++) {
+        performCpuSimulationStep(sim, params, computeClimate(sim.tick, params));
+    }
+}
+
+/**
+ * Runs ticks of the CPU simulation under STEADY_CLIMATE.
+ * @param {CpuSimulationState} sim - The state to advance.
+ * @param {number} ticks - Ticks to run.
+ * @param {Object} params - Simulation constants.
+ * @param {Object} [climate] - Climate fields to override.
+ */
+function runSteady(sim, ticks, params, climate = {}) {
+    for (let i = 0; i < ticks; i++) {
+        performCpuSimulationStep(sim, params, { ...STEADY_CLIMATE, ...climate });
+    }
+}
+
+/**
+ * Reads one attribute of a cell.
+ * @param {CpuSimulationState} sim - The state.
+ * @param {number} x - Column.
+ * @param {number} y - Row, 0 at the bottom.
+ * @param {number} channel - 0 density, 1 temperature, 2 magic, 3 organic.
+ * @returns {number}
+ */
+function attributeAt(sim, x, y, channel) {
+    return sim.current[(y * sim.width + x) * 4 + channel];
+}
+
+/**
+ * Sums one channel of the attribute data.
+ * @param {CpuSimulationState} sim - The state.
+ * @param {number} channel - 0 density, 1 temperature, 2 magic, 3 organic.
+ * @returns {number}
+ */
+function total(sim, channel) {
+    let sum = 0;
+    for (let i = channel; i < sim.current.length; i += 4) sum += sim.current[i];
+    return sum;
+}
+
+/**
+ * Counts the cells of each material.
+ * @param {CpuSimulationState} sim - The state.
+ * @returns {Object} - Cell counts by material name.
+ */
+function countMaterials(sim) {
+    const counts = {};
+    for (let i = 0; i < sim.currentMaterial.length; i += 4) {
+        const name = MATERIALS[sim.currentMaterial[i]].name;
+        counts[name] = (counts[name] || 0) + 1;
+    }
+    return counts;
+}
+
+/**
+ * The material of a cell, by name.
+ * @param {CpuSimulationState} sim - The state.
+ * @param {number} x - Column.
+ * @param {number} y - Row, 0 at the bottom.
+ * @returns {string}
+ */
+function materialAt(sim, x, y) {
+    return MATERIALS[sim.currentMaterial[(y * sim.width + x) * 4]].name;
+}
+
+test('the same seed gives the same world, tick for tick', () => {
+    const runSeed = (seed) => {
+        const sim = new CpuSimulationState(48, 48);
+        initializeCpuSimulation(sim, 48, 48, seed);
+        run(sim, 30);
+        return sim;
+    };
+    const a = runSeed(12345);
+    const b = runSeed(12345);
+    assert.deepEqual(a.current, b.current);
+    assert.deepEqual(a.currentMaterial, b.currentMaterial);
+    assert.deepEqual(a.velocity, b.velocity);
+    assert.notDeepEqual(runSeed(54321).currentMaterial, a.currentMaterial);
+});
+
+test('a closed grid keeps its density, heat and materials', () => {
+    const sim = drawState([
+        '..ss..ww',
+        '.sss.www',
+        '........',
+        'w..s..s.',
+        '...#....',
+        '..###...',
+        'ww....ss',
+        '########',
+    ], (x, y) => 0.2 + 0.05 * ((x + 2 * y) % 8));
+    const density = total(sim, 0);
+    const heat = total(sim, 1);
+    const materials = countMaterials(sim);
+    const layout = sim.currentMaterial.slice();
+
+    run(sim, 120, CLOSED_PARAMS);
+
+    assert.notDeepEqual(sim.currentMaterial, layout, 'nothing moved');
+    assert.ok(Math.abs(total(sim, 0) - density) < 1e-3, `density ${density} became ${total(sim, 0)}`);
+    assert.ok(Math.abs(total(sim, 1) - heat) < 1e-3, `heat ${heat} became ${total(sim, 1)}`);
+    assert.deepEqual(countMaterials(sim), materials);
+});
+
+test('heat flows from hot to cold cells', () => {
+    const sim = drawState(['####'], (x) => (x === 0 ? 0.6 : 0.2));
+    run(sim, 1, CLOSED_PARAMS);
+    const temperature = (x) => sim.current[x * 4 + 1];
+    assert.ok(temperature(0) < 0.6);
+    assert.ok(temperature(1) > 0.2);
+    assert.equal(temperature(3), Math.fround(0.2));
+});
+
+test('sand falls through empty cells and piles up on the ground', () => {
+    const sim = drawState([
+        'ssss',
+        '....',
+        '....',
+        '....',
+        '....',
+        '####',
+    ]);
+    run(sim, 60, CLOSED_PARAMS);
+    for (let x = 0; x < 4; x++) {
+        assert.equal(materialAt(sim, x, 1), 'sand');
+        assert.equal(materialAt(sim, x, 5), 'empty');
+    }
+});
+
+test('water and fire react into steam and empty space', () => {
+    const sim = drawState(['wf'], 0.4);
+    run(sim, 1, { ...CLOSED_PARAMS, gravity: 0 });
+    const counts = countMaterials(sim);
+    assert.equal(counts.steam, 1);
+    assert.equal(counts.empty, 1);
+});
+
+test('water freezes into ice and releases latent heat', () => {
+    const sim = drawState(['#w#'], 0.01);
+    run(sim, 1, { ...CLOSED_PARAMS, gravity: 0 });
+    assert.equal(materialAt(sim, 1, 0), 'ice');
+    assert.ok(Math.abs(sim.current[4 + 1] - (0.01 + CLOSED_PARAMS.latentHeat)) < 1e-6);
+});
+
+test('lava never drops below the heat it emits', () => {
+    const sim = drawState(['#l#'], 0.1);
+    run(sim, 10, { ...CLOSED_PARAMS, gravity: 0 });
+    assert.equal(materialAt(sim, 1, 0), 'lava');
+    assert.ok(sim.current[4 + 1] >= MATERIALS[getMaterialId('lava')].emitsHeat - 1e-6);
+});
+
+test('every reaction applies to both reactants, the first declared winning', () => {
+    const seen = new Set();
+    for (const { reactants, products, probability, heat } of REACTIONS) {
+        const [a, b] = reactants.map(getMaterialId);
+        const [productA, productB] = products.map(getMaterialId);
+        for (const [self, other, product] of [[a, b, productA], [b, a, productB]]) {
+            const key = `${self},${other}`;
+            if (seen.has(key)) continue;
+            seen.add(key);
+            assert.deepEqual(findReaction(self, other), { product, probability, heat });
+        }
+    }
+    assert.equal(findReaction(getMaterialId('stone'), getMaterialId('sand')), null);
+});
+
+test('the fluid carries attributes along its velocity', () => {
+    const sim = drawState(['........'], (x) => (x === 2 ? 0.8 : 0.2));
+    // A steady flow of one cell per tick to the right
+    for (let x = 0; x < sim.width; x++) sim.velocity[x * 2] = 1;
+    runSteady(sim, 1, { ...CLOSED_PARAMS, gravity: 0, heatDiffusion: 0, velocityDamping: 0, pressureIterations: 0 });
+    assert.equal(attributeAt(sim, 2, 0, 1), Math.fround(0.2));
+    assert.equal(attributeAt(sim, 3, 0, 1), Math.fround(0.8));
+    // Nothing flows in from outside the grid
+    assert.equal(sim.velocity[0], 0);
+});
+
+test('hot fluid rises, walls stay still and the pressure solve reduces divergence', () => {
+    const sim = drawState([
+        '#####',
+        '#...#',
+        '#...#',
+        '#...#',
+        '#####',
+    ], (x, y) => (x === 2 && y === 2 ? 0.8 : 0.4));
+    runSteady(sim, 1, { ...CLOSED_PARAMS, buoyancy: DEFAULT_SIMULATION_PARAMS.buoyancy });
+
+    const velocity = (x, y, c) => sim.velocity[(y * sim.width + x) * 2 + c];
+    assert.ok(velocity(2, 2, 1) > 0, 'the hot cell does not rise');
+    let projected = 0;
+    let unprojected = 0;
+    for (let y = 0; y < sim.height; y++) {
+        for (let x = 0; x < sim.width; x++) {
+            const wall = materialAt(sim, x, y) === 'stone';
+            if (wall) {
+                assert.equal(velocity(x, y, 0), 0);
+                assert.equal(velocity(x, y, 1), 0);
+                continue;
+            }
+            // Walls count as still, as velocityAt has them
+            const at = (ax, ay, c) => (materialAt(sim, ax, ay) === 'stone' ? 0 : velocity(ax, ay, c));
+            const divergence = 0.5 * (at(x + 1, y, 0) - at(x - 1, y, 0) + at(x, y + 1, 1) - at(x, y - 1, 1));
+            projected += divergence * divergence;
+            unprojected += sim.divergence[y * sim.width + x] ** 2;
+        }
+    }
+    assert.ok(unprojected > 0);
+    // The central differences of the projection don't cancel the five-point
+    // Jacobi solve exactly, so some divergence is left
+    assert.ok(projected < 0.5 * unprojected, `divergence ${unprojected} only fell to ${projected}`);
+});
+
+test('dense cells conduct heat faster than empty space, and organic matter insulates', () => {
+    const params = { ...CLOSED_PARAMS, gravity: 0 };
+    const conduct = (rows, organic = 0) => {
+        const sim = drawState(rows, (x) => (x === 0 ? 0.6 : 0.2));
+        sim.current[3] = organic;
+        sim.current[7] = organic;
+        runSteady(sim, 1, params);
+        return attributeAt(sim, 0, 0, 1);
+    };
+    // heatDiffusion times the conductivity of each pair, times the 0.4 gap
+    assert.ok(Math.abs(conduct(['##']) - 0.56) < 1e-6);
+    assert.ok(Math.abs(conduct(['..']) - 0.592) < 1e-6);
+    assert.ok(Math.abs(conduct(['##'], 1) - 0.58) < 1e-6);
+});
+
+test('cells radiate towards the ambient temperature, denser ones changing slower', () => {
+    const radiate = (temperature, densityHeatCapacity) => {
+        const sim = drawState(['#'], temperature);
+        runSteady(sim, 1, { ...CLOSED_PARAMS, gravity: 0, radiativeCooling: 0.01, densityHeatCapacity });
+        return attributeAt(sim, 0, 0, 1);
+    };
+    const loss = 0.01 * (0.9 ** 4 - 0.4 ** 4);
+    assert.ok(Math.abs(radiate(0.9, 0) - (0.9 - loss)) < 1e-6);
+    assert.ok(Math.abs(radiate(0.9, 2) - (0.9 - loss / 3)) < 1e-6);
+    assert.ok(radiate(0.1, 0) > 0.1);
+});
+
+test('ice melts into water and takes in latent heat', () => {
+    const sim = drawState(['#i#'], 0.2);
+    runSteady(sim, 1, { ...CLOSED_PARAMS, gravity: 0 });
+    assert.equal(materialAt(sim, 1, 0), 'water');
+    assert.ok(Math.abs(attributeAt(sim, 1, 0, 1) - (0.2 - CLOSED_PARAMS.latentHeat)) < 1e-6);
+});
+
+test('fire burns the organic matter in its cell for heat', () => {
+    const sim = drawState(['f'], 0.9);
+    sim.current[3] = 0.5;
+    runSteady(sim, 1, { ...CLOSED_PARAMS, gravity: 0 });
+    const { combustionRate, combustionHeat } = CLOSED_PARAMS;
+    assert.ok(Math.abs(attributeAt(sim, 0, 0, 3) - (0.5 - combustionRate)) < 1e-6);
+    assert.ok(Math.abs(attributeAt(sim, 0, 0, 1) - (0.9 + combustionHeat * combustionRate)) < 1e-6);
+});
+
+test('flammable cells catch fire above the ignition temperature', () => {
+    const params = { ...CLOSED_PARAMS, gravity: 0, heatDiffusion: 0 };
+    const ignitesWithin = (temperature, ticks) => {
+        const sim = drawState(['p'], temperature);
+        for (let tick = 0; tick < ticks; tick++) {
+            runSteady(sim, 1, params);
+            if (materialAt(sim, 0, 0) === 'fire') return true;
+        }
+        return false;
+    };
+    assert.equal(ignitesWithin(params.ignitionTemperature + 0.1, 200), true);
+    assert.equal(ignitesWithin(params.ignitionTemperature - 0.1, 200), false);
+});
+
+test('organic matter grows in habitable cells and decays into density elsewhere', () => {
+    const params = {
+        ...CLOSED_PARAMS,
+        gravity: 0,
+        organicGrowth: DEFAULT_SIMULATION_PARAMS.organicGrowth,
+        organicDecay: DEFAULT_SIMULATION_PARAMS.organicDecay,
+    };
+    // One cell of density 0.5 and organic matter 0.2, kept moist by the precipitation alone
+    const grow = (temperature, { magic = 0, growth = 1, precipitation = 1 } = {}) => {
+        const sim = drawState(['#'], temperature);
+        sim.current[0] = 0.5;
+        sim.current[2] = magic;
+        sim.current[3] = 0.2;
+        runSteady(sim, 1, params, { growth, precipitation });
+        return { density: attributeAt(sim, 0, 0, 0), organic: attributeAt(sim, 0, 0, 3) };
+    };
+    // Logistic growth seeded by the cell and its (mirrored) neighbours
+    const growth = params.organicGrowth * 0.2 * (1 - 0.2);
+    assert.ok(Math.abs(grow(0.4).organic - (0.2 + growth)) < 1e-6);
+    assert.ok(Math.abs(grow(0.4, { growth: 0.5 }).organic - (0.2 + 0.5 * growth)) < 1e-6);
+    assert.ok(Math.abs(grow(0.4, { magic: 0.5 }).organic - (0.2 + (1 + params.bloomBoost) * growth)) < 1e-6);
+
+    const decay = params.organicDecay * 0.2;
+    for (const cell of [grow(0.05), grow(0.4, { precipitation: 0 })]) {
+        assert.ok(Math.abs(cell.organic - (0.2 - decay)) < 1e-6);
+        assert.ok(Math.abs(cell.density - (0.5 + decay)) < 1e-6);
+    }
+});
+
+test('organic matter spreads to its neighbours without being created', () => {
+    const sim = drawState(['##'], 0.05);
+    sim.current[3] = 1;
+    runSteady(sim, 1, { ...CLOSED_PARAMS, gravity: 0, organicSpread: DEFAULT_SIMULATION_PARAMS.organicSpread });
+    const spread = DEFAULT_SIMULATION_PARAMS.organicSpread;
+    assert.ok(Math.abs(attributeAt(sim, 0, 0, 3) - (1 - spread)) < 1e-6);
+    assert.ok(Math.abs(attributeAt(sim, 1, 0, 3) - spread) < 1e-6);
+});
+
+test('magic above its thresholds condenses into density and bursts into heat', () => {
+    const params = { ...CLOSED_PARAMS, gravity: 0, magicDissipation: 0 };
+    const overflow = (magic) => {
+        const sim = drawState(['#'], 0.3);
+        sim.current[0] = 0.5;
+        sim.current[2] = magic;
+        runSteady(sim, 1, params);
+        return [0, 1, 2].map((channel) => attributeAt(sim, 0, 0, channel));
+    };
+    const close = (actual, expected) => actual.every((value, c) => Math.abs(value - expected[c]) < 1e-6);
+    const { transmuteRate, igniteRate, magicHeat } = params;
+
+    assert.ok(close(overflow(0.5), [0.5, 0.3, 0.5]));
+    // Only past the transmute threshold
+    assert.ok(close(overflow(0.85), [0.5 + transmuteRate, 0.3, 0.85 - transmuteRate]));
+    // Past both, each taking at most its rate
+    assert.ok(close(overflow(1), [0.5 + transmuteRate, 0.3 + magicHeat * igniteRate, 1 - transmuteRate - igniteRate]));
+});
+
+test('magic pools in materials with an affinity for it', () => {
+    const sim = drawState(['c#']);
+    sim.current[2] = 0.3;
+    sim.current[6] = 0.3;
+    runSteady(sim, 500, { ...CLOSED_PARAMS, gravity: 0, magicDissipation: 0 });
+
+    const crystal = attributeAt(sim, 0, 0, 2);
+    const stone = attributeAt(sim, 1, 0, 2);
+    assert.ok(Math.abs(crystal + stone - 0.6) < 1e-4, `magic ${crystal + stone} was not conserved`);
+    // Equal potentials, the crystal holding more for its capacity
+    const { density, magicAffinity } = MATERIALS[getMaterialId('crystal')];
+    const capacity = 1 + CLOSED_PARAMS.magicPooling * density * magicAffinity;
+    assert.ok(Math.abs(crystal / capacity - stone) < 1e-4);
+});
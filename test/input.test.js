@@ -0,0 +1,48 @@
+// test/input.test.js
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { encodeControls, decodeControls, SHIP_BUTTONS } from '../src/input/input.js';
+
+// Nothing held: no thrust, no turn, every button up
+const IDLE = { thrust: 0, reverse: 0, turn: 0 };
+
+test('nothing held packs to 0 and back', () => {
+    assert.equal(encodeControls(IDLE), 0);
+    assert.deepEqual(decodeControls(0), { ...IDLE, mine: false, deposit: false, fire: false, channel: false, release: false });
+});
+
+// Replays and network inputs store packed controls, so the layout must not change
+test('the packed layout stays put: button bits, then thrust, reverse and turn', () => {
+    SHIP_BUTTONS.forEach((action, bit) => {
+        assert.equal(encodeControls({ ...IDLE, [action]: true }), 1 << bit);
+    });
+    assert.equal(encodeControls({ ...IDLE, thrust: 1 }), 127 << 5);
+    assert.equal(encodeControls({ ...IDLE, reverse: 1 }), 127 << 12);
+    assert.equal(encodeControls({ ...IDLE, turn: 1 }), 127 << 19);
+    assert.equal(encodeControls({ ...IDLE, turn: -1 }), 129 << 19);
+    assert.equal(encodeControls({ thrust: 1, reverse: 1, turn: -1, mine: true, deposit: true, fire: true, channel: true, release: true }), 0x40fffff);
+});
+
+test('analog controls are rounded to 127 steps', () => {
+    const decoded = decodeControls(encodeControls({ thrust: 0.5, reverse: 0.3, turn: -0.5 }));
+    assert.equal(decoded.thrust, 64 / 127);
+    assert.equal(decoded.reverse, 38 / 127);
+    // Halves round up, so a half left turn is a step weaker than a half right one
+    assert.equal(decoded.turn, -63 / 127);
+    assert.ok(Math.abs(decoded.thrust - 0.5039) < 1e-4);
+    assert.ok(Math.abs(decoded.reverse - 0.2992) < 1e-4);
+});
+
+test('out of range controls are clamped', () => {
+    assert.deepEqual(
+        decodeControls(encodeControls({ thrust: 2, reverse: -1, turn: -3 })),
+        decodeControls(encodeControls({ thrust: 1, reverse: 0, turn: -1 }))
+    );
+});
+
+test('decoded controls pack back to the same value', () => {
+    for (const packed of [0, 1, 31, 127 << 5, 64 << 12, 129 << 19, 0x40fffff, (200 << 19) | (12 << 12) | (99 << 5) | 21]) {
+        assert.equal(encodeControls(decodeControls(packed)), packed);
+    }
+});
@@ -0,0 +1,136 @@
+// test/replay.test.js
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { ReplayRecorder, ReplayPlayer, parseReplay } from '../src/replay/replay.js';
+import { encodeControls, decodeControls } from '../src/input/input.js';
+
+const BRUSH = { shape: 0, radius: 4, attribute: 1, strength: 0.5 };
+
+/**
+ * Encodes a replay object the way toFile does.
+ * @param {Object} replay - The replay fields.
+ * @returns {Uint8Array}
+ */
+function toFile(replay) {
+    return new TextEncoder().encode(JSON.stringify(replay));
+}
+
+/**
+ * A minimal replay of a given version, for parseReplay.
+ * @param {number} version - Format version.
+ * @param {Object} [fields] - Fields to override.
+ * @returns {Object}
+ */
+function legacyReplay(version, fields = {}) {
+    return {
+        format: 'pixelPhysics.replay',
+        version,
+        seed: 1,
+        params: {},
+        length: 10,
+        players: 1,
+        buttons: [],
+        strokes: [],
+        paramChanges: [],
+        checkpoints: [],
+        ...fields,
+    };
+}
+
+test('a recording plays back the input of every tick', () => {
+    const thrust = encodeControls({ thrust: 1, reverse: 0, turn: 0 });
+    const firing = encodeControls({ thrust: 0, reverse: 0, turn: -0.5, fire: true });
+    const stroke = { from: { x: 1, y: 2 }, to: { x: 3, y: 4 }, erase: true, brush: BRUSH };
+    const params = { gravity: 0.1, heatDiffusion: 0.2 };
+
+    const recorder = new ReplayRecorder(42, params, 2);
+    const inputs = [
+        { buttons: [thrust, 0], strokes: [] },
+        { buttons: [thrust, 0], strokes: [] },
+        { buttons: [thrust, 0], strokes: [stroke] },
+        { buttons: [0, firing], strokes: [] },
+        { buttons: [0, firing], strokes: [] },
+    ];
+    inputs.forEach((input, tick) => {
+        recorder.record(tick, input, tick >= 4 ? { ...params, gravity: -0.1 } : params, { x: tick, y: 0 });
+    });
+
+    const player = new ReplayPlayer(parseReplay(recorder.toFile()));
+    assert.equal(player.replay.seed, 42);
+    assert.deepEqual(player.replay.params, params);
+    assert.equal(player.replay.players, 2);
+    inputs.forEach((input, tick) => {
+        assert.deepEqual(player.inputAt(tick), input);
+    });
+    // Only changes are stored
+    assert.equal(player.replay.buttons.length, 2);
+    assert.equal(player.paramChangesAt(3), null);
+    assert.deepEqual(player.paramChangesAt(4), { gravity: -0.1 });
+    assert.equal(player.isFinished(4), false);
+    assert.equal(player.isFinished(5), true);
+    assert.equal(player.verify(0, { x: 0, y: 0 }), true);
+});
+
+test('a playback that leaves the recorded path reports the first tick it did', (t) => {
+    t.mock.method(console, 'warn', () => {});
+    const recorder = new ReplayRecorder(1, {});
+    for (let tick = 0; tick <= 1200; tick++) {
+        recorder.record(tick, { buttons: [0], strokes: [] }, {}, { x: tick, y: 0 });
+    }
+    const player = new ReplayPlayer(parseReplay(recorder.toFile()));
+    assert.equal(player.verify(600, { x: 600, y: 0 }), true);
+    assert.equal(player.verify(1200, { x: 1200, y: 1 }), false);
+    assert.equal(player.verify(600, { x: 0, y: 0 }), false);
+    assert.equal(player.divergedAt, 600);
+    // Ticks without a checkpoint cannot diverge
+    assert.equal(player.verify(601, { x: 0, y: 0 }), true);
+});
+
+test('version 1 and 2 masks of held controls become packed controls', () => {
+    // Bits in version 1 and 2 order: thrust, reverse, turn left, turn right, mine, deposit, fire, ...
+    for (const version of [1, 2]) {
+        const replay = parseReplay(toFile(legacyReplay(version, { buttons: [[0, 1 | 8], [5, 2 | 4 | 64]] })));
+        const player = new ReplayPlayer(replay);
+
+        const first = decodeControls(player.buttonsAt(0)[0]);
+        assert.equal(first.thrust, 1);
+        assert.equal(first.reverse, 0);
+        assert.equal(first.turn, 1);
+        assert.equal(first.fire, false);
+
+        const second = decodeControls(player.buttonsAt(5)[0]);
+        assert.equal(second.thrust, 0);
+        assert.equal(second.reverse, 1);
+        assert.equal(second.turn, -1);
+        assert.equal(second.fire, true);
+    }
+    // Version 1 replays had a single ship, whatever they say
+    assert.equal(parseReplay(toFile(legacyReplay(1, { players: 3 }))).players, 1);
+});
+
+test('files that are not replays of a known version are rejected', () => {
+    assert.throws(() => parseReplay(new TextEncoder().encode('PXWD')), /not JSON/);
+    assert.throws(() => parseReplay(toFile({ ...legacyReplay(3), format: 'something.else' })), /bad signature/);
+    assert.throws(() => parseReplay(toFile(legacyReplay(4))), /Unsupported replay version 4/);
+    assert.throws(() => parseReplay(toFile(legacyReplay(0))), /Unsupported replay version 0/);
+    assert.throws(() => parseReplay(toFile(legacyReplay(3, { buttons: null }))), /corrupted/);
+    assert.throws(() => parseReplay(toFile(legacyReplay(3, { players: 0 }))), /corrupted/);
+});
+
+test('buttonsAt finds the last change at or before a tick', () => {
+    const player = new ReplayPlayer(parseReplay(toFile(legacyReplay(3, {
+        players: 2,
+        buttons: [[3, 1, 2], [4, 5, 6], [10, 7, 8]],
+    }))));
+    assert.deepEqual(player.buttonsAt(0), [0, 0]);
+    assert.deepEqual(player.buttonsAt(2), [0, 0]);
+    assert.deepEqual(player.buttonsAt(3), [1, 2]);
+    assert.deepEqual(player.buttonsAt(4), [5, 6]);
+    assert.deepEqual(player.buttonsAt(9), [5, 6]);
+    assert.deepEqual(player.buttonsAt(10), [7, 8]);
+    assert.deepEqual(player.buttonsAt(1000), [7, 8]);
+
+    const silent = new ReplayPlayer(parseReplay(toFile(legacyReplay(3, { players: 2 }))));
+    assert.deepEqual(silent.buttonsAt(5), [0, 0]);
+});
@@ -0,0 +1,346 @@
+// test/save.test.js
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { exportWorld, importWorld } from '../src/save/save.js';
+import { encodePlanes, decodePlanes } from '../src/save/planes.js';
+import { CHUNK_SIZE, chunkKey } from '../src/world/chunks.js';
+import { crc32, mulberry32 } from '../src/utils/utils.js';
+
+const WIDTH = 8;
+const HEIGHT = 6;
+
+/**
+ * A stand-in for the WebGL calls readSimulationState and
+ * writeSimulationState make, keeping the live textures as arrays.
+ * @param {Object} textures - RGBA data by texture name: state and material.
+ * @returns {Object} - The context.
+ */
+function createFakeGl(textures) {
+    let readAttachment = 0;
+    let boundTexture = null;
+    return {
+        COLOR_ATTACHMENT0: 0,
+        COLOR_ATTACHMENT1: 1,
+        bindFramebuffer() {},
+        readBuffer(attachment) {
+            readAttachment = attachment;
+        },
+        readPixels(x, y, width, height, format, type, data) {
+            data.set(textures[readAttachment === 0 ? 'state' : 'material']);
+        },
+        bindTexture(target, texture) {
+            boundTexture = texture;
+        },
+        texSubImage2D(target, level, x, y, width, height, format, type, data) {
+            textures[boundTexture] = data.slice();
+        },
+    };
+}
+
+/**
+ * Builds RGBA data that differs in every channel of every cell.
+ * @param {number} cellCount - Cells to fill.
+ * @param {number} salt - Varies the values.
+ * @returns {Float32Array}
+ */
+function pattern(cellCount, salt) {
+    const data = new Float32Array(cellCount * 4);
+    for (let i = 0; i < data.length; i++) data[i] = ((i * 7 + salt * 13) % 29) / 29;
+    return data;
+}
+
+/**
+ * Stands in for ShipTools.reset.
+ */
+function resetTools() {
+    Object.assign(this, { cargo: 0, harvested: 0, ammo: 20, fireCooldown: 0, projectiles: [] });
+}
+
+/**
+ * The parts of a PlayerShip a save holds.
+ * @param {number} salt - Varies the values.
+ * @returns {Object}
+ */
+function createShip(salt) {
+    return {
+        position: { x: salt, y: 2 * salt },
+        velocity: { x: -salt, y: 0.5 },
+        angle: salt / 10,
+        hull: 100 - salt,
+        maxHull: 100,
+        energy: 3 * salt,
+        timesDestroyed: Math.round(2 * salt),
+        tools: {
+            cargo: 10 * salt,
+            harvested: 20 * salt,
+            ammo: 7,
+            fireCooldown: 0.1 * salt,
+            projectiles: [{ x: salt, y: 1, vx: 120, vy: -salt, life: 2.5 }],
+            reset: resetTools,
+        },
+    };
+}
+
+/**
+ * A world as the engine passes it to exportWorld and importWorld, with a
+ * fake context holding its grid.
+ * @param {number} salt - Varies the contents.
+ * @returns {{gl: Object, world: Object, textures: Object}}
+ */
+function createWorld(salt) {
+    const textures = { state: pattern(WIDTH * HEIGHT, salt), material: pattern(WIDTH * HEIGHT, salt + 1) };
+    const world = {
+        seed: 1000 + salt,
+        currentYear: salt,
+        ticksIntoYear: 10 * salt,
+        simulationState: {
+            width: WIDTH,
+            height: HEIGHT,
+            tick: 100 * salt,
+            readFramebuffer: null,
+            current: 'state',
+            currentMaterial: 'material',
+            fluid: {
+                velocity: pattern(WIDTH * HEIGHT / 2, salt + 4),
+                pressure: pattern(WIDTH * HEIGHT / 4, salt + 5),
+                readVelocity() {
+                    return this.velocity.slice();
+                },
+                readPressure() {
+                    return this.pressure.slice();
+                },
+                restore(velocity, pressure) {
+                    Object.assign(this, { velocity, pressure });
+                },
+                clear() {
+                    this.velocity = new Float32Array(WIDTH * HEIGHT * 2);
+                    this.pressure = new Float32Array(WIDTH * HEIGHT);
+                },
+            },
+        },
+        chunks: {
+            originX: salt,
+            originY: -salt,
+            store: new Map([[chunkKey(salt, 2), {
+                state: pattern(CHUNK_SIZE * CHUNK_SIZE, salt + 2),
+                material: pattern(CHUNK_SIZE * CHUNK_SIZE, salt + 3),
+            }]]),
+            restore(seed, originX, originY, store) {
+                Object.assign(this, { originX, originY, store });
+            },
+        },
+        ships: [createShip(salt), createShip(salt + 0.5)],
+        creatures: {
+            agents: [{ id: 3, x: salt, y: 4, energy: 5.5, age: 10 * salt }, { id: 7, x: 0, y: salt, energy: 1, age: 0 }],
+            nextId: 8,
+            births: 5 * salt,
+            deaths: salt,
+            random: mulberry32(salt),
+            restore(saved) {
+                Object.assign(this, { ...saved, random: mulberry32(saved.randomState) });
+                delete this.randomState;
+            },
+        },
+        params: { gravity: 0.1 * salt, heatDiffusion: 0.2 },
+    };
+    return { gl: createFakeGl(textures), world, textures };
+}
+
+/**
+ * Replaces the body of a file, signing it with a matching checksum, so only
+ * what the body holds can reject it.
+ * @param {Uint8Array} body - Everything before the checksum.
+ * @returns {Uint8Array} - The file.
+ */
+function sign(body) {
+    const file = new Uint8Array(body.length + 4);
+    file.set(body);
+    new DataView(file.buffer).setUint32(body.length, crc32(body), true);
+    return file;
+}
+
+/**
+ * Writes a world in the layout of an older version: the grid, one ship and,
+ * from version 2, the window origin and the stored chunks.
+ * @param {number} version - 1 or 2.
+ * @param {Object} world - The world, as from createWorld.
+ * @param {Object} textures - Its grid.
+ * @returns {Promise<Uint8Array>} - The file.
+ */
+async function writeLegacyFile(version, world, textures) {
+    const parts = [];
+    const number = (setter, size, value) => {
+        const bytes = new Uint8Array(size);
+        new DataView(bytes.buffer)[setter](0, value, true);
+        parts.push(bytes);
+    };
+    const writePlanes = (planes) => {
+        number('setUint16', 2, planes.length);
+        for (const plane of planes) {
+            parts.push(new Uint8Array([plane.layer, plane.channel]));
+            number('setUint32', 4, plane.bytes.length);
+            parts.push(plane.bytes);
+        }
+    };
+
+    parts.push(new TextEncoder().encode('PXWD'));
+    number('setUint16', 2, version);
+    number('setUint16', 2, 0);
+    number('setUint32', 4, WIDTH);
+    number('setUint32', 4, HEIGHT);
+    if (version >= 2) {
+        number('setInt32', 4, world.chunks.originX);
+        number('setInt32', 4, world.chunks.originY);
+    }
+    for (const value of [world.seed, world.simulationState.tick, world.currentYear, world.ticksIntoYear]) {
+        number('setUint32', 4, value);
+    }
+    const [ship] = world.ships;
+    for (const value of [ship.position.x, ship.position.y, ship.velocity.x, ship.velocity.y, ship.angle]) {
+        number('setFloat64', 8, value);
+    }
+    const params = new TextEncoder().encode(JSON.stringify(world.params));
+    number('setUint32', 4, params.length);
+    parts.push(params);
+    writePlanes(await encodePlanes(textures));
+    if (version >= 2) {
+        number('setUint32', 4, world.chunks.store.size);
+        for (const [key, chunk] of world.chunks.store) {
+            const [cx, cy] = key.split(',').map(Number);
+            number('setInt32', 4, cx);
+            number('setInt32', 4, cy);
+            writePlanes(await encodePlanes(chunk));
+        }
+    }
+
+    const body = new Uint8Array(parts.reduce((length, part) => length + part.length, 0));
+    let offset = 0;
+    for (const part of parts) {
+        body.set(part, offset);
+        offset += part.length;
+    }
+    return sign(body);
+}
+
+test('a saved world loads back as it was', async () => {
+    const saved = createWorld(1);
+    saved.world.creatures.random();
+    const file = await exportWorld(saved.gl, saved.world);
+    const loaded = createWorld(2);
+    assert.deepEqual(await importWorld(loaded.gl, loaded.world, file), { ships: 2, creatures: true });
+
+    assert.deepEqual(loaded.textures.state, saved.textures.state);
+    assert.deepEqual(loaded.textures.material, saved.textures.material);
+    assert.deepEqual(loaded.world.simulationState.fluid.velocity, saved.world.simulationState.fluid.velocity);
+    assert.deepEqual(loaded.world.simulationState.fluid.pressure, saved.world.simulationState.fluid.pressure);
+    assert.equal(loaded.world.seed, saved.world.seed);
+    assert.equal(loaded.world.currentYear, saved.world.currentYear);
+    assert.equal(loaded.world.ticksIntoYear, saved.world.ticksIntoYear);
+    assert.equal(loaded.world.simulationState.tick, saved.world.simulationState.tick);
+    assert.deepEqual(loaded.world.ships, saved.world.ships);
+    assert.deepEqual(loaded.world.params, saved.world.params);
+    const { creatures } = loaded.world;
+    assert.deepEqual(creatures.agents, saved.world.creatures.agents);
+    assert.deepEqual([creatures.nextId, creatures.births, creatures.deaths], [8, 5, 1]);
+    // Decisions carry on where the saved world's generator was
+    assert.deepEqual([creatures.random(), creatures.random()], [saved.world.creatures.random(), saved.world.creatures.random()]);
+    assert.equal(loaded.world.chunks.originX, 1);
+    assert.equal(loaded.world.chunks.originY, -1);
+
+    // Stored chunks stay compressed until the window reaches them
+    const [[key, chunk]] = loaded.world.chunks.store;
+    const original = saved.world.chunks.store.get(key);
+    const decoded = await decodePlanes(chunk.planes, CHUNK_SIZE * CHUNK_SIZE);
+    assert.deepEqual(decoded.state, original.state);
+    assert.deepEqual(decoded.material, original.material);
+});
+
+test('files that are not world files are rejected', async () => {
+    const { gl, world } = createWorld(1);
+    const file = await exportWorld(gl, world);
+
+    const unsigned = file.slice();
+    unsigned[0] = 'X'.charCodeAt(0);
+    await assert.rejects(importWorld(gl, world, unsigned), /bad signature/);
+
+    const future = file.slice(0, file.length - 4);
+    new DataView(future.buffer).setUint16(4, 99, true);
+    await assert.rejects(importWorld(gl, world, sign(future)), /Unsupported world file version 99/);
+
+    await assert.rejects(importWorld(gl, world, file.slice(0, 6)), /too short/);
+});
+
+test('a corrupted file is rejected and leaves the world untouched', async () => {
+    const saved = createWorld(1);
+    const file = await exportWorld(saved.gl, saved.world);
+    const target = createWorld(2);
+    const snapshot = () => JSON.stringify({ textures: target.textures, seed: target.world.seed, ships: target.world.ships });
+    const before = snapshot();
+
+    const flipped = file.slice();
+    flipped[file.length >> 1] ^= 0x40;
+    await assert.rejects(importWorld(target.gl, target.world, flipped), /checksum mismatch/);
+
+    const body = file.subarray(0, file.length - 4);
+    await assert.rejects(importWorld(target.gl, target.world, sign(body.subarray(0, body.length - 100))), /truncated/);
+
+    const padded = new Uint8Array(body.length + 3);
+    padded.set(body);
+    await assert.rejects(importWorld(target.gl, target.world, sign(padded)), /unexpected data/);
+
+    assert.equal(snapshot(), before);
+});
+
+test('every ship is saved, and loads into as many ships as the world has', async () => {
+    const saved = createWorld(1);
+    const file = await exportWorld(saved.gl, saved.world);
+
+    const more = createWorld(2);
+    more.world.ships.push(createShip(9));
+    assert.equal((await importWorld(more.gl, more.world, file)).ships, 2);
+    assert.deepEqual(more.world.ships.slice(0, 2), saved.world.ships);
+    assert.deepEqual(more.world.ships[2], createShip(9));
+
+    const fewer = createWorld(2);
+    fewer.world.ships.pop();
+    assert.equal((await importWorld(fewer.gl, fewer.world, file)).ships, 1);
+    assert.deepEqual(fewer.world.ships, saved.world.ships.slice(0, 1));
+});
+
+test('version 1 and 2 files still load', async () => {
+    for (const version of [1, 2]) {
+        const saved = createWorld(1);
+        const loaded = createWorld(2);
+        const file = await writeLegacyFile(version, saved.world, saved.textures);
+        assert.deepEqual(await importWorld(loaded.gl, loaded.world, file), { ships: 1, creatures: false });
+        assert.deepEqual(loaded.textures, saved.textures);
+        assert.equal(loaded.world.seed, saved.world.seed);
+        // The hull, energy, losses and tools came with version 3, and start as on a new world
+        const fresh = createShip(1);
+        fresh.tools.reset();
+        assert.deepEqual(loaded.world.ships[0], { ...fresh, hull: 100, energy: 0, timesDestroyed: 0 });
+        assert.deepEqual(loaded.world.ships[1], createWorld(2).world.ships[1]);
+        assert.equal(loaded.world.chunks.store.size, version === 1 ? 0 : 1);
+        assert.ok(loaded.world.simulationState.fluid.velocity.every((value) => value === 0));
+    }
+});
+
+test('planes decode back into the data they were encoded from', async () => {
+    const layers = { state: pattern(100, 3), material: pattern(100, 4) };
+    const planes = await encodePlanes(layers);
+    assert.equal(planes.length, 8);
+    assert.deepEqual(await decodePlanes(planes, 100), layers);
+
+    await assert.rejects(decodePlanes(planes, 99), /wrong size/);
+    await assert.rejects(decodePlanes(planes.slice(1), 100), /expected 8 planes/);
+    const garbled = planes.map((plane) => ({ ...plane, bytes: plane.bytes.slice().reverse() }));
+    await assert.rejects(decodePlanes(garbled, 100), /does not decompress/);
+
+    const fluid = { ...layers, velocity: pattern(50, 5), pressure: pattern(25, 6) };
+    const fluidPlanes = await encodePlanes(fluid);
+    assert.equal(fluidPlanes.length, 11);
+    assert.deepEqual(await decodePlanes(fluidPlanes, 100, ['state', 'material', 'velocity', 'pressure']), fluid);
+    await assert.rejects(decodePlanes(fluidPlanes, 100), /expected 8 planes/);
+    await assert.rejects(decodePlanes([planes[0], ...planes.slice(0, 7)], 100), /unknown plane/);
+});
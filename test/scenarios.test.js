@@ -0,0 +1,129 @@
+// test/scenarios.test.js
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { readFileSync } from 'node:fs';
+import { BUILT_IN_SCENARIOS, parseScenario, ScenarioRun } from '../src/scenarios/scenarios.js';
+
+/**
+ * Parses a scenario given as an object.
+ * @param {Object} fields - Fields besides the name.
+ * @returns {Object} - The scenario, see parseScenario.
+ */
+function scenario(fields = {}) {
+    return parseScenario(JSON.stringify({ name: 'Test', ...fields }));
+}
+
+/**
+ * Measurements with nothing happened yet, see ScenarioRun.evaluate.
+ * @param {Object} [fields] - Measurements to override.
+ * @returns {Object}
+ */
+function measurements(fields = {}) {
+    return { stats: null, creatures: 0, harvested: 0, shipLosses: 0, ...fields };
+}
+
+test('the built-in scenarios are valid', () => {
+    for (const url of BUILT_IN_SCENARIOS) {
+        assert.doesNotThrow(() => parseScenario(readFileSync(url, 'utf8')), url.pathname);
+    }
+});
+
+test('malformed scenarios are rejected', () => {
+    assert.throws(() => parseScenario('{'), /not JSON/);
+    assert.throws(() => parseScenario('{}'), /no name/);
+    assert.throws(() => scenario({ params: { gravity: 0.2, gravitas: 1 } }), /Unknown simulation constant in scenario: gravitas/);
+    assert.throws(() => scenario({ events: [{ tick: 10, params: { notAParam: 1 } }] }), /notAParam/);
+    assert.throws(() => scenario({ events: [{ message: 'When?' }] }), /An event needs a tick or a year/);
+    assert.throws(() => scenario({ objectives: [{ kind: 'keep', stat: 'temperature', below: 1 }] }),
+        /A keep objective's until needs a tick or a year/);
+    assert.throws(() => scenario({ objectives: [{ kind: 'survive' }] }), /until needs a tick or a year/);
+    assert.throws(() => scenario({ objectives: [{ kind: 'reach', stat: 'heat', above: 1 }] }), /stats must be one of/);
+    assert.throws(() => scenario({ objectives: [{ kind: 'reach', stat: 'magic' }] }), /needs a bound/);
+    assert.throws(() => scenario({ objectives: [{ kind: 'harvest' }] }), /needs an amount/);
+    assert.throws(() => scenario({ objectives: [{ kind: 'escape' }] }), /Objectives must be one of/);
+});
+
+test('a scenario gets defaults for what it leaves out', () => {
+    const parsed = scenario({ objectives: [{ kind: 'keep', stat: 'temperature', below: 1, until: { year: 2 } }] });
+    assert.equal(parsed.description, '');
+    assert.deepEqual(parsed.params, {});
+    assert.deepEqual(parsed.events, []);
+    assert.equal(new ScenarioRun(parsed).objectives[0].description, 'Keep average temperature below 1 until year 2');
+});
+
+test('each event is taken once, when its time comes', () => {
+    const run = new ScenarioRun(scenario({
+        events: [
+            { tick: 5, message: 'Five' },
+            { year: 1, params: { gravity: -0.1 } },
+            { tick: 5, message: 'Also five' },
+            { tick: 0 },
+        ],
+    }));
+    assert.deepEqual(run.takeDueEvents({ tick: 0, year: 0 }), [{ tick: 0 }]);
+    assert.deepEqual(run.takeDueEvents({ tick: 0, year: 0 }), []);
+    assert.deepEqual(run.takeDueEvents({ tick: 4, year: 0 }), []);
+    // A skipped tick still fires what came due on it
+    assert.deepEqual(run.takeDueEvents({ tick: 7, year: 0 }).map((event) => event.message), ['Five', 'Also five']);
+    assert.deepEqual(run.takeDueEvents({ tick: 8, year: 0 }), []);
+    assert.deepEqual(run.takeDueEvents({ tick: 900, year: 1 }), [{ year: 1, params: { gravity: -0.1 } }]);
+    assert.deepEqual(run.takeDueEvents({ tick: 2000, year: 2 }), []);
+
+    assert.deepEqual(run.getRecentMessages(8, 60), ['Five', 'Also five']);
+    assert.deepEqual(run.getRecentMessages(7 + 6 * 60, 60), []);
+});
+
+test('the run is won once every objective is complete', () => {
+    const run = new ScenarioRun(scenario({
+        objectives: [
+            { kind: 'harvest', amount: 100 },
+            { kind: 'keep', stat: 'creatures', above: 10, until: { tick: 50 } },
+            { kind: 'reach', stat: 'organic', above: 0.5 },
+        ],
+    }));
+    run.evaluate({ tick: 10, year: 0 }, measurements({ creatures: 20, harvested: 150 }));
+    assert.deepEqual(run.objectives.map((entry) => entry.status), ['complete', 'active', 'active']);
+    assert.equal(run.outcome, null);
+
+    // Stats that aren't measured yet neither complete nor fail an objective
+    run.evaluate({ tick: 50, year: 0 }, measurements({ creatures: 20, harvested: 150 }));
+    assert.deepEqual(run.objectives.map((entry) => entry.status), ['complete', 'complete', 'active']);
+    assert.equal(run.outcome, null);
+
+    run.evaluate({ tick: 60, year: 0 }, measurements({ stats: { organic: 0.6 }, creatures: 0 }));
+    assert.equal(run.objectives[2].status, 'complete');
+    assert.equal(run.outcome, 'won');
+    assert.deepEqual(run.endTime, { tick: 60, year: 0 });
+
+    // The outcome is final
+    run.evaluate({ tick: 70, year: 0 }, measurements({ shipLosses: 3 }));
+    assert.equal(run.outcome, 'won');
+    assert.deepEqual(run.endTime, { tick: 60, year: 0 });
+});
+
+test('the run is lost as soon as any objective fails', () => {
+    const keep = new ScenarioRun(scenario({
+        objectives: [
+            { kind: 'keep', stat: 'temperature', below: 2, until: { year: 1 } },
+            { kind: 'harvest', amount: 100 },
+        ],
+    }));
+    keep.evaluate({ tick: 10, year: 0 }, measurements({ stats: { temperature: 1.5 } }));
+    assert.equal(keep.objectives[0].progress, '1.500');
+    assert.equal(keep.outcome, null);
+    keep.evaluate({ tick: 20, year: 0 }, measurements({ stats: { temperature: 2.5 } }));
+    assert.deepEqual(keep.objectives.map((entry) => entry.status), ['failed', 'active']);
+    assert.equal(keep.outcome, 'lost');
+
+    const deadline = new ScenarioRun(scenario({ objectives: [{ kind: 'harvest', amount: 100, by: { tick: 30 } }] }));
+    deadline.evaluate({ tick: 29, year: 0 }, measurements({ harvested: 99 }));
+    assert.equal(deadline.outcome, null);
+    assert.equal(deadline.objectives[0].progress, '99 / 100');
+    deadline.evaluate({ tick: 30, year: 0 }, measurements({ harvested: 99 }));
+    assert.equal(deadline.outcome, 'lost');
+
+    const survive = new ScenarioRun(scenario({ objectives: [{ kind: 'survive', until: { tick: 30 } }] }));
+    survive.evaluate({ tick: 5, year: 0 }, measurements({ shipLosses: 1 }));
+    assert.equal(survive.outcome, 'lost');
+});
@@ -0,0 +1,53 @@
+// tools/parity.js
+
+// Checks the GPU simulation against the CPU reference (see
+// src/simulation/parity.js) wherever a WebGL2 context exists: open this page
+// with `npm run parity` in any browser, or in a headless one in CI, e.g.
+// Chrome with SwiftShader. The title ends up as "parity: passed" or
+// "parity: FAILED", and window.parityReports holds every report.
+
+import { compareWithGpu } from '../src/simulation/parity.js';
+import { DEFAULT_SIMULATION_PARAMS } from '../src/simulation/simulation.js';
+
+// What to compare: the defaults, and the paths they don't take
+const CASES = [
+    { label: 'default constants', options: {} },
+    { label: 'another seed', options: { seed: 777 } },
+    { label: 'gravity pointing up', options: { params: { ...DEFAULT_SIMULATION_PARAMS, gravity: -0.1 } } },
+    {
+        label: 'window of a larger world with a slow border',
+        options: {
+            region: {
+                worldOffset: { x: 128, y: 64 },
+                worldHeight: 256,
+                activeMin: { x: 16, y: 16 },
+                activeMax: { x: 48, y: 48 },
+                slowInterval: 5,
+            },
+        },
+    },
+];
+
+const output = document.getElementById('report');
+const print = (line) => {
+    output.textContent += `${line}\n`;
+};
+
+const gl = document.createElement('canvas').getContext('webgl2');
+if (!gl) {
+    print('WebGL 2 is not available here, so there is nothing to compare against.');
+    document.title = 'parity: FAILED';
+} else {
+    window.parityReports = CASES.map(({ label, options }) => {
+        let report;
+        try {
+            report = compareWithGpu(gl, options);
+        } catch (error) {
+            report = { ok: false, error: error.message };
+        }
+        print(`${report.ok ? 'ok  ' : 'FAIL'} ${label}`);
+        print(`     ${JSON.stringify(report)}`);
+        return { label, ...report };
+    });
+    document.title = window.parityReports.every((report) => report.ok) ? 'parity: passed' : 'parity: FAILED';
+}
@@ -0,0 +1,161 @@
+// tools/relay.mjs
+
+// A relay for network games between machines: every text message a client
+// sends is passed on to the other clients in the same room, the path of the
+// URL it connected to (ws://host:8787/<room>). The relay knows nothing about
+// the game; peers run it all themselves, see src/net/lockstep.js.
+//
+// Run with `npm run relay`, or `node tools/relay.mjs [port]`. No dependencies:
+// it speaks just enough of the WebSocket protocol (RFC 6455) for browsers.
+
+import { createServer } from 'node:http';
+import { createHash } from 'node:crypto';
+
+const PORT = Number.parseInt(process.argv[2], 10) || 8787;
+const HANDSHAKE_GUID = '258EAFA5-E914-47DA-95CA-C5AB0DC85B11';
+// Largest message accepted, far above any lockstep message
+const MAX_PAYLOAD = 1 << 20;
+
+const OPCODES = { TEXT: 0x1, CLOSE: 0x8, PING: 0x9, PONG: 0xa };
+
+// Clients by room
+const rooms = new Map();
+
+/**
+ * Encodes an unmasked frame, as servers send them.
+ * @param {number} opcode - The frame type, see OPCODES.
+ * @param {Buffer} payload - The payload.
+ * @returns {Buffer} - The frame.
+ */
+function encodeFrame(opcode, payload) {
+    let header;
+    if (payload.length < 126) {
+        header = Buffer.from([0x80 | opcode, payload.length]);
+    } else if (payload.length < 65536) {
+        header = Buffer.alloc(4);
+        header[0] = 0x80 | opcode;
+        header[1] = 126;
+        header.writeUInt16BE(payload.length, 2);
+    } else {
+        header = Buffer.alloc(10);
+        header[0] = 0x80 | opcode;
+        header[1] = 127;
+        header.writeBigUInt64BE(BigInt(payload.length), 2);
+    }
+    return Buffer.concat([header, payload]);
+}
+
+/**
+ * Decodes the first complete frame in a buffer. Clients always mask their
+ * frames. Fragmented messages are not supported; browsers don't fragment
+ * messages this small.
+ * @param {Buffer} buffer - Bytes received so far.
+ * @returns {{opcode: number, payload: Buffer, length: number}|null} - The frame and the bytes it took, or
+ *     null if it is incomplete.
+ * @throws {Error} If the frame is unmasked or too large.
+ */
+function decodeFrame(buffer) {
+    if (buffer.length < 2) return null;
+    const opcode = buffer[0] & 0x0f;
+    if (!(buffer[1] & 0x80)) throw new Error('Unmasked client frame');
+    let length = buffer[1] & 0x7f;
+    let offset = 2;
+    if (length === 126) {
+        if (buffer.length < 4) return null;
+        length = buffer.readUInt16BE(2);
+        offset = 4;
+    } else if (length === 127) {
+        if (buffer.length < 10) return null;
+        length = Number(buffer.readBigUInt64BE(2));
+        offset = 10;
+    }
+    if (length > MAX_PAYLOAD) throw new Error(`Frame of ${length} bytes is too large`);
+    if (buffer.length < offset + 4 + length) return null;
+
+    const mask = buffer.subarray(offset, offset + 4);
+    const payload = Buffer.from(buffer.subarray(offset + 4, offset + 4 + length));
+    for (let i = 0; i < payload.length; i++) payload[i] ^= mask[i % 4];
+    return { opcode, payload, length: offset + 4 + length };
+}
+
+/**
+ * Serves a client after the handshake: relays its text messages to the rest
+ * of its room until it leaves.
+ * @param {import('node:net').Socket} socket - The client's connection.
+ * @param {string} room - The room it joined.
+ */
+function serveClient(socket, room) {
+    if (!rooms.has(room)) rooms.set(room, new Set());
+    const clients = rooms.get(room);
+    clients.add(socket);
+    console.log(`Client joined ${room} (${clients.size} in the room).`);
+
+    let received = Buffer.alloc(0);
+    const leave = () => {
+        if (!clients.delete(socket)) return;
+        if (clients.size === 0) rooms.delete(room);
+        console.log(`Client left ${room} (${clients.size} in the room).`);
+    };
+
+    socket.on('data', (data) => {
+        received = Buffer.concat([received, data]);
+        try {
+            for (let frame = decodeFrame(received); frame; frame = decodeFrame(received)) {
+                received = received.subarray(frame.length);
+                switch (frame.opcode) {
+                    case OPCODES.TEXT: {
+                        const message = encodeFrame(OPCODES.TEXT, frame.payload);
+                        for (const client of clients) {
+                            if (client !== socket) client.write(message);
+                        }
+                        break;
+                    }
+                    case OPCODES.PING:
+                        socket.write(encodeFrame(OPCODES.PONG, frame.payload));
+                        break;
+                    case OPCODES.CLOSE:
+                        socket.end(encodeFrame(OPCODES.CLOSE, Buffer.alloc(0)));
+                        leave();
+                        return;
+                }
+            }
+        } catch (error) {
+            console.warn(`Dropping a client of ${room}: ${error.message}`);
+            socket.destroy();
+            leave();
+        }
+    });
+    socket.on('close', leave);
+    socket.on('error', leave);
+}
+
+const server = createServer((request, response) => {
+    response.writeHead(426, { 'Content-Type': 'text/plain' });
+    response.end('This is a WebSocket relay for network games.\n');
+});
+
+server.on('upgrade', (request, socket) => {
+    const key = request.headers['sec-websocket-key'];
+    if (request.headers.upgrade.toLowerCase() !== 'websocket' || !key) {
+        socket.end('HTTP/1.1 400 Bad Request\r\n\r\n');
+        return;
+    }
+    let room;
+    try {
+        room = decodeURIComponent(new URL(request.url, 'ws://relay').pathname.slice(1)) || 'default';
+    } catch (error) {
+        console.warn(`Refusing a client: ${error.message}`);
+        socket.end('HTTP/1.1 400 Bad Request\r\n\r\n', () => socket.destroy());
+        return;
+    }
+    const accept = createHash('sha1').update(key + HANDSHAKE_GUID).digest('base64');
+    socket.write(
+        'HTTP/1.1 101 Switching Protocols\r\n' +
+        'Upgrade: websocket\r\n' +
+        'Connection: Upgrade\r\n' +
+        `Sec-WebSocket-Accept: ${accept}\r\n\r\n`
+    );
+    serveClient(socket, room);
+});
+
+server.listen(PORT, () => console.log(`Relay listening on ws://localhost:${PORT}`));